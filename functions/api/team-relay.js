@@ -0,0 +1,124 @@
+/**
+ * Cloudflare Pages Function — Team Investigation Relay
+ *
+ * WebSocket relay that fans out time-stamped detections between devices
+ * sharing an investigation ID. Endpoint: GET /api/team-relay (WebSocket upgrade)
+ *
+ * Protocol (JSON text frames):
+ *   → {type:'join', room, deviceId, name}
+ *   ← {type:'welcome', room, deviceId, peers:[{deviceId, name}], reports:[...], serverTime}
+ *   ← {type:'peer-joined', deviceId, name} / {type:'peer-left', deviceId}
+ *   → {type:'event', event}   ← {type:'event', deviceId, name, event}
+ *   → {type:'report', report} ← {type:'report', deviceId, name, report}
+ *   → {type:'ping', t}        ← {type:'pong', t, serverTime}
+ *
+ * Only pages served from this site may connect (Origin must match), and a room
+ * holds at most MAX_PEERS devices.
+ *
+ * NOTE: rooms live in the memory of the isolate that accepted the socket.
+ * Cloudflare may serve devices from different isolates, in which case they will
+ * not see each other, so the app does not use this relay unless its URL is
+ * entered explicitly. For team sessions run the Node stand-in on the local
+ * network instead: node tools/team-relay.js
+ */
+
+const rooms = new Map();
+const MAX_MESSAGE = 256 * 1024;
+const MAX_PEERS = 16;
+
+export async function onRequestGet(context) {
+  if (context.request.headers.get('Upgrade') !== 'websocket') {
+    return new Response('Expected WebSocket upgrade', { status: 426 });
+  }
+  if (context.request.headers.get('Origin') !== new URL(context.request.url).origin) {
+    return new Response('Forbidden origin', { status: 403 });
+  }
+
+  const pair = new WebSocketPair();
+  const [client, server] = Object.values(pair);
+  server.accept();
+
+  const peer = { socket: server, room: null, deviceId: null, name: null };
+
+  server.addEventListener('message', (e) => {
+    if (typeof e.data !== 'string' || e.data.length > MAX_MESSAGE) return;
+    let msg;
+    try { msg = JSON.parse(e.data); } catch (err) { return; }
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return;
+    try { handleMessage(peer, msg); } catch (err) { /* malformed message; keep the socket */ }
+  });
+  server.addEventListener('close', () => leave(peer));
+  server.addEventListener('error', () => leave(peer));
+
+  return new Response(null, { status: 101, webSocket: client });
+}
+
+function handleMessage(peer, msg) {
+  if (msg.type === 'join') {
+    const room = String(msg.room || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+    const deviceId = String(msg.deviceId || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+    if (!room || !deviceId) return send(peer, { type: 'error', error: 'Missing investigation ID or device ID' });
+    const full = rooms.get(room);
+    if (full && full.peers.size >= MAX_PEERS && !full.peers.has(deviceId)) {
+      send(peer, { type: 'error', error: 'Investigation ' + room + ' is full (' + MAX_PEERS + ' devices)' });
+      return peer.socket.close(4001, 'Investigation full');
+    }
+
+    leave(peer);
+    peer.room = room;
+    peer.deviceId = deviceId;
+    peer.name = String(msg.name || 'Device').replace(/[<>"&]/g, '').slice(0, 40);
+
+    if (!rooms.has(room)) rooms.set(room, { peers: new Map(), reports: new Map() });
+    const r = rooms.get(room);
+    // Take the slot before closing the old socket so its leave() sees it was replaced
+    const existing = r.peers.get(deviceId);
+    r.peers.set(deviceId, peer);
+    if (existing && existing !== peer) {
+      try { existing.socket.close(4000, 'Replaced by a newer connection'); } catch (err) { /* already closed */ }
+    }
+
+    send(peer, {
+      type: 'welcome',
+      room: room,
+      deviceId: deviceId,
+      peers: [...r.peers.values()].filter(p => p !== peer).map(p => ({ deviceId: p.deviceId, name: p.name })),
+      reports: [...r.reports.values()],
+      serverTime: Date.now()
+    });
+    broadcast(peer, { type: 'peer-joined', deviceId: deviceId, name: peer.name });
+  } else if (msg.type === 'ping') {
+    send(peer, { type: 'pong', t: msg.t, serverTime: Date.now() });
+  } else if (!peer.room) {
+    send(peer, { type: 'error', error: 'Join an investigation first' });
+  } else if (msg.type === 'event') {
+    broadcast(peer, { type: 'event', deviceId: peer.deviceId, name: peer.name, event: msg.event });
+  } else if (msg.type === 'report') {
+    const out = { type: 'report', deviceId: peer.deviceId, name: peer.name, report: msg.report };
+    const r = rooms.get(peer.room);
+    if (!r) return;
+    r.reports.set(peer.deviceId, out);
+    broadcast(peer, out);
+  }
+}
+
+function leave(peer) {
+  const r = peer.room ? rooms.get(peer.room) : null;
+  if (!r || r.peers.get(peer.deviceId) !== peer) return;
+  r.peers.delete(peer.deviceId);
+  broadcast(peer, { type: 'peer-left', deviceId: peer.deviceId });
+  if (r.peers.size === 0) rooms.delete(peer.room);
+  peer.room = null;
+}
+
+function broadcast(from, msg) {
+  const r = rooms.get(from.room);
+  if (!r) return;
+  for (const p of r.peers.values()) {
+    if (p !== from) send(p, msg);
+  }
+}
+
+function send(peer, msg) {
+  try { peer.socket.send(JSON.stringify(msg)); } catch (err) { /* socket closed */ }
+}
@@ -38,11 +38,108 @@ const btnScreenshot = document.getElementById('btnScreenshot');
 const btnNewScan = document.getElementById('btnNewScan');
 const btnExport = document.getElementById('btnExport');
 const btnShare = document.getElementById('btnShare');
+const btnDossier = document.getElementById('btnDossier');
+const btnUseControl = document.getElementById('btnUseControl');
+const btnClearControl = document.getElementById('btnClearControl');
+const controlPeriodInfo = document.getElementById('controlPeriodInfo');
 const btnShareApp = document.getElementById('btnShareApp');
 const btnPlayForward = document.getElementById('btnPlayForward');
 const btnPlayReverse = document.getElementById('btnPlayReverse');
 const btnStopPlayback = document.getElementById('btnStopPlayback');
+const timelineSection = document.getElementById('timelineSection');
+const timelineDetail = document.getElementById('timelineDetail');
+const timelineTime = document.getElementById('timelineTime');
+const btnTimelinePlay = document.getElementById('btnTimelinePlay');
+const btnTimelineStop = document.getElementById('btnTimelineStop');
+const sessionSpectrogramSection = document.getElementById('sessionSpectrogramSection');
+const sessionSpectrogramStatus = document.getElementById('sessionSpectrogramStatus');
+const btnSpectroZoomIn = document.getElementById('btnSpectroZoomIn');
+const btnSpectroZoomOut = document.getElementById('btnSpectroZoomOut');
+const btnSpectroFit = document.getElementById('btnSpectroFit');
+const spectroMaxFreq = document.getElementById('spectroMaxFreq');
+const btnSpectroPNG = document.getElementById('btnSpectroPNG');
 const btnDownload = document.getElementById('btnDownload');
+const btnReanalyze = document.getElementById('btnReanalyze');
+const btnDownloadReverse = document.getElementById('btnDownloadReverse');
+const exportFormat = document.getElementById('exportFormat');
+const btnDenoiseToggle = document.getElementById('btnDenoiseToggle');
+const playbackRate = document.getElementById('playbackRate');
+const preservePitch = document.getElementById('preservePitch');
+const pitchShift = document.getElementById('pitchShift');
+const pitchShiftVal = document.getElementById('pitchShiftVal');
+const loopStart = document.getElementById('loopStart');
+const loopEnd = document.getElementById('loopEnd');
+const btnLoop = document.getElementById('btnLoop');
+const denoiseStrength = document.getElementById('denoiseStrength');
+const noiseRegionStart = document.getElementById('noiseRegionStart');
+const noiseRegionEnd = document.getElementById('noiseRegionEnd');
+const btnNoiseRegion = document.getElementById('btnNoiseRegion');
+const btnNoiseBaseline = document.getElementById('btnNoiseBaseline');
+const denoiseStatus = document.getElementById('denoiseStatus');
+const clipPreRoll = document.getElementById('clipPreRoll');
+const clipPostRoll = document.getElementById('clipPostRoll');
+const btnImportAudio = document.getElementById('btnImportAudio');
+const profileSelect = document.getElementById('profileSelect');
+const adaptiveBaseline = document.getElementById('adaptiveBaseline');
+const baselineMeanTau = document.getElementById('baselineMeanTau');
+const baselineSpreadTau = document.getElementById('baselineSpreadTau');
+const teamRelayUrl = document.getElementById('teamRelayUrl');
+const teamRoom = document.getElementById('teamRoom');
+const teamDeviceName = document.getElementById('teamDeviceName');
+const btnTeamJoin = document.getElementById('btnTeamJoin');
+const btnTeamLeave = document.getElementById('btnTeamLeave');
+const btnSyncChirp = document.getElementById('btnSyncChirp');
+const teamStatus = document.getElementById('teamStatus');
+const teamPeers = document.getElementById('teamPeers');
+const teamFeed = document.getElementById('teamFeed');
+const teamReport = document.getElementById('teamReport');
+const profileEditor = document.getElementById('profileEditor');
+const profileEditorBody = document.getElementById('profileEditorBody');
+const btnEditProfile = document.getElementById('btnEditProfile');
+const btnCloneProfile = document.getElementById('btnCloneProfile');
+const btnSaveProfile = document.getElementById('btnSaveProfile');
+const btnDeleteProfile = document.getElementById('btnDeleteProfile');
+const btnCloseProfile = document.getElementById('btnCloseProfile');
+const voiceEnroll = document.getElementById('voiceEnroll');
+const voiceName = document.getElementById('voiceName');
+const voicePassage = document.getElementById('voicePassage');
+const voiceProgress = document.getElementById('voiceProgress');
+const voiceList = document.getElementById('voiceList');
+const btnEnrollVoice = document.getElementById('btnEnrollVoice');
+const btnStartEnroll = document.getElementById('btnStartEnroll');
+const btnCancelEnroll = document.getElementById('btnCancelEnroll');
+const fingerprintEditor = document.getElementById('fingerprintEditor');
+const fingerprintName = document.getElementById('fingerprintName');
+const fingerprintProgress = document.getElementById('fingerprintProgress');
+const fingerprintList = document.getElementById('fingerprintList');
+const btnShowFingerprints = document.getElementById('btnShowFingerprints');
+const btnRecordFingerprint = document.getElementById('btnRecordFingerprint');
+const importAudioInput = document.getElementById('importAudioInput');
+const wordLibrarySelect = document.getElementById('wordLibrarySelect');
+const wordLibraryEditor = document.getElementById('wordLibraryEditor');
+const wordLibraryEditorBody = document.getElementById('wordLibraryEditorBody');
+const btnEditWordLibrary = document.getElementById('btnEditWordLibrary');
+const btnCloneWordLibrary = document.getElementById('btnCloneWordLibrary');
+const btnImportWordLibrary = document.getElementById('btnImportWordLibrary');
+const importWordLibraryInput = document.getElementById('importWordLibraryInput');
+const btnAddWord = document.getElementById('btnAddWord');
+const btnSaveWordLibrary = document.getElementById('btnSaveWordLibrary');
+const btnExportWordLibrary = document.getElementById('btnExportWordLibrary');
+const btnDeleteWordLibrary = document.getElementById('btnDeleteWordLibrary');
+const btnCloseWordLibrary = document.getElementById('btnCloseWordLibrary');
+const btnShowQuestions = document.getElementById('btnShowQuestions');
+const questionSetup = document.getElementById('questionSetup');
+const questionSetSelect = document.getElementById('questionSetSelect');
+const questionListInput = document.getElementById('questionListInput');
+const questionWindowSelect = document.getElementById('questionWindowSelect');
+const questionControlSelect = document.getElementById('questionControlSelect');
+const questionSpeak = document.getElementById('questionSpeak');
+const questionPanel = document.getElementById('questionPanel');
+const questionDisplay = document.getElementById('questionDisplay');
+const questionStatus = document.getElementById('questionStatus');
+const btnStartQuestions = document.getElementById('btnStartQuestions');
+const btnNextQuestion = document.getElementById('btnNextQuestion');
+const btnEndQuestions = document.getElementById('btnEndQuestions');
 const btnGeiger = document.getElementById('btnGeiger');
 const btnDowsing = document.getElementById('btnDowsing');
 const btnWords = document.getElementById('btnWords');
@@ -105,6 +202,11 @@ const geigerRate = document.getElementById('geigerRate');
 const historyPanel = document.getElementById('historyPanel');
 const historyList = document.getElementById('historyList');
 const historyStorage = document.getElementById('historyStorage');
+const historyCompare = document.getElementById('historyCompare');
+const historyCompareBody = document.getElementById('historyCompareBody');
+const btnCompareSessions = document.getElementById('btnCompareSessions');
+const btnCloseCompare = document.getElementById('btnCloseCompare');
+const btnCleanupMedia = document.getElementById('btnCleanupMedia');
 const mapPanel = document.getElementById('mapPanel');
 const mapInfo = document.getElementById('mapInfo');
 const gearPanel = document.getElementById('gearPanel');
@@ -134,6 +236,7 @@ const gyroValue = document.getElementById('gyroValue');
 const sweepFreq = document.getElementById('sweepFreq');
 const sweepSpeed = document.getElementById('sweepSpeed');
 const sweepSpeedVal = document.getElementById('sweepSpeedVal');
+const sweepStep = document.getElementById('sweepStep');
 const fragmentCount = document.getElementById('fragmentCount');
 const sweepModeEl = document.getElementById('sweepMode');
 
@@ -164,6 +267,16 @@ let wordDetectEnabled = true;
 let radarActive = false;
 let sfxEnabled = true;
 let deferredInstallPrompt = null;
+let currentSessionId = null;
+let sessionScreenshots = [];
+let sessionSpectrograms = [];
+let displayedReport = null;
+let displayedSessionId = null;
+let timelineSyncId = null;
+let spectrogramSource = null;
+let historyMediaUrls = [];
+let clipClassifications = [];
+let sharedSensorEventCount = 0;
 
 // Performance throttling
 let lastAudioUITime = 0;
@@ -185,14 +298,31 @@ const emfSensorEngine = new EMFSensorEngine();
 const spiritBoxEngine = new SpiritBoxEngine();
 const evpClassifier = new EVPClassifier();
 const sessionRecorder = new SessionRecorder();
+const spectralDenoiser = new SpectralDenoiser();
+sessionRecorder.setDenoiser(spectralDenoiser);
+sessionRecorder.setTimeStretcher(new TimeStretcher());
+sessionRecorder.onStretchProgress = (pct) => {
+  if (pct < 100) setStatus('Preparing playback... ' + pct + '%', 'scanning');
+  else setStatus('Playing at ' + sessionRecorder.playbackSettings.rate + 'x', 'complete');
+};
 const evidenceReport = new EvidenceReport();
 const sessionVault = new SessionVault();
 const geigerCounter = new GeigerCounter();
 const dowsingRods = new DowsingRods();
 const wordDetector = new WordDetector();
+const vowelChart = new VowelChart();
 const investigationMap = new InvestigationMap();
 const entityRadar = new EntityRadar();
 const detectionSfx = new DetectionSFX();
+const offlineReplay = new OfflineReplay();
+const timelineScrubber = new TimelineScrubber();
+const sessionSpectrogram = new SessionSpectrogram();
+const classificationProfiles = new ClassificationProfiles();
+const voiceContamination = new VoiceContamination();
+const noiseFingerprints = new NoiseFingerprints();
+const wordLibraries = new WordLibraries(wordDetector.getDefaultWords(), Object.keys(wordDetector.getPhonemeLibrary()));
+const questionSession = new QuestionSession();
+const teamSync = new TeamSync();
 
 // ─── Pro Gate Reference ─────────────────────────────────────────────────────────
 function getProGate() { return window.proGateInstance || null; }
@@ -386,6 +516,7 @@ async function startCamera() {
         if (success) {
           audioInitialized = true;
           spiritBoxEngine.init(evpAudioEngine.audioContext);
+          spiritBoxEngine.attachInput(evpAudioEngine.sourceNode);
           geigerCounter.init(evpAudioEngine.audioContext);
         }
       }
@@ -422,6 +553,24 @@ function takeScreenshot() {
   const link = document.createElement('a');
   link.download = 'evp-mini-' + new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19) + '.png';
   link.href = c.toDataURL('image/png'); document.body.appendChild(link); link.click(); document.body.removeChild(link);
+
+  // Keep a copy for the vault: queued during a scan, saved directly afterwards
+  const elapsed = running ? Date.now() - scanStartTime : 0;
+  const wasRunning = running;
+  c.toBlob(async (blob) => {
+    if (!blob) return;
+    if (wasRunning) sessionScreenshots.push({ blob, elapsed });
+    else if (currentSessionId) await sessionVault.saveMedia(currentSessionId, blob, 'screenshot', { label: 'Screenshot (post-scan)' });
+  }, 'image/png');
+}
+
+// Snapshot the live spectrogram when an EVP is classified, for the dossier
+function captureSpectrogramSnapshot(classification) {
+  if (!spectrogramCanvas || !spectrogramCanvas.width || sessionSpectrograms.length >= 30) return;
+  const label = 'Class ' + classification.class + ' EVP at ' + formatTimer(classification.timestamp * 1000) + ' (' + classification.confidence + '%)';
+  spectrogramCanvas.toBlob((blob) => {
+    if (blob) sessionSpectrograms.push({ blob, label, time: classification.timestamp, evpClass: classification.class });
+  }, 'image/jpeg', 0.85);
 }
 
 // ─── Screen Flash + Haptic ──────────────────────────────────────────────────────
@@ -444,11 +593,37 @@ function addEVPLogEntry(classification) {
   const cls = classification.class.toLowerCase();
   const entry = document.createElement('div');
   entry.className = 'evp-log-entry class-' + cls;
-  entry.innerHTML = '<span class="log-time">' + formatTimer(elapsed) + '</span><span class="log-class">Class ' + classification.class + '</span><span class="log-detail">' + classification.confidence + '% | ' + Math.round(classification.spectralCentroid) + 'Hz' + (classification.hasVoicePattern ? ' | Voice' : '') + '</span>';
+  entry.dataset.evpIndex = evpClassifier.classifications.indexOf(classification);
+  entry.innerHTML = '<span class="log-time">' + formatTimer(elapsed) + '</span><span class="log-class">Class ' + classification.class + '</span><span class="log-detail">' + classification.confidence + '% | ' + Math.round(classification.spectralCentroid) + 'Hz' + (classification.hasVoicePattern ? ' | Voice' : '') + (classification.contamination ? ' | Investigator?' : '') + '</span>';
   evpLogEntries.insertBefore(entry, evpLogEntries.firstChild);
   while (evpLogEntries.children.length > 50) evpLogEntries.removeChild(evpLogEntries.lastChild);
 }
 
+// ─── EVP Clips ──────────────────────────────────────────────────────────────────
+async function prepareEVPClips(classifications) {
+  clipClassifications = classifications || [];
+  try {
+    await sessionRecorder.extractClips(clipClassifications);
+  } catch (e) { console.warn('Clip extraction failed:', e); }
+  attachClipControls();
+}
+
+function attachClipControls() {
+  document.querySelectorAll('.evp-log-entry[data-evp-index], #reportContent [data-evp-index]').forEach(el => {
+    const existing = el.querySelector('.evp-clip-actions');
+    if (existing) existing.remove();
+    const index = parseInt(el.dataset.evpIndex, 10);
+    if (!sessionRecorder.getClip(index)) return;
+    el.insertAdjacentHTML('beforeend', '<span class="evp-clip-actions">' +
+      '<button data-clip-action="play" data-clip-index="' + index + '" title="Play clip">&#x25B6;</button>' +
+      '<button data-clip-action="reverse" data-clip-index="' + index + '" title="Play clip reversed">&#x25C0;</button>' +
+      '<button data-clip-action="loop" data-clip-index="' + index + '" title="Loop clip">&#x27F2;</button>' +
+      '<button data-clip-action="export" data-clip-index="' + index + '" title="Download clip as WAV">WAV</button>' +
+      '<button data-clip-action="export-reversed" data-clip-index="' + index + '" title="Download reversed clip as WAV">&#x25C0;WAV</button>' +
+      '</span>');
+  });
+}
+
 function updateEVPCount() {
   if (evpCountEl) { evpCountEl.textContent = 'EVP: ' + evpTotalCount; evpCountEl.classList.toggle('has-evp', evpTotalCount > 0); }
 }
@@ -474,11 +649,21 @@ function showWordDetection(detection) {
   const entry = document.createElement('div');
   entry.className = 'word-log-entry';
   entry.innerHTML = '<span class="wl-time">' + formatTimer(elapsed) + '</span><span class="wl-word">' + detection.word + '</span><span class="wl-conf">' + detection.confidence + '%</span>';
+  entry.addEventListener('click', () => selectWordDetection(detection, entry));
   wordLog.insertBefore(entry, wordLog.firstChild);
+  selectWordDetection(detection, entry);
   while (wordLog.children.length > 30) wordLog.removeChild(wordLog.lastChild);
+  teamSync.sendEvent('word', detection.timestamp, '"' + detection.word + '" (' + detection.confidence + '%)', { word: detection.word, confidence: detection.confidence });
   if (navigator.vibrate) navigator.vibrate([50, 30, 50]);
 }
 
+// Plot a detection's formant trajectory on the vowel chart
+function selectWordDetection(detection, entry) {
+  vowelChart.show(detection);
+  if (!wordLog) return;
+  Array.from(wordLog.children).forEach(el => el.classList.toggle('selected', el === entry));
+}
+
 // ─── GPS ────────────────────────────────────────────────────────────────────────
 async function updateGPS() {
   if (gpsText) gpsText.textContent = 'Acquiring GPS...';
@@ -501,10 +686,13 @@ async function showHistory() {
   if (!isPro()) { showUpgradePrompt('Investigation History'); return; }
   if (!historyPanel) return;
   historyPanel.classList.add('visible');
+  closeComparison();
   const sessions = await sessionVault.getAllSessions();
   if (historyList) historyList.innerHTML = sessionVault.renderHistoryList(sessions);
+  updateCompareButton();
   const storage = await sessionVault.getStorageEstimate();
-  if (historyStorage) historyStorage.textContent = 'Sessions: ' + sessions.length + ' | Storage: ' + storage.usedMB + ' MB used';
+  const mediaUsage = await sessionVault.getMediaUsage();
+  if (historyStorage) historyStorage.textContent = 'Sessions: ' + sessions.length + ' | Media: ' + (mediaUsage.bytes / (1024 * 1024)).toFixed(1) + ' MB | Storage: ' + storage.usedMB + ' / ' + storage.totalMB + ' MB';
   document.querySelectorAll('.vault-delete-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       const id = parseInt(e.target.dataset.deleteId);
@@ -512,6 +700,66 @@ async function showHistory() {
       showHistory();
     });
   });
+  await renderHistoryMedia(sessions);
+}
+
+// ─── Session Comparison ─────────────────────────────────────────────────────────
+function getCompareSelection() {
+  if (!historyList) return [];
+  return Array.from(historyList.querySelectorAll('[data-compare-id]:checked')).map(cb => parseInt(cb.dataset.compareId));
+}
+
+function updateCompareButton() {
+  if (!btnCompareSessions) return;
+  const count = getCompareSelection().length;
+  btnCompareSessions.disabled = count < 2;
+  btnCompareSessions.textContent = count >= 2 ? 'Compare (' + count + ')' : 'Compare';
+}
+
+async function showComparison() {
+  const ids = getCompareSelection();
+  if (ids.length < 2 || !historyCompare) return;
+  const sessions = (await Promise.all(ids.map(id => sessionVault.getSession(id)))).filter(Boolean);
+  if (sessions.length < 2) return;
+  if (historyCompareBody) historyCompareBody.innerHTML = sessionVault.renderComparison(sessionVault.compareSessions(sessions));
+  historyCompare.classList.add('visible');
+  if (historyList) historyList.classList.add('hidden');
+}
+
+function closeComparison() {
+  if (historyCompare) historyCompare.classList.remove('visible');
+  if (historyList) historyList.classList.remove('hidden');
+}
+
+async function renderHistoryMedia(sessions) {
+  historyMediaUrls.forEach(url => URL.revokeObjectURL(url));
+  historyMediaUrls = [];
+  if (!historyList) return;
+  for (const s of sessions) {
+    const container = historyList.querySelector('[data-media-session="' + s.id + '"]');
+    if (!container) continue;
+    const media = await sessionVault.getSessionMedia(s.id);
+    const urls = {};
+    media.forEach(m => { urls[m.id] = URL.createObjectURL(m.blob); historyMediaUrls.push(urls[m.id]); });
+    container.innerHTML = sessionVault.renderMediaList(media, urls);
+  }
+}
+
+async function persistSessionMedia(sessionId, recordedBlob) {
+  try {
+    if (recordedBlob) await sessionVault.saveMedia(sessionId, recordedBlob, null, { label: 'Session recording', duration: sessionRecorder.getDuration() });
+    for (const shot of sessionScreenshots) await sessionVault.saveMedia(sessionId, shot.blob, 'screenshot', { label: 'Screenshot at ' + formatTimer(shot.elapsed) });
+    sessionScreenshots = [];
+    for (const spec of sessionSpectrograms) await sessionVault.saveMedia(sessionId, spec.blob, 'spectrogram', { label: spec.label, time: spec.time, evpClass: spec.evpClass });
+    sessionSpectrograms = [];
+    // Cache the map tile now, while online, so dossiers can be exported offline later
+    const loc = sessionVault.currentLocation;
+    if (loc && loc.available) {
+      const tile = await sessionVault.fetchMapTile(loc.latitude, loc.longitude);
+      if (tile) await sessionVault.saveMedia(sessionId, tile.blob, 'map', { label: 'Location map', zoom: tile.zoom, px: tile.px, py: tile.py });
+    }
+    await sessionVault.cleanupMedia();
+  } catch (e) { console.warn('Vault media save failed:', e); }
 }
 
 // ─── Map Panel ──────────────────────────────────────────────────────────────────
@@ -701,12 +949,23 @@ async function startScan() {
     sensorsInitialized = true;
   }
 
+  closeVoiceEnroll();
+  noiseFingerprints.cancelRecording();
+  if (btnRecordFingerprint) btnRecordFingerprint.disabled = false;
   evpAudioEngine.clearAll(); visualAnomalyEngine.clearAll(); emfSensorEngine.clearAll();
   spiritBoxEngine.clearAll(); evpClassifier.clearAll(); evidenceReport.clearAll();
   wordDetector.clearAll();
+  vowelChart.clear();
+  questionSession.clearAll();
+  updateQuestionUI(questionSession.getState());
+  sessionScreenshots = [];
+  sessionSpectrograms = [];
   if (evpLogEntries) evpLogEntries.innerHTML = '';
   if (wordLog) wordLog.innerHTML = '';
   if (wordDisplay) wordDisplay.textContent = 'Listening...';
+  if (teamFeed) teamFeed.innerHTML = '';
+  if (teamReport) teamReport.innerHTML = '';
+  sharedSensorEventCount = 0;
 
   visualAnomalyEngine.setMode(scanMode === 'visual' || scanMode === 'fullspectrum' ? visualMode : 'normal');
   if (scanMode === 'spiritbox' || scanMode === 'fullspectrum') spiritBoxEngine.start();
@@ -716,6 +975,7 @@ async function startScan() {
   updateGPS();
 
   scanStartTime = Date.now();
+  teamSync.startSession(scanStartTime);
   if (timerDisplay) { timerDisplay.textContent = '0:00'; timerDisplay.classList.add('visible'); }
 
   if (scanLine && videoContainer) {
@@ -743,6 +1003,7 @@ async function startScan() {
 
   if (btnStart) btnStart.disabled = true;
   if (btnStop) btnStop.classList.add('visible');
+  if (btnSyncChirp) btnSyncChirp.disabled = false;
   if (resultsPanel) resultsPanel.classList.remove('visible');
   setStatus('Scanning... Analyzing environment', 'scanning');
   if (evpAlert) evpAlert.classList.remove('visible');
@@ -766,20 +1027,36 @@ async function completeScan() {
   if (scanLine) scanLine.classList.remove('active');
   dowsingRods.stop();
   spiritBoxEngine.stop();
-  sessionRecorder.stopRecording();
+  stopQuestions();
+  const recordedBlob = await sessionRecorder.stopRecording();
+  sessionRecorder.setMetadata({
+    title: 'EVP-MINI ' + scanMode + ' session',
+    date: scanStartTime,
+    location: sessionVault.currentLocation,
+    device: navigator.userAgent,
+    mode: scanMode
+  });
+  spectralDenoiser.setProfileFromBaseline(evpAudioEngine.getNoiseProfile());
+  updateDenoiseUI();
 
   const audioReport = evpAudioEngine.fullAnalysis();
   const spiritBoxReport = spiritBoxEngine.fullAnalysis();
   const visualReport = visualAnomalyEngine.fullAnalysis();
   const sensorReport = emfSensorEngine.fullAnalysis();
   const evpReport = evpClassifier.fullAnalysis();
+  noiseFingerprints.annotate(audioReport.anomalyEvents);
   const recordingData = sessionRecorder.getRecordingState();
-  evidenceReport.analyze(audioReport, spiritBoxReport, visualReport, sensorReport, evpReport, recordingData);
+  evidenceReport.analyze(audioReport, spiritBoxReport, visualReport, sensorReport, evpReport, recordingData, wordDetector.getDetections(), questionSession.fullAnalysis());
+  if (teamSync.clockOffset) evidenceReport.setClockOffset(teamSync.clockOffset);
+  evidenceReport.setControlPeriod(loadControlPeriod());
+  if (teamSync.active) teamSync.shareReport(evidenceReport);
   renderReport();
+  if (recordedBlob) await prepareEVPClips(evpReport.classifications);
 
   const elapsed = Date.now() - scanStartTime;
+  currentSessionId = null;
   try {
-    await sessionVault.saveSession({
+    currentSessionId = await sessionVault.saveSession({
       duration: elapsed,
       durationDisplay: formatTimer(elapsed),
       mode: scanMode,
@@ -790,11 +1067,17 @@ async function completeScan() {
         emfAnomalies: (sensorReport.events || []).filter(e => e.type === 'emf').length,
         infrasoundEvents: (sensorReport.events || []).filter(e => e.type === 'infrasound').length
       },
-      reportSummary: evidenceReport.getSummary()
+      profileName: evpClassifier.profile.name,
+      clockSync: evidenceReport.report.clockSync,
+      reportSummary: evidenceReport.getSummary(),
+      report: evidenceReport.exportSnapshot()
     });
   } catch (e) { console.warn('Vault save failed:', e); }
+  if (currentSessionId) await persistSessionMedia(currentSessionId, recordedBlob);
+  displayedSessionId = currentSessionId;
 
   if (btnStart) btnStart.disabled = false;
+  if (btnSyncChirp) btnSyncChirp.disabled = true;
   if (btnStop) btnStop.classList.remove('visible');
   if (timerDisplay) timerDisplay.classList.remove('visible');
   if (playbackSection && sessionRecorder.getRecordingState().hasRecording) playbackSection.classList.add('visible');
@@ -802,10 +1085,463 @@ async function completeScan() {
   setStatus('Investigation complete — Evidence saved to vault', 'complete');
 }
 
-function renderReport() {
-  if (reportContent) reportContent.innerHTML = evidenceReport.renderFriendlyReport();
-  if (technicalDetail) technicalDetail.innerHTML = evidenceReport.renderTechnicalDetail();
+function renderReport(report) {
+  const r = report || evidenceReport;
+  displayedReport = r;
+  if (reportContent) reportContent.innerHTML = r.renderFriendlyReport();
+  if (technicalDetail) technicalDetail.innerHTML = r.renderTechnicalDetail();
   if (resultsPanel) resultsPanel.classList.add('visible');
+  // Clips are cut from the live recording, so only its own report gets controls
+  if (r === evidenceReport) attachClipControls();
+  attachReviewControls();
+  renderTimeline(r);
+  renderTeamReport();
+}
+
+// ─── Control Period ─────────────────────────────────────────────────────────────
+function loadControlPeriod() {
+  try {
+    return JSON.parse(localStorage.getItem('evpControlPeriod') || 'null');
+  } catch (e) { return null; /* localStorage unavailable or malformed */ }
+}
+
+function updateControlUI() {
+  const control = loadControlPeriod();
+  if (controlPeriodInfo) {
+    controlPeriodInfo.textContent = control
+      ? 'Control period: ' + control.label + ' (' + formatTimer(control.durationSeconds * 1000) + ', ' + control.counts.evp + ' EVP, ' +
+        control.counts.emf + ' EMF, ' + control.counts.infrasound + ' infrasound) — new reports are tested against it'
+      : 'No control period — record a few minutes before the session or in an empty room and use it here to test rates against chance';
+  }
+  if (btnClearControl) btnClearControl.disabled = !control;
+}
+
+if (btnUseControl) btnUseControl.addEventListener('click', () => {
+  const r = displayedReport || evidenceReport;
+  const date = r.report ? new Date(r.report.summary ? r.report.summary.date : r.report.timestamp) : new Date();
+  const control = r.getControlCounts('control period of ' + date.toLocaleString());
+  if (!control) { setStatus('A control period needs at least ' + r.minControlSeconds + ' seconds of recording', 'error'); return; }
+  try { localStorage.setItem('evpControlPeriod', JSON.stringify(control)); } catch (e) { /* localStorage unavailable */ }
+  updateControlUI();
+  setStatus('Control period saved — later investigations are compared against it', 'complete');
+});
+if (btnClearControl) btnClearControl.addEventListener('click', () => {
+  try { localStorage.removeItem('evpControlPeriod'); } catch (e) { /* localStorage unavailable */ }
+  updateControlUI();
+});
+
+// ─── EVP Review ─────────────────────────────────────────────────────────────────
+function attachReviewControls() {
+  if (!reportContent) return;
+  reportContent.querySelectorAll('.evp-detection-item[data-evp-index]').forEach(el => {
+    el.insertAdjacentHTML('beforeend', '<button class="evp-review-btn" data-review-open="' + el.dataset.evpIndex + '">Review</button>');
+  });
+}
+
+function openReviewForm(item, index) {
+  const existing = item.querySelector('.evp-review-form');
+  if (existing) { existing.remove(); return; }
+  let reviewer = '';
+  try { reviewer = localStorage.getItem('evpReviewerName') || ''; } catch (e) { /* localStorage unavailable */ }
+  item.insertAdjacentHTML('beforeend', displayedReport.renderReviewForm(index, { reviewer: reviewer }));
+}
+
+async function saveReview(form, index) {
+  const review = displayedReport.readReviewForm(form);
+  if (review && review.reviewer) {
+    try { localStorage.setItem('evpReviewerName', review.reviewer); } catch (e) { /* localStorage unavailable */ }
+  }
+  const saved = displayedReport.setReview(index, review);
+  let stored = false;
+  if (displayedSessionId) stored = await sessionVault.saveReview(displayedSessionId, index, saved);
+  renderReport(displayedReport);
+  setStatus(stored ? 'Review saved to vault' : 'Review applied — this report is not stored in the vault', 'complete');
+}
+
+// ─── Classification Profiles ────────────────────────────────────────────────────
+function applyActiveProfile() {
+  evpClassifier.setProfile(classificationProfiles.getActive());
+  if (profileSelect) profileSelect.innerHTML = classificationProfiles.renderOptions(evpClassifier.profile.id);
+}
+
+function openProfileEditor(profile) {
+  if (!profileEditor || !profileEditorBody) return;
+  profileEditorBody.innerHTML = classificationProfiles.renderEditor(profile);
+  profileEditor.dataset.profileId = profile.id;
+  if (btnSaveProfile) btnSaveProfile.disabled = profile.builtIn;
+  if (btnDeleteProfile) btnDeleteProfile.disabled = profile.builtIn;
+  profileEditor.classList.add('visible');
+}
+
+function closeProfileEditor() {
+  if (profileEditor) profileEditor.classList.remove('visible');
+}
+
+// ─── Word Libraries ─────────────────────────────────────────────────────────────
+function applyActiveWordLibrary() {
+  wordDetector.setLibrary(wordLibraries.getActive());
+  if (wordLibrarySelect) wordLibrarySelect.innerHTML = wordLibraries.renderOptions(wordDetector.library.id);
+}
+
+function openWordLibraryEditor(library) {
+  if (!wordLibraryEditor || !wordLibraryEditorBody) return;
+  wordLibraryEditorBody.innerHTML = wordLibraries.renderEditor(library);
+  wordLibraryEditor.dataset.libraryId = library.id;
+  if (btnAddWord) btnAddWord.disabled = library.builtIn;
+  if (btnSaveWordLibrary) btnSaveWordLibrary.disabled = library.builtIn;
+  if (btnDeleteWordLibrary) btnDeleteWordLibrary.disabled = library.builtIn;
+  wordLibraryEditor.classList.add('visible');
+}
+
+function closeWordLibraryEditor() {
+  if (wordLibraryEditor) wordLibraryEditor.classList.remove('visible');
+}
+
+// Phoneme chips live in a hidden input per row; redraw them after each change
+function setWordPhonemes(row, phonemes) {
+  row.querySelector('[data-word-phonemes]').value = phonemes.join(' ');
+  row.querySelector('[data-word-seq]').innerHTML = wordLibraries.renderSequence(phonemes);
+}
+
+// ─── Question Session ───────────────────────────────────────────────────────────
+function initQuestionSetup() {
+  let settings = null;
+  try { settings = JSON.parse(localStorage.getItem('evpQuestionSettings') || 'null'); } catch (e) { /* ignore malformed settings */ }
+  const custom = questionSession.loadCustomQuestions();
+
+  if (questionSetSelect) {
+    questionSetSelect.innerHTML = questionSession.sets.map(s => '<option value="' + s.id + '">' + s.name + '</option>').join('') +
+      '<option value="custom">Custom list</option>';
+    questionSetSelect.value = settings && settings.set && (settings.set === 'custom' || questionSession.getSet(settings.set))
+      ? settings.set : (custom ? 'custom' : 'standard');
+  }
+  if (settings && questionWindowSelect && settings.responseSeconds) questionWindowSelect.value = String(settings.responseSeconds);
+  if (settings && questionControlSelect && settings.controlEvery !== undefined) questionControlSelect.value = String(settings.controlEvery);
+  if (settings && questionSpeak) questionSpeak.checked = !!settings.speak;
+  fillQuestionList();
+  updateQuestionUI(questionSession.getState());
+}
+
+function fillQuestionList() {
+  if (!questionListInput || !questionSetSelect) return;
+  const set = questionSession.getSet(questionSetSelect.value);
+  questionListInput.value = set ? set.questions.join('\n') : questionSession.loadCustomQuestions();
+}
+
+function saveQuestionSettings() {
+  try {
+    localStorage.setItem('evpQuestionSettings', JSON.stringify({
+      set: questionSetSelect ? questionSetSelect.value : 'standard',
+      responseSeconds: questionWindowSelect ? parseInt(questionWindowSelect.value, 10) : 15,
+      controlEvery: questionControlSelect ? parseInt(questionControlSelect.value, 10) : 0,
+      speak: questionSpeak ? questionSpeak.checked : false
+    }));
+  } catch (e) { /* localStorage unavailable */ }
+}
+
+function startQuestions() {
+  if (!running) { setStatus('Start the investigation before starting a question session', ''); return; }
+  const questions = questionSession.parseQuestions(questionListInput ? questionListInput.value : '');
+  const speak = questionSpeak && questionSpeak.checked && 'speechSynthesis' in window;
+  // Spoken questions hold the ask phase until the voice finishes (see onAsk)
+  questionSession.configure({
+    responseSeconds: questionWindowSelect ? parseInt(questionWindowSelect.value, 10) : 15,
+    controlEvery: questionControlSelect ? parseInt(questionControlSelect.value, 10) : 0,
+    askSeconds: speak ? 15 : 4
+  });
+  if (!questionSession.start(questions, scanStartTime)) { setStatus('Add at least one question to the question list', 'error'); return; }
+  setStatus('Question session started — ' + questions.length + ' questions', 'complete');
+}
+
+function stopQuestions() {
+  questionSession.stop();
+  if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+}
+
+function updateQuestionUI(state) {
+  if (btnStartQuestions) btnStartQuestions.disabled = questionSession.isActive();
+  if (btnNextQuestion) btnNextQuestion.disabled = !questionSession.isActive();
+  if (btnEndQuestions) btnEndQuestions.disabled = !questionSession.isActive();
+  if (!questionDisplay || !questionStatus) return;
+
+  questionDisplay.className = 'question-display' + (state.phase === 'asking' ? ' asking' : state.kind === 'control' ? ' control' : '');
+  questionStatus.className = 'question-status' + (state.phase === 'listening' ? ' listening' : '');
+  if (state.phase === 'asking' || state.phase === 'listening') {
+    questionDisplay.textContent = state.kind === 'control' ? 'Silent control window — stay quiet' : state.text;
+    const label = state.kind === 'control' ? 'Control' : 'Question ' + state.number + ' of ' + state.questions;
+    questionStatus.textContent = state.phase === 'asking'
+      ? label + ' · ask now'
+      : label + ' · listening ' + state.remaining + 's · ' + state.responses + ' response' + (state.responses !== 1 ? 's' : '');
+  } else if (state.phase === 'done') {
+    questionDisplay.textContent = 'Question session finished';
+    questionStatus.textContent = questionSession.windows.length + ' window' + (questionSession.windows.length !== 1 ? 's' : '') + ' recorded';
+  } else {
+    questionDisplay.textContent = 'Ask questions with timed response windows';
+    questionStatus.textContent = '';
+  }
+}
+
+questionSession.onChange = updateQuestionUI;
+questionSession.onAsk = (item) => {
+  if (!questionSpeak || !questionSpeak.checked || !('speechSynthesis' in window)) return;
+  const utterance = new SpeechSynthesisUtterance(item.text);
+  // Open the response window shortly after the voice stops, not on the fixed timer
+  utterance.onend = () => setTimeout(() => {
+    const state = questionSession.getState();
+    if (state.phase === 'asking' && state.text === item.text) questionSession.next();
+  }, 500);
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
+
+// ─── Investigator Voices ────────────────────────────────────────────────────────
+function renderVoiceList() {
+  if (voiceList) voiceList.innerHTML = voiceContamination.renderList();
+}
+
+function closeVoiceEnroll() {
+  voiceContamination.cancelEnrollment();
+  if (voiceEnroll) voiceEnroll.classList.remove('visible');
+  if (btnStartEnroll) btnStartEnroll.disabled = false;
+}
+
+// Runs its own audio loop: the scan loop is stopped while enrolling
+function enrollVoice() {
+  if (running || voiceContamination.isEnrolling() || noiseFingerprints.isRecording()) return;
+  if (!audioInitialized) { setStatus('Microphone not available — allow access to enroll a voice', 'error'); return; }
+  const name = voiceName ? voiceName.value.trim() : '';
+  if (!name) { setStatus('Enter the investigator\'s name before enrolling', 'error'); return; }
+
+  voiceContamination.startEnrollment(name);
+  if (btnStartEnroll) btnStartEnroll.disabled = true;
+  const started = performance.now();
+  const duration = voiceContamination.enrollSeconds * 1000;
+
+  const step = () => {
+    if (!voiceContamination.isEnrolling()) return;
+    evpAudioEngine.processAudioFrame();
+    const voiced = voiceContamination.addFrame(evpAudioEngine.getQuickAssess());
+    const elapsed = performance.now() - started;
+    if (voiceProgress) voiceProgress.textContent = 'Listening... ' + Math.ceil((duration - elapsed) / 1000) + 's | voiced frames: ' + voiced;
+    if (elapsed < duration) { requestAnimationFrame(step); return; }
+
+    const voice = voiceContamination.finishEnrollment();
+    if (btnStartEnroll) btnStartEnroll.disabled = false;
+    if (voiceProgress) voiceProgress.textContent = '';
+    if (voice) {
+      if (voiceEnroll) voiceEnroll.classList.remove('visible');
+      renderVoiceList();
+      setStatus('Enrolled ' + voice.name + '\'s voice', 'complete');
+    } else {
+      setStatus('Not enough speech heard — read the passage aloud, closer to the device', 'error');
+    }
+  };
+  requestAnimationFrame(step);
+}
+
+// ─── Noise Fingerprints ─────────────────────────────────────────────────────────
+function renderFingerprintList() {
+  if (fingerprintList) fingerprintList.innerHTML = noiseFingerprints.renderList();
+}
+
+// Records the room as it sounds now; like voice enrollment it runs outside the scan loop
+function recordFingerprint() {
+  if (running || noiseFingerprints.isRecording() || voiceContamination.isEnrolling()) return;
+  if (!audioInitialized) { setStatus('Microphone not available — allow access to record a sample', 'error'); return; }
+  const name = fingerprintName ? fingerprintName.value.trim() : '';
+  if (!name) { setStatus('Name the sound before recording it', 'error'); return; }
+
+  noiseFingerprints.startRecording(name);
+  if (btnRecordFingerprint) btnRecordFingerprint.disabled = true;
+  const started = performance.now();
+  const duration = noiseFingerprints.recordSeconds * 1000;
+
+  const step = () => {
+    if (!noiseFingerprints.isRecording()) return;
+    evpAudioEngine.processAudioFrame();
+    noiseFingerprints.addSample(evpAudioEngine.getSpectralSignature());
+    const elapsed = performance.now() - started;
+    if (fingerprintProgress) fingerprintProgress.textContent = 'Recording... ' + Math.ceil((duration - elapsed) / 1000) + 's';
+    if (elapsed < duration) { requestAnimationFrame(step); return; }
+
+    const fp = noiseFingerprints.finishRecording();
+    if (btnRecordFingerprint) btnRecordFingerprint.disabled = false;
+    if (fingerprintProgress) fingerprintProgress.textContent = '';
+    if (fp) {
+      if (fingerprintName) fingerprintName.value = '';
+      renderFingerprintList();
+      setStatus('Added noise fingerprint: ' + fp.label, 'complete');
+    } else {
+      setStatus('Recording too short — try again', 'error');
+    }
+  };
+  requestAnimationFrame(step);
+}
+
+// ─── Team Investigation ─────────────────────────────────────────────────────────
+function shareSensorEvents() {
+  const events = emfSensorEngine.events;
+  while (sharedSensorEventCount < events.length) {
+    const e = events[sharedSensorEventCount++];
+    teamSync.sendEvent(e.type, e.timeSeconds, sensorEventDetail(e), { magnitude: e.magnitude, frequency: e.frequency });
+  }
+}
+
+function sensorEventDetail(e) {
+  if (e.type === 'emf') return 'EMF spike +' + e.deviation.toFixed(1) + ' uT';
+  if (e.type === 'infrasound') return e.note || 'Infrasound ' + (e.frequency || 0).toFixed(1) + ' Hz';
+  if (e.type === 'vibration') return 'Vibration ' + (e.ratio || 0).toFixed(1) + 'x baseline';
+  return e.note || (e.type + ' event');
+}
+
+function addTeamFeedEntry(event) {
+  if (!teamFeed) return;
+  const at = running ? Math.max(0, teamSync.toSessionMs(event.wallTime)) : event.time * 1000;
+  const entry = document.createElement('div');
+  entry.className = 'team-feed-entry type-' + event.type;
+  entry.innerHTML = '<span class="tf-time">' + formatTimer(at) + '</span><span class="tf-device"></span><span class="tf-detail"></span>';
+  entry.querySelector('.tf-device').textContent = event.device;
+  entry.querySelector('.tf-detail').textContent = event.detail;
+  teamFeed.insertBefore(entry, teamFeed.firstChild);
+  while (teamFeed.children.length > 30) teamFeed.removeChild(teamFeed.lastChild);
+}
+
+// The merged report belongs to the live session only
+function renderTeamReport() {
+  if (!teamReport) return;
+  const merged = displayedReport === evidenceReport && teamSync.reports.has(teamSync.deviceId) ? teamSync.buildMergedReport() : null;
+  teamReport.innerHTML = merged && merged.devices.length > 1 ? teamSync.renderMergedReport(merged) : '';
+}
+
+function updateTeamButtons() {
+  if (btnTeamJoin) btnTeamJoin.disabled = teamSync.active;
+  if (btnTeamLeave) btnTeamLeave.disabled = !teamSync.active;
+}
+
+teamSync.onStatus = (state, message) => {
+  if (teamStatus) { teamStatus.textContent = message; teamStatus.className = 'team-status ' + state; }
+  updateTeamButtons();
+};
+teamSync.onPeers = (peers) => {
+  if (!teamPeers) return;
+  teamPeers.textContent = peers.length > 0 ? 'With: ' + peers.map(p => p.name).join(', ') : (teamSync.active ? 'No other devices yet' : '');
+};
+teamSync.onEvent = (event) => {
+  addTeamFeedEntry(event);
+  if (radarActive && event.type === 'evp') entityRadar.addBlip('evp', event.data && event.data.class === 'A' ? 1.0 : 0.6);
+};
+teamSync.onReport = () => { if (!running) renderTeamReport(); };
+
+// ─── Session Timeline ───────────────────────────────────────────────────────────
+function timelineHasAudio() {
+  return displayedReport === evidenceReport && !!sessionRecorder.getBlob();
+}
+
+function renderTimeline(report) {
+  if (!timelineSection) return;
+  stopTimelineSync();
+  timelineSection.classList.add('visible');
+  timelineScrubber.setData(report.getTimelineEvents(), report.report ? report.report.durationSeconds : 0);
+  if (timelineDetail) timelineDetail.innerHTML = 'Click an event to see its metrics' + (timelineHasAudio() ? ' and hear that moment.' : '.');
+  if (timelineTime) timelineTime.textContent = '0:00';
+  if (btnTimelinePlay) btnTimelinePlay.disabled = !timelineHasAudio();
+  renderSessionSpectrogram(report);
+}
+
+// Full-recording spectrogram; computed once per recording, overlays follow the report
+async function renderSessionSpectrogram(report) {
+  if (!sessionSpectrogramSection) return;
+  if (!timelineHasAudio()) { sessionSpectrogramSection.classList.remove('visible'); return; }
+  sessionSpectrogramSection.classList.add('visible');
+
+  const blob = sessionRecorder.getBlob();
+  if (spectrogramSource !== blob) {
+    spectrogramSource = blob;
+    sessionSpectrogram.clear();
+    try {
+      const buffer = await sessionRecorder.getAudioBuffer();
+      if (spectrogramSource !== blob || !buffer) return;
+      await sessionSpectrogram.compute(buffer, (pct) => {
+        if (sessionSpectrogramStatus) sessionSpectrogramStatus.textContent = 'Computing spectrogram... ' + pct + '%';
+      });
+    } catch (e) {
+      console.warn('Spectrogram failed:', e);
+      spectrogramSource = null;
+      if (sessionSpectrogramStatus) sessionSpectrogramStatus.textContent = 'Could not decode the recording';
+      return;
+    }
+  }
+  const evps = report.getTimelineEvents().filter(e => e.type === 'evp').map(e => e.data);
+  sessionSpectrogram.setOverlays(evps, report.report && report.report.audio ? report.report.audio.formantTrack : []);
+  if (sessionSpectrogramStatus) {
+    sessionSpectrogramStatus.textContent = 'Drag to pan, scroll to zoom, click to play from that point. Dots: F1 white, F2 cyan, F3 purple.';
+  }
+}
+
+// Follow SessionRecorder playback with the timeline playhead
+function startTimelineSync() {
+  if (!timelineHasAudio()) return;
+  stopTimelineSync();
+  const startedAt = performance.now();
+  const tick = () => {
+    const pos = sessionRecorder.getPlaybackPosition();
+    if (pos === null) {
+      // Playback may still be decoding or stretching; allow a moment before giving up
+      timelineSyncId = performance.now() - startedAt < 1500 || sessionRecorder.isPreparing() ? requestAnimationFrame(tick) : null;
+      return;
+    }
+    timelineScrubber.setPlayhead(pos);
+    sessionSpectrogram.setPlayhead(pos);
+    if (timelineTime) timelineTime.textContent = formatTimer(pos * 1000);
+    timelineSyncId = requestAnimationFrame(tick);
+  };
+  timelineSyncId = requestAnimationFrame(tick);
+}
+
+function stopTimelineSync() {
+  if (timelineSyncId) { cancelAnimationFrame(timelineSyncId); timelineSyncId = null; }
+}
+
+function seekTimeline(seconds) {
+  timelineScrubber.setPlayhead(seconds);
+  sessionSpectrogram.setPlayhead(seconds);
+  if (timelineTime) timelineTime.textContent = formatTimer(seconds * 1000);
+  if (!timelineHasAudio()) return;
+  sessionRecorder.playFrom(seconds);
+  startTimelineSync();
+}
+
+timelineScrubber.onSeek = (seconds) => { seekTimeline(seconds); };
+sessionSpectrogram.onSeek = (seconds) => { seekTimeline(seconds); };
+if (btnSpectroZoomIn) btnSpectroZoomIn.addEventListener('click', () => sessionSpectrogram.zoom(0.5));
+if (btnSpectroZoomOut) btnSpectroZoomOut.addEventListener('click', () => sessionSpectrogram.zoom(2));
+if (btnSpectroFit) btnSpectroFit.addEventListener('click', () => sessionSpectrogram.fit());
+if (spectroMaxFreq) spectroMaxFreq.addEventListener('change', () => sessionSpectrogram.setMaxFrequency(parseInt(spectroMaxFreq.value, 10)));
+if (btnSpectroPNG) btnSpectroPNG.addEventListener('click', () => sessionSpectrogram.exportPNG());
+timelineScrubber.onSelect = (event) => {
+  if (timelineDetail) timelineDetail.innerHTML = timelineScrubber.renderEventDetail(event);
+  if (event.type === 'word') selectWordDetection(event.data, null);
+};
+
+// ─── Offline Replay ─────────────────────────────────────────────────────────────
+async function replayRecording(source, label) {
+  if (running || offlineReplay.isRunning()) return;
+  setStatus('Re-analyzing ' + label + '...', 'scanning');
+  try {
+    const result = await offlineReplay.run(source, {
+      profile: classificationProfiles.getActive(),
+      wordLibrary: wordLibraries.getActive(),
+      contamination: voiceContamination,
+      fingerprints: noiseFingerprints,
+      onProgress: (pct) => setStatus('Re-analyzing ' + label + '... ' + pct + '%', 'scanning')
+    });
+    renderReport(result.report);
+    displayedSessionId = null;
+    setStatus('Replay complete — ' + result.classifications.length + ' EVP candidate' + (result.classifications.length !== 1 ? 's' : '') + ' in ' + label, 'complete');
+  } catch (e) {
+    console.warn('Replay failed:', e);
+    setStatus('Replay failed — could not decode ' + label, 'error');
+  }
 }
 
 // ─── Frame Processing ───────────────────────────────────────────────────────────
@@ -826,9 +1562,14 @@ function processFrame() {
       const noiseFloor = evpAudioEngine.getNoiseFloor();
       const classification = evpClassifier.processFrame(cachedAssess, noiseFloor);
       if (classification) {
+        voiceContamination.check(classification);
+        noiseFingerprints.annotate([classification]);
         showEVPAlert(classification);
         triggerScreenFlash(classification.class);
         addEVPLogEntry(classification);
+        captureSpectrogramSnapshot(classification);
+        questionSession.recordHit('evp', classification.timestamp, { class: classification.class, confidence: classification.confidence });
+        teamSync.sendEvent('evp', classification.timestamp, 'Class ' + classification.class + ' EVP (' + classification.confidence + '%)', { class: classification.class, confidence: classification.confidence });
         evpTotalCount++;
         updateEVPCount();
         setAnomalyBorder(true);
@@ -839,12 +1580,8 @@ function processFrame() {
 
     if (wordDetectEnabled && now - lastWordTime > 100) {
       const formants = evpAudioEngine.getFormantAnalysis();
-      const wordResult = wordDetector.processFrame(formants, cachedAssess);
-      if (wordResult) { showWordDetection(wordResult); if (sfxEnabled) detectionSfx.wordChime(); if (radarActive) entityRadar.addBlip('word', 0.8); }
-      if (cachedAssess && !cachedAssess.isAnomaly && cachedAssess.rmsPercent < 5) {
-        const forced = wordDetector.forceCheck();
-        if (forced) showWordDetection(forced);
-      }
+      const wordResult = wordDetector.processFrame(formants, cachedAssess, evpAudioEngine.getConsonantCues());
+      if (wordResult) { showWordDetection(wordResult); spiritBoxEngine.attachWord(wordResult); questionSession.recordHit('word', wordResult.timestamp, { word: wordResult.word, confidence: wordResult.confidence }); if (sfxEnabled) detectionSfx.wordChime(); if (radarActive) entityRadar.addBlip('word', 0.8); }
       lastWordTime = now;
     }
 
@@ -873,7 +1610,9 @@ function processFrame() {
     }
   }
 
-  if (scanMode === 'spiritbox' || scanMode === 'fullspectrum') spiritBoxEngine.processFrame();
+  if (scanMode === 'spiritbox' || scanMode === 'fullspectrum') {
+    spiritBoxEngine.processFrame(audioInitialized ? { assess: cachedAssess, formants: evpAudioEngine.getFormantAnalysis() } : null);
+  }
 
   const isVisualMode = scanMode === 'visual' || scanMode === 'fullspectrum';
   if (isVisualMode) {
@@ -889,6 +1628,7 @@ function processFrame() {
   }
 
   emfSensorEngine.processFrame();
+  shareSensorEvents();
 
   if (dowsingActive) {
     const sState = emfSensorEngine.getSensorState();
@@ -1039,7 +1779,7 @@ function updateSpiritBoxUI() {
   const s = spiritBoxEngine.getCurrentState();
   if (sweepFreq) sweepFreq.textContent = s.currentFreqDisplay;
   if (fragmentCount) fragmentCount.textContent = s.fragmentCount;
-  if (sweepModeEl) sweepModeEl.textContent = s.mode === 'sweep' ? 'Sweep' : s.mode === 'white-noise' ? 'White' : 'Pink';
+  if (sweepModeEl) sweepModeEl.textContent = s.patternLabel;
 }
 
 function updateVisualUI() {
@@ -1053,7 +1793,9 @@ function showEVPAlert(c) {
   if (!evpAlert) return;
   evpAlert.classList.add('visible');
   if (evpAlertClass) { evpAlertClass.textContent = 'EVP Class ' + c.class + ' Detected'; evpAlertClass.className = 'alert-class class-' + c.class.toLowerCase(); }
-  if (evpAlertDetail) evpAlertDetail.textContent = 'Confidence: ' + c.confidence + '% | Duration: ' + c.duration + 's | Centroid: ' + c.spectralCentroid + 'Hz | HNR: ' + c.hnr + 'dB' + (c.hasVoicePattern ? ' | Voice pattern detected' : '');
+  if (evpAlertDetail) evpAlertDetail.textContent = 'Confidence: ' + c.confidence + '% | Duration: ' + c.duration + 's | Centroid: ' + c.spectralCentroid + 'Hz | HNR: ' + c.hnr + 'dB' + (c.hasVoicePattern ? ' | Voice pattern detected' : '') +
+    (c.contamination ? ' | Likely investigator speech (' + c.contamination.name + ')' : '') +
+    (c.noiseSource ? ' | Probable source: ' + c.noiseSource.label : '');
   if (evpAlertTimeout) clearTimeout(evpAlertTimeout);
   evpAlertTimeout = setTimeout(() => { if (evpAlert) evpAlert.classList.remove('visible'); }, 5000);
 }
@@ -1084,14 +1826,15 @@ function showPanelsForMode() {
   if (waveformSection) waveformSection.classList.add('visible');
   if (sensorPanel) sensorPanel.classList.add('visible');
   if (evpLog) evpLog.classList.add('visible');
-  if (wordDetectPanel && wordDetectEnabled && isPro()) wordDetectPanel.classList.add('visible');
+  if (wordDetectPanel && wordDetectEnabled && isPro()) { wordDetectPanel.classList.add('visible'); vowelChart.render(); }
+  if (questionPanel) questionPanel.classList.toggle('visible', scanMode === 'evp' || scanMode === 'spiritbox' || scanMode === 'fullspectrum');
   if (spiritBoxPanel) spiritBoxPanel.classList.toggle('visible', scanMode === 'spiritbox' || scanMode === 'fullspectrum');
   if (visualInfoPanel) visualInfoPanel.classList.toggle('visible', scanMode === 'visual' || scanMode === 'fullspectrum');
   if (visualModeSelector) visualModeSelector.style.display = (scanMode === 'visual' || scanMode === 'fullspectrum') ? 'flex' : 'none';
 }
 
 function hidePanels() {
-  [audioPanel, spectrogramSection, waveformSection, sensorPanel, spiritBoxPanel, visualInfoPanel, evpAlert, evpLog, wordDetectPanel].forEach(p => { if (p) p.classList.remove('visible'); });
+  [audioPanel, spectrogramSection, waveformSection, sensorPanel, spiritBoxPanel, visualInfoPanel, evpAlert, evpLog, wordDetectPanel, questionPanel].forEach(p => { if (p) p.classList.remove('visible'); });
 }
 
 // ─── Event Listeners ────────────────────────────────────────────────────────────
@@ -1165,6 +1908,41 @@ if (btnCloseHistory) btnCloseHistory.addEventListener('click', () => { closeAllO
 if (btnCloseMap) btnCloseMap.addEventListener('click', () => { closeAllOverlays(); setActiveNav('investigate'); });
 if (btnCloseGear) btnCloseGear.addEventListener('click', () => { closeAllOverlays(); setActiveNav('investigate'); });
 if (btnCloseInfo) btnCloseInfo.addEventListener('click', () => { closeAllOverlays(); setActiveNav('investigate'); });
+if (historyList) historyList.addEventListener('change', (e) => { if (e.target.dataset.compareId) updateCompareButton(); });
+if (btnCompareSessions) btnCompareSessions.addEventListener('click', showComparison);
+if (btnCloseCompare) btnCloseCompare.addEventListener('click', closeComparison);
+if (historyList) historyList.addEventListener('click', async (e) => {
+  const downloadId = e.target.dataset.mediaDownload;
+  const deleteId = e.target.dataset.mediaDelete;
+  const reportId = e.target.dataset.reportId;
+  if (reportId) {
+    const s = await sessionVault.getSession(parseInt(reportId));
+    const pastReport = new EvidenceReport();
+    if (!s || !pastReport.restore(s.report)) return;
+    pastReport.applyReviews(s.reviews);
+    closeAllOverlays();
+    setActiveNav('investigate');
+    renderReport(pastReport);
+    displayedSessionId = s.id;
+    setStatus('Viewing saved report — ' + s.dateDisplay + ' at ' + s.locationName, 'complete');
+  } else if (downloadId) {
+    const m = await sessionVault.getMedia(parseInt(downloadId));
+    if (!m) return;
+    const url = URL.createObjectURL(m.blob);
+    const a = document.createElement('a'); a.href = url; a.download = sessionVault.mediaFilename(m);
+    document.body.appendChild(a); a.click(); document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } else if (deleteId) {
+    await sessionVault.deleteMedia(parseInt(deleteId));
+    showHistory();
+  }
+});
+if (btnCleanupMedia) btnCleanupMedia.addEventListener('click', async () => {
+  if (!confirm('Delete stored recordings and screenshots from all but the most recent investigation?')) return;
+  const result = await sessionVault.cleanupMedia({ force: true });
+  setStatus('Freed ' + (result.freedBytes / (1024 * 1024)).toFixed(1) + ' MB (' + result.deletedCount + ' media item' + (result.deletedCount !== 1 ? 's' : '') + ')', 'complete');
+  showHistory();
+});
 if (restoreCodeSubmit) restoreCodeSubmit.addEventListener('click', restorePurchase);
 if (restoreCodeInput) restoreCodeInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') restorePurchase(); });
 
@@ -1195,7 +1973,9 @@ document.querySelectorAll('.nav-btn').forEach(btn => {
 if (btnNewScan) btnNewScan.addEventListener('click', () => {
   if (resultsPanel) resultsPanel.classList.remove('visible');
   if (playbackSection) playbackSection.classList.remove('visible');
-  hidePanels(); sessionRecorder.clearAll(); evpTotalCount = 0; updateEVPCount();
+  hidePanels(); sessionRecorder.clearAll(); updateDenoiseUI(); evpTotalCount = 0; updateEVPCount();
+  if (sessionSpectrogramSection) sessionSpectrogramSection.classList.remove('visible');
+  sessionSpectrogram.clear(); spectrogramSource = null;
   setStatus('Ready — Select mode and start investigation', 'ready');
 });
 
@@ -1284,17 +2064,413 @@ document.querySelectorAll('.visual-btn').forEach(btn => {
 });
 
 document.querySelectorAll('.spirit-mode-btn').forEach(btn => {
-  btn.addEventListener('click', () => { document.querySelectorAll('.spirit-mode-btn').forEach(b => b.classList.remove('active')); btn.classList.add('active'); spiritBoxEngine.setMode(btn.dataset.spiritmode); });
+  btn.addEventListener('click', () => { document.querySelectorAll('.spirit-mode-btn').forEach(b => b.classList.remove('active')); btn.classList.add('active'); spiritBoxEngine.setMode(btn.dataset.spiritmode); updateSpiritBoxUI(); });
 });
 
 if (sweepSpeed) sweepSpeed.addEventListener('input', () => { const s = parseInt(sweepSpeed.value); spiritBoxEngine.setSweepSpeed(s); if (sweepSpeedVal) sweepSpeedVal.textContent = s + 'ms'; });
+if (sweepStep) sweepStep.addEventListener('change', () => { spiritBoxEngine.setStepSize(parseFloat(sweepStep.value)); updateSpiritBoxUI(); });
 
 if (detailToggle) detailToggle.addEventListener('click', () => { if (technicalDetail) { technicalDetail.classList.toggle('visible'); detailToggle.textContent = technicalDetail.classList.contains('visible') ? 'Hide Technical Detail' : 'Show Technical Detail'; } });
 
-if (btnPlayForward) btnPlayForward.addEventListener('click', () => sessionRecorder.playForward());
-if (btnPlayReverse) btnPlayReverse.addEventListener('click', () => sessionRecorder.playReverse());
+if (btnPlayForward) btnPlayForward.addEventListener('click', () => { sessionRecorder.playForward(); startTimelineSync(); });
+if (btnPlayReverse) btnPlayReverse.addEventListener('click', () => { sessionRecorder.playReverse(); startTimelineSync(); });
 if (btnStopPlayback) btnStopPlayback.addEventListener('click', () => sessionRecorder.stopPlayback());
-if (btnDownload) btnDownload.addEventListener('click', () => sessionRecorder.downloadRecording());
+if (btnTimelinePlay) btnTimelinePlay.addEventListener('click', () => seekTimeline(timelineScrubber.playhead || 0));
+if (btnTimelineStop) btnTimelineStop.addEventListener('click', () => { sessionRecorder.stopPlayback(); stopTimelineSync(); });
+if (btnDownload) btnDownload.addEventListener('click', () => {
+  // Cleaned audio only exists decoded, so it always downloads as WAV
+  if (sessionRecorder.denoise || (exportFormat && exportFormat.value !== 'original')) sessionRecorder.exportWav();
+  else sessionRecorder.downloadRecording();
+});
+if (btnDownloadReverse) btnDownloadReverse.addEventListener('click', () => sessionRecorder.exportWav({ reverse: true }));
+if (exportFormat) exportFormat.addEventListener('change', () => {
+  if (exportFormat.value !== 'original') sessionRecorder.setWavFormat(exportFormat.value);
+});
+if (btnReanalyze) btnReanalyze.addEventListener('click', () => {
+  const blob = sessionRecorder.getBlob();
+  if (blob) replayRecording(blob, 'recording');
+});
+function updateClipPadding() {
+  sessionRecorder.setClipPadding(parseFloat(clipPreRoll ? clipPreRoll.value : 1), parseFloat(clipPostRoll ? clipPostRoll.value : 1));
+  if (!running && clipClassifications.length > 0) prepareEVPClips(clipClassifications);
+}
+if (clipPreRoll) clipPreRoll.addEventListener('change', updateClipPadding);
+if (clipPostRoll) clipPostRoll.addEventListener('change', updateClipPadding);
+
+// ─── Speed, Pitch and Loop ──────────────────────────────────────────────────────
+function updatePlaybackSettings() {
+  const pitch = parseInt(pitchShift ? pitchShift.value : 0, 10);
+  if (pitchShiftVal) pitchShiftVal.textContent = (pitch > 0 ? '+' : '') + pitch + ' st';
+  sessionRecorder.setPlaybackSettings({
+    rate: parseFloat(playbackRate ? playbackRate.value : 1),
+    pitch: pitch,
+    preservePitch: !!(preservePitch && preservePitch.checked)
+  });
+}
+
+function updateLoopButton() {
+  if (!btnLoop) return;
+  btnLoop.textContent = sessionRecorder.loopRegion ? 'Loop On' : 'Loop Off';
+  btnLoop.classList.toggle('active', !!sessionRecorder.loopRegion);
+}
+
+async function loopClip(clip) {
+  if (loopStart) loopStart.value = clip.start.toFixed(1);
+  if (loopEnd) loopEnd.value = clip.end.toFixed(1);
+  await sessionRecorder.setLoop(clip.start, clip.end);
+  updateLoopButton();
+  sessionRecorder.playClip(clip, false);
+  startTimelineSync();
+}
+
+if (playbackRate) playbackRate.addEventListener('change', updatePlaybackSettings);
+if (preservePitch) preservePitch.addEventListener('change', updatePlaybackSettings);
+if (pitchShift) pitchShift.addEventListener('change', updatePlaybackSettings);
+if (pitchShift) pitchShift.addEventListener('input', () => {
+  if (pitchShiftVal) pitchShiftVal.textContent = (pitchShift.value > 0 ? '+' : '') + pitchShift.value + ' st';
+});
+if (btnLoop) btnLoop.addEventListener('click', async () => {
+  if (sessionRecorder.loopRegion) {
+    await sessionRecorder.clearLoop();
+  } else if (!await sessionRecorder.setLoop(parseFloat(loopStart ? loopStart.value : 0), parseFloat(loopEnd ? loopEnd.value : 0))) {
+    setStatus('Loop end must be after loop start', 'error');
+  }
+  updateLoopButton();
+});
+
+// ─── Noise Reduction ────────────────────────────────────────────────────────────
+function updateDenoiseUI() {
+  if (btnDenoiseToggle) {
+    btnDenoiseToggle.disabled = !spectralDenoiser.hasProfile();
+    btnDenoiseToggle.textContent = sessionRecorder.denoise ? 'A/B: Cleaned' : 'A/B: Raw';
+    btnDenoiseToggle.classList.toggle('active', sessionRecorder.denoise);
+  }
+  if (denoiseStatus) denoiseStatus.textContent = spectralDenoiser.describeProfile();
+}
+
+async function setDenoise(enabled) {
+  if (btnDenoiseToggle) btnDenoiseToggle.disabled = true;
+  try {
+    const on = await sessionRecorder.setDenoise(enabled, (pct) => setStatus('Reducing noise... ' + pct + '%', 'scanning'));
+    setStatus(on ? 'Playing noise-reduced audio — clips and WAV exports are cleaned too' : 'Playing raw audio', 'complete');
+  } catch (e) {
+    console.warn('Noise reduction failed:', e);
+    setStatus('Noise reduction failed', 'error');
+  }
+  updateDenoiseUI();
+}
+
+// A new noise estimate invalidates the cleaned audio; re-process it if it is in use
+function noiseProfileChanged() {
+  if (sessionRecorder.denoise) setDenoise(true);
+  else updateDenoiseUI();
+}
+
+if (btnDenoiseToggle) btnDenoiseToggle.addEventListener('click', () => setDenoise(!sessionRecorder.denoise));
+if (denoiseStrength) denoiseStrength.addEventListener('change', () => {
+  spectralDenoiser.setStrength(parseFloat(denoiseStrength.value));
+  noiseProfileChanged();
+});
+if (btnNoiseRegion) btnNoiseRegion.addEventListener('click', async () => {
+  const start = parseFloat(noiseRegionStart ? noiseRegionStart.value : 0);
+  const end = parseFloat(noiseRegionEnd ? noiseRegionEnd.value : 0);
+  let ok = false;
+  try { ok = await sessionRecorder.setNoiseRegion(start, end); } catch (e) { console.warn('Noise region failed:', e); }
+  if (!ok) { setStatus('Pick at least a quarter second of the recording with no voices in it', 'error'); return; }
+  noiseProfileChanged();
+});
+if (btnNoiseBaseline) btnNoiseBaseline.addEventListener('click', () => {
+  if (!spectralDenoiser.setProfileFromBaseline(evpAudioEngine.getNoiseProfile())) {
+    setStatus('No calibration baseline — run an investigation or pick a noise region', 'error');
+    return;
+  }
+  noiseProfileChanged();
+});
+
+// ─── Adaptive Noise Floor ───────────────────────────────────────────────────────
+function updateAdaptiveBaseline() {
+  const settings = {
+    enabled: !!(adaptiveBaseline && adaptiveBaseline.checked),
+    meanTimeConstant: parseFloat(baselineMeanTau ? baselineMeanTau.value : 20),
+    spreadTimeConstant: parseFloat(baselineSpreadTau ? baselineSpreadTau.value : 60)
+  };
+  evpAudioEngine.setAdaptiveBaseline(settings);
+  if (baselineMeanTau) baselineMeanTau.disabled = !settings.enabled;
+  if (baselineSpreadTau) baselineSpreadTau.disabled = !settings.enabled;
+  try { localStorage.setItem('evpAdaptiveBaseline', JSON.stringify(settings)); } catch (e) { /* localStorage unavailable */ }
+}
+if (adaptiveBaseline) adaptiveBaseline.addEventListener('change', updateAdaptiveBaseline);
+if (baselineMeanTau) baselineMeanTau.addEventListener('change', updateAdaptiveBaseline);
+if (baselineSpreadTau) baselineSpreadTau.addEventListener('change', updateAdaptiveBaseline);
+
+if (reportContent) reportContent.addEventListener('click', (e) => {
+  const open = e.target.closest('[data-review-open]');
+  const action = e.target.closest('[data-review-action]');
+  if (open) {
+    openReviewForm(open.closest('.evp-detection-item'), parseInt(open.dataset.reviewOpen, 10));
+  } else if (action) {
+    const index = parseInt(action.dataset.reviewIndex, 10);
+    if (action.dataset.reviewAction === 'save') saveReview(action.closest('.evp-review-form'), index);
+    else action.closest('.evp-review-form').remove();
+  }
+});
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-clip-action]');
+  if (!btn) return;
+  e.stopPropagation();
+  const clip = sessionRecorder.getClip(parseInt(btn.dataset.clipIndex, 10));
+  if (!clip) return;
+  if (btn.dataset.clipAction === 'play') { sessionRecorder.playClip(clip, false); startTimelineSync(); }
+  else if (btn.dataset.clipAction === 'reverse') { sessionRecorder.playClip(clip, true); startTimelineSync(); }
+  else if (btn.dataset.clipAction === 'export') sessionRecorder.exportClip(clip, false);
+  else if (btn.dataset.clipAction === 'export-reversed') sessionRecorder.exportClip(clip, true);
+  else if (btn.dataset.clipAction === 'loop') loopClip(clip);
+});
+
+if (btnTeamJoin) btnTeamJoin.addEventListener('click', async () => {
+  // No built-in relay: the hosted one keeps rooms per isolate, so devices can miss each other
+  const url = teamRelayUrl ? teamRelayUrl.value.trim() : '';
+  const room = teamRoom ? teamRoom.value.trim() : '';
+  const name = teamDeviceName ? teamDeviceName.value.trim() : '';
+  if (!url) { setStatus('Enter a relay URL — run node tools/team-relay.js on a machine on this network', 'error'); return; }
+  if (!room) { setStatus('Enter an investigation ID to join a team session', 'error'); return; }
+  try { localStorage.setItem('evpTeamSettings', JSON.stringify({ url: url, room: room, name: name })); } catch (e) { /* localStorage unavailable */ }
+  try {
+    await teamSync.connect(url, room, name);
+    if (running) teamSync.startSession(scanStartTime);
+    setStatus('Joined team investigation ' + teamSync.room, 'complete');
+  } catch (e) {
+    console.warn('Team join failed:', e);
+    setStatus('Could not join the team investigation at ' + url, 'error');
+  }
+});
+if (btnTeamLeave) btnTeamLeave.addEventListener('click', () => { teamSync.disconnect(); renderTeamReport(); });
+if (btnSyncChirp) btnSyncChirp.addEventListener('click', () => {
+  if (!running || !evpAudioEngine.playSyncChirp()) return;
+  teamSync.sendEvent('sync', (Date.now() - scanStartTime) / 1000, 'Sync chirp');
+  setStatus('Sync chirp played — devices that hear it can be aligned', '');
+});
+
+if (profileSelect) profileSelect.addEventListener('change', () => {
+  if (running) { profileSelect.value = evpClassifier.profile.id; setStatus('Stop the investigation before changing profiles', ''); return; }
+  classificationProfiles.setActive(profileSelect.value);
+  applyActiveProfile();
+  closeProfileEditor();
+});
+if (btnEditProfile) btnEditProfile.addEventListener('click', () => openProfileEditor(classificationProfiles.getActive()));
+if (btnCloneProfile) btnCloneProfile.addEventListener('click', () => {
+  if (running) return;
+  const copy = classificationProfiles.clone(classificationProfiles.getActive().id);
+  if (!copy) return;
+  classificationProfiles.setActive(copy.id);
+  applyActiveProfile();
+  openProfileEditor(copy);
+});
+if (btnSaveProfile) btnSaveProfile.addEventListener('click', () => {
+  const id = profileEditor ? profileEditor.dataset.profileId : null;
+  const updated = id ? classificationProfiles.update(id, classificationProfiles.readEditor(profileEditorBody)) : null;
+  if (!updated) return;
+  if (!running) applyActiveProfile();
+  openProfileEditor(updated);
+  setStatus('Profile "' + updated.name + '" saved' + (running ? ' — applies to the next investigation' : ''), 'complete');
+});
+if (btnDeleteProfile) btnDeleteProfile.addEventListener('click', () => {
+  const id = profileEditor ? profileEditor.dataset.profileId : null;
+  if (!id || running || !confirm('Delete this classification profile?')) return;
+  classificationProfiles.remove(id);
+  applyActiveProfile();
+  closeProfileEditor();
+});
+if (btnCloseProfile) btnCloseProfile.addEventListener('click', closeProfileEditor);
+
+if (wordLibrarySelect) wordLibrarySelect.addEventListener('change', () => {
+  if (running) { wordLibrarySelect.value = wordDetector.library.id; setStatus('Stop the investigation before changing word libraries', ''); return; }
+  wordLibraries.setActive(wordLibrarySelect.value);
+  applyActiveWordLibrary();
+  closeWordLibraryEditor();
+});
+if (btnEditWordLibrary) btnEditWordLibrary.addEventListener('click', () => openWordLibraryEditor(wordLibraries.getActive()));
+if (btnCloneWordLibrary) btnCloneWordLibrary.addEventListener('click', () => {
+  if (running) return;
+  const copy = wordLibraries.clone(wordLibraries.getActive().id);
+  if (!copy) return;
+  wordLibraries.setActive(copy.id);
+  applyActiveWordLibrary();
+  openWordLibraryEditor(copy);
+});
+if (btnAddWord) btnAddWord.addEventListener('click', () => {
+  const rows = wordLibraryEditorBody ? wordLibraryEditorBody.querySelector('[data-word-rows]') : null;
+  if (!rows) return;
+  rows.insertAdjacentHTML('beforeend', wordLibraries.renderRow());
+  rows.lastElementChild.querySelector('[data-word-text]').focus();
+});
+if (wordLibraryEditorBody) {
+  wordLibraryEditorBody.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-word-row]');
+    if (!row) return;
+    if (e.target.closest('[data-word-remove]')) { row.remove(); return; }
+    const chip = e.target.closest('[data-word-chip]');
+    if (!chip) return;
+    const phonemes = row.querySelector('[data-word-phonemes]').value.split(/\s+/).filter(Boolean);
+    phonemes.splice(parseInt(chip.dataset.wordChip, 10), 1);
+    setWordPhonemes(row, phonemes);
+  });
+  wordLibraryEditorBody.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-word-add]');
+    if (!select || !select.value) return;
+    const row = select.closest('[data-word-row]');
+    const phonemes = row.querySelector('[data-word-phonemes]').value.split(/\s+/).filter(Boolean);
+    if (phonemes.length < wordLibraries.maxPhonemes) phonemes.push(select.value);
+    setWordPhonemes(row, phonemes);
+    select.value = '';
+  });
+}
+if (btnSaveWordLibrary) btnSaveWordLibrary.addEventListener('click', () => {
+  const id = wordLibraryEditor ? wordLibraryEditor.dataset.libraryId : null;
+  const updated = id ? wordLibraries.update(id, wordLibraries.readEditor(wordLibraryEditorBody)) : null;
+  if (!updated) return;
+  if (!running) applyActiveWordLibrary();
+  openWordLibraryEditor(updated);
+  setStatus('Word library "' + updated.name + '" saved as v' + updated.version + (running ? ' — applies to the next investigation' : ''), 'complete');
+});
+if (btnExportWordLibrary) btnExportWordLibrary.addEventListener('click', () => {
+  const id = wordLibraryEditor ? wordLibraryEditor.dataset.libraryId : null;
+  const json = id ? wordLibraries.exportJSON(id) : null;
+  if (!json) return;
+  const library = wordLibraries.get(id);
+  const blob = new Blob([json], { type: 'application/json' }); const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url;
+  a.download = 'evp-mini-words-' + library.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() + '-v' + library.version + '.json';
+  document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
+});
+if (btnDeleteWordLibrary) btnDeleteWordLibrary.addEventListener('click', () => {
+  const id = wordLibraryEditor ? wordLibraryEditor.dataset.libraryId : null;
+  if (!id || running || !confirm('Delete this word library?')) return;
+  wordLibraries.remove(id);
+  applyActiveWordLibrary();
+  closeWordLibraryEditor();
+});
+if (btnCloseWordLibrary) btnCloseWordLibrary.addEventListener('click', closeWordLibraryEditor);
+if (btnImportWordLibrary && importWordLibraryInput) {
+  btnImportWordLibrary.addEventListener('click', () => { if (!running) importWordLibraryInput.click(); });
+  importWordLibraryInput.addEventListener('change', async () => {
+    const file = importWordLibraryInput.files && importWordLibraryInput.files[0];
+    importWordLibraryInput.value = '';
+    if (!file) return;
+    try {
+      const library = wordLibraries.importJSON(await file.text());
+      wordLibraries.setActive(library.id);
+      applyActiveWordLibrary();
+      openWordLibraryEditor(library);
+      setStatus('Imported word library "' + library.name + '" (' + library.words.length + ' words)', 'complete');
+    } catch (e) {
+      console.warn('Word library import failed:', e);
+      setStatus('Could not import ' + file.name + ' — not a word library file', 'error');
+    }
+  });
+}
+
+if (btnEnrollVoice) btnEnrollVoice.addEventListener('click', () => {
+  if (!voiceEnroll) return;
+  if (voiceEnroll.classList.contains('visible')) { closeVoiceEnroll(); return; }
+  if (running) { setStatus('Stop the investigation before enrolling a voice', ''); return; }
+  if (voicePassage) voicePassage.textContent = voiceContamination.passage;
+  voiceEnroll.classList.add('visible');
+});
+if (btnStartEnroll) btnStartEnroll.addEventListener('click', enrollVoice);
+if (btnCancelEnroll) btnCancelEnroll.addEventListener('click', closeVoiceEnroll);
+if (btnShowQuestions) btnShowQuestions.addEventListener('click', () => {
+  if (!questionSetup) return;
+  const open = questionSetup.classList.toggle('visible');
+  btnShowQuestions.textContent = open ? 'Hide' : 'Set Up';
+});
+if (questionSetSelect) questionSetSelect.addEventListener('change', () => { fillQuestionList(); saveQuestionSettings(); });
+if (questionListInput) questionListInput.addEventListener('input', () => {
+  // Editing a built-in list turns it into the custom list
+  if (questionSetSelect) questionSetSelect.value = 'custom';
+  questionSession.saveCustomQuestions(questionListInput.value);
+  saveQuestionSettings();
+});
+[questionWindowSelect, questionControlSelect, questionSpeak].forEach(el => { if (el) el.addEventListener('change', saveQuestionSettings); });
+if (btnStartQuestions) btnStartQuestions.addEventListener('click', startQuestions);
+if (btnNextQuestion) btnNextQuestion.addEventListener('click', () => {
+  if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+  questionSession.next();
+});
+if (btnEndQuestions) btnEndQuestions.addEventListener('click', () => { stopQuestions(); setStatus('Question session ended', ''); });
+
+if (btnShowFingerprints) btnShowFingerprints.addEventListener('click', () => {
+  if (!fingerprintEditor) return;
+  const open = fingerprintEditor.classList.toggle('visible');
+  btnShowFingerprints.textContent = open ? 'Hide' : 'Show';
+  if (open) renderFingerprintList();
+});
+if (btnRecordFingerprint) btnRecordFingerprint.addEventListener('click', recordFingerprint);
+if (fingerprintList) fingerprintList.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-fingerprint-remove]');
+  if (!btn) return;
+  noiseFingerprints.remove(btn.dataset.fingerprintRemove);
+  renderFingerprintList();
+});
+if (voiceList) voiceList.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-voice-remove]');
+  if (!btn) return;
+  voiceContamination.remove(btn.dataset.voiceRemove);
+  renderVoiceList();
+});
+
+if (btnImportAudio && importAudioInput) {
+  btnImportAudio.addEventListener('click', () => importAudioInput.click());
+  importAudioInput.addEventListener('change', () => {
+    const file = importAudioInput.files && importAudioInput.files[0];
+    if (file) replayRecording(file, file.name);
+    importAudioInput.value = '';
+  });
+}
+
+// ─── Evidence Dossier ───────────────────────────────────────────────────────────
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function exportDossier() {
+  const report = displayedReport || evidenceReport;
+  if (!report.report) return;
+  const assets = { spectrograms: [], screenshots: [], mapTile: null };
+
+  // Media for the displayed session comes from the vault so past sessions export the same way
+  const session = displayedSessionId ? await sessionVault.getSession(displayedSessionId) : null;
+  if (session) {
+    assets.title = 'Investigation at ' + session.locationName;
+    assets.locationName = session.locationName;
+    assets.location = session.location;
+    const media = await sessionVault.getSessionMedia(session.id);
+    for (const m of media) {
+      if (m.kind === 'spectrogram') assets.spectrograms.push({ dataUrl: await blobToDataURL(m.blob), label: m.label, time: m.meta.time || 0 });
+      else if (m.kind === 'screenshot') assets.screenshots.push({ dataUrl: await blobToDataURL(m.blob), label: m.label });
+      else if (m.kind === 'map' && !assets.mapTile) assets.mapTile = { dataUrl: await blobToDataURL(m.blob), px: m.meta.px, py: m.meta.py };
+    }
+    assets.spectrograms.sort((a, b) => a.time - b.time);
+  }
+
+  const html = report.exportDossier(assets);
+  const blob = new Blob([html], { type: 'text/html' }); const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = 'evp-mini-dossier-' + new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19) + '.html';
+  document.body.appendChild(a); a.click(); document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setStatus('Dossier exported — open it and print to save as PDF', 'complete');
+}
+
+if (btnDossier) btnDossier.addEventListener('click', () => {
+  if (!isPro()) { showUpgradePrompt('Evidence Dossier'); return; }
+  exportDossier().catch(e => { console.warn('Dossier export failed:', e); setStatus('Dossier export failed', 'error'); });
+});
 
 if (btnExport) btnExport.addEventListener('click', () => {
   if (!isPro()) { showUpgradePrompt('Evidence Export'); return; }
@@ -1329,6 +2505,36 @@ async function init() {
   // Pre-render gear shop
   renderGearShop();
 
+  applyActiveProfile();
+  applyActiveWordLibrary();
+  initQuestionSetup();
+  updateControlUI();
+  renderVoiceList();
+
+  // Restore adaptive noise floor settings
+  try {
+    const baseline = JSON.parse(localStorage.getItem('evpAdaptiveBaseline') || 'null');
+    if (baseline && adaptiveBaseline) adaptiveBaseline.checked = !!baseline.enabled;
+    if (baseline && baselineMeanTau && baseline.meanTimeConstant) baselineMeanTau.value = String(baseline.meanTimeConstant);
+    if (baseline && baselineSpreadTau && baseline.spreadTimeConstant) baselineSpreadTau.value = String(baseline.spreadTimeConstant);
+  } catch (e) { /* ignore malformed settings */ }
+  updateAdaptiveBaseline();
+
+  // Restore team session settings
+  try {
+    const team = JSON.parse(localStorage.getItem('evpTeamSettings') || 'null');
+    if (team && teamRelayUrl) teamRelayUrl.value = team.url || '';
+    if (team && teamRoom) teamRoom.value = team.room || '';
+    if (team && teamDeviceName) teamDeviceName.value = team.name || '';
+  } catch (e) { /* ignore malformed settings */ }
+  if (teamRelayUrl) teamRelayUrl.placeholder = 'Relay URL (ws://<relay-ip>:8787)';
+  updateTeamButtons();
+
+  timelineScrubber.init('timelineCanvas');
+  sessionSpectrogram.init('sessionSpectrogramCanvas');
+  vowelChart.init('vowelChartCanvas', 'formantTrackCanvas');
+  vowelChart.setPhonemes(wordDetector.getPhonemeLibrary());
+
   // Init sound effects (will use audio context when available)
   detectionSfx.init(evpAudioEngine.audioContext || null);
 }
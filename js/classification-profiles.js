@@ -0,0 +1,277 @@
+/**
+ * ClassificationProfiles — Named EVPClassifier threshold sets
+ * Built-in profiles tune the A/B/C limits for typical environments; users can
+ * clone any profile, edit the copy and keep it in localStorage.
+ *
+ * Profile shape: {id, name, builtIn, thresholds: {classA, classB, classC}}
+ */
+class ClassificationProfiles {
+  constructor() {
+    this.storageKey = 'evpClassificationProfiles';
+    this.activeKey = 'evpActiveProfile';
+    this.defaultId = 'standard';
+
+    // Editable fields per class, in display order: [key, label, step]
+    this.fields = {
+      classA: [
+        ['centroidMin', 'Centroid min (Hz)', 10], ['centroidMax', 'Centroid max (Hz)', 10],
+        ['hnrMin', 'HNR min (dB)', 0.5], ['formantClarity', 'Formants min', 1],
+        ['snrMin', 'SNR min (dB)', 0.5], ['durationMin', 'Duration min (s)', 0.1],
+        ['durationMax', 'Duration max (s)', 0.1]
+      ],
+      classB: [
+        ['centroidMin', 'Centroid min (Hz)', 10], ['centroidMax', 'Centroid max (Hz)', 10],
+        ['hnrMin', 'HNR min (dB)', 0.5], ['formantClarity', 'Formants min', 1],
+        ['snrMin', 'SNR min (dB)', 0.5]
+      ],
+      classC: [
+        ['centroidMin', 'Centroid min (Hz)', 10], ['centroidMax', 'Centroid max (Hz)', 10],
+        ['snrMin', 'SNR min (dB)', 0.5]
+      ]
+    };
+
+    this._builtIn = [
+      {
+        id: 'standard',
+        name: 'Standard',
+        builtIn: true,
+        description: 'Default EVP research thresholds.',
+        thresholds: {
+          classA: { centroidMin: 300, centroidMax: 3000, hnrMin: 15, formantClarity: 2, snrMin: 20, durationMin: 0.5, durationMax: 3.0 },
+          classB: { centroidMin: 300, centroidMax: 3000, hnrMin: 8, hnrMax: 15, formantClarity: 1, snrMin: 10 },
+          classC: { centroidMin: 200, centroidMax: 4000, snrMin: 5 }
+        }
+      },
+      {
+        id: 'quiet-indoor',
+        name: 'Quiet Indoor',
+        builtIn: true,
+        description: 'Basements and closed rooms: a low noise floor inflates SNR, so SNR limits are raised.',
+        thresholds: {
+          classA: { centroidMin: 300, centroidMax: 3000, hnrMin: 15, formantClarity: 2, snrMin: 25, durationMin: 0.5, durationMax: 3.0 },
+          classB: { centroidMin: 300, centroidMax: 3000, hnrMin: 9, hnrMax: 15, formantClarity: 1, snrMin: 14 },
+          classC: { centroidMin: 200, centroidMax: 4000, snrMin: 8 }
+        }
+      },
+      {
+        id: 'outdoor',
+        name: 'Outdoor',
+        builtIn: true,
+        description: 'Wind and traffic raise the noise floor: lower SNR limits, stricter harmonic structure.',
+        thresholds: {
+          classA: { centroidMin: 300, centroidMax: 3000, hnrMin: 17, formantClarity: 2, snrMin: 15, durationMin: 0.5, durationMax: 3.0 },
+          classB: { centroidMin: 300, centroidMax: 3000, hnrMin: 10, hnrMax: 17, formantClarity: 1, snrMin: 8 },
+          classC: { centroidMin: 250, centroidMax: 3500, snrMin: 4 }
+        }
+      },
+      {
+        id: 'industrial',
+        name: 'Industrial',
+        builtIn: true,
+        description: 'Machinery and mains hum: low centroids excluded, more formants required.',
+        thresholds: {
+          classA: { centroidMin: 400, centroidMax: 3000, hnrMin: 18, formantClarity: 3, snrMin: 22, durationMin: 0.5, durationMax: 3.0 },
+          classB: { centroidMin: 400, centroidMax: 3000, hnrMin: 10, hnrMax: 18, formantClarity: 2, snrMin: 12 },
+          classC: { centroidMin: 300, centroidMax: 3500, snrMin: 8 }
+        }
+      }
+    ];
+
+    this._custom = this._load();
+  }
+
+  /**
+   * All profiles, built-in first.
+   * @returns {Array}
+   */
+  list() {
+    return this._builtIn.concat(this._custom);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      if (all[i].id === id) return all[i];
+    }
+    return null;
+  }
+
+  /**
+   * The selected profile, falling back to Standard.
+   * @returns {Object}
+   */
+  getActive() {
+    var id = null;
+    try { id = localStorage.getItem(this.activeKey); } catch (e) { /* localStorage unavailable */ }
+    return this.get(id) || this.get(this.defaultId);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} the newly active profile
+   */
+  setActive(id) {
+    var profile = this.get(id);
+    if (!profile) return null;
+    try { localStorage.setItem(this.activeKey, id); } catch (e) { /* localStorage unavailable */ }
+    return profile;
+  }
+
+  /**
+   * Copy a profile into a new editable custom profile.
+   * @param {string} id - source profile
+   * @param {string} [name]
+   * @returns {Object|null}
+   */
+  clone(id, name) {
+    var source = this.get(id);
+    if (!source) return null;
+
+    var profile = {
+      id: 'custom-' + Date.now().toString(36),
+      name: this._cleanName(name || source.name + ' (copy)') || source.name,
+      builtIn: false,
+      description: 'Based on ' + source.name + '.',
+      thresholds: JSON.parse(JSON.stringify(source.thresholds))
+    };
+    this._custom.push(profile);
+    this._save();
+    return profile;
+  }
+
+  /**
+   * Update a custom profile's name and/or thresholds. Built-in profiles are read-only.
+   * @param {string} id
+   * @param {Object} changes - {name, thresholds}
+   * @returns {Object|null} updated profile, or null if not editable
+   */
+  update(id, changes) {
+    var profile = this.get(id);
+    if (!profile || profile.builtIn) return null;
+
+    if (changes.name && this._cleanName(changes.name)) profile.name = this._cleanName(changes.name);
+    if (changes.thresholds) {
+      for (var cls in this.fields) {
+        var src = changes.thresholds[cls] || {};
+        for (var i = 0; i < this.fields[cls].length; i++) {
+          var key = this.fields[cls][i][0];
+          var value = parseFloat(src[key]);
+          if (isFinite(value) && value >= 0) profile.thresholds[cls][key] = value;
+        }
+        // Keep ranges ordered
+        var t = profile.thresholds[cls];
+        if (t.centroidMin > t.centroidMax) t.centroidMax = t.centroidMin;
+        if (t.durationMin !== undefined && t.durationMin > t.durationMax) t.durationMax = t.durationMin;
+      }
+    }
+    this._save();
+    return profile;
+  }
+
+  /**
+   * Delete a custom profile. If it was active, Standard becomes active.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    var wasActive = this.getActive().id === id;
+    for (var i = 0; i < this._custom.length; i++) {
+      if (this._custom[i].id === id) {
+        this._custom.splice(i, 1);
+        this._save();
+        if (wasActive) this.setActive(this.defaultId);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Render <option> elements for a profile <select>.
+   * @param {string} selectedId
+   * @returns {string} HTML
+   */
+  renderOptions(selectedId) {
+    var html = '';
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      var p = all[i];
+      html += '<option value="' + p.id + '"' + (p.id === selectedId ? ' selected' : '') + '>' +
+        this._escape(p.name) + (p.builtIn ? '' : ' *') + '</option>';
+    }
+    return html;
+  }
+
+  /**
+   * Render the threshold editor form for a profile. Built-in profiles render read-only.
+   * @param {Object} profile
+   * @returns {string} HTML
+   */
+  renderEditor(profile) {
+    var readOnly = profile.builtIn ? ' disabled' : '';
+    var html = '<div class="profile-editor-name"><label>Name <input type="text" data-profile-name maxlength="40" value="' +
+      this._escape(profile.name) + '"' + readOnly + '></label></div>';
+    if (profile.description) html += '<div class="profile-editor-desc">' + this._escape(profile.description) + '</div>';
+
+    for (var cls in this.fields) {
+      html += '<div class="profile-editor-class"><div class="profile-editor-title">Class ' + cls.slice(-1) + '</div>';
+      for (var i = 0; i < this.fields[cls].length; i++) {
+        var f = this.fields[cls][i];
+        html += '<label>' + f[1] + '<input type="number" min="0" step="' + f[2] + '" data-profile-class="' + cls +
+          '" data-profile-key="' + f[0] + '" value="' + profile.thresholds[cls][f[0]] + '"' + readOnly + '></label>';
+      }
+      html += '</div>';
+    }
+    if (profile.builtIn) html += '<div class="profile-editor-desc">Built-in profiles are read-only. Clone this profile to edit a copy.</div>';
+    return html;
+  }
+
+  /**
+   * Read threshold values back from an editor rendered by renderEditor().
+   * @param {HTMLElement} container
+   * @returns {Object} {name, thresholds}
+   */
+  readEditor(container) {
+    var thresholds = { classA: {}, classB: {}, classC: {} };
+    var inputs = container.querySelectorAll('[data-profile-key]');
+    for (var i = 0; i < inputs.length; i++) {
+      thresholds[inputs[i].dataset.profileClass][inputs[i].dataset.profileKey] = inputs[i].value;
+    }
+    var nameInput = container.querySelector('[data-profile-name]');
+    return { name: nameInput ? nameInput.value : '', thresholds: thresholds };
+  }
+
+  _load() {
+    try {
+      var stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(function(p) { return p && p.id && p.thresholds; }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this._custom));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // Names are shown in reports and the vault; keep them short and markup-free
+  _cleanName(name) {
+    return String(name).replace(/[<>"&]/g, '').trim().slice(0, 40);
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.ClassificationProfiles = ClassificationProfiles;
@@ -0,0 +1,120 @@
+/**
+ * ClockAlignment — Places sessions recorded on different devices on one timeline
+ *
+ * Each session carries a clockSync record captured at recording time:
+ *   {startEpoch, offsetMs, offsetSource, uncertaintyMs, syncMarks}
+ *   startEpoch   - Date.now() at the moment the engines' performance.now() clocks started
+ *   offsetMs     - correction to a shared clock measured against the team relay (0 if none)
+ *   syncMarks    - session seconds at which EVPAudioEngine heard a sync chirp
+ *
+ * A chirp heard by two devices marks the same physical instant, so when both sessions
+ * contain one the chirp wins over the relay and wall-clock estimates.
+ */
+class ClockAlignment {
+  constructor() {
+    this.matchWindow = 1.5;      // seconds: EVPs this close on two devices are the same sound
+    this.chirpSearch = 10;       // seconds: marks this close after coarse alignment are the same chirp
+    this.chirpUncertainty = 40;  // ms: about one analysis frame at 30fps
+    this.wallClockUncertainty = 2000; // ms: unsynchronised phone clocks
+  }
+
+  /**
+   * Compute each session's start on the shared clock.
+   * @param {Array} sessions - [{id, clockSync, durationSeconds}]
+   * @returns {Object} {id: {start, end, source, uncertaintyMs}} in epoch ms
+   */
+  align(sessions) {
+    const result = {};
+    const usable = sessions.filter(s => s.clockSync && s.clockSync.startEpoch);
+
+    for (const s of usable) {
+      const sync = s.clockSync;
+      const source = sync.offsetSource || 'none';
+      result[s.id] = {
+        start: sync.startEpoch + (sync.offsetMs || 0),
+        source: source,
+        uncertaintyMs: source === 'none' ? this.wallClockUncertainty : (sync.uncertaintyMs || 0)
+      };
+    }
+
+    // Refine against the first session that heard a chirp
+    const ref = usable.find(s => (s.clockSync.syncMarks || []).length > 0);
+    if (ref) {
+      const refStart = result[ref.id].start;
+      for (const s of usable) {
+        if (s === ref) continue;
+        const delta = this._chirpDelta(refStart, ref.clockSync.syncMarks, result[s.id].start, s.clockSync.syncMarks || []);
+        if (delta === null) continue;
+        result[s.id].start += delta;
+        result[s.id].source = 'chirp';
+        result[s.id].uncertaintyMs = this.chirpUncertainty;
+        result[ref.id].source = 'chirp';
+        result[ref.id].uncertaintyMs = this.chirpUncertainty;
+      }
+    }
+
+    for (const s of usable) {
+      result[s.id].end = result[s.id].start + (s.durationSeconds || 0) * 1000;
+    }
+    return result;
+  }
+
+  /**
+   * Check every EVP against the other devices that were recording at that moment.
+   * @param {Array} sessions - [{id, evps: [{time, class}], ...}] as passed to align()
+   * @param {Object} aligned - result of align()
+   * @returns {Object} {id: [{time, at, class, status, heardBy}]}
+   *   status: 'corroborated'  - another device heard it too
+   *           'single-device' - other devices were recording but did not hear it
+   *           'unverified'    - no other device was recording at that moment
+   */
+  correlate(sessions, aligned) {
+    const result = {};
+    const placed = sessions.filter(s => aligned[s.id]);
+
+    for (const s of placed) {
+      const a = aligned[s.id];
+      result[s.id] = (s.evps || []).map(e => {
+        const at = a.start + e.time * 1000;
+        const heardBy = [];
+        let covered = 0;
+        for (const o of placed) {
+          if (o === s) continue;
+          const b = aligned[o.id];
+          if (at < b.start || at > b.end) continue;
+          covered++;
+          const tolerance = this.matchWindow * 1000 + a.uncertaintyMs + b.uncertaintyMs;
+          if ((o.evps || []).some(oe => Math.abs(b.start + oe.time * 1000 - at) <= tolerance)) heardBy.push(o.id);
+        }
+        const status = heardBy.length > 0 ? 'corroborated' : covered > 0 ? 'single-device' : 'unverified';
+        return { time: e.time, at: at, class: e.class, status: status, heardBy: heardBy };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Whether all aligned sessions share a common stretch of time.
+   * @param {Object} aligned - result of align()
+   * @returns {boolean}
+   */
+  overlaps(aligned) {
+    const spans = Object.values(aligned);
+    if (spans.length < 2) return false;
+    return Math.max(...spans.map(s => s.start)) < Math.min(...spans.map(s => s.end));
+  }
+
+  // Smallest correction mapping one of the session's chirps onto one of the reference's
+  _chirpDelta(refStart, refMarks, start, marks) {
+    let best = null;
+    for (const rm of refMarks) {
+      for (const m of marks) {
+        const delta = (refStart + rm * 1000) - (start + m * 1000);
+        if (Math.abs(delta) <= this.chirpSearch * 1000 && (best === null || Math.abs(delta) < Math.abs(best))) best = delta;
+      }
+    }
+    return best;
+  }
+}
+
+window.ClockAlignment = ClockAlignment;
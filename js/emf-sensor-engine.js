@@ -54,6 +54,7 @@ class EMFSensorEngine {
     this.vibrationAnomalyCount = 0;
     this.infrasoundEventCount = 0;
     this.fearFreqDetectionCount = 0;
+    this._lastInfrasoundTime = -Infinity;  // debounce; kept apart from the capped event log
     this.accelSource = 'none';             // 'api' | 'motion' | 'none'
 
     // ── Gyroscope state (from rotationRate in DeviceMotion) ────────────────────
@@ -829,11 +830,12 @@ class EMFSensorEngine {
     // Log fear frequency event on rising edge
     if (result.fearFreqDetected && !prevFearAlert) {
       this.fearFreqDetectionCount++;
+      this._lastInfrasoundTime = (performance.now() - this.startTime) / 1000;
       if (this.events.length < this.maxEvents) {
         this.events.push({
           type: 'infrasound',
           frame: this.frameCount,
-          timeSeconds: (performance.now() - this.startTime) / 1000,
+          timeSeconds: this._lastInfrasoundTime,
           frequency: dft.dominantFreq,
           magnitude: dft.fearFreqAmplitude,
           note: 'Near Tandy fear frequency (18.98Hz)'
@@ -843,10 +845,10 @@ class EMFSensorEngine {
 
     // Log general infrasound events (debounced to once per 3 seconds)
     if (result.infrasoundDetected && !result.fearFreqDetected) {
-      const lastInfra = this._findLastEvent('infrasound');
       const timeSeconds = (performance.now() - this.startTime) / 1000;
-      if (!lastInfra || timeSeconds - lastInfra.timeSeconds > 3) {
+      if (timeSeconds - this._lastInfrasoundTime > 3) {
         this.infrasoundEventCount++;
+        this._lastInfrasoundTime = timeSeconds;
         if (this.events.length < this.maxEvents) {
           this.events.push({
             type: 'infrasound',
@@ -1334,6 +1336,7 @@ class EMFSensorEngine {
     this.vibrationAnomalyCount = 0;
     this.infrasoundEventCount = 0;
     this.fearFreqDetectionCount = 0;
+    this._lastInfrasoundTime = -Infinity;
 
     // Barometer / pressure
     this.pressureBaselineValues = [];
@@ -55,6 +55,29 @@ class EvidenceReport {
       }
     ];
 
+    // Manual review vocabulary for EVP candidates
+    this.reviewStatuses = [
+      { id: 'confirmed', label: 'Confirmed' },
+      { id: 'rejected', label: 'Rejected' },
+      { id: 'explained', label: 'Explained' }
+    ];
+    this.explanationCategories = [
+      { id: 'hvac', label: 'HVAC' },
+      { id: 'voice-contamination', label: 'Voice contamination' },
+      { id: 'traffic', label: 'Traffic' },
+      { id: 'device-noise', label: 'Device noise' }
+    ];
+
+    // Control period comparison: detection rates tested against a quiet reference recording
+    this.controlMetrics = [
+      { id: 'evp', label: 'EVP candidates' },
+      { id: 'emf', label: 'EMF events' },
+      { id: 'infrasound', label: 'Infrasound events' }
+    ];
+    this.minControlSeconds = 30;
+    this.sensorEventLimit = 200;   // EMFSensorEngine.maxEvents: the event log stops growing here
+    this.significanceLevel = 0.05;
+
     this._disclaimer = 'This application uses real sensor data and signal processing algorithms. ' +
       'However, it cannot verify or confirm paranormal activity. All findings should be interpreted ' +
       'with scientific skepticism. Anomalies may have mundane explanations including environmental ' +
@@ -80,10 +103,12 @@ class EvidenceReport {
    *
    * Backward-compatible signature:
    *   analyze(audioReport, spiritBoxReport, visualReport, sensorReport, evpClassifications, recordingData)
+   * An optional seventh argument takes WordDetector.getDetections() for the timeline,
+   * and an eighth QuestionSession.fullAnalysis() for the per-question section.
    *
    * @returns {Object} full report
    */
-  analyze(audioReport, spiritBoxReport, visualReport, sensorReport, evpClassifications, recordingData) {
+  analyze(audioReport, spiritBoxReport, visualReport, sensorReport, evpClassifications, recordingData, wordDetections, questionSession) {
     // If called with no arguments, pull from engines
     var audioAnalysis = audioReport || (this.audioEngine ? this.audioEngine.fullAnalysis() : null);
     var visualAnalysis = visualReport || (this.visualEngine ? this.visualEngine.fullAnalysis() : null);
@@ -92,11 +117,8 @@ class EvidenceReport {
     var classifierAnalysis = evpClassifications || (this.classifier ? this.classifier.fullAnalysis() : null);
     var recorderData = recordingData || (this.recorder ? this.recorder.getRecordingState() : null);
 
-    var evpSummary = classifierAnalysis && classifierAnalysis.summary
-      ? classifierAnalysis.summary
-      : (classifierAnalysis && classifierAnalysis.stats
-        ? classifierAnalysis.stats
-        : { total: 0, classA: 0, classB: 0, classC: 0 });
+    // Rejected candidates are excluded from every count and score
+    var evpSummary = this._evidenceSummary(classifierAnalysis);
 
     // Compute duration
     var totalFrames = audioAnalysis ? (audioAnalysis.totalFrames || 0) : 0;
@@ -118,11 +140,7 @@ class EvidenceReport {
       (visualAnalysis ? (visualAnalysis.totalAnomalies || 0) : 0) +
       (sensorAnalysis ? (sensorAnalysis.totalEvents || 0) : 0);
 
-    // Determine activity level (backward-compatible)
-    var activityLevel = 'Quiet';
-    if (totalAnomalies > 20 || evpSummary.classA > 0) activityLevel = 'High Activity';
-    else if (totalAnomalies > 10 || evpSummary.classB > 0) activityLevel = 'Moderate Activity';
-    else if (totalAnomalies > 3 || evpSummary.classC > 0) activityLevel = 'Low Activity';
+    var activityLevel = this._getActivityLevel(totalAnomalies, evpSummary);
 
     // Count sensor-specific events
     var infrasoundEvents = 0;
@@ -150,6 +168,9 @@ class EvidenceReport {
       activityLevel: activityLevel,
       totalAnomalies: totalAnomalies,
       evpSummary: evpSummary,
+      reviewSummary: this._reviewSummary(classifierAnalysis ? classifierAnalysis.classifications : null),
+      classificationProfile: classifierAnalysis && classifierAnalysis.profile ? classifierAnalysis.profile.name : null,
+      clockSync: this._clockSync(audioAnalysis),
 
       summary: {
         date: new Date().toISOString(),
@@ -162,9 +183,10 @@ class EvidenceReport {
       audioEvidence: {
         anomalyCount: audioAnalysis ? (audioAnalysis.totalAnomalies || audioAnalysis.anomalyCount || 0) : 0,
         evpClassifications: classifierAnalysis ? (classifierAnalysis.classifications || []) : [],
-        bestEvidence: classifierAnalysis ? (classifierAnalysis.strongestEvidence || null) : null,
+        bestEvidence: this._strongestEvidence(classifierAnalysis),
         averageNoiseFloor: audioAnalysis ? (audioAnalysis.baselineNoiseFloor || audioAnalysis.baselineRMSDb || -100) : -100,
-        voiceRangeActivity: audioAnalysis ? (audioAnalysis.voiceRangeActivity || 0) : 0
+        voiceRangeActivity: audioAnalysis ? (audioAnalysis.voiceRangeActivity || 0) : 0,
+        noiseSources: this._noiseSourceSummary(audioAnalysis ? audioAnalysis.anomalyEvents : null)
       },
 
       visualFindings: {
@@ -192,12 +214,13 @@ class EvidenceReport {
       },
 
       spiritBox: {
-        active: spiritBoxAnalysis ? (spiritBoxAnalysis.totalSweeps > 0) : false,
+        active: spiritBoxAnalysis ? (spiritBoxAnalysis.totalSweeps > 0 || (spiritBoxAnalysis.fragments || []).length > 0) : false,
         fragmentsCaptured: spiritBoxAnalysis ? (spiritBoxAnalysis.fragments || []).length : 0,
         fragments: spiritBoxAnalysis ? (spiritBoxAnalysis.fragments || []) : [],
         sweepTime: spiritBoxAnalysis ? (spiritBoxAnalysis.totalFrames || 0) / 30 : 0,
         mode: spiritBoxAnalysis ? (spiritBoxAnalysis.mode || 'sweep') : 'sweep',
         sweepSpeed: spiritBoxAnalysis ? (spiritBoxAnalysis.sweepSpeed || 150) : 150,
+        sweepPattern: spiritBoxAnalysis ? (spiritBoxAnalysis.sweepPattern || null) : null,
         totalSweeps: spiritBoxAnalysis ? (spiritBoxAnalysis.totalSweeps || 0) : 0
       },
 
@@ -222,6 +245,13 @@ class EvidenceReport {
 
       disclaimer: this._disclaimer,
 
+      wordDetections: (wordDetections || []).map(function(w) {
+        return { word: w.word, confidence: w.confidence, timestamp: w.timestamp, phonemes: w.phonemes || [], wordPhonemes: w.wordPhonemes || [], formantTrack: w.formantTrack || [],
+          alignment: w.alignment || null, consonants: w.consonants || null, library: w.library || null };
+      }),
+
+      questionSession: questionSession || null,
+
       // Backward-compatible fields
       audio: audioAnalysis,
       spiritBoxRaw: spiritBoxAnalysis,
@@ -255,63 +285,66 @@ class EvidenceReport {
    * @returns {number}
    */
   _computeOverallScore(audioAnalysis, visualAnalysis, sensorAnalysis, spiritBoxAnalysis, classifierAnalysis) {
+    var breakdown = this._scoreBreakdown(audioAnalysis, visualAnalysis, sensorAnalysis, spiritBoxAnalysis, classifierAnalysis);
     var score = 0;
+    for (var i = 0; i < breakdown.length; i++) score += breakdown[i].points;
+
+    // Cap at 100
+    return Math.min(100, Math.round(score));
+  }
+
+  /**
+   * Per-category contributions to the overall score.
+   * @returns {Array} [{label, count, points, max}]
+   */
+  _scoreBreakdown(audioAnalysis, visualAnalysis, sensorAnalysis, spiritBoxAnalysis, classifierAnalysis) {
+    var rows = [];
 
     // EVP scores
-    if (classifierAnalysis) {
-      var stats = classifierAnalysis.stats || classifierAnalysis.summary || { classA: 0, classB: 0, classC: 0 };
+    var stats = this._evidenceSummary(classifierAnalysis);
 
-      // Class A: 30 points each, max 60
-      score += Math.min(60, (stats.classA || 0) * 30);
+    // Class A: 30 points each, max 60
+    rows.push({ label: 'EVP Class A', count: stats.classA || 0, points: Math.min(60, (stats.classA || 0) * 30), max: 60 });
 
-      // Class B: 15 points each, max 30
-      score += Math.min(30, (stats.classB || 0) * 15);
+    // Class B: 15 points each, max 30
+    rows.push({ label: 'EVP Class B', count: stats.classB || 0, points: Math.min(30, (stats.classB || 0) * 15), max: 30 });
 
-      // Class C: 5 points each, max 15
-      score += Math.min(15, (stats.classC || 0) * 5);
-    }
+    // Class C: 5 points each, max 15
+    rows.push({ label: 'EVP Class C', count: stats.classC || 0, points: Math.min(15, (stats.classC || 0) * 5), max: 15 });
 
     // EMF anomalies: 10 points each, max 20
+    var emfCount = 0;
+    var infraCount = 0;
     if (sensorAnalysis && sensorAnalysis.events) {
-      var emfCount = 0;
-      var infraCount = 0;
       for (var i = 0; i < sensorAnalysis.events.length; i++) {
         if (sensorAnalysis.events[i].type === 'emf') emfCount++;
         if (sensorAnalysis.events[i].type === 'infrasound') infraCount++;
       }
-      score += Math.min(20, emfCount * 10);
-
-      // Infrasound/fear frequency: 15 points each, max 30
-      score += Math.min(30, infraCount * 15);
     }
+    rows.push({ label: 'EMF anomalies', count: emfCount, points: Math.min(20, emfCount * 10), max: 20 });
+
+    // Infrasound/fear frequency: 15 points each, max 30
+    rows.push({ label: 'Infrasound / fear frequency', count: infraCount, points: Math.min(30, infraCount * 15), max: 30 });
 
     // Visual anomalies: 5 points each, max 15
-    if (visualAnalysis) {
-      score += Math.min(15, (visualAnalysis.totalAnomalies || 0) * 5);
-    }
+    var visualCount = visualAnalysis ? (visualAnalysis.totalAnomalies || 0) : 0;
+    rows.push({ label: 'Visual anomalies', count: visualCount, points: Math.min(15, visualCount * 5), max: 15 });
 
     // Spirit box fragments: 3 points each, max 15
-    if (spiritBoxAnalysis && spiritBoxAnalysis.fragments) {
-      score += Math.min(15, spiritBoxAnalysis.fragments.length * 3);
-    }
+    var fragmentCount = spiritBoxAnalysis && spiritBoxAnalysis.fragments ? spiritBoxAnalysis.fragments.length : 0;
+    rows.push({ label: 'Spirit box fragments', count: fragmentCount, points: Math.min(15, fragmentCount * 3), max: 15 });
 
     // Simultaneous multi-sensor anomaly bonus
     // Check if we have anomalies from 3+ different sensor types
     var sensorTypes = 0;
-    if (classifierAnalysis && (classifierAnalysis.stats || classifierAnalysis.summary)) {
-      var s = classifierAnalysis.stats || classifierAnalysis.summary;
-      if ((s.classA || 0) + (s.classB || 0) + (s.classC || 0) > 0) sensorTypes++;
-    }
-    if (visualAnalysis && (visualAnalysis.totalAnomalies || 0) > 0) sensorTypes++;
+    if ((stats.classA || 0) + (stats.classB || 0) + (stats.classC || 0) > 0) sensorTypes++;
+    if (visualCount > 0) sensorTypes++;
     if (sensorAnalysis && sensorAnalysis.events && sensorAnalysis.events.length > 0) sensorTypes++;
-    if (spiritBoxAnalysis && spiritBoxAnalysis.fragments && spiritBoxAnalysis.fragments.length > 0) sensorTypes++;
+    if (fragmentCount > 0) sensorTypes++;
 
-    if (sensorTypes >= 3) {
-      score += 20;
-    }
+    rows.push({ label: 'Multi-sensor bonus (3+ types)', count: sensorTypes, points: sensorTypes >= 3 ? 20 : 0, max: 20 });
 
-    // Cap at 100
-    return Math.min(100, Math.round(score));
+    return rows;
   }
 
   /**
@@ -332,6 +365,7 @@ class EvidenceReport {
     var audioCount = report.audioEvidence ? report.audioEvidence.anomalyCount : 0;
     var evpClassifications = report.audioEvidence ? report.audioEvidence.evpClassifications : [];
     var evpStats = report.evpSummary || { classA: 0, classB: 0, classC: 0, total: 0 };
+    var review = report.reviewSummary || { confirmed: 0, rejected: 0, explained: 0, categories: [] };
 
     if (evpStats.total > 0) {
       var evpParts = [];
@@ -347,10 +381,41 @@ class EvidenceReport {
         parts.push('. The strongest evidence was a Class ' + best.class + ' detection at ' +
           this._formatTime(best.timestamp) + ' with ' + best.confidence + '% confidence');
       }
+    } else if (review.rejected > 0) {
+      parts.push(review.rejected === 1
+        ? ', the only EVP candidate was rejected on manual review'
+        : ', all ' + review.rejected + ' EVP candidates were rejected on manual review');
     } else {
       parts.push(', no EVP candidates met classification thresholds');
     }
 
+    // Candidates that match an enrolled investigator's voice
+    var contaminated = (evpClassifications || []).filter(function(c) { return c.contamination && !(c.review && c.review.status === 'rejected'); });
+    if (contaminated.length > 0) {
+      parts.push('. ' + contaminated.length + ' candidate' + (contaminated.length !== 1 ? 's' : '') +
+        ' closely matched an enrolled investigator\'s voice and ' + (contaminated.length !== 1 ? 'are' : 'is') + ' likely investigator speech');
+    }
+
+    // Candidates that resemble a fingerprinted environmental sound
+    var sourced = (evpClassifications || []).filter(function(c) { return c.noiseSource && !(c.review && c.review.status === 'rejected'); });
+    if (sourced.length > 0) {
+      parts.push('. ' + sourced.length + ' candidate' + (sourced.length !== 1 ? 's' : '') +
+        ' resembled a known environmental noise source (' + this._noiseSourceSummary(sourced).map(function(s) { return s.label; }).join(', ') + ')');
+    }
+
+    // Manual review outcome
+    if (evpStats.total > 0 && review.rejected > 0) {
+      parts.push('. A further ' + review.rejected + ' candidate' + (review.rejected !== 1 ? 's were' : ' was') +
+        ' rejected on manual review and excluded from scoring');
+    }
+    if (review.confirmed > 0) {
+      parts.push('. Reviewers confirmed ' + review.confirmed + ' candidate' + (review.confirmed !== 1 ? 's' : ''));
+    }
+    if (review.explained > 0) {
+      parts.push('. ' + review.explained + ' candidate' + (review.explained !== 1 ? 's were' : ' was') +
+        ' attributed to a mundane source' + (review.categories.length > 0 ? ' (' + review.categories.join(', ') + ')' : ''));
+    }
+
     // Visual findings
     var visualCount = report.visualFindings ? report.visualFindings.anomalyCount : 0;
     if (visualCount > 0) {
@@ -406,6 +471,141 @@ class EvidenceReport {
     return 'Significant paranormal indicators recorded';
   }
 
+  /**
+   * Activity level label from anomaly and EVP counts.
+   * @param {number} totalAnomalies
+   * @param {Object} evpSummary - {classA, classB, classC}
+   * @returns {string}
+   */
+  _getActivityLevel(totalAnomalies, evpSummary) {
+    if (totalAnomalies > 20 || evpSummary.classA > 0) return 'High Activity';
+    if (totalAnomalies > 10 || evpSummary.classB > 0) return 'Moderate Activity';
+    if (totalAnomalies > 3 || evpSummary.classC > 0) return 'Low Activity';
+    return 'Quiet';
+  }
+
+  /**
+   * EVP counts over the candidates still in evidence (not rejected on review).
+   * Falls back to the classifier's own counts when no classification list is present.
+   * @param {Object} classifierAnalysis - EVPClassifier.fullAnalysis()
+   * @returns {Object} {total, classA, classB, classC, highestClass, avgConfidence}
+   */
+  _evidenceSummary(classifierAnalysis) {
+    if (!classifierAnalysis) return { total: 0, classA: 0, classB: 0, classC: 0 };
+    var list = classifierAnalysis.classifications;
+    if (!list) {
+      return classifierAnalysis.summary || classifierAnalysis.stats || { total: 0, classA: 0, classB: 0, classC: 0 };
+    }
+
+    var counted = list.filter(this._isCounted);
+    var stats = { total: counted.length, classA: 0, classB: 0, classC: 0 };
+    var confidenceSum = 0;
+    for (var i = 0; i < counted.length; i++) {
+      if (counted[i].class === 'A') stats.classA++;
+      else if (counted[i].class === 'B') stats.classB++;
+      else if (counted[i].class === 'C') stats.classC++;
+      confidenceSum += counted[i].confidence || 0;
+    }
+    stats.highestClass = stats.classA > 0 ? 'A' : stats.classB > 0 ? 'B' : stats.classC > 0 ? 'C' : null;
+    stats.avgConfidence = counted.length > 0 ? Math.round(confidenceSum / counted.length) : 0;
+    return stats;
+  }
+
+  /**
+   * Strongest un-rejected candidate: highest class, then highest confidence.
+   * @param {Object} classifierAnalysis
+   * @returns {Object|null}
+   */
+  _strongestEvidence(classifierAnalysis) {
+    if (!classifierAnalysis) return null;
+    if (!classifierAnalysis.classifications) return classifierAnalysis.strongestEvidence || null;
+
+    var rank = { 'A': 3, 'B': 2, 'C': 1 };
+    var best = null;
+    var counted = classifierAnalysis.classifications.filter(this._isCounted);
+    for (var i = 0; i < counted.length; i++) {
+      var c = counted[i];
+      if (!best || (rank[c.class] || 0) > (rank[best.class] || 0) ||
+        ((rank[c.class] || 0) === (rank[best.class] || 0) && c.confidence > best.confidence)) {
+        best = c;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {Object} classification
+   * @returns {boolean} false if a reviewer rejected it
+   */
+  _isCounted(classification) {
+    return !classification.review || classification.review.status !== 'rejected';
+  }
+
+  /**
+   * Tally manual review outcomes.
+   * @param {Array} classifications
+   * @returns {Object} {confirmed, rejected, explained, unreviewed, categories}
+   */
+  _reviewSummary(classifications) {
+    var summary = { confirmed: 0, rejected: 0, explained: 0, unreviewed: 0, categories: [] };
+    var list = classifications || [];
+    for (var i = 0; i < list.length; i++) {
+      var review = list[i].review;
+      if (!review || summary[review.status] === undefined) {
+        summary.unreviewed++;
+        continue;
+      }
+      summary[review.status]++;
+      var category = this._categoryLabel(review.category);
+      if (review.status === 'explained' && category && summary.categories.indexOf(category) === -1) {
+        summary.categories.push(category);
+      }
+    }
+    return summary;
+  }
+
+  _categoryLabel(id) {
+    for (var i = 0; i < this.explanationCategories.length; i++) {
+      if (this.explanationCategories[i].id === id) return this.explanationCategories[i].label;
+    }
+    return null;
+  }
+
+  _statusLabel(id) {
+    for (var i = 0; i < this.reviewStatuses.length; i++) {
+      if (this.reviewStatuses[i].id === id) return this.reviewStatuses[i].label;
+    }
+    return 'Unreviewed';
+  }
+
+  /**
+   * Clock record for cross-device alignment (see ClockAlignment).
+   * The offset starts at zero; setClockOffset() fills it in once measured.
+   */
+  _clockSync(audioAnalysis) {
+    if (!audioAnalysis || !audioAnalysis.startEpoch) return null;
+    return {
+      startEpoch: audioAnalysis.startEpoch,
+      offsetMs: 0,
+      offsetSource: 'none',
+      uncertaintyMs: null,
+      syncMarks: audioAnalysis.syncMarks || []
+    };
+  }
+
+  /**
+   * Record a measured offset between this device's clock and a shared clock.
+   * @param {Object} offset - {offsetMs, uncertaintyMs, source}
+   * @returns {Object|null} the updated clock record
+   */
+  setClockOffset(offset) {
+    if (!this.report || !this.report.clockSync || !offset) return null;
+    this.report.clockSync.offsetMs = offset.offsetMs || 0;
+    this.report.clockSync.offsetSource = offset.source || 'relay';
+    this.report.clockSync.uncertaintyMs = offset.uncertaintyMs;
+    return this.report.clockSync;
+  }
+
   /**
    * Build a methodology description string.
    * @param {Object} audioAnalysis
@@ -459,10 +659,28 @@ class EvidenceReport {
     html += '<div class="report-item-title">Duration: ' + r.duration + ' | Activity: ' + r.activityLevel + '</div>';
     html += '<div class="report-item-text">Total anomalies detected: ' + r.totalAnomalies +
       ' | EVP candidates: ' + r.evpSummary.total + '</div>';
+    if (r.reviewSummary && r.reviewSummary.unreviewed < r.evpSummary.total + r.reviewSummary.rejected) {
+      html += '<div class="report-item-text" style="margin-top:6px;">Review: ' + r.reviewSummary.confirmed + ' confirmed, ' +
+        r.reviewSummary.explained + ' explained, ' + r.reviewSummary.rejected + ' rejected, ' +
+        r.reviewSummary.unreviewed + ' unreviewed</div>';
+    }
     if (r.summary) {
       html += '<div class="report-item-text" style="margin-top:6px;">Score: ' +
         r.summary.overallScore + '/100 | Verdict: ' + r.summary.verdict + '</div>';
     }
+    if (r.controlComparison) {
+      html += '<div class="report-item-text control-comparison">' +
+        this._escapeHtml(this._controlSummaryText(r.controlComparison)) + '<br>';
+      html += r.controlComparison.metrics.map(function(m) {
+        var text = this._escapeHtml(this._controlMetricText(m));
+        return m.significant ? '<span class="control-significant">' + text + '</span>' : text;
+      }, this).join('<br>');
+      html += '</div>';
+    }
+    if (r.classificationProfile) {
+      html += '<div class="report-item-text" style="margin-top:6px;">Classification profile: ' +
+        this._escapeHtml(r.classificationProfile) + '</div>';
+    }
     html += '</div>';
     html += '</div>';
 
@@ -487,7 +705,8 @@ class EvidenceReport {
       for (var ei = 0; ei < classificationsList.length; ei++) {
         var evp = classificationsList[ei];
         var timeStr = this._formatTime(evp.timestamp);
-        html += '<div class="evp-detection-item">';
+        html += '<div class="evp-detection-item' + (evp.review ? ' review-' + evp.review.status : '') +
+          (evp.contamination ? ' contaminated' : '') + '" data-evp-index="' + ei + '">';
         html += '<span class="evp-time">' + timeStr + '</span>';
         html += '<span class="evp-class-badge class-' + evp.class.toLowerCase() + '">Class ' + evp.class + '</span>';
         html += '<div class="evp-details">';
@@ -506,6 +725,13 @@ class EvidenceReport {
           html += '<div class="report-item-text" style="color:#ff9100;margin-top:4px;">' +
             'Note: Low confidence \u2014 may be auditory pareidolia (Nees & Phillips, 2015)</div>';
         }
+        if (evp.contamination) {
+          html += '<div class="report-item-text evp-contamination">' + this._escapeHtml(this._contaminationText(evp.contamination)) + '</div>';
+        }
+        if (evp.noiseSource) {
+          html += '<div class="report-item-text evp-noise-source">' + this._escapeHtml(this._noiseSourceText(evp.noiseSource)) + '</div>';
+        }
+        if (evp.review) html += this._renderReview(evp.review);
         html += '</div>';
       }
       html += '</div>';
@@ -517,6 +743,9 @@ class EvidenceReport {
       html += '</div>';
     }
 
+    // Question Session
+    if (r.questionSession) html += this._renderQuestionSection(r.questionSession);
+
     // Audio Analysis
     if (r.audio) {
       html += '<div class="report-section">';
@@ -524,7 +753,16 @@ class EvidenceReport {
       html += '<div class="report-item info"><div class="report-item-text">';
       html += 'Baseline noise floor: ' +
         (r.audio.baselineRMSDb > -100 ? r.audio.baselineRMSDb.toFixed(1) + ' dB' : 'Not established') + '<br>';
+      var driftEvents = r.audio.baselineDrift || [];
+      if (driftEvents.length > 0) {
+        html += 'Noise floor drift: ' + driftEvents.length + ' change' + (driftEvents.length !== 1 ? 's' : '') +
+          ', ' + driftEvents[0].fromDb.toFixed(1) + ' &rarr; ' + driftEvents[driftEvents.length - 1].toDb.toFixed(1) + ' dB<br>';
+      }
       html += 'Audio anomaly events: ' + (r.audio.totalAnomalies || r.audio.anomalyCount || 0) + '<br>';
+      var sources = r.audioEvidence ? r.audioEvidence.noiseSources : null;
+      if (sources && sources.length > 0) {
+        html += 'Probable sources: ' + sources.map(function(s) { return this._escapeHtml(s.label) + ' &times;' + s.count; }, this).join(', ') + '<br>';
+      }
       html += 'Voice range activity: ' + (r.audio.voiceRangeActivity || 0).toFixed(1) + '%<br>';
       html += 'Sample rate: ' + (r.audio.sampleRate || 48000) + 'Hz | FFT size: ' +
         (r.audio.fftSize || 8192) + ' (' + (r.audio.binResolution || 5.9).toFixed(1) + 'Hz/bin)';
@@ -621,9 +859,29 @@ class EvidenceReport {
       html += '<div class="report-section">';
       html += '<div class="report-section-title"><span class="rs-icon">&#x1F4FB;</span> Spirit Box Session</div>';
       html += '<div class="report-item info"><div class="report-item-text">';
-      html += 'Mode: ' + r.spiritBox.mode + ' | Speed: ' + r.spiritBox.sweepSpeed + 'ms<br>';
+      html += 'Mode: ' + this._escapeHtml(this._sweepPatternText(r.spiritBox)) + ' | Speed: ' + r.spiritBox.sweepSpeed + 'ms<br>';
       html += 'Total sweeps: ' + r.spiritBox.totalSweeps + ' | Fragments: ' + r.spiritBox.fragmentsCaptured;
       html += '</div></div>';
+
+      var sbFragments = r.spiritBox.fragments || [];
+      for (var fi = 0; fi < sbFragments.length; fi++) {
+        var frag = sbFragments[fi];
+        html += '<div class="evp-detection-item sb-fragment-item">';
+        html += '<span class="evp-time">' + this._formatTime(frag.time) + '</span>';
+        html += '<span class="sb-fragment-freq">' + frag.freq + ' MHz</span>';
+        if (frag.word) {
+          html += '<span class="sb-fragment-word">"' + this._escapeHtml(frag.word.word) + '" ' + frag.word.confidence + '%</span>';
+        }
+        html += '<div class="evp-details">' + this._escapeHtml(this._fragmentMetricsText(frag)) + '</div>';
+        if (frag.formants) {
+          html += '<div class="evp-formants">Formants: F1=' + frag.formants.f1 + 'Hz F2=' + frag.formants.f2 +
+            'Hz F3=' + frag.formants.f3 + 'Hz (' + frag.formants.voicedFrames + ' voiced frames)</div>';
+        }
+        if (frag.audio) {
+          html += '<audio class="sb-fragment-audio" controls preload="none" src="' + frag.audio.dataUrl + '"></audio>';
+        }
+        html += '</div>';
+      }
       html += '</div>';
     }
 
@@ -658,6 +916,10 @@ class EvidenceReport {
       html += 'Total frames: ' + (r.audio.totalFrames || 0) + '\n';
       html += 'Baseline RMS: ' + (r.audio.baselineRMS || 0).toFixed(6) + '\n';
       html += 'Baseline dB: ' + (r.audio.baselineRMSDb || -100).toFixed(1) + '\n';
+      if (r.audio.adaptiveBaseline && r.audio.adaptiveBaseline.enabled) {
+        html += 'Adaptive baseline: mean ' + r.audio.adaptiveBaseline.meanTimeConstant + 's, spread ' +
+          r.audio.adaptiveBaseline.spreadTimeConstant + 's, ' + (r.audio.baselineDrift || []).length + ' drift events\n';
+      }
       html += 'Sample rate: ' + (r.audio.sampleRate || 48000) + '\n';
       html += 'FFT size: ' + (r.audio.fftSize || 8192) + '\n';
       html += 'Bin resolution: ' + (r.audio.binResolution || 5.9).toFixed(2) + ' Hz\n';
@@ -669,6 +931,22 @@ class EvidenceReport {
       html += '</div>';
     }
 
+    // Clock alignment
+    if (r.clockSync) {
+      var sync = r.clockSync;
+      html += '<div class="report-section">';
+      html += '<div class="report-section-title">Clock Alignment</div>';
+      html += '<div class="report-item info"><div class="report-item-text">' +
+        '<pre style="font-size:0.7rem;overflow-x:auto;color:#9e9ec0;">';
+      html += 'Session start: ' + new Date(sync.startEpoch).toISOString() + '\n';
+      html += 'Clock offset: ' + (sync.offsetSource === 'none' ? 'not measured' :
+        (sync.offsetMs >= 0 ? '+' : '') + sync.offsetMs + ' ms (' + sync.offsetSource + ', \u00B1' + sync.uncertaintyMs + ' ms)') + '\n';
+      html += 'Sync chirps heard: ' + (sync.syncMarks.length > 0
+        ? sync.syncMarks.map(this._formatTime).join(', ') : 'none');
+      html += '</pre></div></div>';
+      html += '</div>';
+    }
+
     // EVP classifications detail
     var classifications = r.evpClassifications && r.evpClassifications.classifications
       ? r.evpClassifications.classifications
@@ -687,7 +965,12 @@ class EvidenceReport {
         html += 'Formants: F1=' + evp.formants.f1 + 'Hz F2=' + evp.formants.f2 + 'Hz F3=' + evp.formants.f3 + 'Hz\n';
         html += 'Voice pattern: ' + evp.hasVoicePattern + ' | Clarity: ' + evp.formantClarity + '\n';
         html += 'Pareidolia warning: ' + evp.pareidoliaWarning;
+        if (evp.profile) html += '\nProfile: ' + this._escapeHtml(evp.profile);
         if (evp.note) html += '\nNote: ' + evp.note;
+        if (evp.pitch) html += '\nPitch: ' + evp.pitch + 'Hz';
+        if (evp.contamination) html += '\nContamination: ' + this._escapeHtml(this._contaminationText(evp.contamination));
+        if (evp.noiseSource) html += '\n' + this._escapeHtml(this._noiseSourceText(evp.noiseSource));
+        if (evp.review) html += '\nReview: ' + this._escapeHtml(this._reviewText(evp.review));
         html += '</pre></div></div>';
       }
       html += '</div>';
@@ -701,6 +984,13 @@ class EvidenceReport {
         '<pre style="font-size:0.7rem;overflow-x:auto;color:#9e9ec0;">';
       html += 'Overall Score: ' + r.summary.overallScore + '/100\n';
       html += 'Verdict: ' + r.summary.verdict + '\n';
+      if (r.controlComparison) {
+        html += '\n' + this._escapeHtml(this._controlSummaryText(r.controlComparison)) + '\n';
+        for (var cmi = 0; cmi < r.controlComparison.metrics.length; cmi++) {
+          html += '  ' + this._escapeHtml(this._controlMetricText(r.controlComparison.metrics[cmi])) + '\n';
+        }
+        html += '  ' + r.controlComparison.method + '\n';
+      }
       html += '\nScoring weights:\n';
       html += '  EVP Class A: 30 pts each (max 60)\n';
       html += '  EVP Class B: 15 pts each (max 30)\n';
@@ -709,7 +999,9 @@ class EvidenceReport {
       html += '  Visual anomalies: 5 pts each (max 15)\n';
       html += '  Infrasound/fear freq: 15 pts each (max 30)\n';
       html += '  Spirit box fragments: 3 pts each (max 15)\n';
-      html += '  Multi-sensor bonus: +20 (if 3+ sensor types)';
+      html += '  Multi-sensor bonus: +20 (if 3+ sensor types)\n';
+      html += '  EVP candidates rejected on review are not scored\n';
+      html += '  Weights are fixed and take no account of chance; record a control period to test rates';
       html += '</pre></div></div>';
       html += '</div>';
     }
@@ -773,7 +1065,8 @@ class EvidenceReport {
           time: evp.timestamp,
           type: 'evp',
           class: evp.class,
-          detail: 'Class ' + evp.class + ' EVP (' + evp.confidence + '%)'
+          detail: 'Class ' + evp.class + ' EVP (' + evp.confidence + '%)',
+          data: evp
         });
       }
     }
@@ -785,23 +1078,77 @@ class EvidenceReport {
         events.push({
           time: se.timeSeconds,
           type: se.type,
-          detail: se.note || (se.type + ' event')
+          detail: se.note || (se.type + ' event'),
+          data: se
         });
       }
     }
 
-    // Visual anomalies
-    if (this.report.visual && this.report.visual.anomalies) {
-      for (var k = 0; k < this.report.visual.anomalies.length; k++) {
-        var va = this.report.visual.anomalies[k];
+    // Visual anomalies (VisualAnomalyEngine reports them as anomalyTimestamps)
+    var visualList = this.report.visual
+      ? (this.report.visual.anomalies || this.report.visual.anomalyTimestamps)
+      : null;
+    if (visualList) {
+      for (var k = 0; k < visualList.length; k++) {
+        var va = visualList[k];
+        var level = va.level !== undefined ? va.level : (va.motionLevel || 0);
         events.push({
-          time: va.timeSeconds,
+          time: va.timeSeconds !== undefined ? va.timeSeconds : va.time,
           type: 'visual',
-          detail: 'Motion ' + va.level.toFixed(1) + '%'
+          detail: 'Motion ' + level.toFixed(1) + '%',
+          data: { motionLevel: level, regions: va.regions ? va.regions.length : 0 }
         });
       }
     }
 
+    // Word detections
+    var words = this.report.wordDetections || [];
+    for (var w = 0; w < words.length; w++) {
+      if (typeof words[w].timestamp !== 'number') continue;
+      events.push({
+        time: words[w].timestamp,
+        type: 'word',
+        detail: '"' + words[w].word + '" (' + words[w].confidence + '%)',
+        data: words[w]
+      });
+    }
+
+    // Question session windows
+    var qWindows = this.report.questionSession ? this.report.questionSession.windows : [];
+    for (var q = 0; q < qWindows.length; q++) {
+      var qw = qWindows[q];
+      events.push({
+        time: qw.askedAt,
+        type: 'question',
+        detail: (qw.kind === 'control' ? 'Silent control window' : 'Q' + qw.number + ': ' + qw.text) +
+          ' (' + qw.responses.length + ' response' + (qw.responses.length !== 1 ? 's' : '') + ')',
+        data: qw
+      });
+    }
+
+    // Noise floor drift (adaptive baseline)
+    var drift = this.report.audio ? (this.report.audio.baselineDrift || []) : [];
+    for (var d = 0; d < drift.length; d++) {
+      events.push({
+        time: drift[d].time,
+        type: 'baseline',
+        detail: 'Noise floor ' + (drift[d].change > 0 ? 'rose' : 'fell') + ' to ' + drift[d].toDb.toFixed(1) + ' dB',
+        data: drift[d]
+      });
+    }
+
+    // Spirit box fragments
+    var fragments = this.report.spiritBox ? (this.report.spiritBox.fragments || []) : [];
+    for (var f = 0; f < fragments.length; f++) {
+      events.push({
+        time: fragments[f].time,
+        type: 'spiritbox',
+        detail: 'Fragment at ' + fragments[f].freq + ' MHz (' + fragments[f].duration + 'ms)' +
+          (fragments[f].word ? ' — "' + fragments[f].word.word + '"' : ''),
+        data: fragments[f]
+      });
+    }
+
     events.sort(function(a, b) { return a.time - b.time; });
     return events;
   }
@@ -836,6 +1183,14 @@ class EvidenceReport {
     lines.push('Duration: ' + r.duration);
     lines.push('Overall Score: ' + (r.summary ? r.summary.overallScore + '/100' : 'N/A'));
     lines.push('Verdict: ' + (r.summary ? r.summary.verdict : r.activityLevel));
+    if (r.controlComparison) {
+      lines.push(this._controlSummaryText(r.controlComparison));
+      for (var cli = 0; cli < r.controlComparison.metrics.length; cli++) {
+        lines.push('  ' + this._controlMetricText(r.controlComparison.metrics[cli]));
+      }
+      lines.push('  ' + r.controlComparison.method);
+    }
+    if (r.classificationProfile) lines.push('Classification profile: ' + r.classificationProfile);
     lines.push('');
 
     // Narrative
@@ -848,6 +1203,7 @@ class EvidenceReport {
     // EVP Evidence
     lines.push('--- EVP EVIDENCE ---');
     lines.push('Total EVP candidates: ' + r.evpSummary.total);
+    if (r.reviewSummary && r.reviewSummary.rejected > 0) lines.push('  Rejected on review (not counted): ' + r.reviewSummary.rejected);
     lines.push('  Class A: ' + r.evpSummary.classA);
     lines.push('  Class B: ' + r.evpSummary.classB);
     lines.push('  Class C: ' + r.evpSummary.classC);
@@ -862,10 +1218,31 @@ class EvidenceReport {
           ' (' + c.confidence + '%) - ' + c.duration + 's - ' +
           'Centroid: ' + c.spectralCentroid + 'Hz, HNR: ' + c.hnr + 'dB, SNR: ' + c.snr + 'dB');
         if (c.note) lines.push('    ' + c.note);
+        if (c.contamination) lines.push('    ' + this._contaminationText(c.contamination));
+        if (c.noiseSource) lines.push('    ' + this._noiseSourceText(c.noiseSource));
+        if (c.review) lines.push('    Review: ' + this._reviewText(c.review));
       }
     }
     lines.push('');
 
+    // Question Session
+    var qs = r.questionSession;
+    if (qs) {
+      lines.push('--- QUESTION SESSION ---');
+      lines.push('Response window: ' + qs.settings.responseSeconds + 's' + (qs.completed ? '' : ' (ended early)'));
+      lines.push(this._questionRateText(qs));
+      for (var qi = 0; qi < qs.windows.length; qi++) {
+        var qwin = qs.windows[qi];
+        lines.push('  [' + this._formatTime(qwin.askedAt) + '] ' +
+          (qwin.kind === 'control' ? 'Silent control' : 'Q' + qwin.number + ': ' + qwin.text) +
+          ' - ' + (qwin.responses.length > 0 ? qwin.responses.map(this._questionHitText, this).join(', ') : 'no response'));
+        if (qwin.duringQuestion.length > 0) {
+          lines.push('    During question (not counted): ' + qwin.duringQuestion.map(this._questionHitText, this).join(', '));
+        }
+      }
+      lines.push('');
+    }
+
     // Visual
     lines.push('--- VISUAL FINDINGS ---');
     lines.push('Anomalies: ' + (r.visualFindings ? r.visualFindings.anomalyCount : 0));
@@ -883,9 +1260,16 @@ class EvidenceReport {
     // Spirit Box
     if (r.spiritBox && r.spiritBox.active) {
       lines.push('--- SPIRIT BOX ---');
-      lines.push('Mode: ' + r.spiritBox.mode);
+      lines.push('Mode: ' + this._sweepPatternText(r.spiritBox));
       lines.push('Sweeps: ' + r.spiritBox.totalSweeps);
       lines.push('Fragments: ' + r.spiritBox.fragmentsCaptured);
+      var textFragments = r.spiritBox.fragments || [];
+      for (var tf = 0; tf < textFragments.length; tf++) {
+        var tfr = textFragments[tf];
+        lines.push('  [' + this._formatTime(tfr.time) + '] ' + tfr.freq + ' MHz' +
+          (tfr.word ? ' "' + tfr.word.word + '" (' + tfr.word.confidence + '%)' : '') +
+          ' — ' + this._fragmentMetricsText(tfr));
+      }
       lines.push('');
     }
 
@@ -927,12 +1311,463 @@ class EvidenceReport {
       durationSeconds: this.report.durationSeconds,
       activityLevel: this.report.activityLevel,
       totalAnomalies: this.report.totalAnomalies,
-      evpSummary: this.report.evpSummary
+      evpSummary: this.report.evpSummary,
+      reviewSummary: this.report.reviewSummary || null,
+      classificationProfile: this.report.classificationProfile || null,
+      clockSync: this.report.clockSync || null,
+      wordDetections: this.report.wordDetections || [],
+      questionSession: this.report.questionSession || null,
+      controlPeriod: this.report.controlPeriod || null,
+      controlComparison: this.report.controlComparison || null
     };
 
     return JSON.stringify(exportObj, null, 2);
   }
 
+  /**
+   * Build a storable snapshot of the full report: the exportJSON payload, the raw
+   * engine results the friendly and technical views read, and the timeline events.
+   * @returns {Object|null} plain JSON-safe object
+   */
+  exportSnapshot() {
+    if (!this.report) return null;
+
+    var snapshot = JSON.parse(this.exportJSON());
+    snapshot.raw = JSON.parse(JSON.stringify({
+      audio: this.report.audio || null,
+      spiritBoxRaw: this.report.spiritBoxRaw || null,
+      visual: this.report.visual || null,
+      sensors: this.report.sensors || null,
+      evpClassifications: this.report.evpClassifications || null,
+      recording: this.report.recording || null
+    }));
+    snapshot.timelineEvents = this.getTimelineEvents();
+    snapshot.snapshotVersion = 1;
+    return snapshot;
+  }
+
+  /**
+   * Load a snapshot from exportSnapshot() so the render and export methods
+   * produce the same output they did when the snapshot was taken.
+   * @param {Object} snapshot
+   * @returns {Object|null} restored report
+   */
+  restore(snapshot) {
+    if (!snapshot || !snapshot.summary) return null;
+
+    var report = {};
+    for (var key in snapshot) {
+      if (key === 'raw' || key === 'timelineEvents' || key === 'snapshotVersion') continue;
+      report[key] = snapshot[key];
+    }
+
+    var raw = snapshot.raw || {};
+    report.audio = raw.audio || null;
+    report.spiritBoxRaw = raw.spiritBoxRaw || null;
+    report.visual = raw.visual || null;
+    report.sensors = raw.sensors || null;
+    report.evpClassifications = raw.evpClassifications || null;
+    report.recording = raw.recording || null;
+
+    // Both views of the classifications must share objects so reviews reach each
+    if (report.evpClassifications && report.evpClassifications.classifications && report.audioEvidence) {
+      report.audioEvidence.evpClassifications = report.evpClassifications.classifications;
+    }
+
+    this.report = report;
+    return this.report;
+  }
+
+  /**
+   * Record a manual review of one EVP candidate and recompute scores and narrative.
+   * @param {number} index - position in the report's classification list
+   * @param {Object|null} review - {status, category, transcription, reviewer}; null clears it
+   * @returns {Object|null} the stored review
+   */
+  setReview(index, review) {
+    var list = this._getClassifications();
+    if (!list[index]) return null;
+    if (review && review.status) list[index].review = this._normalizeReview(review);
+    else delete list[index].review;
+    this._refreshReviewTotals();
+    return list[index].review || null;
+  }
+
+  /**
+   * Apply stored reviews (e.g. from SessionVault) in one pass.
+   * @param {Object} reviews - {index: review}
+   */
+  applyReviews(reviews) {
+    if (!this.report || !reviews) return;
+    var list = this._getClassifications();
+    for (var key in reviews) {
+      var index = parseInt(key, 10);
+      if (list[index] && reviews[key] && reviews[key].status) list[index].review = this._normalizeReview(reviews[key]);
+    }
+    this._refreshReviewTotals();
+  }
+
+  /**
+   * Form fields for reviewing one candidate; read back with readReviewForm().
+   * @param {number} index
+   * @param {Object} [defaults] - {reviewer}
+   * @returns {string} HTML
+   */
+  renderReviewForm(index, defaults) {
+    var evp = this._getClassifications()[index];
+    if (!evp) return '';
+    // An unreviewed candidate with a likely mundane source is pre-filled as explained
+    var review = evp.review || {};
+    if (!evp.review && evp.contamination) review = { status: 'explained', category: 'voice-contamination' };
+    else if (!evp.review && evp.noiseSource && evp.noiseSource.category) review = { status: 'explained', category: evp.noiseSource.category };
+    var reviewer = review.reviewer || (defaults && defaults.reviewer) || '';
+    var i;
+
+    var html = '<div class="evp-review-form" data-review-form="' + index + '">';
+    html += '<select data-review-field="status"><option value="">Unreviewed</option>';
+    for (i = 0; i < this.reviewStatuses.length; i++) {
+      var s = this.reviewStatuses[i];
+      html += '<option value="' + s.id + '"' + (review.status === s.id ? ' selected' : '') + '>' + s.label + '</option>';
+    }
+    html += '</select>';
+    html += '<select data-review-field="category"><option value="">No explanation</option>';
+    for (i = 0; i < this.explanationCategories.length; i++) {
+      var c = this.explanationCategories[i];
+      html += '<option value="' + c.id + '"' + (review.category === c.id ? ' selected' : '') + '>' + c.label + '</option>';
+    }
+    html += '</select>';
+    html += '<input type="text" data-review-field="transcription" maxlength="200" placeholder="What did you hear?" value="' +
+      this._escapeHtml(review.transcription || '') + '">';
+    html += '<input type="text" data-review-field="reviewer" maxlength="60" placeholder="Reviewer" value="' +
+      this._escapeHtml(reviewer) + '">';
+    html += '<button data-review-action="save" data-review-index="' + index + '">Save</button>';
+    html += '<button data-review-action="cancel" data-review-index="' + index + '">Cancel</button>';
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * @param {HTMLElement} container - element holding a renderReviewForm() form
+   * @returns {Object|null} review, or null when set back to unreviewed
+   */
+  readReviewForm(container) {
+    var value = function(field) {
+      var el = container.querySelector('[data-review-field="' + field + '"]');
+      return el ? el.value : '';
+    };
+    if (!value('status')) return null;
+    return this._normalizeReview({
+      status: value('status'),
+      category: value('category'),
+      transcription: value('transcription'),
+      reviewer: value('reviewer')
+    });
+  }
+
+  _normalizeReview(review) {
+    return {
+      status: this._statusLabel(review.status) !== 'Unreviewed' ? review.status : 'confirmed',
+      category: this._categoryLabel(review.category) ? review.category : null,
+      transcription: String(review.transcription || '').trim().slice(0, 200),
+      reviewer: String(review.reviewer || '').trim().slice(0, 60),
+      reviewedAt: review.reviewedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Recompute everything that depends on which candidates are counted.
+   */
+  _refreshReviewTotals() {
+    var r = this.report;
+    if (!r) return;
+    var classifierAnalysis = r.evpClassifications && r.evpClassifications.classifications
+      ? r.evpClassifications
+      : { classifications: this._getClassifications() };
+
+    r.evpSummary = this._evidenceSummary(classifierAnalysis);
+    r.reviewSummary = this._reviewSummary(classifierAnalysis.classifications);
+    r.activityLevel = this._getActivityLevel(r.totalAnomalies || 0, r.evpSummary);
+    if (r.audioEvidence) r.audioEvidence.bestEvidence = this._strongestEvidence(classifierAnalysis);
+    if (r.summary) {
+      r.summary.overallScore = this._computeOverallScore(r.audio, r.visual, r.sensors, r.spiritBoxRaw, classifierAnalysis);
+      r.summary.verdict = this._getVerdict(r.summary.overallScore);
+      r.summary.narrative = this._generateNarrative(r);
+    }
+    if (r.controlPeriod) r.controlComparison = this._compareToControl(r, r.controlPeriod);
+  }
+
+  _getClassifications() {
+    if (!this.report) return [];
+    return this.report.evpClassifications && this.report.evpClassifications.classifications
+      ? this.report.evpClassifications.classifications
+      : (this.report.audioEvidence ? this.report.audioEvidence.evpClassifications || [] : []);
+  }
+
+  _renderReview(review) {
+    var html = '<div class="evp-review">';
+    html += '<span class="evp-review-badge review-' + review.status + '">' + this._statusLabel(review.status) + '</span>';
+    var category = this._categoryLabel(review.category);
+    if (category) html += '<span class="evp-review-category">' + category + '</span>';
+    if (review.transcription) html += '<span class="evp-review-transcription">&ldquo;' + this._escapeHtml(review.transcription) + '&rdquo;</span>';
+    if (review.reviewer) html += '<span class="evp-review-reviewer">&mdash; ' + this._escapeHtml(review.reviewer) + '</span>';
+    html += '</div>';
+    return html;
+  }
+
+  _noiseSourceText(source) {
+    return 'Probable source: ' + source.label + ' (' + source.confidence + '% match)';
+  }
+
+  // Count labelled anomaly events or classifications per source, most frequent first
+  _noiseSourceSummary(items) {
+    var counts = {};
+    var order = [];
+    for (var i = 0; i < (items || []).length; i++) {
+      var s = items[i].noiseSource;
+      if (!s) continue;
+      if (!counts[s.id]) { counts[s.id] = { id: s.id, label: s.label, count: 0 }; order.push(s.id); }
+      counts[s.id].count++;
+    }
+    return order.map(function(id) { return counts[id]; }).sort(function(a, b) { return b.count - a.count; });
+  }
+
+  _contaminationText(contamination) {
+    return 'Likely investigator speech \u2014 matches ' + contamination.name + '\'s voice (' + contamination.similarity + '%)';
+  }
+
+  _reviewText(review) {
+    var category = this._categoryLabel(review.category);
+    return this._statusLabel(review.status) +
+      (category ? ' (' + category + ')' : '') +
+      (review.transcription ? ' "' + review.transcription + '"' : '') +
+      (review.reviewer ? ' by ' + review.reviewer : '');
+  }
+
+  /**
+   * Build a self-contained HTML dossier suitable for printing to PDF.
+   * Every image must already be a data: URL so the file opens offline.
+   * @param {Object} [assets]
+   * @param {string} [assets.title]
+   * @param {string} [assets.locationName]
+   * @param {Object} [assets.location] - {available, latitude, longitude, accuracy}
+   * @param {Array} [assets.spectrograms] - [{dataUrl, label}]
+   * @param {Array} [assets.screenshots] - [{dataUrl, label}]
+   * @param {Object} [assets.mapTile] - {dataUrl, px, py} marker offset within a 256px tile
+   * @returns {string} HTML document
+   */
+  exportDossier(assets) {
+    if (!this.report) return '';
+    assets = assets || {};
+
+    var r = this.report;
+    var esc = this._escapeHtml.bind(this);
+    var title = assets.title || 'EVP-MINI Evidence Dossier';
+    var date = r.summary ? r.summary.date : r.timestamp;
+    var html = '';
+
+    html += '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8">';
+    html += '<meta name="viewport" content="width=device-width, initial-scale=1.0">';
+    html += '<title>' + esc(title) + '</title>';
+    html += '<style>' + this._dossierStyles() + '</style></head><body>';
+    html += '<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>';
+
+    // Cover
+    html += '<header class="cover">';
+    html += '<div class="brand">EVP-MINI</div>';
+    html += '<h1>' + esc(title) + '</h1>';
+    html += '<table class="meta">';
+    html += '<tr><th>Date</th><td>' + esc(new Date(date).toLocaleString()) + '</td></tr>';
+    html += '<tr><th>Duration</th><td>' + esc(r.duration) + '</td></tr>';
+    if (r.classificationProfile) html += '<tr><th>Classification profile</th><td>' + esc(r.classificationProfile) + '</td></tr>';
+    if (assets.locationName) html += '<tr><th>Location</th><td>' + esc(assets.locationName) + '</td></tr>';
+    if (assets.location && assets.location.available) {
+      html += '<tr><th>GPS</th><td>' + assets.location.latitude.toFixed(6) + ', ' + assets.location.longitude.toFixed(6) +
+        (assets.location.accuracy ? ' (&plusmn;' + Math.round(assets.location.accuracy) + 'm)' : '') + '</td></tr>';
+    }
+    html += '<tr><th>Generated</th><td>' + esc(new Date().toLocaleString()) + '</td></tr>';
+    html += '</table>';
+    html += '</header>';
+
+    // Verdict and narrative
+    if (r.summary) {
+      html += '<section><h2>Verdict</h2>';
+      html += '<div class="verdict"><div class="score">' + r.summary.overallScore + '<span>/100</span></div>';
+      html += '<div class="verdict-text">' + esc(r.summary.verdict) + '<div class="activity">' + esc(r.activityLevel) + '</div></div></div>';
+      if (r.controlComparison) {
+        var cc = r.controlComparison;
+        html += '<p class="keep">' + esc(this._controlSummaryText(cc)) + '</p>';
+        html += '<table class="grid keep"><thead><tr><th>Measure</th><th>Session</th><th>Control</th><th>Rate ratio (95% CI)</th><th>p</th><th>Adjusted p</th></tr></thead><tbody>';
+        for (var cdi = 0; cdi < cc.metrics.length; cdi++) {
+          var cm = cc.metrics[cdi];
+          if (!cm.testable) {
+            html += '<tr><td>' + esc(cm.label) + '</td><td colspan="5">Not testable \u2014 sensor event log was full</td></tr>';
+            continue;
+          }
+          html += '<tr' + (cm.significant ? ' class="scored"' : '') + '><td>' + esc(cm.label) + '</td>' +
+            '<td>' + cm.session + ' (' + cm.sessionRate + '/min)</td><td>' + cm.control + ' (' + cm.controlRate + '/min)</td>' +
+            '<td>' + cm.rateRatio + ' (' + cm.ratioLow + '\u2013' + cm.ratioHigh + ')</td>' +
+            '<td>' + this._formatP(cm.pValue) + '</td><td>' + this._formatP(cm.pAdjusted) + '</td></tr>';
+        }
+        html += '</tbody></table><p class="keep">' + esc(cc.method) + '</p>';
+      }
+      if (r.summary.narrative) html += '<p class="narrative">' + esc(r.summary.narrative) + '</p>';
+      html += '</section>';
+    }
+
+    // Score breakdown (recomputed from the raw engine data the score came from)
+    var breakdown = this._scoreBreakdown(r.audio, r.visual, r.sensors, r.spiritBoxRaw, r.evpClassifications);
+    html += '<section><h2>Score Breakdown</h2><table class="grid">';
+    html += '<thead><tr><th>Category</th><th>Count</th><th>Points</th><th>Max</th></tr></thead><tbody>';
+    for (var bi = 0; bi < breakdown.length; bi++) {
+      var b = breakdown[bi];
+      html += '<tr' + (b.points > 0 ? ' class="scored"' : '') + '><td>' + esc(b.label) + '</td><td>' + b.count + '</td><td>' + b.points + '</td><td>' + b.max + '</td></tr>';
+    }
+    html += '</tbody><tfoot><tr><th>Total (capped at 100)</th><td></td><th>' + (r.summary ? r.summary.overallScore : '?') + '</th><td>100</td></tr></tfoot></table></section>';
+
+    // Classification table
+    var classifications = r.evpClassifications && r.evpClassifications.classifications
+      ? r.evpClassifications.classifications
+      : (r.audioEvidence ? r.audioEvidence.evpClassifications : []);
+    html += '<section><h2>EVP Classifications</h2>';
+    if (classifications && classifications.length > 0) {
+      html += '<table class="grid"><thead><tr><th>Time</th><th>Class</th><th>Conf.</th><th>Dur.</th>' +
+        '<th>Centroid</th><th>HNR</th><th>SNR</th><th>F1 / F2 / F3</th><th>Review</th><th>Notes</th></tr></thead><tbody>';
+      for (var ci = 0; ci < classifications.length; ci++) {
+        var c = classifications[ci];
+        html += '<tr' + (this._isCounted(c) ? '' : ' class="rejected"') + '><td>' + this._formatTime(c.timestamp) + '</td>';
+        html += '<td><span class="badge class-' + c.class.toLowerCase() + '">' + c.class + '</span></td>';
+        html += '<td>' + c.confidence + '%</td><td>' + c.duration + 's</td>';
+        html += '<td>' + c.spectralCentroid + ' Hz</td><td>' + c.hnr + ' dB</td><td>' + c.snr + ' dB</td>';
+        html += '<td>' + c.formants.f1 + ' / ' + c.formants.f2 + ' / ' + c.formants.f3 + '</td>';
+        html += '<td>' + (c.review ? esc(this._reviewText(c.review)) : '<span class="muted">&mdash;</span>') + '</td>';
+        html += '<td class="note">' + esc(c.note) + (c.pareidoliaWarning ? ' <em>(pareidolia risk)</em>' : '') +
+          (c.contamination ? ' <strong>' + esc(this._contaminationText(c.contamination)) + '</strong>' : '') +
+          (c.noiseSource ? ' <strong>' + esc(this._noiseSourceText(c.noiseSource)) + '</strong>' : '') + '</td></tr>';
+      }
+      html += '</tbody></table>';
+    } else {
+      html += '<p class="muted">No EVP candidates were classified during this session.</p>';
+    }
+    html += '</section>';
+
+    // Event timeline
+    var events = this.getTimelineEvents();
+    html += '<section><h2>Event Timeline</h2>';
+    if (events.length > 0) {
+      html += '<table class="grid"><thead><tr><th>Time</th><th>Source</th><th>Detail</th></tr></thead><tbody>';
+      for (var ti = 0; ti < events.length; ti++) {
+        var e = events[ti];
+        html += '<tr><td>' + this._formatTime(e.time) + '</td><td>' + esc(e.type.toUpperCase()) + '</td><td>' + esc(e.detail) + '</td></tr>';
+      }
+      html += '</tbody></table>';
+    } else {
+      html += '<p class="muted">No events recorded.</p>';
+    }
+    html += '</section>';
+
+    // Spectrogram snapshots and screenshots
+    html += this._dossierGallery('Spectrogram Snapshots', assets.spectrograms);
+    html += this._dossierGallery('Screenshots', assets.screenshots);
+
+    // Location
+    if (assets.mapTile || (assets.location && assets.location.available)) {
+      html += '<section class="keep"><h2>Location</h2><div class="map">';
+      if (assets.mapTile) {
+        html += '<div class="tile"><img src="' + assets.mapTile.dataUrl + '" alt="Map tile">';
+        html += '<span class="pin" style="left:' + assets.mapTile.px + 'px;top:' + assets.mapTile.py + 'px"></span></div>';
+        html += '<div class="attribution">Map data &copy; OpenStreetMap contributors &copy; CARTO</div>';
+      } else {
+        // No cached tile: plain locator so the document still shows position
+        html += '<svg class="tile" viewBox="0 0 256 256" width="256" height="256" role="img" aria-label="Location marker">';
+        html += '<rect width="256" height="256" fill="#f4f4f8" stroke="#ccc"/>';
+        for (var g = 32; g < 256; g += 32) {
+          html += '<line x1="' + g + '" y1="0" x2="' + g + '" y2="256" stroke="#e0e0ea"/><line x1="0" y1="' + g + '" x2="256" y2="' + g + '" stroke="#e0e0ea"/>';
+        }
+        html += '<circle cx="128" cy="128" r="8" fill="#7c4dff"/><circle cx="128" cy="128" r="20" fill="none" stroke="#7c4dff"/>';
+        html += '<text x="128" y="240" text-anchor="middle" font-size="11" fill="#555">' +
+          assets.location.latitude.toFixed(5) + ', ' + assets.location.longitude.toFixed(5) + '</text></svg>';
+      }
+      html += '</div></section>';
+    }
+
+    // Methodology, limitations, references, disclaimer
+    var ctx = r.scientificContext || {};
+    html += '<section><h2>Methodology</h2>';
+    if (ctx.methodology) html += '<p>' + esc(ctx.methodology) + '</p>';
+    if (ctx.limitations && ctx.limitations.length > 0) {
+      html += '<h3>Limitations</h3><ul>';
+      for (var li = 0; li < ctx.limitations.length; li++) html += '<li>' + esc(ctx.limitations[li]) + '</li>';
+      html += '</ul>';
+    }
+    html += '</section>';
+
+    html += '<section><h2>References</h2><ol class="refs">';
+    for (var ri = 0; ri < this._references.length; ri++) {
+      var ref = this._references[ri];
+      html += '<li>' + esc(ref.author) + ' (' + ref.year + '). &ldquo;' + esc(ref.title) + '.&rdquo; ' +
+        (ref.journal ? '<em>' + esc(ref.journal) + '</em>. ' : '') + '&mdash; ' + esc(ref.finding) + '</li>';
+    }
+    html += '</ol></section>';
+
+    html += '<section class="disclaimer"><h2>Disclaimer</h2><p>' + esc(this._disclaimer) + '</p></section>';
+    html += '</body></html>';
+    return html;
+  }
+
+  /**
+   * Render an image grid section for the dossier.
+   * @param {string} heading
+   * @param {Array} images - [{dataUrl, label}]
+   * @returns {string} HTML
+   */
+  _dossierGallery(heading, images) {
+    if (!images || images.length === 0) return '';
+    var html = '<section><h2>' + this._escapeHtml(heading) + '</h2><div class="gallery">';
+    for (var i = 0; i < images.length; i++) {
+      html += '<figure><img src="' + images[i].dataUrl + '" alt="">';
+      html += '<figcaption>' + this._escapeHtml(images[i].label || '') + '</figcaption></figure>';
+    }
+    html += '</div></section>';
+    return html;
+  }
+
+  /**
+   * Inline stylesheet for the dossier (screen and print).
+   * @returns {string}
+   */
+  _dossierStyles() {
+    return [
+      'body{font-family:-apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:#1a1a2e;max-width:900px;margin:0 auto;padding:24px;line-height:1.45;font-size:13px;}',
+      'h1{font-size:24px;margin:4px 0 12px;}h2{font-size:16px;border-bottom:2px solid #7c4dff;padding-bottom:4px;margin:24px 0 10px;}h3{font-size:13px;margin:12px 0 6px;}',
+      '.brand{font-size:11px;letter-spacing:3px;color:#7c4dff;font-weight:700;}',
+      '.cover{border-bottom:1px solid #ddd;padding-bottom:12px;}',
+      '.meta th{text-align:left;color:#666;font-weight:600;padding:2px 16px 2px 0;}',
+      '.verdict{display:flex;align-items:center;gap:20px;}',
+      '.score{font-size:44px;font-weight:800;color:#7c4dff;}.score span{font-size:16px;color:#999;}',
+      '.verdict-text{font-size:18px;font-weight:700;}.activity{font-size:12px;color:#666;font-weight:400;}',
+      '.narrative{background:#f6f4ff;border-left:3px solid #7c4dff;padding:10px 14px;}',
+      'table.grid{width:100%;border-collapse:collapse;font-size:12px;}',
+      'table.grid th,table.grid td{border:1px solid #ddd;padding:4px 6px;text-align:left;vertical-align:top;}',
+      'table.grid thead th{background:#f0f0f6;}table.grid tr.scored td{background:#fffbe6;}table.grid tr.rejected td{color:#999;text-decoration:line-through;}',
+      'td.note{font-size:11px;color:#444;}',
+      '.badge{display:inline-block;padding:1px 7px;border-radius:3px;font-weight:700;font-size:11px;}',
+      '.badge.class-a{background:#00c853;color:#fff;}.badge.class-b{background:#ffd600;}.badge.class-c{background:#ff9100;color:#fff;}',
+      '.gallery{display:grid;grid-template-columns:repeat(auto-fill,minmax(260px,1fr));gap:12px;}',
+      'figure{margin:0;break-inside:avoid;page-break-inside:avoid;}figure img{width:100%;border:1px solid #ddd;border-radius:4px;}',
+      'figcaption{font-size:11px;color:#666;margin-top:2px;}',
+      '.map .tile{position:relative;display:inline-block;width:256px;height:256px;}.map .tile img{width:256px;height:256px;}',
+      '.pin{position:absolute;width:14px;height:14px;margin:-7px 0 0 -7px;border-radius:50%;background:#7c4dff;border:2px solid #fff;box-shadow:0 0 0 2px #7c4dff;}',
+      '.attribution{font-size:10px;color:#888;}',
+      '.refs li{margin-bottom:4px;}.muted{color:#888;}',
+      '.disclaimer p{font-size:11px;color:#555;}',
+      '.print-btn{position:fixed;top:12px;right:12px;padding:8px 14px;border:none;border-radius:6px;background:#7c4dff;color:#fff;cursor:pointer;}',
+      '@page{margin:16mm;}',
+      '@media print{.print-btn{display:none;}body{padding:0;max-width:none;}section{break-inside:auto;}',
+      'h2{break-after:avoid;page-break-after:avoid;}tr,.keep,.verdict{break-inside:avoid;page-break-inside:avoid;}',
+      'table.grid thead{display:table-header-group;}*{-webkit-print-color-adjust:exact;print-color-adjust:exact;}}'
+    ].join('');
+  }
+
   /**
    * Clear all stored report data.
    */
@@ -940,6 +1775,279 @@ class EvidenceReport {
     this.report = null;
   }
 
+  /**
+   * Counts from the current report for use as a control period: a stretch recorded
+   * before the session or in a room known to be empty. Rejected EVP candidates are
+   * left out, as they are everywhere else.
+   * @param {string} [label]
+   * @returns {Object|null} {label, date, durationSeconds, counts: {evp, emf, infrasound}};
+   *   null if there is no report or it is shorter than minControlSeconds
+   */
+  getControlCounts(label) {
+    var r = this.report;
+    if (!r || !(r.durationSeconds >= this.minControlSeconds)) return null;
+    return {
+      label: String(label || 'Control period').replace(/[<>&"]/g, '').slice(0, 80),
+      date: r.summary ? r.summary.date : r.timestamp,
+      durationSeconds: Math.round(r.durationSeconds * 10) / 10,
+      counts: this._controlCounts(r)
+    };
+  }
+
+  /**
+   * Test this session's detection rates against a control period and keep the
+   * result on the report next to the verdict. The comparison is recomputed when
+   * reviews change the EVP count.
+   * @param {Object|null} control - from getControlCounts(); null removes the comparison
+   * @returns {Object|null} report.controlComparison
+   */
+  setControlPeriod(control) {
+    var r = this.report;
+    if (!r) return null;
+    r.controlPeriod = control && control.counts ? control : null;
+    r.controlComparison = r.controlPeriod ? this._compareToControl(r, r.controlPeriod) : null;
+    return r.controlComparison;
+  }
+
+  // Sensor counts come from the engine's running counters. The event log that
+  // sensorData is counted from is capped, so on long sessions it stops tracking
+  // time; a count that can only come from a full log is null (not testable).
+  _controlCounts(r) {
+    var s = r.sensors || {};
+    var logFull = !!(s.events && s.events.length >= this.sensorEventLimit);
+    var fromLog = function(count) { return logFull ? null : count || 0; };
+    return {
+      evp: r.evpSummary ? r.evpSummary.total : 0,
+      emf: s.magnetometer && typeof s.magnetometer.anomalyCount === 'number'
+        ? s.magnetometer.anomalyCount
+        : fromLog(r.sensorData ? r.sensorData.emfAnomalyCount : 0),
+      infrasound: s.vibration && typeof s.vibration.infrasoundEvents === 'number'
+        ? s.vibration.infrasoundEvents + (s.vibration.fearFreqDetections || 0)
+        : fromLog(r.sensorData ? r.sensorData.infrasoundEvents : 0)
+    };
+  }
+
+  /**
+   * One-sided Poisson rate test per measure (is the session rate higher than the
+   * control rate?), with Holm's adjustment across the measures so testing three
+   * rates does not triple the false alarm chance. Measures without a valid count in
+   * either period are listed as not testable and left out of the adjustment.
+   * @returns {Object|null} null if either period is too short to compare
+   */
+  _compareToControl(r, control) {
+    var sessionSeconds = r.durationSeconds || 0;
+    var controlSeconds = control.durationSeconds || 0;
+    if (sessionSeconds < this.minControlSeconds || controlSeconds < this.minControlSeconds) return null;
+
+    var counts = this._controlCounts(r);
+    var t1 = sessionSeconds / 60;
+    var t0 = controlSeconds / 60;
+    var round2 = function(v) { return Math.round(v * 100) / 100; };
+
+    var metrics = this.controlMetrics.map(function(def) {
+      var k1 = counts[def.id];
+      var k0 = control.counts[def.id];
+      if (typeof k1 !== 'number' || typeof k0 !== 'number') {
+        return { id: def.id, label: def.label, testable: false, session: k1, control: k0, significant: false };
+      }
+      var test = this._poissonRateTest(k1, t1, k0, t0);
+      return {
+        id: def.id,
+        label: def.label,
+        testable: true,
+        session: k1,
+        control: k0,
+        sessionRate: round2(k1 / t1),
+        controlRate: round2(k0 / t0),
+        rateDifference: round2(k1 / t1 - k0 / t0),
+        rateRatio: round2(test.ratio),
+        ratioLow: round2(test.low),
+        ratioHigh: round2(test.high),
+        pValue: test.p,
+        pAdjusted: test.p,
+        significant: false
+      };
+    }, this);
+
+    // Holm step-down: the i-th smallest p is scaled by the number of tests not yet passed
+    var tested = metrics.filter(function(m) { return m.testable; });
+    var order = tested.slice().sort(function(a, b) { return a.pValue - b.pValue; });
+    var running = 0;
+    for (var i = 0; i < order.length; i++) {
+      running = Math.max(running, Math.min(1, order[i].pValue * (order.length - i)));
+      order[i].pAdjusted = running;
+    }
+    var alpha = this.significanceLevel;
+    tested.forEach(function(m) {
+      m.significant = m.pAdjusted < alpha;
+      m.pValue = Math.round(m.pValue * 10000) / 10000;
+      m.pAdjusted = Math.round(m.pAdjusted * 10000) / 10000;
+    });
+
+    return {
+      label: control.label || 'Control period',
+      controlDate: control.date || null,
+      controlSeconds: controlSeconds,
+      sessionSeconds: sessionSeconds,
+      metrics: metrics,
+      significantCount: metrics.filter(function(m) { return m.significant; }).length,
+      method: 'One-sided exact Poisson rate test (conditional binomial), Holm-adjusted across ' +
+        tested.length + ' measure' + (tested.length !== 1 ? 's' : '') + ' at \u03b1=' + alpha + '; rate ratios use a +0.5 correction with a log-normal 95% CI.'
+    };
+  }
+
+  /**
+   * Exact conditional test for two Poisson counts: given n = k1 + k0 events in total,
+   * k1 is Binomial(n, t1 / (t1 + t0)) when both periods share one underlying rate.
+   * @param {number} k1 - session count
+   * @param {number} t1 - session exposure (minutes)
+   * @param {number} k0 - control count
+   * @param {number} t0 - control exposure (minutes)
+   * @returns {Object} {p, ratio, low, high} - p = P(X >= k1); ratio with 95% CI
+   */
+  _poissonRateTest(k1, t1, k0, t0) {
+    var n = k1 + k0;
+    var share = t1 / (t1 + t0);
+    var p = 1;
+    if (n > 0 && k1 > 0) {
+      // Upper tail in log space: the first terms underflow when k1 is far below n * share
+      var logOdds = Math.log(share) - Math.log(1 - share);
+      var logTerm = this._logChoose(n, k1) + k1 * Math.log(share) + k0 * Math.log(1 - share);
+      var peak = logTerm;
+      var sum = 0;
+      for (var x = k1; x <= n; x++) {
+        // Running log-sum-exp, rescaled whenever a larger term comes along
+        if (logTerm > peak) {
+          sum *= Math.exp(peak - logTerm);
+          peak = logTerm;
+        }
+        sum += Math.exp(logTerm - peak);
+        logTerm += Math.log((n - x) / (x + 1)) + logOdds;
+      }
+      p = Math.min(1, Math.exp(peak + Math.log(sum)));
+    }
+
+    var ratio = ((k1 + 0.5) / t1) / ((k0 + 0.5) / t0);
+    var se = Math.sqrt(1 / (k1 + 0.5) + 1 / (k0 + 0.5));
+    return {
+      p: p,
+      ratio: ratio,
+      low: ratio * Math.exp(-1.96 * se),
+      high: ratio * Math.exp(1.96 * se)
+    };
+  }
+
+  _logChoose(n, k) {
+    k = Math.min(k, n - k);
+    var sum = 0;
+    for (var i = 0; i < k; i++) sum += Math.log(n - i) - Math.log(i + 1);
+    return sum;
+  }
+
+  _controlSummaryText(cc) {
+    var text = 'Against ' + cc.label + ' (' + this._formatTime(cc.controlSeconds) + '): ';
+    if (cc.significantCount === 0) return text + 'no detection rate is significantly above the control';
+    var above = cc.metrics.filter(function(m) { return m.significant; }).map(function(m) {
+      return m.label + ' (adjusted p=' + this._formatP(m.pAdjusted) + ')';
+    }, this);
+    return text + 'above the control \u2014 ' + above.join(', ');
+  }
+
+  _controlMetricText(m) {
+    if (!m.testable) return m.label + ': not testable (sensor event log was full, so the count is incomplete)';
+    return m.label + ': ' + m.sessionRate + '/min vs ' + m.controlRate + '/min (' + m.session + ' vs ' + m.control +
+      '), rate ratio ' + m.rateRatio + ' [95% CI ' + m.ratioLow + '\u2013' + m.ratioHigh + '], p=' +
+      this._formatP(m.pValue) + ', adjusted p=' + this._formatP(m.pAdjusted);
+  }
+
+  _formatP(p) {
+    return p < 0.001 ? '<0.001' : p.toFixed(3);
+  }
+
+  /**
+   * Per-question section: each question with the responses attributed to its window,
+   * silent control windows alongside, and the two response rates compared.
+   * @param {Object} qs - report.questionSession
+   * @returns {string} HTML
+   */
+  _renderQuestionSection(qs) {
+    var html = '<div class="report-section">';
+    html += '<div class="report-section-title"><span class="rs-icon">&#x2753;</span> Question Session</div>';
+    html += '<div class="report-item info"><div class="report-item-text">';
+    html += 'Response window: ' + qs.settings.responseSeconds + 's after each question' +
+      (qs.completed ? '' : ' (session ended early)') + '<br>';
+    html += this._escapeHtml(this._questionRateText(qs));
+    html += '</div></div>';
+
+    for (var i = 0; i < qs.windows.length; i++) {
+      var w = qs.windows[i];
+      html += '<div class="evp-detection-item question-item' + (w.kind === 'control' ? ' question-control' : '') + '">';
+      html += '<span class="evp-time">' + this._formatTime(w.askedAt) + '</span>';
+      html += '<span class="question-text">' + (w.kind === 'control'
+        ? 'Silent control window'
+        : 'Q' + w.number + ': ' + this._escapeHtml(w.text)) + '</span>';
+      html += '<div class="evp-details">';
+      if (w.responses.length === 0) {
+        html += 'No response in ' + Math.round(w.windowEnd - w.windowStart) + 's';
+      } else {
+        html += w.responses.map(function(h) {
+          return this._escapeHtml(this._questionHitText(h)) + ' at +' + h.delay + 's';
+        }, this).join('<br>');
+      }
+      html += '</div>';
+      if (w.duringQuestion.length > 0) {
+        html += '<div class="report-item-text question-during">During the question (not counted): ' +
+          this._escapeHtml(w.duringQuestion.map(this._questionHitText, this).join(', ')) + '</div>';
+      }
+      html += '</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  _questionRateText(qs) {
+    var text = 'After questions: ' + qs.questions.responses + ' response' + (qs.questions.responses !== 1 ? 's' : '') +
+      ' in ' + qs.questions.windows + ' window' + (qs.questions.windows !== 1 ? 's' : '') +
+      ' (' + qs.questions.perMinute + '/min, ' + qs.questions.silent + ' silent)';
+    if (qs.controls.windows > 0) {
+      text += ' | Silent controls: ' + qs.controls.responses + ' in ' + qs.controls.windows +
+        ' (' + qs.controls.perMinute + '/min)';
+    }
+    return text;
+  }
+
+  _questionHitText(hit) {
+    if (hit.type === 'word') return '"' + hit.word + '" (' + hit.confidence + '%)';
+    return 'Class ' + hit.class + ' EVP (' + hit.confidence + '%)';
+  }
+
+  /**
+   * Sweep pattern and step size; reports saved before patterns existed show the mode only.
+   * @param {Object} spiritBox - report.spiritBox
+   * @returns {string}
+   */
+  _sweepPatternText(spiritBox) {
+    var p = spiritBox.sweepPattern;
+    if (!p) return spiritBox.mode;
+    var text = p.label;
+    if (p.mode !== 'white-noise' && p.mode !== 'pink-noise') text += ', ' + p.stepSize + ' MHz steps';
+    if (p.hops) text += ', ' + p.hops + ' hops';
+    return text;
+  }
+
+  /**
+   * One-line summary of what the microphone measured during a spirit box fragment.
+   * Fragments from sessions before live capture carry only the pause length.
+   * @param {Object} frag
+   * @returns {string}
+   */
+  _fragmentMetricsText(frag) {
+    var m = frag.metrics;
+    if (!m) return 'Pause: ' + frag.duration + 'ms';
+    return 'Pause: ' + frag.duration + 'ms | Active: ' + m.activeSeconds + 's | SNR peak: ' + m.snrPeak +
+      'dB | HNR: ' + m.hnr + 'dB | Centroid: ' + m.centroid + 'Hz' + (m.pitch > 0 ? ' | Pitch: ' + m.pitch + 'Hz' : '');
+  }
+
   /**
    * Format seconds as M:SS string.
    * @param {number} seconds
@@ -34,6 +34,29 @@ class EVPAudioEngine {
     this._baselineBinSqSums = null;
     this._baselineRMSValues = [];
 
+    // Adaptive baseline: after calibration, keep tracking the noise floor during quiet
+    // periods so a furnace or fan starting mid-session does not read as a flood of anomalies
+    this.adaptiveBaseline = {
+      enabled: false,
+      meanTimeConstant: 20,      // seconds for the per-bin mean to follow a change
+      spreadTimeConstant: 60,    // seconds for the per-bin standard deviation
+      holdSeconds: 1.0,          // adaptation stays frozen this long after the last anomaly frame
+      maxFreezeSeconds: 10,      // an anomaly lasting longer than this is treated as a new floor
+      driftThresholdDb: 3        // noise floor change that is logged as a drift event
+    };
+    this.baselineDriftEvents = [];
+    this.maxDriftEvents = 100;
+
+    // Formant track of voiced anomaly frames, for the session spectrogram overlay
+    this.formantTrack = [];
+    this.maxFormantTrack = 20000;
+    this.formantTrackInterval = 50;   // ms between points
+    this._baselineVar = null;         // Float64Array per-bin variance (adaptive mode)
+    this._lastAdaptTime = 0;
+    this._lastAnomalyTime = -Infinity;
+    this._anomalyRunStart = null;
+    this._driftRefDb = -100;
+
     // Running statistics accumulators
     this.frameCount = 0;
     this.totalRmsSum = 0;
@@ -49,6 +72,7 @@ class EVPAudioEngine {
     this.currentRmsDb = -100;
     this.currentSpectralCentroid = 0;
     this.currentHNR = 0;
+    this.currentPitch = 0;            // Hz; 0 when the frame is unvoiced
     this.peakFrequency = 0;
     this.isAnomaly = false;
     this.anomalyStrength = 0;
@@ -64,6 +88,27 @@ class EVPAudioEngine {
     this.anomalyEvents = [];
     this.maxAnomalyEvents = 500;
 
+    // Sync chirp: two steady tones played by one device and heard by all, so
+    // sessions from several phones can be aligned (see ClockAlignment)
+    this.syncChirp = { toneA: 3700, toneB: 2900, toneMs: 400, minFrames: 4, marginDb: 25, holdMs: 600 };
+    this.syncMarks = [];              // session seconds at which a chirp was heard
+    this.syncChirpActive = false;     // true while a chirp is sounding; classifier ignores those frames
+    this._chirp = { runA: 0, runB: 0, gap: 0, startB: 0, lastMark: -Infinity, activeUntil: 0 };
+
+    // Spectral signature: band edges in Hz (24 log-spaced bands, 40Hz-8kHz)
+    this.signatureBands = [];
+    for (let b = 0; b <= 24; b++) this.signatureBands.push(Math.round(40 * Math.pow(200, b / 24)));
+    this.maxSignaturePeaks = 16;
+    this.currentSignature = null;     // set on anomaly frames only
+
+    // Consonant cues for WordDetector: fricative hiss in the high band, plosive bursts
+    // (a broadband jump out of near-silence) and silence gaps
+    this.consonantBands = { low: [100, 900], high: [3500, 8000] };
+    this.consonantThresholds = { fricativeDb: 6, burstJumpDb: 10, quietDb: 6, silenceDb: 3 };
+    this.consonantCues = { fricative: false, burst: false, silence: false };
+    this._prevBroadbandDb = null;
+    this._burstLatched = false;
+
     // Voice range bin indices (populated after init)
     this.voiceRangeLow = 0;
     this.voiceRangeHigh = 0;
@@ -74,6 +119,7 @@ class EVPAudioEngine {
     // Timing
     this._initTime = 0;
     this.isInitialized = false;
+    this._clock = null;               // optional ms clock override (offline replay)
 
     // Spectrogram color LUT (256 entries)
     this._spectrogramColors = null;
@@ -106,11 +152,6 @@ class EVPAudioEngine {
       }
 
       this.sampleRate = this.audioContext.sampleRate;
-      this.binResolution = this.sampleRate / this.fftSize;
-
-      // Compute voice range bin indices (200-4000 Hz)
-      this.voiceRangeLow = Math.floor(200 / this.binResolution);
-      this.voiceRangeHigh = Math.ceil(4000 / this.binResolution);
 
       // Create AnalyserNode
       this.analyser = this.audioContext.createAnalyser();
@@ -131,22 +172,7 @@ class EVPAudioEngine {
       this.analyser.connect(this.gainNode);
       this.gainNode.connect(this.audioContext.destination);
 
-      // Allocate data buffers
-      this.frequencyData = new Uint8Array(this.binCount);
-      this.frequencyFloat = new Float32Array(this.binCount);
-      this.timeDomainData = new Float32Array(this.fftSize);
-
-      // Allocate baseline accumulation buffers
-      this._baselineBinSums = new Float64Array(this.binCount);
-      this._baselineBinSqSums = new Float64Array(this.binCount);
-      this._baselineRMSValues = [];
-
-      // Allocate HNR buffer
-      const dsLen = Math.floor(this.fftSize / 4);
-      this._hnrBuf = new Float32Array(dsLen);
-
-      this._initTime = performance.now();
-      this.isInitialized = true;
+      this._allocateBuffers();
       return true;
     } catch (err) {
       console.error('EVPAudioEngine: Failed to init audio context', err);
@@ -154,6 +180,70 @@ class EVPAudioEngine {
     }
   }
 
+  /**
+   * Initialize without a live AudioContext, reading frames from an
+   * AnalyserNode-compatible source (see ReplayAnalyser in offline-replay.js).
+   * Used to push decoded recordings through the same analysis pipeline.
+   * @param {Object} analyser - exposes fftSize, min/maxDecibels and the get*Data methods
+   * @param {number} sampleRate - sample rate of the analysed audio
+   * @returns {boolean} true if successful
+   */
+  initOffline(analyser, sampleRate) {
+    if (!analyser || analyser.fftSize !== this.fftSize) {
+      console.error('EVPAudioEngine: Offline analyser must use fftSize ' + this.fftSize);
+      return false;
+    }
+    this.analyser = analyser;
+    this.sampleRate = sampleRate;
+    this._allocateBuffers();
+    return true;
+  }
+
+  /**
+   * Override the millisecond clock used for event timestamps.
+   * Pass null to restore the default high-resolution clock.
+   * @param {Function|null} clockFn - returns the current time in ms
+   */
+  setClock(clockFn) {
+    this._clock = clockFn || null;
+  }
+
+  /**
+   * Compute bin geometry and allocate per-frame buffers once the sample rate is known.
+   */
+  _allocateBuffers() {
+    this.binResolution = this.sampleRate / this.fftSize;
+
+    // Compute voice range bin indices (200-4000 Hz)
+    this.voiceRangeLow = Math.floor(200 / this.binResolution);
+    this.voiceRangeHigh = Math.ceil(4000 / this.binResolution);
+
+    // Allocate data buffers
+    this.frequencyData = new Uint8Array(this.binCount);
+    this.frequencyFloat = new Float32Array(this.binCount);
+    this.timeDomainData = new Float32Array(this.fftSize);
+
+    // Allocate baseline accumulation buffers
+    this._baselineBinSums = new Float64Array(this.binCount);
+    this._baselineBinSqSums = new Float64Array(this.binCount);
+    this._baselineRMSValues = [];
+
+    // Allocate HNR buffer
+    const dsLen = Math.floor(this.fftSize / 4);
+    this._hnrBuf = new Float32Array(dsLen);
+
+    this._initTime = this._now();
+    this.isInitialized = true;
+  }
+
+  /**
+   * Current time in ms from the injected clock, falling back to performance.now().
+   * @returns {number}
+   */
+  _now() {
+    return this._clock ? this._clock() : performance.now();
+  }
+
   /**
    * Backward-compatible alias for init().
    */
@@ -215,6 +305,7 @@ class EVPAudioEngine {
 
       this.baselineReady = true;
       this.baselineEstablished = true;
+      this._driftRefDb = this._linearToDb(this.baselineRMS);
 
       // Free accumulation buffers
       this._baselineBinSums = null;
@@ -243,6 +334,9 @@ class EVPAudioEngine {
     // 2. Get time domain data
     this.analyser.getFloatTimeDomainData(this.timeDomainData);
 
+    // Sync chirp detection runs on every frame, calibrating or not
+    this._detectSyncChirp();
+
     // 3. If still calibrating, feed data to calibrateBaseline
     let calibrationProgress = this.baselineReady ? 100 : 0;
     if (!this.baselineReady) {
@@ -282,9 +376,13 @@ class EVPAudioEngine {
     this.isAnomaly = false;
     this.anomalyStrength = 0;
     this.currentSNR = 0;
+    this.currentSignature = null;
 
     if (this.baselineReady) {
       this._detectAnomalies();
+      if (this.adaptiveBaseline.enabled) this._adaptBaseline();
+      if (this.isAnomaly && this.formants.hasVoicePattern) this._recordFormants();
+      this._detectConsonantCues();
     }
 
     // Build and return frame analysis object
@@ -340,6 +438,7 @@ class EVPAudioEngine {
   // ───────────────────────────────────────────────────────────────────────────────
 
   _computeHNR() {
+    this.currentPitch = 0;
     const data = this.timeDomainData;
     const len = data.length;
     const dsFactor = 4; // Downsample 4x for performance
@@ -386,6 +485,7 @@ class EVPAudioEngine {
     }
 
     // Parabolic interpolation around peak for refined estimate
+    let refinedLag = bestLag;
     if (bestLag > minLag && bestLag < searchLimit) {
       let corrPrev = 0, corrNext = 0;
       for (let i = 0; i < dsLen - (bestLag - 1); i++) {
@@ -402,11 +502,15 @@ class EVPAudioEngine {
         const delta = (corrPrev - corrNext) / denom;
         // Interpolated peak value
         maxCorr = maxCorr - 0.25 * (corrPrev - corrNext) * delta;
+        refinedLag = bestLag + delta;
       }
     }
 
     if (maxCorr <= 0 || maxCorr >= 1) return 0;
 
+    // The autocorrelation peak's lag is the fundamental period when the frame is clearly voiced
+    if (maxCorr > 0.5 && refinedLag > 0) this.currentPitch = dsRate / refinedLag;
+
     // HNR = 10 * log10(r / (1 - r)) dB
     const hnr = 10 * Math.log10(maxCorr / (1 - maxCorr));
 
@@ -579,11 +683,12 @@ class EVPAudioEngine {
     const prevAnomaly = this.isAnomaly;
     this.isAnomaly = this.anomalyBins.length >= 5;
     this.anomalyStrength = this.anomalyBins.length;
+    if (this.isAnomaly) this.currentSignature = this.getSpectralSignature();
 
     // Record anomaly event on rising edge
     if (this.isAnomaly && !prevAnomaly) {
       if (this.anomalyEvents.length < this.maxAnomalyEvents) {
-        const elapsed = (performance.now() - this._initTime) / 1000;
+        const elapsed = (this._now() - this._initTime) / 1000;
         this.anomalyEvents.push({
           time: elapsed,
           timestamp: this.frameCount,
@@ -595,7 +700,8 @@ class EVPAudioEngine {
           hnr: this.currentHNR,
           peakFreq: this.peakFrequency,
           rms: this.currentRMS,
-          rmsDb: this.currentRmsDb
+          rmsDb: this.currentRmsDb,
+          signature: this.currentSignature
         });
       }
     }
@@ -726,6 +832,21 @@ class EVPAudioEngine {
     return { established: true, rms: this.baselineRMS, rmsDb: rmsDb };
   }
 
+  /**
+   * Per-bin noise estimate for SpectralDenoiser. Copies, so a later clearAll() does
+   * not empty a profile that is still in use.
+   * @returns {Object|null} {mean, stdDev, sampleRate, fftSize} or null before calibration
+   */
+  getNoiseProfile() {
+    if (!this.baselineReady || !this.baselineMean) return null;
+    return {
+      mean: Float64Array.from(this.baselineMean),
+      stdDev: Float64Array.from(this.baselineStdDev),
+      sampleRate: this.sampleRate,
+      fftSize: this.fftSize
+    };
+  }
+
   getAnomalyState() {
     return {
       isAnomaly: this.isAnomaly,
@@ -769,6 +890,7 @@ class EVPAudioEngine {
       peakFreq: this.peakFrequency,
       centroid: this.currentSpectralCentroid,
       hnr: this.currentHNR,
+      pitch: this.currentPitch,
       noiseFloorDb: noiseFloor.rmsDb,
       baselineEstablished: this.baselineReady,
       isAnomaly: this.isAnomaly,
@@ -780,6 +902,8 @@ class EVPAudioEngine {
       f3: this.formants.f3,
       snr: this.currentSNR,
       voiceRangeEnergy: this.currentVoiceRangeEnergy,
+      syncChirp: this.syncChirpActive,
+      signature: this.currentSignature,
       calibrationProgress: this.baselineReady ? 100 :
         Math.round((this.baselineFrames / this.baselineTarget) * 100)
     };
@@ -793,8 +917,8 @@ class EVPAudioEngine {
    * Return comprehensive analysis for the evidence report.
    */
   fullAnalysis() {
-    const elapsed = this._initTime > 0
-      ? (performance.now() - this._initTime) / 1000
+    const elapsed = this.isInitialized
+      ? (this._now() - this._initTime) / 1000
       : 0;
     const fc = Math.max(1, this.frameCount);
 
@@ -833,8 +957,338 @@ class EVPAudioEngine {
       totalAnomalies: this.anomalyEvents.length,
       binResolution: this.binResolution,
       sampleRate: this.sampleRate,
-      fftSize: this.fftSize
+      fftSize: this.fftSize,
+
+      // Noise floor tracking
+      adaptiveBaseline: Object.assign({}, this.adaptiveBaseline),
+      baselineDrift: this.baselineDriftEvents.slice(),
+      formantTrack: this.formantTrack.slice(),
+
+      // Absolute time of the session start, for cross-device alignment
+      startEpoch: this.getStartEpoch(),
+      syncMarks: this.syncMarks.slice()
+    };
+  }
+
+  /**
+   * Wall-clock time at which this session's clock started.
+   * Null under an injected clock (offline replay), where it has no meaning.
+   * @returns {number|null} epoch ms
+   */
+  getStartEpoch() {
+    if (this._clock || !this.isInitialized) return null;
+    return Math.round(Date.now() - (this._now() - this._initTime));
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────────
+  // Adaptive Baseline
+  // ───────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Enable or tune adaptive baseline tracking.
+   * @param {Object} options - any of enabled, meanTimeConstant, spreadTimeConstant, holdSeconds, driftThresholdDb
+   */
+  setAdaptiveBaseline(options) {
+    const cfg = this.adaptiveBaseline;
+    for (const key in options) {
+      if (!(key in cfg)) continue;
+      if (key === 'enabled') cfg.enabled = !!options.enabled;
+      else if (isFinite(options[key]) && options[key] > 0) cfg[key] = Number(options[key]);
+    }
+  }
+
+  /**
+   * Exponential moving update of the voice-range baseline (the bins _detectAnomalies reads)
+   * and the baseline RMS. Frozen while anomalies are active, for holdSeconds afterwards
+   * (longer than the classifier's segment gap) and while a sync chirp sounds. A step change
+   * in the room keeps every frame anomalous, so after maxFreezeSeconds of unbroken anomaly
+   * the floor follows it anyway.
+   */
+  _adaptBaseline() {
+    const cfg = this.adaptiveBaseline;
+    const now = this._now();
+    const dt = this._lastAdaptTime ? Math.min(1000, now - this._lastAdaptTime) : 0;
+    this._lastAdaptTime = now;
+
+    if (this.syncChirpActive) this._lastAnomalyTime = now;
+    if (this.isAnomaly) {
+      if (this._anomalyRunStart === null) this._anomalyRunStart = now;
+      if (now - this._anomalyRunStart < cfg.maxFreezeSeconds * 1000) this._lastAnomalyTime = now;
+    } else {
+      this._anomalyRunStart = null;
+    }
+    if (dt <= 0 || now - this._lastAnomalyTime < cfg.holdSeconds * 1000) return;
+
+    const a = 1 - Math.exp(-dt / (cfg.meanTimeConstant * 1000));
+    const b = 1 - Math.exp(-dt / (cfg.spreadTimeConstant * 1000));
+
+    if (!this._baselineVar) {
+      this._baselineVar = new Float64Array(this.binCount);
+      for (let i = 0; i < this.binCount; i++) this._baselineVar[i] = this.baselineStdDev[i] * this.baselineStdDev[i];
+    }
+
+    const lo = Math.max(1, this.voiceRangeLow);
+    const hi = Math.min(this.binCount - 1, this.voiceRangeHigh);
+    const range = this.analyser.maxDecibels - this.analyser.minDecibels;
+    for (let i = lo; i <= hi; i++) {
+      const dB = (this.frequencyData[i] / 255) * range + this.analyser.minDecibels;
+      const linearMag = Math.pow(10, dB / 20);
+      const diff = linearMag - this.baselineMean[i];
+      this.baselineMean[i] += a * diff;
+      this._baselineVar[i] += b * (diff * diff - this._baselineVar[i]);
+      this.baselineStdDev[i] = Math.sqrt(this._baselineVar[i]);
+    }
+    this.baselineRMS += a * (this.currentRMS - this.baselineRMS);
+
+    // Log drift once the floor has moved far enough from where it was last logged
+    const floorDb = this._linearToDb(this.baselineRMS);
+    if (Math.abs(floorDb - this._driftRefDb) >= cfg.driftThresholdDb &&
+        this.baselineDriftEvents.length < this.maxDriftEvents) {
+      this.baselineDriftEvents.push({
+        time: (now - this._initTime) / 1000,
+        fromDb: Math.round(this._driftRefDb * 10) / 10,
+        toDb: Math.round(floorDb * 10) / 10,
+        change: Math.round((floorDb - this._driftRefDb) * 10) / 10
+      });
+      this._driftRefDb = floorDb;
+    }
+  }
+
+  // Append the current formants to formantTrack, at most one point per interval
+  _recordFormants() {
+    const time = (this._now() - this._initTime) / 1000;
+    const last = this.formantTrack[this.formantTrack.length - 1];
+    if (this.formantTrack.length >= this.maxFormantTrack) return;
+    if (last && (time - last.time) * 1000 < this.formantTrackInterval) return;
+    this.formantTrack.push({
+      time: Math.round(time * 1000) / 1000,
+      f1: Math.round(this.formants.f1),
+      f2: Math.round(this.formants.f2),
+      f3: Math.round(this.formants.f3)
+    });
+  }
+
+  /**
+   * @returns {Array} logged noise floor drift events
+   */
+  getBaselineDrift() {
+    return this.baselineDriftEvents.slice();
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────────
+  // Consonant Cues
+  // ───────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Consonant cues since the last call. A burst lasts one frame, so it is latched
+   * until read: WordDetector samples every few frames.
+   * @returns {{fricative: boolean, burst: boolean, silence: boolean}}
+   */
+  getConsonantCues() {
+    const cues = {
+      fricative: this.consonantCues.fricative,
+      burst: this._burstLatched,
+      silence: this.consonantCues.silence
     };
+    this._burstLatched = false;
+    return cues;
+  }
+
+  _detectConsonantCues() {
+    const t = this.consonantThresholds;
+    const low = this._bandLevelDb(this.consonantBands.low[0], this.consonantBands.low[1], false);
+    const high = this._bandLevelDb(this.consonantBands.high[0], this.consonantBands.high[1], false);
+    const broad = this._bandLevelDb(this.consonantBands.low[0], this.consonantBands.high[1], false);
+    const floorHigh = this._bandLevelDb(this.consonantBands.high[0], this.consonantBands.high[1], true);
+    const floorBroad = this._bandLevelDb(this.consonantBands.low[0], this.consonantBands.high[1], true);
+
+    const silence = this.currentRmsDb <= this.getNoiseFloor().rmsDb + t.silenceDb;
+    // Hiss: the high band stands clear of its noise floor and outweighs the voicing band
+    const fricative = !silence && high - floorHigh >= t.fricativeDb && high > low;
+    // Release of a stop: a sudden broadband rise out of a frame near the noise floor
+    const burst = this._prevBroadbandDb !== null && broad - this._prevBroadbandDb >= t.burstJumpDb &&
+      this._prevBroadbandDb <= floorBroad + t.quietDb;
+
+    this.consonantCues = { fricative: fricative, burst: burst, silence: silence };
+    if (burst) this._burstLatched = true;
+    this._prevBroadbandDb = broad;
+  }
+
+  // Mean power in dB over a frequency band, of the current frame or of the baseline
+  _bandLevelDb(loHz, hiHz, fromBaseline) {
+    const lo = Math.max(1, Math.floor(loHz / this.binResolution));
+    const hi = Math.min(this.binCount, Math.ceil(hiHz / this.binResolution));
+    const floor = this.analyser ? this.analyser.minDecibels : -100;
+    let sum = 0;
+    for (let i = lo; i < hi; i++) {
+      if (fromBaseline) {
+        sum += this.baselineMean[i] * this.baselineMean[i];
+      } else {
+        const db = isFinite(this.frequencyFloat[i]) ? Math.max(floor, this.frequencyFloat[i]) : floor;
+        sum += Math.pow(10, db / 10);
+      }
+    }
+    return hi > lo && sum > 0 ? 10 * Math.log10(sum / (hi - lo)) : floor;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────────
+  // Spectral Signature
+  // ───────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Compact description of the current spectrum for NoiseFingerprints matching.
+   * bands: mean dB in log-spaced bands (signatureBands), relative to their average,
+   * so the shape is independent of loudness. peaks: tonal peaks below 4kHz in Hz.
+   * @returns {{bands: number[], peaks: number[]}}
+   */
+  getSpectralSignature() {
+    const data = this.frequencyFloat;
+    const floor = this.analyser ? this.analyser.minDecibels : -100;
+    const edges = this.signatureBands;
+    const bands = [];
+    let total = 0;
+
+    for (let b = 0; b < edges.length - 1; b++) {
+      const lo = Math.max(1, Math.floor(edges[b] / this.binResolution));
+      const hi = Math.max(lo + 1, Math.floor(edges[b + 1] / this.binResolution));
+      let sum = 0;
+      for (let i = lo; i < hi && i < this.binCount; i++) {
+        sum += isFinite(data[i]) ? Math.max(floor, data[i]) : floor;
+      }
+      const mean = sum / (hi - lo);
+      bands.push(mean);
+      total += mean;
+    }
+    const avg = total / bands.length;
+    for (let b = 0; b < bands.length; b++) bands[b] = Math.round((bands[b] - avg) * 10) / 10;
+
+    // Tonal peaks: local maxima standing 10dB above their neighbourhood. Near the
+    // bottom of the range the lower side runs into DC, so only the bins above count;
+    // that keeps 50/60Hz mains and 100/120Hz ballast fundamentals in reach.
+    const candidates = [];
+    const top = Math.min(this.binCount - 21, Math.floor(4000 / this.binResolution));
+    for (let i = Math.max(2, Math.floor(40 / this.binResolution)); i < top; i++) {
+      const v = data[i];
+      if (!isFinite(v) || v < data[i - 1] || v < data[i + 1]) continue;
+      let sum = 0;
+      let count = 0;
+      for (let j = 8; j <= 20; j++) {
+        sum += Math.max(floor, data[i + j]);
+        count++;
+        if (i - j >= 1) {
+          sum += Math.max(floor, data[i - j]);
+          count++;
+        }
+      }
+      const prominence = v - sum / count;
+      if (prominence < 10) continue;
+      // Parabolic interpolation for sub-bin frequency
+      const denom = data[i - 1] - 2 * v + data[i + 1];
+      const delta = denom !== 0 ? 0.5 * (data[i - 1] - data[i + 1]) / denom : 0;
+      candidates.push({ freq: (i + delta) * this.binResolution, prominence: prominence });
+    }
+    candidates.sort((a, b) => b.prominence - a.prominence);
+    const peaks = candidates.slice(0, this.maxSignaturePeaks)
+      .map(p => Math.round(p.freq * 10) / 10)
+      .sort((a, b) => a - b);
+
+    return { bands: bands, peaks: peaks };
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────────
+  // Sync Chirp
+  // ───────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Play the sync chirp through the speaker: toneA then toneB.
+   * Every device in earshot (this one included) records a sync mark.
+   * @returns {boolean} false if the audio context is not running
+   */
+  playSyncChirp() {
+    if (!this.audioContext) return false;
+    const ctx = this.audioContext;
+    const d = this.syncChirp.toneMs / 1000;
+    const t0 = ctx.currentTime + 0.05;
+
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.setValueAtTime(this.syncChirp.toneA, t0);
+    osc.frequency.setValueAtTime(this.syncChirp.toneB, t0 + d);
+    gain.gain.setValueAtTime(0, t0);
+    gain.gain.linearRampToValueAtTime(0.6, t0 + 0.01);
+    gain.gain.setValueAtTime(0.6, t0 + 2 * d - 0.01);
+    gain.gain.linearRampToValueAtTime(0, t0 + 2 * d);
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.onended = () => { osc.disconnect(); gain.disconnect(); };
+    osc.start(t0);
+    osc.stop(t0 + 2 * d + 0.02);
+    return true;
+  }
+
+  /**
+   * @returns {Array} session seconds of every chirp heard so far
+   */
+  getSyncMarks() {
+    return this.syncMarks.slice();
+  }
+
+  /**
+   * Track toneA followed by toneB. The mark is the toneB onset: the analyser window
+   * delays it by the same amount on every device, so the delay cancels in alignment.
+   */
+  _detectSyncChirp() {
+    const cfg = this.syncChirp;
+    const st = this._chirp;
+    const now = this._now();
+    const a = this._toneProminence(cfg.toneA) >= cfg.marginDb;
+    const b = this._toneProminence(cfg.toneB) >= cfg.marginDb;
+
+    if (a && !b) {
+      if (st.runB > 0) { st.runA = 0; st.runB = 0; }
+      st.runA++;
+      st.gap = 0;
+    } else if (b && !a && st.runA >= cfg.minFrames) {
+      if (st.runB === 0) st.startB = now;
+      st.runB++;
+      st.gap = 0;
+      if (st.runB >= cfg.minFrames && now - st.lastMark > 3000) {
+        this.syncMarks.push(Math.round((st.startB - this._initTime)) / 1000);
+        st.lastMark = now;
+        st.runA = 0;
+        st.runB = 0;
+      }
+    } else if (st.runA > 0 || st.runB > 0) {
+      // Tolerate a couple of frames where the transition smears both tones
+      if (++st.gap > 2) { st.runA = 0; st.runB = 0; st.gap = 0; }
+    }
+
+    if (a || b) st.activeUntil = now + cfg.holdMs;
+    this.syncChirpActive = now < st.activeUntil;
+  }
+
+  /**
+   * Level of a tone above the surrounding spectrum, in dB.
+   * @param {number} freq - Hz
+   * @returns {number}
+   */
+  _toneProminence(freq) {
+    const data = this.frequencyFloat;
+    const bin = Math.round(freq / this.binResolution);
+    if (bin + 60 >= this.binCount) return 0;
+
+    let peak = -Infinity;
+    for (let i = bin - 3; i <= bin + 3; i++) {
+      if (data[i] > peak) peak = data[i];
+    }
+    let sum = 0;
+    let n = 0;
+    for (let j = 20; j <= 60; j++) {
+      if (isFinite(data[bin - j])) { sum += data[bin - j]; n++; }
+      if (isFinite(data[bin + j])) { sum += data[bin + j]; n++; }
+    }
+    if (!isFinite(peak) || n === 0) return 0;
+    return peak - sum / n;
   }
 
   // ───────────────────────────────────────────────────────────────────────────────
@@ -883,6 +1337,16 @@ class EVPAudioEngine {
     this.baselineMean = null;
     this.baselineStdDev = null;
     this.baselineRMS = 0;
+    this._baselineVar = null;
+    this.baselineDriftEvents = [];
+    this.formantTrack = [];
+    this._lastAdaptTime = 0;
+    this._lastAnomalyTime = -Infinity;
+    this._anomalyRunStart = null;
+    this._driftRefDb = -100;
+    this.consonantCues = { fricative: false, burst: false, silence: false };
+    this._prevBroadbandDb = null;
+    this._burstLatched = false;
 
     // Re-allocate baseline accumulators if engine is initialized
     if (this.isInitialized) {
@@ -908,6 +1372,7 @@ class EVPAudioEngine {
     this.currentRmsDb = -100;
     this.currentSpectralCentroid = 0;
     this.currentHNR = 0;
+    this.currentPitch = 0;            // Hz; 0 when the frame is unvoiced
     this.peakFrequency = 0;
     this.isAnomaly = false;
     this.anomalyStrength = 0;
@@ -917,9 +1382,12 @@ class EVPAudioEngine {
     this.formants = { f1: 0, f2: 0, f3: 0, hasVoicePattern: false, clarity: 0 };
     this._formantList = [];
     this.anomalyEvents = [];
+    this.syncMarks = [];
+    this.syncChirpActive = false;
+    this._chirp = { runA: 0, runB: 0, gap: 0, startB: 0, lastMark: -Infinity, activeUntil: 0 };
 
     // Reset init time for new scan
-    this._initTime = performance.now();
+    this._initTime = this._now();
   }
 
   // ───────────────────────────────────────────────────────────────────────────────
@@ -972,6 +1440,7 @@ class EVPAudioEngine {
     this.currentRmsDb = -100;
     this.currentSpectralCentroid = 0;
     this.currentHNR = 0;
+    this.currentPitch = 0;            // Hz; 0 when the frame is unvoiced
     this.peakFrequency = 0;
     this.isAnomaly = false;
     this.anomalyStrength = 0;
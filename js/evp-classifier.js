@@ -47,6 +47,9 @@ class EVPClassifier {
       }
     };
 
+    // Name of the threshold set in use, recorded on every classification
+    this.profile = { id: 'standard', name: 'Standard' };
+
     // Anomaly accumulation buffer — builds segments from consecutive anomaly frames
     this.currentSegment = null;
     this.minSegmentDuration = 0.1;  // seconds
@@ -59,7 +62,29 @@ class EVPClassifier {
     this.cooldownTarget = 30;       // ~1 second between classifications
 
     // Session start time for timestamp computation
-    this._sessionStartTime = performance.now();
+    this._clock = null; // optional ms clock override (offline replay)
+    this._sessionStartTime = this._now();
+  }
+
+  /**
+   * Apply a named threshold profile (see ClassificationProfiles).
+   * Thresholds are copied so later edits to the profile do not affect this session.
+   * @param {Object} profile - {id, name, thresholds}
+   */
+  setProfile(profile) {
+    if (!profile || !profile.thresholds) return;
+    this.thresholds = JSON.parse(JSON.stringify(profile.thresholds));
+    this.profile = { id: profile.id, name: profile.name };
+  }
+
+  /**
+   * Override the millisecond clock used for segment timestamps.
+   * Resets the session start so timestamps stay relative to the new clock.
+   * @param {Function|null} clockFn - returns the current time in ms, or null for performance.now()
+   */
+  setClock(clockFn) {
+    this._clock = clockFn || null;
+    this._sessionStartTime = this._now();
   }
 
   /**
@@ -80,6 +105,13 @@ class EVPClassifier {
 
     if (!audioAnalysis || !noiseFloor || !noiseFloor.established) return null;
 
+    // A sync chirp is a known test tone, not a candidate: drop anything it touched
+    if (audioAnalysis.syncChirp) {
+      this.currentSegment = null;
+      this.gapFrames = 0;
+      return null;
+    }
+
     var isAnomaly = audioAnalysis.isAnomaly;
     var centroid = audioAnalysis.centroid || 0;
     var hnr = audioAnalysis.hnr || 0;
@@ -91,6 +123,8 @@ class EVPClassifier {
     var f2 = audioAnalysis.f2 || 0;
     var f3 = audioAnalysis.f3 || 0;
     var peakFreq = audioAnalysis.peakFreq || 0;
+    var pitch = audioAnalysis.pitch || 0;
+    var signature = audioAnalysis.signature || null;
 
     if (isAnomaly) {
       this.gapFrames = 0;
@@ -99,7 +133,7 @@ class EVPClassifier {
         // Start a new segment
         this.currentSegment = {
           startFrame: this.frameCount,
-          startTime: (performance.now() - this._sessionStartTime) / 1000,
+          startTime: (this._now() - this._sessionStartTime) / 1000,
           centroids: [centroid],
           hnrs: [hnr],
           snrs: [snr],
@@ -109,6 +143,8 @@ class EVPClassifier {
           f2s: [f2],
           f3s: [f3],
           peakFreqs: [peakFreq],
+          pitches: [pitch],
+          signatures: signature ? [signature] : [],
           hasVoicePattern: formantMatch,
           frameCount: 1
         };
@@ -123,6 +159,8 @@ class EVPClassifier {
         this.currentSegment.f2s.push(f2);
         this.currentSegment.f3s.push(f3);
         this.currentSegment.peakFreqs.push(peakFreq);
+        this.currentSegment.pitches.push(pitch);
+        if (signature) this.currentSegment.signatures.push(signature);
         if (formantMatch) this.currentSegment.hasVoicePattern = true;
         this.currentSegment.frameCount++;
       }
@@ -174,6 +212,7 @@ class EVPClassifier {
     var avgF1 = this._mean(segment.f1s.filter(function(f) { return f > 0; }));
     var avgF2 = this._mean(segment.f2s.filter(function(f) { return f > 0; }));
     var avgF3 = this._mean(segment.f3s.filter(function(f) { return f > 0; }));
+    var avgPitch = this._mean(segment.pitches.filter(function(p) { return p > 0; }));
 
     // Compute SNR relative to noise floor if available
     var computedSNR = avgSNR;
@@ -191,6 +230,8 @@ class EVPClassifier {
       avgF1: avgF1,
       avgF2: avgF2,
       avgF3: avgF3,
+      avgPitch: avgPitch,
+      signature: this._mergeSignatures(segment.signatures),
       duration: duration,
       hasVoicePattern: segment.hasVoicePattern,
       startFrame: segment.startFrame,
@@ -271,6 +312,8 @@ class EVPClassifier {
         f2: Math.round(segment.avgF2 || 0),
         f3: Math.round(segment.avgF3 || 0)
       },
+      pitch: Math.round(segment.avgPitch || 0),
+      signature: segment.signature || null,
       metrics: {
         centroid: Math.round(centroid),
         hnr: Math.round(hnr * 10) / 10,
@@ -279,7 +322,9 @@ class EVPClassifier {
       },
       note: note,
       pareidoliaWarning: evpClass === 'C' || confidence < 40,
-      frame: segment.startFrame
+      frame: segment.startFrame,
+      profile: this.profile.name,
+      profileId: this.profile.id
     };
   }
 
@@ -392,6 +437,8 @@ class EVPClassifier {
       summary: this.getSummary(),
       strongestEvidence: strongestEvidence,
       totalFrames: this.frameCount,
+      profile: { id: this.profile.id, name: this.profile.name },
+      thresholds: JSON.parse(JSON.stringify(this.thresholds)),
       scientificContext: 'EVP research remains controversial in the scientific community. ' +
         'While proponents argue that electronic voice phenomena represent anomalous signals, ' +
         'controlled studies (Baruss, 2001) have failed to replicate EVP under blinded conditions. ' +
@@ -423,7 +470,7 @@ class EVPClassifier {
     this.gapFrames = 0;
     this.cooldownFrames = 0;
     this.frameCount = 0;
-    this._sessionStartTime = performance.now();
+    this._sessionStartTime = this._now();
   }
 
   /**
@@ -433,6 +480,47 @@ class EVPClassifier {
     this.reset();
   }
 
+  /**
+   * Current time in ms from the injected clock, or performance.now().
+   * @returns {number}
+   */
+  _now() {
+    return this._clock ? this._clock() : performance.now();
+  }
+
+  /**
+   * Average the per-frame spectral signatures of a segment.
+   * Band shapes are averaged; a tonal peak is kept if it recurs in at least 30% of frames
+   * (and in two frames or more, so one stray frame cannot add tones).
+   * @param {Array} signatures - from EVPAudioEngine.getSpectralSignature()
+   * @returns {Object|null} {bands, peaks}
+   */
+  _mergeSignatures(signatures) {
+    if (!signatures || signatures.length === 0) return null;
+    var n = signatures.length;
+    var bands = [];
+    for (var b = 0; b < signatures[0].bands.length; b++) {
+      var sum = 0;
+      for (var i = 0; i < n; i++) sum += signatures[i].bands[b] || 0;
+      bands.push(Math.round(sum / n * 10) / 10);
+    }
+
+    var all = [];
+    for (var j = 0; j < n; j++) all = all.concat(signatures[j].peaks);
+    all.sort(function(a, b) { return a - b; });
+    var peaks = [];
+    var cluster = [];
+    for (var k = 0; k <= all.length; k++) {
+      if (k < all.length && (cluster.length === 0 || all[k] - cluster[cluster.length - 1] <= 3)) {
+        cluster.push(all[k]);
+        continue;
+      }
+      if (cluster.length >= Math.max(Math.min(n, 2), n * 0.3)) peaks.push(Math.round(this._mean(cluster) * 10) / 10);
+      cluster = k < all.length ? [all[k]] : [];
+    }
+    return { bands: bands, peaks: peaks };
+  }
+
   /**
    * Compute arithmetic mean of an array.
    * @param {Array<number>} arr
@@ -0,0 +1,93 @@
+/**
+ * FFT — Radix-2 in-place complex FFT used by offline analysis tools
+ * (recording replay, denoising, full-session spectrograms).
+ * Twiddle tables and bit-reversal indices are precomputed per size.
+ */
+class FFT {
+  /**
+   * @param {number} size - transform length, must be a power of two
+   */
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error('FFT: size must be a power of two, got ' + size);
+    }
+    this.size = size;
+
+    // Twiddle factors for the forward transform
+    this._cos = new Float64Array(size / 2);
+    this._sin = new Float64Array(size / 2);
+    for (var i = 0; i < size / 2; i++) {
+      this._cos[i] = Math.cos(-2 * Math.PI * i / size);
+      this._sin[i] = Math.sin(-2 * Math.PI * i / size);
+    }
+
+    // Bit-reversal permutation
+    this._rev = new Uint32Array(size);
+    var bits = Math.round(Math.log2(size));
+    for (var j = 0; j < size; j++) {
+      var r = 0;
+      for (var b = 0; b < bits; b++) {
+        r = (r << 1) | ((j >> b) & 1);
+      }
+      this._rev[j] = r;
+    }
+  }
+
+  /**
+   * Forward transform, in place.
+   * @param {Float64Array} re - real part (length === size)
+   * @param {Float64Array} im - imaginary part (length === size)
+   */
+  forward(re, im) {
+    this._transform(re, im, false);
+  }
+
+  /**
+   * Inverse transform, in place, scaled by 1/size.
+   * @param {Float64Array} re
+   * @param {Float64Array} im
+   */
+  inverse(re, im) {
+    this._transform(re, im, true);
+    var n = this.size;
+    for (var i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+
+  _transform(re, im, inverse) {
+    var n = this.size;
+    var rev = this._rev;
+
+    for (var i = 0; i < n; i++) {
+      var j = rev[i];
+      if (j > i) {
+        var tr = re[i]; re[i] = re[j]; re[j] = tr;
+        var ti = im[i]; im[i] = im[j]; im[j] = ti;
+      }
+    }
+
+    var sign = inverse ? -1 : 1;
+    for (var len = 2; len <= n; len <<= 1) {
+      var half = len >> 1;
+      var step = n / len;
+      for (var start = 0; start < n; start += len) {
+        for (var k = 0; k < half; k++) {
+          var wr = this._cos[k * step];
+          var wi = sign * this._sin[k * step];
+          var a = start + k;
+          var b2 = a + half;
+          var xr = re[b2] * wr - im[b2] * wi;
+          var xi = re[b2] * wi + im[b2] * wr;
+          re[b2] = re[a] - xr;
+          im[b2] = im[a] - xi;
+          re[a] += xr;
+          im[a] += xi;
+        }
+      }
+    }
+  }
+}
+
+window.FFT = FFT;
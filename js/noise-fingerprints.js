@@ -0,0 +1,342 @@
+/**
+ * NoiseFingerprints — Labels anomalies with their probable mundane source
+ * A library of spectral fingerprints for common explainable sounds (mains hum, HVAC,
+ * fridge compressors, traffic, fluorescent ballasts) plus custom fingerprints recorded
+ * by the user. Anomaly events and EVP classifications carry a spectral signature from
+ * EVPAudioEngine.getSpectralSignature(); match() compares it with every fingerprint.
+ *
+ * Fingerprint shape: {id, label, category, builtIn, bands[24], comb, tonal, peaks}
+ *   bands    - band shape in dB relative to the band average (same bands as the engine)
+ *   comb     - {f0: [Hz...], harmonics} for sounds made of a harmonic series
+ *   tonal    - false for broadband sounds, which should show few tonal peaks
+ *   peaks    - stable tonal peaks of a recorded sample (custom fingerprints)
+ */
+class NoiseFingerprints {
+  constructor() {
+    this.storageKey = 'evpNoiseFingerprints';
+    this.threshold = 60;       // confidence at or above which a source label is given
+    this.recordSeconds = 5;
+
+    // Band centres must match EVPAudioEngine.signatureBands: 24 log-spaced bands, 40Hz-8kHz
+    var centres = [];
+    for (var b = 0; b < 24; b++) centres.push(40 * Math.pow(200, (b + 0.5) / 24));
+    this._centres = centres;
+
+    this._builtIn = [
+      {
+        id: 'mains-50', label: 'Mains hum (50 Hz)', category: 'device-noise', builtIn: true,
+        bands: this._shape(function(f) { return f < 500 ? 10 : 10 - 15 * Math.log2(f / 500); }),
+        comb: { f0: [50], harmonics: 20 }
+      },
+      {
+        id: 'mains-60', label: 'Mains hum (60 Hz)', category: 'device-noise', builtIn: true,
+        bands: this._shape(function(f) { return f < 500 ? 10 : 10 - 15 * Math.log2(f / 500); }),
+        comb: { f0: [60], harmonics: 20 }
+      },
+      {
+        id: 'ballast', label: 'Fluorescent ballast buzz', category: 'device-noise', builtIn: true,
+        bands: this._shape(function(f) { return f < 100 ? -5 : f < 4000 ? 6 - 2 * Math.log2(f / 100) : -10; }),
+        comb: { f0: [100, 120], harmonics: 30 }
+      },
+      {
+        id: 'fridge', label: 'Fridge compressor', category: 'device-noise', builtIn: true,
+        bands: this._shape(function(f) { return f < 200 ? 10 : f < 1000 ? 4 : 4 - 10 * Math.log2(f / 1000); }),
+        comb: { f0: [50, 60], harmonics: 6 }
+      },
+      {
+        id: 'hvac', label: 'HVAC / ventilation', category: 'hvac', builtIn: true,
+        bands: this._shape(function(f) { return f < 500 ? 6 : 6 - 6 * Math.log2(f / 500); }),
+        tonal: false
+      },
+      {
+        id: 'traffic', label: 'Traffic rumble', category: 'traffic', builtIn: true,
+        bands: this._shape(function(f) { return f < 250 ? 12 : 12 - 9 * Math.log2(f / 250); }),
+        tonal: false
+      }
+    ];
+
+    this._custom = this._load();
+    this._recording = null;
+  }
+
+  /**
+   * All fingerprints, built-in first.
+   * @returns {Array}
+   */
+  list() {
+    return this._builtIn.concat(this._custom);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      if (all[i].id === id) return all[i];
+    }
+    return null;
+  }
+
+  /**
+   * Delete a custom fingerprint. Built-in fingerprints cannot be removed.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    for (var i = 0; i < this._custom.length; i++) {
+      if (this._custom[i].id === id) {
+        this._custom.splice(i, 1);
+        this._save();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ─── Matching ───────────────────────────────────────────────
+
+  /**
+   * Find the fingerprint closest to a spectral signature.
+   * @param {Object} signature - {bands, peaks}
+   * @returns {Object|null} {id, label, category, confidence} or null below threshold
+   */
+  match(signature) {
+    if (!signature || !signature.bands || signature.bands.length !== this._centres.length) return null;
+    var best = null;
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      var confidence = this.score(signature, all[i]);
+      if (confidence >= this.threshold && (!best || confidence > best.confidence)) {
+        best = { id: all[i].id, label: all[i].label, category: all[i].category || null, confidence: confidence };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Set item.noiseSource from item.signature on each anomaly event or classification.
+   * @param {Array} items
+   * @returns {number} how many were labelled
+   */
+  annotate(items) {
+    var labelled = 0;
+    for (var i = 0; i < (items || []).length; i++) {
+      var source = this.match(items[i].signature);
+      if (source) { items[i].noiseSource = source; labelled++; }
+      else delete items[i].noiseSource;
+    }
+    return labelled;
+  }
+
+  /**
+   * Similarity of a signature to one fingerprint: band shape correlation blended
+   * with how well the tonal peaks fit.
+   * @param {Object} signature
+   * @param {Object} fp
+   * @returns {number} 0-100
+   */
+  score(signature, fp) {
+    var shape = Math.max(0, this._correlation(signature.bands, fp.bands));
+    var tonal;
+    if (fp.comb) tonal = this._combScore(signature.peaks, fp.comb);
+    else if (fp.peaks && fp.peaks.length > 0) tonal = this._peakOverlap(signature.peaks, fp.peaks);
+    else tonal = 1 - Math.min(1, signature.peaks.filter(function(p) { return p < 1000; }).length / 5);
+    return Math.round((0.55 * shape + 0.45 * tonal) * 100);
+  }
+
+  // ─── Custom fingerprints ────────────────────────────────────
+
+  /**
+   * Begin recording a custom fingerprint.
+   * @param {string} label
+   */
+  startRecording(label) {
+    this._recording = {
+      label: String(label || '').replace(/[<>"&]/g, '').trim().slice(0, 40) || 'Custom noise',
+      signatures: []
+    };
+  }
+
+  isRecording() {
+    return !!this._recording;
+  }
+
+  /**
+   * @param {Object} signature - from EVPAudioEngine.getSpectralSignature()
+   * @returns {number} frames recorded so far
+   */
+  addSample(signature) {
+    if (!this._recording || !signature) return 0;
+    this._recording.signatures.push(signature);
+    return this._recording.signatures.length;
+  }
+
+  /**
+   * Store the recording as a custom fingerprint.
+   * @returns {Object|null} the fingerprint, or null if too few frames were captured
+   */
+  finishRecording() {
+    var rec = this._recording;
+    this._recording = null;
+    if (!rec || rec.signatures.length < 30) return null;
+
+    var n = rec.signatures.length;
+    var bands = [];
+    for (var b = 0; b < this._centres.length; b++) {
+      var sum = 0;
+      for (var i = 0; i < n; i++) sum += rec.signatures[i].bands[b] || 0;
+      bands.push(Math.round(sum / n * 10) / 10);
+    }
+
+    // Keep peaks present in at least half the frames: the steady part of the sound
+    var all = [];
+    for (var j = 0; j < n; j++) all = all.concat(rec.signatures[j].peaks);
+    all.sort(function(a, b) { return a - b; });
+    var peaks = [];
+    var cluster = [];
+    for (var k = 0; k <= all.length; k++) {
+      if (k < all.length && (cluster.length === 0 || all[k] - cluster[cluster.length - 1] <= 3)) {
+        cluster.push(all[k]);
+        continue;
+      }
+      if (cluster.length >= n * 0.5) peaks.push(Math.round(this._mean(cluster) * 10) / 10);
+      cluster = k < all.length ? [all[k]] : [];
+    }
+
+    var fp = {
+      id: 'noise-' + Date.now().toString(36),
+      label: rec.label,
+      category: null,
+      builtIn: false,
+      bands: bands,
+      peaks: peaks,
+      tonal: peaks.length > 0,
+      frames: n,
+      recordedAt: new Date().toISOString()
+    };
+    this._custom.push(fp);
+    this._save();
+    return fp;
+  }
+
+  cancelRecording() {
+    this._recording = null;
+  }
+
+  /**
+   * Render the fingerprint list; custom entries get a remove button.
+   * @returns {string} HTML
+   */
+  renderList() {
+    var html = '';
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      var fp = all[i];
+      html += '<div class="fingerprint-item"><span class="fingerprint-name">' + this._escape(fp.label) + '</span>';
+      html += '<span class="fingerprint-detail">' + (fp.builtIn ? 'Built-in' : 'Recorded' +
+        (fp.peaks.length > 0 ? ' | ' + fp.peaks.length + ' tone' + (fp.peaks.length !== 1 ? 's' : '') : ' | broadband')) + '</span>';
+      if (!fp.builtIn) html += '<button class="profile-btn profile-btn-danger" data-fingerprint-remove="' + fp.id + '">Remove</button>';
+      html += '</div>';
+    }
+    return html;
+  }
+
+  // Coverage of the lowest harmonics, scaled by how many peaks the comb explains.
+  // Only the first six harmonics are checked: a 120Hz buzz also sits on a 60Hz comb,
+  // and the missing odd harmonics are what tells them apart.
+  _combScore(peaks, comb) {
+    if (!peaks || peaks.length === 0) return 0;
+    var highest = peaks[peaks.length - 1];
+    var best = 0;
+    for (var i = 0; i < comb.f0.length; i++) {
+      var f0 = comb.f0[i];
+      var expected = 0;
+      var found = 0;
+      for (var h = 1; h <= Math.min(6, comb.harmonics) && h * f0 <= highest + 3; h++) {
+        expected++;
+        if (this._nearest(peaks, h * f0) <= Math.max(3, h * f0 * 0.01)) found++;
+      }
+      if (expected === 0) continue;
+      var onComb = peaks.filter(function(p) {
+        var n = Math.round(p / f0);
+        return n >= 1 && n <= comb.harmonics && Math.abs(p - n * f0) <= Math.max(3, p * 0.01);
+      }).length;
+      var score = (found / expected) * Math.sqrt(onComb / peaks.length);
+      if (score > best) best = score;
+    }
+    return best;
+  }
+
+  _peakOverlap(peaks, reference) {
+    if (!peaks || peaks.length === 0) return 0;
+    var found = 0;
+    for (var i = 0; i < reference.length; i++) {
+      if (this._nearest(peaks, reference[i]) <= Math.max(3, reference[i] * 0.01)) found++;
+    }
+    return found / reference.length;
+  }
+
+  _nearest(peaks, freq) {
+    var best = Infinity;
+    for (var i = 0; i < peaks.length; i++) {
+      var d = Math.abs(peaks[i] - freq);
+      if (d < best) best = d;
+    }
+    return best;
+  }
+
+  _correlation(a, b) {
+    var ma = this._mean(a);
+    var mb = this._mean(b);
+    var num = 0;
+    var da = 0;
+    var db = 0;
+    for (var i = 0; i < a.length; i++) {
+      num += (a[i] - ma) * (b[i] - mb);
+      da += (a[i] - ma) * (a[i] - ma);
+      db += (b[i] - mb) * (b[i] - mb);
+    }
+    return da > 0 && db > 0 ? num / Math.sqrt(da * db) : 0;
+  }
+
+  // Evaluate a dB-vs-frequency curve at the band centres, relative to its average
+  _shape(curve) {
+    var values = this._centres.map(curve);
+    var mean = this._mean(values);
+    return values.map(function(v) { return Math.round((v - mean) * 10) / 10; });
+  }
+
+  _mean(arr) {
+    if (!arr || arr.length === 0) return 0;
+    var sum = 0;
+    for (var i = 0; i < arr.length; i++) sum += arr[i];
+    return sum / arr.length;
+  }
+
+  _load() {
+    try {
+      var stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(function(fp) { return fp && fp.id && Array.isArray(fp.bands); }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this._custom));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.NoiseFingerprints = NoiseFingerprints;
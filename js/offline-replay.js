@@ -0,0 +1,298 @@
+/**
+ * OfflineReplay — Re-runs saved or imported recordings through the analysis pipeline
+ *
+ * Decodes an audio file, then steps through it at the live frame rate (~30fps),
+ * feeding EVPAudioEngine, EVPClassifier and WordDetector exactly as app.js does
+ * during a live scan. A virtual clock replaces performance.now(), so the same file
+ * with the same thresholds always yields the same classifications — faster than
+ * real time and suitable for regression fixtures.
+ */
+
+/**
+ * ReplayAnalyser — AnalyserNode stand-in backed by decoded samples.
+ * Mirrors the Web Audio spec: Blackman window, |X|/N magnitude, temporal smoothing,
+ * and byte scaling between minDecibels and maxDecibels.
+ */
+class ReplayAnalyser {
+  /**
+   * @param {Float32Array} samples - mono PCM samples
+   * @param {number} fftSize - must match EVPAudioEngine.fftSize
+   */
+  constructor(samples, fftSize) {
+    this.samples = samples;
+    this.fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this.minDecibels = -100;
+    this.maxDecibels = -10;
+    this.smoothingTimeConstant = 0.3;
+
+    this._fft = new FFT(fftSize);
+    this._re = new Float64Array(fftSize);
+    this._im = new Float64Array(fftSize);
+    this._smoothed = new Float64Array(this.frequencyBinCount);
+    this._dB = new Float32Array(this.frequencyBinCount);
+    this._position = 0;
+    this._spectrumPosition = -1;
+
+    // Blackman window (alpha = 0.16), as specified for AnalyserNode
+    this._window = new Float64Array(fftSize);
+    for (var i = 0; i < fftSize; i++) {
+      var t = i / fftSize;
+      this._window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+    }
+  }
+
+  /**
+   * Move the analysis window so it ends at the given sample index.
+   * @param {number} endSample
+   */
+  setPosition(endSample) {
+    this._position = endSample;
+  }
+
+  getFloatTimeDomainData(array) {
+    var start = this._position - this.fftSize;
+    for (var i = 0; i < array.length; i++) {
+      var idx = start + i;
+      array[i] = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+    }
+  }
+
+  getFloatFrequencyData(array) {
+    this._computeSpectrum();
+    var len = Math.min(array.length, this.frequencyBinCount);
+    for (var i = 0; i < len; i++) array[i] = this._dB[i];
+  }
+
+  getByteFrequencyData(array) {
+    this._computeSpectrum();
+    var range = this.maxDecibels - this.minDecibels;
+    var len = Math.min(array.length, this.frequencyBinCount);
+    for (var i = 0; i < len; i++) {
+      var scaled = Math.floor((255 / range) * (this._dB[i] - this.minDecibels));
+      array[i] = Math.max(0, Math.min(255, scaled));
+    }
+  }
+
+  /**
+   * Compute the smoothed spectrum once per position (smoothing is stateful,
+   * so repeated reads of the same frame must not apply it twice).
+   */
+  _computeSpectrum() {
+    if (this._spectrumPosition === this._position) return;
+    this._spectrumPosition = this._position;
+
+    var n = this.fftSize;
+    var start = this._position - n;
+    for (var i = 0; i < n; i++) {
+      var idx = start + i;
+      var sample = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+      this._re[i] = sample * this._window[i];
+      this._im[i] = 0;
+    }
+
+    this._fft.forward(this._re, this._im);
+
+    var tau = this.smoothingTimeConstant;
+    for (var k = 0; k < this.frequencyBinCount; k++) {
+      var mag = Math.sqrt(this._re[k] * this._re[k] + this._im[k] * this._im[k]) / n;
+      this._smoothed[k] = tau * this._smoothed[k] + (1 - tau) * mag;
+      this._dB[k] = this._smoothed[k] > 0 ? 20 * Math.log10(this._smoothed[k]) : -Infinity;
+    }
+  }
+}
+
+class OfflineReplay {
+  constructor() {
+    this.frameRate = 30;       // matches the live requestAnimationFrame cadence
+    this.wordFrameInterval = 3; // app.js feeds WordDetector every ~100ms
+    this.decodeSampleRate = 48000;
+    this.yieldEvery = 150;     // frames between yields to keep the UI responsive
+    this._running = false;
+    this._cancelled = false;
+  }
+
+  /**
+   * Decode a Blob, File or ArrayBuffer into an AudioBuffer at decodeSampleRate.
+   * @param {Blob|ArrayBuffer} source
+   * @returns {Promise<AudioBuffer>}
+   */
+  async decode(source) {
+    var arrayBuffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    var OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    var ctx = new OfflineCtx(1, 1, this.decodeSampleRate);
+    return ctx.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Replay a recording through fresh engine instances and build a new EvidenceReport.
+   * @param {Blob|ArrayBuffer|AudioBuffer} source - recording to analyse
+   * @param {Object} [options]
+   * @param {Object} [options.profile] - ClassificationProfiles entry to apply
+   * @param {Object} [options.thresholds] - EVPClassifier thresholds to apply (overrides the profile's)
+   * @param {Object} [options.wordLibrary] - WordLibraries entry to score words against
+   * @param {VoiceContamination} [options.contamination] - flags candidates matching an enrolled voice
+   * @param {NoiseFingerprints} [options.fingerprints] - labels anomalies and candidates with probable noise sources
+   * @param {Function} [options.onProgress] - called with 0-100
+   * @returns {Promise<Object>} {report, classifications, wordDetections, audio, duration, frames, sampleRate}
+   */
+  async run(source, options) {
+    if (this._running) throw new Error('OfflineReplay: a replay is already in progress');
+    options = options || {};
+    this._running = true;
+    this._cancelled = false;
+
+    try {
+      var audioBuffer = typeof source.getChannelData === 'function' ? source : await this.decode(source);
+      var samples = this._mixdown(audioBuffer);
+      var sampleRate = audioBuffer.sampleRate;
+
+      // Fresh engines so live session state is never touched
+      var audioEngine = new EVPAudioEngine();
+      var classifier = new EVPClassifier();
+      var wordDetector = new WordDetector();
+
+      var clockMs = 0;
+      var clock = function() { return clockMs; };
+      audioEngine.setClock(clock);
+      classifier.setClock(clock);
+      wordDetector.setClock(clock);
+
+      if (options.profile) classifier.setProfile(options.profile);
+      if (options.wordLibrary) wordDetector.setLibrary(options.wordLibrary);
+      if (options.thresholds) {
+        classifier.thresholds = JSON.parse(JSON.stringify(options.thresholds));
+      }
+
+      var analyser = new ReplayAnalyser(samples, audioEngine.fftSize);
+      if (!audioEngine.initOffline(analyser, sampleRate)) {
+        throw new Error('OfflineReplay: audio engine rejected the replay analyser');
+      }
+
+      var hop = sampleRate / this.frameRate;
+      var frameMs = 1000 / this.frameRate;
+      var totalFrames = Math.floor(samples.length / hop);
+
+      for (var frame = 1; frame <= totalFrames; frame++) {
+        if (this._cancelled) throw new Error('OfflineReplay: cancelled');
+
+        clockMs = frame * frameMs;
+        analyser.setPosition(Math.round(frame * hop));
+
+        audioEngine.processAudioFrame();
+        var assess = audioEngine.getQuickAssess();
+        classifier.processFrame(assess, audioEngine.getNoiseFloor());
+
+        if (frame % this.wordFrameInterval === 0) {
+          wordDetector.processFrame(audioEngine.getFormantAnalysis(), assess, audioEngine.getConsonantCues());
+        }
+
+        if (frame % this.yieldEvery === 0) {
+          if (options.onProgress) options.onProgress(Math.round((frame / totalFrames) * 100));
+          await new Promise(function(resolve) { setTimeout(resolve, 0); });
+        }
+      }
+
+      // Flush trailing segments the same way a quiet tail would
+      clockMs += 1000;
+      wordDetector.forceCheck();
+
+      var duration = samples.length / sampleRate;
+      var audioReport = audioEngine.fullAnalysis();
+      audioReport.duration = duration;
+      var classifierReport = classifier.fullAnalysis();
+      if (options.contamination) options.contamination.annotate(classifierReport.classifications);
+      if (options.fingerprints) {
+        options.fingerprints.annotate(audioReport.anomalyEvents);
+        options.fingerprints.annotate(classifierReport.classifications);
+      }
+
+      var report = new EvidenceReport();
+      report.analyze(audioReport, null, null, null, classifierReport, {
+        isRecording: false,
+        hasRecording: true,
+        duration: duration,
+        isPlaying: false,
+        playbackMode: 'forward',
+        replayed: true
+      }, wordDetector.getDetections());
+
+      if (options.onProgress) options.onProgress(100);
+
+      return {
+        report: report,
+        classifications: classifierReport.classifications,
+        wordDetections: wordDetector.getDetections(),
+        audio: audioReport,
+        thresholds: JSON.parse(JSON.stringify(classifier.thresholds)),
+        duration: duration,
+        frames: totalFrames,
+        sampleRate: sampleRate
+      };
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Reduce a replay result to a stable JSON fixture for regression comparisons.
+   * @param {Object} result - value returned by run()
+   * @returns {Object}
+   */
+  toFixture(result) {
+    return {
+      sampleRate: result.sampleRate,
+      frames: result.frames,
+      duration: Math.round(result.duration * 1000) / 1000,
+      thresholds: result.thresholds,
+      classifications: result.classifications.map(function(c) {
+        return {
+          class: c.class,
+          confidence: c.confidence,
+          timestamp: Math.round(c.timestamp * 1000) / 1000,
+          duration: c.duration,
+          spectralCentroid: c.spectralCentroid,
+          hnr: c.hnr,
+          snr: c.snr,
+          formants: c.formants
+        };
+      }),
+      wordDetections: result.wordDetections.map(function(w) {
+        return { word: w.word, confidence: w.confidence, timestamp: Math.round(w.timestamp * 1000) / 1000 };
+      })
+    };
+  }
+
+  /**
+   * Abort a replay in progress.
+   */
+  cancel() {
+    this._cancelled = true;
+  }
+
+  /**
+   * @returns {boolean} whether a replay is currently running
+   */
+  isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Average all channels into a single mono Float32Array.
+   * @param {AudioBuffer} audioBuffer
+   * @returns {Float32Array}
+   */
+  _mixdown(audioBuffer) {
+    var channels = audioBuffer.numberOfChannels;
+    if (channels === 1) return audioBuffer.getChannelData(0);
+    var out = new Float32Array(audioBuffer.length);
+    for (var c = 0; c < channels; c++) {
+      var data = audioBuffer.getChannelData(c);
+      for (var i = 0; i < data.length; i++) out[i] += data[i] / channels;
+    }
+    return out;
+  }
+}
+
+window.ReplayAnalyser = ReplayAnalyser;
+window.OfflineReplay = OfflineReplay;
@@ -0,0 +1,388 @@
+/**
+ * QuestionSession — Guided question-and-answer EVP protocol
+ *
+ * The classic EVP session: ask a question aloud, stay quiet for 10-20 seconds, repeat.
+ * Each question is shown (and optionally spoken by the host page) during a short ask
+ * phase, then a timed response window opens. EVPClassifier and WordDetector hits are
+ * attributed by timestamp to the window they fall in; hits during the ask phase are kept
+ * apart because they are most likely the investigator's own voice.
+ *
+ * Optional silent control windows (same length, no question) can be interleaved so the
+ * report can compare the response rate after questions with the background rate.
+ *
+ * All times are session seconds, measured from the sessionStart passed to start().
+ */
+class QuestionSession {
+  constructor() {
+    this.sets = [
+      {
+        id: 'standard',
+        name: 'Standard EVP questions',
+        questions: [
+          'Is there anyone here with us?',
+          'What is your name?',
+          'How old are you?',
+          'Do you know what year it is?',
+          'Did you live here?',
+          'Is there something you want to tell us?',
+          'Can you say your name into this device?',
+          'Do you want us to leave?'
+        ]
+      },
+      {
+        id: 'yes-no',
+        name: 'Yes / no questions',
+        questions: [
+          'Is anyone here? Say yes.',
+          'Are you a man?',
+          'Are you a woman?',
+          'Are you a child?',
+          'Did you die here?',
+          'Are you alone?',
+          'Can you hear us?'
+        ]
+      },
+      {
+        id: 'history',
+        name: 'Location history',
+        questions: [
+          'Did you work in this building?',
+          'Is this your home?',
+          'Do you know who lives here now?',
+          'Was someone hurt in this room?',
+          'Are you waiting for someone?',
+          'Why are you still here?'
+        ]
+      }
+    ];
+
+    this.settings = {
+      askSeconds: 4,          // question on screen / being read out; hits here are not responses
+      responseSeconds: 15,    // silent window after each question
+      controlEvery: 0         // insert a silent control window after every Nth question; 0 = none
+    };
+    this.minResponseSeconds = 5;
+    this.maxResponseSeconds = 60;
+    this.maxQuestions = 50;
+    this.maxQuestionLength = 200;
+    this.storageKey = 'evpQuestionList';
+
+    this.items = [];          // planned sequence: {kind: 'question'|'control', text, number}
+    this.windows = [];        // one per item reached: see _openWindow()
+    this.phase = 'idle';      // 'idle' | 'asking' | 'listening' | 'done'
+    this.index = -1;
+    this.sessionStart = 0;
+
+    this.onChange = null;     // (state) => void, on every phase change, hit and 250ms tick
+    this.onAsk = null;        // (item) => void, when a question should be announced
+
+    this._clock = null;
+    this._timer = null;
+    this._phaseEnds = 0;
+  }
+
+  /**
+   * Override the millisecond clock (epoch ms by default, like the session start).
+   * @param {Function|null} clockFn
+   */
+  setClock(clockFn) {
+    this._clock = clockFn || null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} {id, name, questions}
+   */
+  getSet(id) {
+    return this.sets.find(s => s.id === id) || null;
+  }
+
+  /**
+   * Split typed text into questions: one per line, blank lines dropped.
+   * Markup characters are removed since questions are shown in reports and the timeline.
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  parseQuestions(text) {
+    return String(text || '')
+      .split(/\r?\n/)
+      .map(q => q.replace(/[<>&"]/g, '').trim().replace(/\s+/g, ' ').slice(0, this.maxQuestionLength))
+      .filter(q => q.length > 0)
+      .slice(0, this.maxQuestions);
+  }
+
+  /**
+   * @returns {string} the investigator's last typed question list, or ''
+   */
+  loadCustomQuestions() {
+    try {
+      return localStorage.getItem(this.storageKey) || '';
+    } catch (e) { return ''; /* localStorage unavailable */ }
+  }
+
+  /**
+   * @param {string} text
+   */
+  saveCustomQuestions(text) {
+    try {
+      localStorage.setItem(this.storageKey, this.parseQuestions(text).join('\n'));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  /**
+   * @param {Object} settings - any of askSeconds, responseSeconds, controlEvery
+   */
+  configure(settings) {
+    settings = settings || {};
+    if (settings.responseSeconds !== undefined) {
+      const s = Number(settings.responseSeconds) || this.settings.responseSeconds;
+      this.settings.responseSeconds = Math.max(this.minResponseSeconds, Math.min(this.maxResponseSeconds, s));
+    }
+    if (settings.askSeconds !== undefined) {
+      this.settings.askSeconds = Math.max(0, Math.min(15, Number(settings.askSeconds) || 0));
+    }
+    if (settings.controlEvery !== undefined) {
+      this.settings.controlEvery = Math.max(0, Math.floor(Number(settings.controlEvery) || 0));
+    }
+  }
+
+  /**
+   * Begin the protocol with the first question. Windows from an earlier run in the
+   * same investigation are kept; clearAll() starts afresh.
+   * @param {Array<string>} questions
+   * @param {number} sessionStart - epoch ms the investigation started; hit timestamps are relative to it
+   * @returns {boolean} false if there are no questions
+   */
+  start(questions, sessionStart) {
+    const list = this.parseQuestions((questions || []).join('\n'));
+    if (list.length === 0) return false;
+    this.stop();
+
+    this.sessionStart = sessionStart;
+    this.items = [];
+    const every = this.settings.controlEvery;
+    list.forEach((text, i) => {
+      this.items.push({ kind: 'question', text: text, number: i + 1 });
+      if (every > 0 && (i + 1) % every === 0) this.items.push({ kind: 'control', text: '', number: i + 1 });
+    });
+
+    this.index = -1;
+    this._timer = setInterval(() => this._tick(), 250);
+    this._advance();
+    return true;
+  }
+
+  /**
+   * Skip the rest of the current phase: asking goes straight to listening,
+   * listening moves on to the next item.
+   */
+  next() {
+    if (this.phase === 'asking') {
+      this._listen();
+    } else if (this.phase === 'listening') {
+      this._advance();
+    }
+  }
+
+  /**
+   * End the protocol early. Windows already opened are kept for the report.
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (this.phase === 'asking' || this.phase === 'listening') {
+      this._closeWindow();
+      this.phase = 'done';
+      this._emit();
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.phase === 'asking' || this.phase === 'listening';
+  }
+
+  /**
+   * Attribute a detection to the window it happened in.
+   * @param {string} type - 'evp' or 'word'
+   * @param {number} timestamp - session seconds
+   * @param {Object} detail - {class, confidence} for EVPs, {word, confidence} for words
+   * @returns {Object|null} the window, or null if the hit fell outside every window
+   */
+  recordHit(type, timestamp, detail) {
+    for (let i = this.windows.length - 1; i >= 0; i--) {
+      const w = this.windows[i];
+      const end = w.windowEnd === null ? Infinity : w.windowEnd;
+      if (timestamp < w.askedAt || timestamp >= end) continue;
+
+      const hit = Object.assign({ type: type, time: Math.round(timestamp * 10) / 10 }, detail || {});
+      if (w.windowStart === null || timestamp < w.windowStart) {
+        w.duringQuestion.push(hit);
+      } else {
+        hit.delay = Math.round((timestamp - w.windowStart) * 10) / 10;
+        w.responses.push(hit);
+      }
+      this._emit();
+      return w;
+    }
+    return null;
+  }
+
+  /**
+   * Current protocol state for the UI.
+   * @returns {Object} {phase, kind, text, number, position, total, remaining, responses}
+   */
+  getState() {
+    const item = this.items[this.index] || null;
+    const w = this.windows[this.windows.length - 1] || null;
+    const questions = this.items.filter(it => it.kind === 'question').length;
+    return {
+      phase: this.phase,
+      kind: item ? item.kind : null,
+      text: item ? item.text : '',
+      number: item ? item.number : 0,
+      position: this.index + 1,
+      total: this.items.length,
+      questions: questions,
+      remaining: this.isActive() ? Math.max(0, Math.ceil((this._phaseEnds - this._clockNow()) / 1000)) : 0,
+      responses: w && this.isActive() ? w.responses.length : 0
+    };
+  }
+
+  /**
+   * Per-window results and question vs control response rates for the evidence report.
+   * @returns {Object|null} null if no protocol was run
+   */
+  fullAnalysis() {
+    if (this.windows.length === 0) return null;
+
+    const rate = (kind) => {
+      // Windows cut off during the ask phase never listened, so they are not silent controls
+      const ws = this.windows.filter(w => w.kind === kind && w.windowEnd !== null && w.windowEnd > w.windowStart);
+      const seconds = ws.reduce((sum, w) => sum + (w.windowEnd - w.windowStart), 0);
+      const hits = ws.reduce((sum, w) => sum + w.responses.length, 0);
+      return {
+        windows: ws.length,
+        seconds: Math.round(seconds),
+        responses: hits,
+        silent: ws.filter(w => w.responses.length === 0).length,
+        perMinute: seconds > 0 ? Math.round(hits / seconds * 600) / 10 : 0
+      };
+    };
+
+    return {
+      settings: Object.assign({}, this.settings),
+      completed: this.phase === 'done' && this.index >= this.items.length,
+      windows: this.windows.map(w => ({
+        kind: w.kind,
+        number: w.number,
+        text: w.text,
+        askedAt: w.askedAt,
+        windowStart: w.windowStart,
+        windowEnd: w.windowEnd,
+        responses: w.responses.map(h => Object.assign({}, h)),
+        duringQuestion: w.duringQuestion.map(h => Object.assign({}, h))
+      })),
+      questions: rate('question'),
+      controls: rate('control')
+    };
+  }
+
+  clearAll() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this.items = [];
+    this.windows = [];
+    this.phase = 'idle';
+    this.index = -1;
+    this._phaseEnds = 0;
+  }
+
+  // ─── Internal ───────────────────────────────────────────────────────────────
+
+  _advance() {
+    this._closeWindow();
+    this.index++;
+    if (this.index >= this.items.length) {
+      if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+      }
+      this.phase = 'done';
+      this._emit();
+      return;
+    }
+
+    const item = this.items[this.index];
+    this._openWindow(item);
+    if (item.kind === 'question' && this.settings.askSeconds > 0) {
+      this.phase = 'asking';
+      this._phaseEnds = this._clockNow() + this.settings.askSeconds * 1000;
+      if (this.onAsk) this.onAsk(item);
+      this._emit();
+    } else {
+      this._listen();
+    }
+  }
+
+  _listen() {
+    const w = this.windows[this.windows.length - 1];
+    if (w) w.windowStart = this._seconds();
+    this.phase = 'listening';
+    this._phaseEnds = this._clockNow() + this.settings.responseSeconds * 1000;
+    this._emit();
+  }
+
+  // A window spans the ask phase and the response window; windowStart marks the split
+  _openWindow(item) {
+    this.windows.push({
+      kind: item.kind,
+      number: item.number,
+      text: item.text,
+      askedAt: this._seconds(),
+      windowStart: null,
+      windowEnd: null,
+      responses: [],
+      duringQuestion: []
+    });
+  }
+
+  _closeWindow() {
+    const w = this.windows[this.windows.length - 1];
+    if (w && w.windowEnd === null) {
+      w.windowEnd = this._seconds();
+      if (w.windowStart === null) w.windowStart = w.windowEnd;
+    }
+  }
+
+  _tick() {
+    if (!this.isActive()) return;
+    if (this._clockNow() < this._phaseEnds) {
+      this._emit();
+    } else if (this.phase === 'asking') {
+      this._listen();
+    } else {
+      this._advance();
+    }
+  }
+
+  _emit() {
+    if (this.onChange) this.onChange(this.getState());
+  }
+
+  _seconds() {
+    return Math.round((this._clockNow() - this.sessionStart) / 100) / 10;
+  }
+
+  _clockNow() {
+    return this._clock ? this._clock() : Date.now();
+  }
+}
+
+window.QuestionSession = QuestionSession;
@@ -2,6 +2,14 @@
  * SessionRecorder — Audio recording, reverse playback, and export
  * Uses MediaRecorder API for capture and AudioBuffer manipulation for reverse playback.
  * Supports audio/webm;codecs=opus with fallbacks to audio/webm, audio/ogg, audio/mp4.
+ * Lossless WAV export (16/24-bit PCM or 32-bit float) re-encodes the decoded recording
+ * and embeds session metadata in a LIST/INFO chunk.
+ * With a SpectralDenoiser attached, setDenoise() switches playback, clips and WAV export
+ * between the raw and the noise-reduced recording.
+ * Review playback (full recording and clips) supports 0.25x-2x speed, pitch shift and a
+ * looped region; a TimeStretcher keeps the pitch when slowing down. Stretched playback
+ * works through the recording a window at a time, so long sessions never have to be
+ * held stretched in memory as a whole.
  */
 class SessionRecorder {
   constructor() {
@@ -20,14 +28,50 @@ class SessionRecorder {
     this.duration = 0;
     this.playbackMode = 'forward'; // 'forward' or 'reverse'
 
-    // Current playback source node (for stopping)
-    this.playbackSource = null;
+    // Current playback source nodes (for stopping) and their timing. Stretched playback
+    // queues the next window's source before the current one ends.
+    this.playbackSources = [];
+    this._playback = null;
 
     // MIME type determined during init
     this._mimeType = null;
 
     // Promise resolve for stopRecording
     this._stopResolve = null;
+
+    // Decoded recording cache (shared by playback and clip extraction)
+    this._decodedBuffer = null;
+    this._decodedBlob = null;
+
+    // Per-EVP clip extraction: padding in seconds around each classification
+    this.clipPreRoll = 1.0;
+    this.clipPostRoll = 1.0;
+    this.clips = [];
+
+    // WAV export: 'pcm16', 'pcm24' or 'float32', plus session metadata for LIST/INFO
+    this.wavFormat = 'pcm16';
+    this.metadata = {};
+
+    // Noise reduction: a SpectralDenoiser and whether the cleaned audio is in use.
+    // The cleaned recording is cached per recording and denoiser version.
+    this.denoiser = null;
+    this.denoise = false;
+    this._cleanBuffer = null;
+    this._cleanKey = null;
+    this._cleanPending = null;
+    this._denoiseVersion = null;    // denoiser version the current selection was made with
+
+    // Review playback: speed, pitch shift in semitones, and an optional loop region in
+    // recording seconds. Without a TimeStretcher, speed changes also change the pitch.
+    this.stretcher = null;
+    this.playbackSettings = { rate: 1, pitch: 0, preservePitch: true };
+    this.loopRegion = null;
+    this.onStretchProgress = null;  // called with 0-100 while audio is being stretched
+    this.stretchWindowSeconds = 10; // recording seconds stretched at a time (up to 8x longer once stretched)
+    this.loopFadeSeconds = 0.02;    // crossfade where a stretched loop wraps
+    this._stretched = null;         // the last two stretched windows: see _stretchedBuffer()
+    this._stretching = false;
+    this._playToken = 0;
   }
 
   /**
@@ -106,6 +150,8 @@ class SessionRecorder {
     try {
       this.recordedChunks = [];
       this.recordedBlob = null;
+      this.denoise = false;
+      this._denoiseVersion = null;
       this.mediaRecorder.start(1000); // Record in 1-second chunks
       this.startTime = Date.now();
       this._isRecording = true;
@@ -154,52 +200,8 @@ class SessionRecorder {
     this.stopPlayback();
 
     try {
-      this.audioContext = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
-
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
-      }
-
-      // Read blob as ArrayBuffer
-      var arrayBuffer = await this.recordedBlob.arrayBuffer();
-
-      // Decode to AudioBuffer
-      var audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-      // Create a new AudioBuffer with the same properties
-      var reversedBuffer = this.audioContext.createBuffer(
-        audioBuffer.numberOfChannels,
-        audioBuffer.length,
-        audioBuffer.sampleRate
-      );
-
-      // For each channel, copy samples in reverse order
-      for (var channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-        var inputData = audioBuffer.getChannelData(channel);
-        var outputData = reversedBuffer.getChannelData(channel);
-        var len = inputData.length;
-        for (var i = 0; i < len; i++) {
-          outputData[i] = inputData[len - 1 - i];
-        }
-      }
-
-      // Create source node and play
-      var self = this;
-      return new Promise(function(resolve) {
-        self.playbackSource = self.audioContext.createBufferSource();
-        self.playbackSource.buffer = reversedBuffer;
-        self.playbackSource.connect(self.audioContext.destination);
-
-        self.playbackSource.onended = function() {
-          self._isPlaying = false;
-          self.playbackSource = null;
-          resolve();
-        };
-
-        self.playbackSource.start();
-        self._isPlaying = true;
-        self.playbackMode = 'reverse';
-      });
+      var audioBuffer = await this._getPlaybackBuffer();
+      return this._playBuffer(this.reverseBuffer(audioBuffer), 'reverse');
     } catch (err) {
       console.error('SessionRecorder: Reverse playback failed', err);
       this._isPlaying = false;
@@ -219,49 +221,677 @@ class SessionRecorder {
     this.stopPlayback();
 
     try {
-      this.audioContext = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
+      var audioBuffer = await this._getPlaybackBuffer();
+      return this._playBuffer(audioBuffer, 'forward');
+    } catch (err) {
+      console.error('SessionRecorder: Forward playback failed', err);
+      this._isPlaying = false;
+    }
+  }
+
+  /**
+   * Play the recording forward starting at a session time.
+   * @param {number} seconds - offset from the start of the recording
+   * @returns {Promise<void>} resolves when playback completes
+   */
+  async playFrom(seconds) {
+    if (!this.recordedBlob) return;
+
+    this.stopPlayback();
+
+    try {
+      var audioBuffer = await this._getPlaybackBuffer();
+      return this._playBuffer(audioBuffer, 'forward', seconds);
+    } catch (err) {
+      console.error('SessionRecorder: Seek playback failed', err);
+      this._isPlaying = false;
+    }
+  }
 
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
+  /**
+   * Current playback position in recording time (seconds), accounting for
+   * reverse playback and clip offsets. Returns null when nothing is playing.
+   * @returns {number|null}
+   */
+  getPlaybackPosition() {
+    if (!this._isPlaying || !this._playback || !this.audioContext) return null;
+    var p = this._playback;
+    var elapsed = this._elapsed(p);
+    return p.mode === 'reverse' ? p.origin + p.duration - elapsed : p.origin + elapsed;
+  }
+
+  /**
+   * Return a copy of an AudioBuffer with every channel reversed.
+   * @param {AudioBuffer} audioBuffer
+   * @returns {AudioBuffer}
+   */
+  reverseBuffer(audioBuffer) {
+    var reversedBuffer = this._ensureContext().createBuffer(
+      audioBuffer.numberOfChannels,
+      audioBuffer.length,
+      audioBuffer.sampleRate
+    );
+
+    // For each channel, copy samples in reverse order
+    for (var channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      var inputData = audioBuffer.getChannelData(channel);
+      var outputData = reversedBuffer.getChannelData(channel);
+      var len = inputData.length;
+      for (var i = 0; i < len; i++) {
+        outputData[i] = inputData[len - 1 - i];
       }
+    }
+    return reversedBuffer;
+  }
 
-      var arrayBuffer = await this.recordedBlob.arrayBuffer();
-      var audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+  /**
+   * Copy a time range of an AudioBuffer into a new AudioBuffer.
+   * The range is clamped to the buffer bounds.
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} startSec
+   * @param {number} endSec
+   * @returns {AudioBuffer}
+   */
+  sliceBuffer(audioBuffer, startSec, endSec) {
+    var rate = audioBuffer.sampleRate;
+    var startSample = Math.max(0, Math.floor(startSec * rate));
+    var endSample = Math.min(audioBuffer.length, Math.ceil(endSec * rate));
+    var length = Math.max(1, endSample - startSample);
 
-      var self = this;
-      return new Promise(function(resolve) {
-        self.playbackSource = self.audioContext.createBufferSource();
-        self.playbackSource.buffer = audioBuffer;
-        self.playbackSource.connect(self.audioContext.destination);
+    var out = this._ensureContext().createBuffer(audioBuffer.numberOfChannels, length, rate);
+    for (var channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      out.getChannelData(channel).set(
+        audioBuffer.getChannelData(channel).subarray(startSample, startSample + length)
+      );
+    }
+    return out;
+  }
 
-        self.playbackSource.onended = function() {
-          self._isPlaying = false;
-          self.playbackSource = null;
-          resolve();
-        };
+  // ─── Per-EVP Clips ──────────────────────────────────────────────────────────
+
+  /**
+   * Set the padding added before and after each EVP clip.
+   * @param {number} preRoll - seconds before the classification start
+   * @param {number} postRoll - seconds after the classification end
+   */
+  setClipPadding(preRoll, postRoll) {
+    this.clipPreRoll = Math.max(0, Math.min(10, preRoll));
+    this.clipPostRoll = Math.max(0, Math.min(10, postRoll));
+  }
+
+  /**
+   * Cut a short clip around each classification from the finished recording.
+   * Classification timestamps are seconds from scan start, which is also when
+   * recording begins.
+   * @param {Array} classifications - from EVPClassifier.getClassifications()
+   * @returns {Promise<Array>} clips: {index, class, confidence, timestamp, start, end, buffer}
+   */
+  async extractClips(classifications) {
+    this.clips = [];
+    if (!this.recordedBlob || !classifications || classifications.length === 0) return this.clips;
 
-        self.playbackSource.start();
-        self._isPlaying = true;
-        self.playbackMode = 'forward';
+    var audioBuffer = await this._getDecodedBuffer();
+    var total = audioBuffer.duration;
+
+    for (var i = 0; i < classifications.length; i++) {
+      var c = classifications[i];
+      var start = Math.max(0, c.timestamp - this.clipPreRoll);
+      var end = Math.min(total, c.timestamp + (c.duration || 0) + this.clipPostRoll);
+      if (end <= start) continue;
+
+      this.clips.push({
+        index: i,
+        class: c.class,
+        confidence: c.confidence,
+        timestamp: c.timestamp,
+        start: start,
+        end: end,
+        preRoll: c.timestamp - start,
+        buffer: this.sliceBuffer(audioBuffer, start, end)
       });
+    }
+    return this.clips;
+  }
+
+  /**
+   * Return the clip extracted for a classification index, or null.
+   * @param {number} index
+   * @returns {Object|null}
+   */
+  getClip(index) {
+    for (var i = 0; i < this.clips.length; i++) {
+      if (this.clips[i].index === index) return this.clips[i];
+    }
+    return null;
+  }
+
+  /**
+   * Play one EVP clip forward or in reverse.
+   * @param {Object} clip - from extractClips()
+   * @param {boolean} [reverse]
+   * @returns {Promise<void>}
+   */
+  async playClip(clip, reverse) {
+    if (!clip) return;
+    this.stopPlayback();
+    try {
+      var buffer = await this._clipBuffer(clip);
+      return this._playBuffer(reverse ? this.reverseBuffer(buffer) : buffer, reverse ? 'reverse' : 'forward', 0, clip.start, clip);
     } catch (err) {
-      console.error('SessionRecorder: Forward playback failed', err);
+      console.error('SessionRecorder: Clip playback failed', err);
       this._isPlaying = false;
     }
   }
 
+  /**
+   * Download one EVP clip as a standalone WAV file.
+   * @param {Object} clip - from extractClips()
+   * @param {boolean} [reverse]
+   * @returns {Promise<void>}
+   */
+  async exportClip(clip, reverse) {
+    if (!clip) return;
+    var buffer = await this._clipBuffer(clip);
+    if (reverse) buffer = this.reverseBuffer(buffer);
+    var t = Math.floor(clip.timestamp);
+    var filename = 'evp-class-' + clip.class.toLowerCase() + '-' +
+      Math.floor(t / 60) + 'm' + (t % 60 < 10 ? '0' : '') + (t % 60) + 's' +
+      (reverse ? '-reversed' : '') + (this.denoise ? '-denoised' : '') + '.wav';
+    this._downloadBlob(this.encodeWav(buffer, {
+      format: this.wavFormat,
+      metadata: this._clipMetadata(clip, reverse)
+    }), filename);
+  }
+
+  // ─── Noise Reduction ────────────────────────────────────────────────────────
+
+  /**
+   * Attach the SpectralDenoiser used when noise reduction is switched on.
+   * @param {SpectralDenoiser} denoiser
+   */
+  setDenoiser(denoiser) {
+    this.denoiser = denoiser;
+  }
+
+  /**
+   * Switch playback, clips and WAV export between raw and cleaned audio (A/B).
+   * The first switch to cleaned audio processes the whole recording; playback in
+   * progress carries on from the same position in the other version. Calling it again
+   * after the denoiser's profile or strength changed swaps in the re-cleaned audio.
+   * @param {boolean} enabled
+   * @param {Function} [onProgress] - called with 0-100 while the recording is processed
+   * @returns {Promise<boolean>} whether noise reduction is now on
+   */
+  async setDenoise(enabled, onProgress) {
+    enabled = !!enabled && !!this.denoiser && this.denoiser.hasProfile();
+    if (enabled && this.recordedBlob) await this._getCleanBuffer(onProgress);
+    var version = enabled ? this.denoiser.version : null;
+    if (enabled === this.denoise && version === this._denoiseVersion) return enabled;
+    this.denoise = enabled;
+    this._denoiseVersion = version;
+    if (this._isPlaying && this._playback) await this._switchPlayback();
+    return enabled;
+  }
+
+  /**
+   * Take the denoiser's noise estimate from a noise-only stretch of the recording.
+   * @param {number} startSec
+   * @param {number} endSec
+   * @returns {Promise<boolean>} false if there is no recording or the region is too short
+   */
+  async setNoiseRegion(startSec, endSec) {
+    if (!this.denoiser || !this.recordedBlob || !(endSec > startSec)) return false;
+    var audioBuffer = await this._getDecodedBuffer();
+    return this.denoiser.setProfileFromRegion(audioBuffer, startSec, endSec);
+  }
+
+  /**
+   * The recording as currently selected: cleaned when noise reduction is on.
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _getPlaybackBuffer() {
+    return this.denoise ? this._getCleanBuffer() : this._getDecodedBuffer();
+  }
+
+  /**
+   * Denoise the whole recording once per recording and denoiser version.
+   * Concurrent callers share one processing run.
+   * @param {Function} [onProgress]
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _getCleanBuffer(onProgress) {
+    var audioBuffer = await this._getDecodedBuffer();
+    var key = this.denoiser.version;
+    if (this._cleanBuffer && this._cleanKey === key && this._decodedBuffer === audioBuffer) return this._cleanBuffer;
+    if (this._cleanPending && this._cleanPending.key === key && this._cleanPending.source === audioBuffer) {
+      return this._cleanPending.promise;
+    }
+
+    var self = this;
+    var promise = this.denoiser.process(audioBuffer, this._ensureContext(), onProgress).then(function(clean) {
+      if (self._cleanPending && self._cleanPending.promise === promise) {
+        self._cleanBuffer = clean;
+        self._cleanKey = key;
+        self._cleanPending = null;
+      }
+      return clean;
+    }, function(err) {
+      if (self._cleanPending && self._cleanPending.promise === promise) self._cleanPending = null;
+      throw err;
+    });
+    this._cleanPending = { key: key, source: audioBuffer, promise: promise };
+    return promise;
+  }
+
+  /**
+   * A clip's audio as currently selected, cut from the cleaned recording when
+   * noise reduction is on (the Wiener filter needs context before the clip starts).
+   * @param {Object} clip
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _clipBuffer(clip) {
+    if (!this.denoise) return clip.buffer;
+    var key = this.denoiser.version;
+    if (!clip.cleanBuffer || clip.cleanKey !== key) {
+      clip.cleanBuffer = this.sliceBuffer(await this._getCleanBuffer(), clip.start, clip.end);
+      clip.cleanKey = key;
+    }
+    return clip.cleanBuffer;
+  }
+
+  /**
+   * Restart the current playback from the same position with the current noise
+   * reduction, speed, pitch and loop settings.
+   */
+  async _switchPlayback() {
+    var p = this._playback;
+    var buffer = p.clip ? await this._clipBuffer(p.clip) : await this._getPlaybackBuffer();
+    if (!this._isPlaying || this._playback !== p) return;
+    if (p.mode === 'reverse') buffer = this.reverseBuffer(buffer);
+    var elapsed = this._elapsed(p);
+    this.stopPlayback();
+    this._playBuffer(buffer, p.mode, elapsed, p.origin, p.clip);
+  }
+
+  // ─── Speed, Pitch and Loop ──────────────────────────────────────────────────
+
+  /**
+   * Attach the TimeStretcher used for pitch-preserving speed changes and pitch shift.
+   * @param {TimeStretcher} stretcher
+   */
+  setTimeStretcher(stretcher) {
+    this.stretcher = stretcher;
+  }
+
+  /**
+   * Change review playback settings; playback in progress continues from the same
+   * position with the new settings.
+   * @param {Object} settings
+   * @param {number} [settings.rate] - 0.25 to 2
+   * @param {number} [settings.pitch] - semitones, -12 to +12
+   * @param {boolean} [settings.preservePitch] - time-stretch instead of varispeed
+   * @returns {Promise<void>}
+   */
+  async setPlaybackSettings(settings) {
+    var s = this.playbackSettings;
+    if (isFinite(settings.rate)) s.rate = Math.max(0.25, Math.min(2, Number(settings.rate)));
+    if (isFinite(settings.pitch)) s.pitch = Math.max(-12, Math.min(12, Number(settings.pitch)));
+    if (typeof settings.preservePitch === 'boolean') s.preservePitch = settings.preservePitch;
+    if (this._isPlaying && this._playback) await this._switchPlayback();
+  }
+
+  /**
+   * Loop playback over a stretch of the recording. Applies to the full recording and
+   * to any clip that overlaps the region.
+   * @param {number} startSec - recording time
+   * @param {number} endSec
+   * @returns {Promise<boolean>} false if the region is empty
+   */
+  async setLoop(startSec, endSec) {
+    if (!(endSec - startSec >= 0.05)) return false;
+    this.loopRegion = { start: Math.max(0, startSec), end: endSec };
+    if (this._isPlaying && this._playback) await this._switchPlayback();
+    return true;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clearLoop() {
+    this.loopRegion = null;
+    if (this._isPlaying && this._playback) await this._switchPlayback();
+  }
+
+  // Playback rate and time-stretch factor for the current settings. The stretched
+  // buffer is played faster by the pitch ratio, so the net speed is always rate.
+  _shape() {
+    var s = this.playbackSettings;
+    if (!this.stretcher) return { playbackRate: s.rate, stretch: 1 };
+    var pitch = (s.preservePitch ? 1 : s.rate) * Math.pow(2, s.pitch / 12);
+    var stretch = pitch / s.rate;
+    return { playbackRate: pitch, stretch: Math.abs(stretch - 1) < 1e-3 ? 1 : stretch };
+  }
+
+  // Stretch one window of a buffer. A window that carries on from the one before
+  // continues its frame sequence (prev: that window's result) and joins it exactly.
+  // A loop's first window also renders a lead-in before the loop start that fades in
+  // while the loop's last window fades out. The last two windows are kept, so a loop
+  // replays instantly and the window prefetched during playback is ready when reached.
+  // Resolves to {buffer, state, lead}: lead is the lead-in in buffer seconds.
+  _stretchedBuffer(buffer, factor, win, prev, onProgress) {
+    var cache = this._stretched || [];
+    for (var i = 0; i < cache.length; i++) {
+      var c = cache[i];
+      if (c.source === buffer && c.factor === factor && c.start === win.start && c.end === win.end &&
+          c.chain === win.chain && c.fadeIn === win.fadeIn && c.fadeOut === win.fadeOut) return c.promise;
+    }
+    var self = this;
+    var rate = buffer.sampleRate;
+    var fade = Math.round(this.loopFadeSeconds * rate);
+    var lead = win.fadeIn ? fade : 0;
+    var from = Math.round(win.start * factor * rate);
+    var to = Math.round(win.end * factor * rate);
+    var entry = { source: buffer, factor: factor, start: win.start, end: win.end, chain: win.chain,
+      fadeIn: win.fadeIn, fadeOut: win.fadeOut, promise: null };
+    entry.promise = Promise.resolve(win.chain !== win.start ? prev : null).then(function(before) {
+      var state = before ? before.state : null;
+      return self.stretcher.processRange(buffer, factor, self._ensureContext(), from - lead, to, state, onProgress);
+    }).then(function(out) {
+      self._fadeEdges(out.buffer, lead, win.fadeOut ? fade : 0);
+      return { buffer: out.buffer, state: out.state, lead: lead / rate };
+    });
+    entry.promise.catch(function() {
+      var at = cache.indexOf(entry);
+      if (at !== -1) cache.splice(at, 1);
+    });
+    cache.push(entry);
+    if (cache.length > 2) cache.shift();
+    this._stretched = cache;
+    return entry.promise;
+  }
+
+  // Equal-power fade in over the first lead samples and out over the last tail samples
+  _fadeEdges(buffer, lead, tail) {
+    var len = buffer.length;
+    for (var ch = 0; ch < buffer.numberOfChannels; ch++) {
+      var data = buffer.getChannelData(ch);
+      for (var i = 0; i < lead && i < len; i++) data[i] *= Math.sin(Math.PI / 2 * (i + 0.5) / lead);
+      for (var j = 0; j < tail && j < len; j++) data[len - 1 - j] *= Math.sin(Math.PI / 2 * (j + 0.5) / tail);
+    }
+  }
+
+  // The window of the (unstretched) buffer to stretch after prev (null to start fresh).
+  // A loop that fits in one window is stretched whole; inside a loop, the window at the
+  // loop start fades in over the loop's last window, which fades out.
+  _stretchWindow(duration, start, loop, prev) {
+    var win;
+    if (loop && loop.end - loop.start <= this.stretchWindowSeconds) {
+      win = { start: loop.start, end: loop.end };
+    } else {
+      win = { start: start, end: Math.min(loop ? loop.end : duration, start + this.stretchWindowSeconds) };
+    }
+    win.fadeIn = !!loop && win.start === loop.start;
+    win.fadeOut = !!loop && win.end === loop.end;
+    win.chain = !win.fadeIn && prev && prev.end === win.start ? prev.chain : win.start;
+    return win;
+  }
+
+  // Where the window after this one starts: wrapping inside a loop, null at the end
+  _nextWindowStart(win, duration, loop) {
+    if (loop) return win.end >= loop.end ? loop.start : win.end;
+    return win.end < duration - 1e-3 ? win.end : null;
+  }
+
+  // The loop region in the played buffer's own seconds, or null if it misses the buffer
+  _localLoop(duration, mode, origin) {
+    if (!this.loopRegion) return null;
+    var a = this.loopRegion.start - origin;
+    var b = this.loopRegion.end - origin;
+    if (mode === 'reverse') { var t = a; a = duration - b; b = duration - t; }
+    a = Math.max(0, a);
+    b = Math.min(duration, b);
+    return b - a >= 0.05 ? { start: a, end: b } : null;
+  }
+
+  // Seconds of the (unstretched) buffer played so far, wrapping inside a loop
+  _elapsed(p) {
+    var t = p.offset + (this.audioContext.currentTime - p.startedAt) * p.rate;
+    if (p.loop && t >= p.loop.end) t = p.loop.start + (t - p.loop.start) % (p.loop.end - p.loop.start);
+    return Math.min(p.duration, t);
+  }
+
+  // ─── WAV Export ─────────────────────────────────────────────────────────────
+
+  /**
+   * Set the WAV sample format used by exportWav() and exportClip().
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   */
+  setWavFormat(format) {
+    if (format === 'pcm16' || format === 'pcm24' || format === 'float32') {
+      this.wavFormat = format;
+    }
+  }
+
+  /**
+   * Set session metadata embedded in exported WAV files.
+   * @param {Object} meta
+   * @param {string} [meta.title]
+   * @param {Date|string|number} [meta.date] - session start
+   * @param {Object} [meta.location] - {available, latitude, longitude, accuracy}
+   * @param {string} [meta.device]
+   * @param {string} [meta.mode] - scan mode
+   */
+  setMetadata(meta) {
+    this.metadata = meta || {};
+  }
+
+  /**
+   * Decode the recording and download it as a WAV file.
+   * @param {Object} [options]
+   * @param {boolean} [options.reverse] - export the reversed recording
+   * @param {string} [options.format] - overrides wavFormat
+   * @param {string} [options.filename]
+   * @returns {Promise<void>}
+   */
+  async exportWav(options) {
+    options = options || {};
+    if (!this.recordedBlob) {
+      console.warn('SessionRecorder: No recording to export');
+      return;
+    }
+
+    try {
+      var audioBuffer = await this._getPlaybackBuffer();
+      if (options.reverse) audioBuffer = this.reverseBuffer(audioBuffer);
+
+      var filename = options.filename;
+      if (!filename) {
+        var timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        filename = 'evp-mini-recording-' + timestamp + (options.reverse ? '-reversed' : '') +
+          (this.denoise ? '-denoised' : '') + '.wav';
+      }
+
+      var meta = {};
+      for (var key in this.metadata) meta[key] = this.metadata[key];
+      if (options.reverse) meta.title = (meta.title || 'EVP-MINI session') + ' (reversed)';
+      if (this.denoise) meta.title = (meta.title || 'EVP-MINI session') + ' (noise reduced)';
+
+      this._downloadBlob(this.encodeWav(audioBuffer, {
+        format: options.format || this.wavFormat,
+        metadata: meta
+      }), filename);
+    } catch (err) {
+      console.error('SessionRecorder: WAV export failed', err);
+    }
+  }
+
+  /**
+   * Encode an AudioBuffer as a WAV Blob.
+   * Layout: RIFF/WAVE, fmt, [fact for float], LIST/INFO (if metadata), data.
+   * @param {AudioBuffer} audioBuffer
+   * @param {Object} [options]
+   * @param {string} [options.format] - 'pcm16' (default), 'pcm24' or 'float32'
+   * @param {Object} [options.metadata] - see setMetadata()
+   * @returns {Blob}
+   */
+  encodeWav(audioBuffer, options) {
+    options = options || {};
+    var format = options.format || 'pcm16';
+    var isFloat = format === 'float32';
+    var bytesPerSample = format === 'pcm24' ? 3 : (isFloat ? 4 : 2);
+
+    var channels = audioBuffer.numberOfChannels;
+    var rate = audioBuffer.sampleRate;
+    var frames = audioBuffer.length;
+    var blockAlign = channels * bytesPerSample;
+    var dataSize = frames * blockAlign;
+
+    // Non-PCM formats carry a cbSize field and a fact chunk
+    var fmtSize = isFloat ? 18 : 16;
+    var factSize = isFloat ? 12 : 0;
+    var info = options.metadata ? this._buildInfoChunk(options.metadata) : null;
+    var infoSize = info ? info.length : 0;
+    var headerSize = 12 + (8 + fmtSize) + factSize + infoSize + 8;
+
+    var buffer = new ArrayBuffer(headerSize + dataSize + (dataSize % 2));
+    var view = new DataView(buffer);
+    var offset = 0;
+
+    this._writeString(view, 0, 'RIFF');
+    view.setUint32(4, buffer.byteLength - 8, true);
+    this._writeString(view, 8, 'WAVE');
+    offset = 12;
+
+    this._writeString(view, offset, 'fmt ');
+    view.setUint32(offset + 4, fmtSize, true);
+    view.setUint16(offset + 8, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(offset + 10, channels, true);
+    view.setUint32(offset + 12, rate, true);
+    view.setUint32(offset + 16, rate * blockAlign, true);
+    view.setUint16(offset + 20, blockAlign, true);
+    view.setUint16(offset + 22, bytesPerSample * 8, true);
+    if (isFloat) view.setUint16(offset + 24, 0, true);
+    offset += 8 + fmtSize;
+
+    if (isFloat) {
+      this._writeString(view, offset, 'fact');
+      view.setUint32(offset + 4, 4, true);
+      view.setUint32(offset + 8, frames, true);
+      offset += factSize;
+    }
+
+    if (info) {
+      new Uint8Array(buffer, offset, infoSize).set(info);
+      offset += infoSize;
+    }
+
+    this._writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    var channelData = [];
+    for (var c = 0; c < channels; c++) channelData.push(audioBuffer.getChannelData(c));
+
+    for (var i = 0; i < frames; i++) {
+      for (var ch = 0; ch < channels; ch++) {
+        var raw = channelData[ch][i];
+        if (isFloat) {
+          view.setFloat32(offset, raw, true);
+        } else {
+          var sample = Math.max(-1, Math.min(1, raw));
+          if (bytesPerSample === 2) {
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+          } else {
+            var v = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+            view.setUint8(offset, v & 0xFF);
+            view.setUint8(offset + 1, (v >> 8) & 0xFF);
+            view.setUint8(offset + 2, (v >> 16) & 0xFF);
+          }
+        }
+        offset += bytesPerSample;
+      }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Build a LIST/INFO chunk: INAM (title), ICRD (date), ICMT (GPS, device, mode), ISFT.
+   * Text is ASCII, null-terminated and padded to an even length.
+   * @param {Object} meta
+   * @returns {Uint8Array}
+   */
+  _buildInfoChunk(meta) {
+    var fields = [];
+    if (meta.title) fields.push(['INAM', meta.title]);
+    if (meta.date) fields.push(['ICRD', new Date(meta.date).toISOString()]);
+
+    var comment = [];
+    var loc = meta.location;
+    if (loc && loc.available) {
+      comment.push('GPS: ' + loc.latitude.toFixed(6) + ', ' + loc.longitude.toFixed(6) +
+        (loc.accuracy ? ' (+/-' + Math.round(loc.accuracy) + 'm)' : ''));
+    }
+    if (meta.device) comment.push('Device: ' + meta.device);
+    if (meta.mode) comment.push('Mode: ' + meta.mode);
+    if (meta.comment) comment.push(meta.comment);
+    if (comment.length > 0) fields.push(['ICMT', comment.join('; ')]);
+    fields.push(['ISFT', 'EVP-MINI']);
+
+    var size = 12;
+    var encoded = [];
+    for (var i = 0; i < fields.length; i++) {
+      var text = String(fields[i][1]).replace(/[^\x20-\x7E]/g, '?');
+      var len = text.length + 1;
+      encoded.push([fields[i][0], text, len]);
+      size += 8 + len + (len % 2);
+    }
+
+    var bytes = new Uint8Array(size);
+    var view = new DataView(bytes.buffer);
+    this._writeString(view, 0, 'LIST');
+    view.setUint32(4, size - 8, true);
+    this._writeString(view, 8, 'INFO');
+
+    var offset = 12;
+    for (var j = 0; j < encoded.length; j++) {
+      this._writeString(view, offset, encoded[j][0]);
+      view.setUint32(offset + 4, encoded[j][2], true);
+      this._writeString(view, offset + 8, encoded[j][1]);
+      // Terminator and pad byte are already zero
+      offset += 8 + encoded[j][2] + (encoded[j][2] % 2);
+    }
+    return bytes;
+  }
+
+  /**
+   * Session metadata with clip details added to the comment.
+   * @param {Object} clip
+   * @param {boolean} reverse
+   * @returns {Object}
+   */
+  _clipMetadata(clip, reverse) {
+    var meta = {};
+    for (var key in this.metadata) meta[key] = this.metadata[key];
+    meta.title = 'EVP Class ' + clip.class + ' clip' + (reverse ? ' (reversed)' : '') + (this.denoise ? ' (noise reduced)' : '');
+    meta.comment = 'EVP at ' + clip.timestamp.toFixed(2) + 's, confidence ' + clip.confidence +
+      '%, clip ' + clip.start.toFixed(2) + '-' + clip.end.toFixed(2) + 's';
+    return meta;
+  }
+
   /**
    * Stop any current playback (forward or reverse).
    */
   stopPlayback() {
-    if (this.playbackSource) {
+    this._playToken++;
+    for (var i = 0; i < this.playbackSources.length; i++) {
       try {
-        this.playbackSource.stop();
+        this.playbackSources[i].stop();
       } catch (e) {
         // Already stopped or never started
       }
-      this.playbackSource = null;
     }
+    this.playbackSources = [];
     this._isPlaying = false;
   }
 
@@ -273,6 +903,15 @@ class SessionRecorder {
     return this.recordedBlob;
   }
 
+  /**
+   * Decoded recording (cached), for analysis views such as the session spectrogram.
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  async getAudioBuffer() {
+    if (!this.recordedBlob) return null;
+    return this._getDecodedBuffer();
+  }
+
   /**
    * Backward-compatible alias for getBlob.
    * @returns {Blob|null}
@@ -296,19 +935,7 @@ class SessionRecorder {
       filename = 'evp-session-' + timestamp + '.webm';
     }
 
-    var url = URL.createObjectURL(this.recordedBlob);
-    var a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-
-    // Revoke the object URL after a brief delay to ensure download initiates
-    setTimeout(function() {
-      URL.revokeObjectURL(url);
-    }, 1000);
+    this._downloadBlob(this.recordedBlob, filename);
   }
 
   /**
@@ -347,6 +974,14 @@ class SessionRecorder {
     return this._isPlaying;
   }
 
+  /**
+   * Return whether playback is waiting on noise reduction or time stretching.
+   * @returns {boolean}
+   */
+  isPreparing() {
+    return this._stretching || !!this._cleanPending;
+  }
+
   /**
    * Return a state snapshot for the UI layer.
    * Backward-compatible with the old getRecordingState() API.
@@ -370,6 +1005,15 @@ class SessionRecorder {
     this.recordedChunks = [];
     this.recordedBlob = null;
     this.duration = 0;
+    this._decodedBuffer = null;
+    this._decodedBlob = null;
+    this.clips = [];
+    this.denoise = false;
+    this._denoiseVersion = null;
+    this._cleanBuffer = null;
+    this._cleanKey = null;
+    this._cleanPending = null;
+    this._stretched = null;
   }
 
   /**
@@ -395,14 +1039,201 @@ class SessionRecorder {
     }
     this.audioContext = null;
 
-    // Clear chunks and blob
+    // Clear chunks, blob and decoded cache
     this.recordedChunks = [];
     this.recordedBlob = null;
+    this._decodedBuffer = null;
+    this._decodedBlob = null;
+    this._cleanBuffer = null;
+    this._cleanPending = null;
+    this._stretched = null;
+    this.clips = [];
     this.mediaRecorder = null;
     this.duration = 0;
     this._stopResolve = null;
   }
 
+  /**
+   * Lazily create (and resume) the playback AudioContext.
+   * @returns {AudioContext}
+   */
+  _ensureContext() {
+    this.audioContext = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(function() {});
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Decode the current recording once and cache the AudioBuffer.
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _getDecodedBuffer() {
+    if (this._decodedBuffer && this._decodedBlob === this.recordedBlob) {
+      return this._decodedBuffer;
+    }
+    var ctx = this._ensureContext();
+    var arrayBuffer = await this.recordedBlob.arrayBuffer();
+    this._decodedBuffer = await ctx.decodeAudioData(arrayBuffer);
+    this._decodedBlob = this.recordedBlob;
+    return this._decodedBuffer;
+  }
+
+  /**
+   * Play an AudioBuffer through the shared context with the current speed, pitch and
+   * loop settings.
+   * @param {AudioBuffer} buffer
+   * @param {string} mode - 'forward' or 'reverse'
+   * @param {number} [offset] - seconds into the buffer to start from
+   * @param {number} [origin] - recording time of the buffer's first sample
+   * @param {Object} [clip] - the clip being played, so settings changes can swap it
+   * @returns {Promise<void>} resolves when playback ends
+   */
+  async _playBuffer(buffer, mode, offset, origin, clip) {
+    var self = this;
+    var token = ++this._playToken;
+    var ctx = this._ensureContext();
+    var startOffset = Math.max(0, Math.min(offset || 0, buffer.duration));
+    var loop = this._localLoop(buffer.duration, mode, origin || 0);
+    if (loop && (startOffset < loop.start || startOffset >= loop.end)) startOffset = loop.start;
+
+    var shape = this._shape();
+    var win = null;
+    var first = null;
+    if (shape.stretch !== 1) {
+      win = this._stretchWindow(buffer.duration, startOffset, loop, null);
+      this._stretching = true;
+      try {
+        first = await this._stretchedBuffer(buffer, shape.stretch, win, null, this.onStretchProgress);
+      } finally {
+        this._stretching = false;
+      }
+      // Stopped or replaced while stretching
+      if (token !== this._playToken) return;
+    }
+
+    return new Promise(function(resolve) {
+      var sources = [];
+      var pending = 0;   // next windows still being stretched
+      self.playbackSources = sources;
+
+      // Playback is over once every source has ended and no next window is on its way
+      var finish = function() {
+        if (sources.length > 0 || pending > 0) return;
+        // A stopped source ends after its replacement has started
+        if (self.playbackSources === sources) {
+          self._isPlaying = false;
+          self.playbackSources = [];
+        }
+        resolve();
+      };
+
+      var play = function(audio) {
+        var source = ctx.createBufferSource();
+        source.buffer = audio;
+        source.playbackRate.value = shape.playbackRate;
+        source.connect(ctx.destination);
+        source.onended = function() {
+          var i = sources.indexOf(source);
+          if (i !== -1) sources.splice(i, 1);
+          finish();
+        };
+        sources.push(source);
+        return source;
+      };
+
+      // Each stretched window is queued to start exactly when the one before runs out,
+      // or a lead-in earlier where a loop wraps, so the two crossfade
+      var queue = function(segment, segWin, when, at) {
+        play(segment.buffer).start(when, at);
+        var next = self._nextWindowStart(segWin, buffer.duration, loop);
+        if (next === null) return;
+        var ends = when + (segment.buffer.duration - at) / shape.playbackRate;
+        var nextWin = self._stretchWindow(buffer.duration, next, loop, segWin);
+        pending++;
+        self._stretchedBuffer(buffer, shape.stretch, nextWin, segment).then(function(following) {
+          // Wait until this window is playing, so no more than two are queued at once
+          setTimeout(function() {
+            pending--;
+            if (token === self._playToken) {
+              var nextWhen = ends - following.lead / shape.playbackRate;
+              // Stretching fell behind: the gap shifts the playback clock
+              var late = ctx.currentTime - nextWhen;
+              if (late > 0) {
+                self._playback.startedAt += late;
+                nextWhen = ctx.currentTime;
+              }
+              queue(following, nextWin, nextWhen, 0);
+            }
+            finish();
+          }, Math.max(0, (when - ctx.currentTime) * 1000));
+        }, function() {
+          pending--;
+          finish();
+        });
+      };
+
+      self._isPlaying = true;
+      self.playbackMode = mode;
+      self._playback = {
+        startedAt: ctx.currentTime,
+        offset: startOffset,
+        duration: buffer.duration,
+        origin: origin || 0,
+        mode: mode,
+        clip: clip || null,
+        rate: shape.playbackRate / shape.stretch,
+        loop: loop
+      };
+
+      if (first) {
+        queue(first, win, ctx.currentTime, first.lead + (startOffset - win.start) * shape.stretch);
+        return;
+      }
+      var source = play(buffer);
+      if (loop) {
+        source.loop = true;
+        source.loopStart = loop.start;
+        source.loopEnd = loop.end;
+      }
+      source.start(0, startOffset);
+    });
+  }
+
+  /**
+   * Trigger a browser download for a Blob.
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  _downloadBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Revoke the object URL after a brief delay to ensure download initiates
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+  /**
+   * Write an ASCII string into a DataView.
+   * @param {DataView} view
+   * @param {number} offset
+   * @param {string} str
+   */
+  _writeString(view, offset, str) {
+    for (var i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  }
+
   /**
    * Determine the best supported MIME type for MediaRecorder.
    * Priority: audio/webm;codecs=opus > audio/webm > audio/ogg;codecs=opus > audio/mp4
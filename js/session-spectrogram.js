@@ -0,0 +1,452 @@
+/**
+ * SessionSpectrogram — Full-recording spectrogram with pan, zoom and overlays
+ * compute() runs a short-time FFT over the decoded recording once and keeps the
+ * magnitudes as bytes (same -100..-10 dB scale as the live strip). render() draws the
+ * visible window with a frequency axis in Hz and a time axis, EVP classification
+ * regions, the engine's formant track and the playback position.
+ *
+ * Interaction: drag to pan, wheel to zoom around the cursor, click to seek.
+ */
+class SessionSpectrogram {
+  constructor() {
+    this.canvas = null;
+    this.ctx = null;
+
+    this.fftSize = 2048;
+    this.maxColumns = 24000;     // caps memory at ~8MB for long sessions
+    this.maxFreq = 8000;         // highest frequency kept
+    this.yieldEvery = 300;
+
+    // Spectrogram data: columns x bins bytes, column i centred at i * hopSeconds
+    this.data = null;
+
+    // Visible window
+    this.viewStart = 0;
+    this.viewSpan = 0;
+    this.viewMaxFreq = 8000;
+    this.minSpan = 0.5;
+
+    // Overlays
+    this.regions = [];           // [{start, end, class}]
+    this.formantTrack = [];      // [{time, f1, f2, f3}]
+    this.playhead = null;
+
+    // Callback set by the host page
+    this.onSeek = null;          // (seconds) => void
+
+    this.axisWidth = 38;
+    this.axisHeight = 16;
+    this.height = 220;
+    this.classColors = { A: '#00e676', B: '#ffea00', C: '#ff9100' };
+    this.formantColors = ['#ffffff', '#00e5ff', '#e040fb'];
+
+    this._image = null;
+    this._imageKey = null;
+    this._paletteCache = null;
+    this._drag = null;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+  }
+
+  init(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    if (!this.canvas) return false;
+    this.ctx = this.canvas.getContext('2d');
+    this.canvas.addEventListener('pointerdown', this._onPointerDown);
+    this.canvas.addEventListener('pointermove', this._onPointerMove);
+    this.canvas.addEventListener('pointerup', this._onPointerUp);
+    this.canvas.addEventListener('pointercancel', this._onPointerUp);
+    this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
+    return true;
+  }
+
+  /**
+   * Compute the spectrogram of a recording.
+   * @param {AudioBuffer} audioBuffer
+   * @param {Function} [onProgress] - called with 0-100
+   * @returns {Promise<Object>} the spectrogram data
+   */
+  async compute(audioBuffer, onProgress) {
+    const rate = audioBuffer.sampleRate;
+    const n = this.fftSize;
+    const samples = this._mixdown(audioBuffer);
+    const hop = Math.max(n / 8, Math.ceil(samples.length / this.maxColumns));
+    const columns = Math.max(1, Math.ceil(samples.length / hop));
+    const bins = Math.min(n / 2, Math.ceil(this.maxFreq / (rate / n)) + 1);
+    const values = new Uint8Array(columns * bins);
+
+    const fft = new FFT(n);
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    const win = new Float64Array(n);
+    for (let i = 0; i < n; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+
+    for (let c = 0; c < columns; c++) {
+      const start = c * hop - n / 2;
+      for (let i = 0; i < n; i++) {
+        const idx = start + i;
+        re[i] = idx >= 0 && idx < samples.length ? samples[idx] * win[i] : 0;
+        im[i] = 0;
+      }
+      fft.forward(re, im);
+      for (let k = 0; k < bins; k++) {
+        // |X|/N in dB, scaled like AnalyserNode byte data (-100..-10 dB)
+        const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+        const dB = mag > 0 ? 20 * Math.log10(mag) : -100;
+        values[c * bins + k] = Math.max(0, Math.min(255, Math.round((dB + 100) / 90 * 255)));
+      }
+      if (c % this.yieldEvery === this.yieldEvery - 1) {
+        if (onProgress) onProgress(Math.round((c / columns) * 100));
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    if (onProgress) onProgress(100);
+
+    this.data = {
+      columns: columns,
+      bins: bins,
+      values: values,
+      hopSeconds: hop / rate,
+      binHz: rate / n,
+      duration: samples.length / rate
+    };
+    this.viewStart = 0;
+    this.viewSpan = this.data.duration;
+    this.viewMaxFreq = Math.min(this.maxFreq, (bins - 1) * this.data.binHz);
+    this.playhead = null;
+    this._imageKey = null;
+    this.render();
+    return this.data;
+  }
+
+  /**
+   * Set the overlays drawn over the spectrogram.
+   * @param {Array} classifications - EVPClassifier classifications ({timestamp, duration, class})
+   * @param {Array} formantTrack - from EVPAudioEngine.fullAnalysis().formantTrack
+   */
+  setOverlays(classifications, formantTrack) {
+    this.regions = (classifications || []).map(c => ({
+      start: c.timestamp,
+      end: c.timestamp + Math.max(0.1, c.duration || 0),
+      class: c.class
+    }));
+    this.formantTrack = formantTrack || [];
+    this.render();
+  }
+
+  setPlayhead(seconds) {
+    this.playhead = seconds;
+    // Keep the playhead in view while zoomed in
+    if (seconds !== null && this.data && (seconds < this.viewStart || seconds > this.viewStart + this.viewSpan)) {
+      this.viewStart = this._clampStart(seconds - this.viewSpan * 0.1);
+    }
+    this.render();
+  }
+
+  /**
+   * Zoom the time axis around a point.
+   * @param {number} factor - below 1 zooms in
+   * @param {number} [center] - seconds; defaults to the middle of the view
+   */
+  zoom(factor, center) {
+    if (!this.data) return;
+    const c = center !== undefined ? center : this.viewStart + this.viewSpan / 2;
+    const span = Math.max(this.minSpan, Math.min(this.data.duration, this.viewSpan * factor));
+    const ratio = this.viewSpan > 0 ? (c - this.viewStart) / this.viewSpan : 0.5;
+    this.viewSpan = span;
+    this.viewStart = this._clampStart(c - ratio * span);
+    this.render();
+  }
+
+  /**
+   * Show the whole recording.
+   */
+  fit() {
+    if (!this.data) return;
+    this.viewStart = 0;
+    this.viewSpan = this.data.duration;
+    this.render();
+  }
+
+  /**
+   * @param {number} hz - top of the frequency axis
+   */
+  setMaxFrequency(hz) {
+    if (!this.data) return;
+    this.viewMaxFreq = Math.max(500, Math.min((this.data.bins - 1) * this.data.binHz, hz));
+    this.render();
+  }
+
+  render() {
+    if (!this.canvas || !this.ctx) return;
+    this._resize();
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const w = this.canvas.width / dpr;
+    const h = this.canvas.height / dpr;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#0a0a14';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!this.data) return;
+
+    // Spectrogram image at device resolution, rebuilt only when the view changes
+    const plot = this._plotRect(dpr);
+    const key = [this.viewStart, this.viewSpan, this.viewMaxFreq, plot.w, plot.h].join(':');
+    if (this._imageKey !== key) {
+      this._image = this._buildImage(plot.w, plot.h);
+      this._imageKey = key;
+    }
+    ctx.putImageData(this._image, plot.x, 0);
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const plotH = h - this.axisHeight;
+
+    // EVP regions
+    ctx.font = '10px -apple-system, sans-serif';
+    ctx.textBaseline = 'top';
+    for (const r of this.regions) {
+      if (r.end < this.viewStart || r.start > this.viewStart + this.viewSpan) continue;
+      const x1 = this._timeToX(r.start);
+      const x2 = Math.max(x1 + 2, this._timeToX(r.end));
+      const color = this.classColors[r.class] || '#ffffff';
+      ctx.fillStyle = color + '26';
+      ctx.fillRect(x1, 0, x2 - x1, plotH);
+      ctx.strokeStyle = color;
+      ctx.strokeRect(x1 + 0.5, 0.5, x2 - x1 - 1, plotH - 1);
+      ctx.fillStyle = color;
+      ctx.fillText(r.class, x1 + 3, 3);
+    }
+
+    // Formant track
+    for (const p of this.formantTrack) {
+      if (p.time < this.viewStart || p.time > this.viewStart + this.viewSpan) continue;
+      const x = this._timeToX(p.time);
+      [p.f1, p.f2, p.f3].forEach((f, i) => {
+        if (!(f > 0) || f > this.viewMaxFreq) return;
+        ctx.fillStyle = this.formantColors[i];
+        ctx.fillRect(x - 1, this._freqToY(f, plotH) - 1, 2, 2);
+      });
+    }
+
+    // Frequency axis
+    ctx.fillStyle = '#0a0a14';
+    ctx.fillRect(0, 0, this.axisWidth, h);
+    ctx.fillStyle = '#9e9ec0';
+    ctx.textBaseline = 'middle';
+    const fStep = this.viewMaxFreq <= 2000 ? 250 : this.viewMaxFreq <= 4000 ? 500 : 1000;
+    for (let f = 0; f <= this.viewMaxFreq; f += fStep) {
+      const y = this._freqToY(f, plotH);
+      ctx.fillRect(this.axisWidth - 4, y, 4, 1);
+      ctx.fillText(f >= 1000 ? (f / 1000) + 'k' : String(f), 2, Math.max(6, Math.min(plotH - 6, y)));
+    }
+
+    // Time axis
+    ctx.fillStyle = '#0a0a14';
+    ctx.fillRect(0, plotH, w, this.axisHeight);
+    ctx.fillStyle = '#9e9ec0';
+    ctx.fillText('Hz', 2, plotH + this.axisHeight / 2);
+    const step = this._tickStep(this.viewSpan, w - this.axisWidth);
+    for (let t = Math.ceil(this.viewStart / step) * step; t <= this.viewStart + this.viewSpan; t += step) {
+      const x = this._timeToX(t);
+      ctx.fillRect(x, plotH, 1, 4);
+      ctx.fillText(this._formatTime(t, step), x + 2, plotH + this.axisHeight / 2);
+    }
+
+    // Playhead
+    if (this.playhead !== null && this.playhead >= this.viewStart && this.playhead <= this.viewStart + this.viewSpan) {
+      const x = this._timeToX(this.playhead);
+      ctx.strokeStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, 0);
+      ctx.lineTo(x + 0.5, plotH);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Download the current view, with axes and overlays, as a PNG.
+   * @param {string} [filename]
+   */
+  exportPNG(filename) {
+    if (!this.canvas || !this.data) return;
+    const name = filename || 'evp-mini-spectrogram-' + new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19) + '.png';
+    this.canvas.toBlob((blob) => {
+      if (!blob) return;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      a.style.display = 'none';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }, 'image/png');
+  }
+
+  clear() {
+    this.data = null;
+    this.regions = [];
+    this.formantTrack = [];
+    this.playhead = null;
+    this._image = null;
+    this._imageKey = null;
+    if (this.ctx && this.canvas) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  // Each pixel column shows the loudest of the data columns it covers, so short
+  // sounds stay visible when zoomed out
+  _buildImage(pw, ph) {
+    const d = this.data;
+    const img = this.ctx.createImageData(pw, ph);
+    const px = img.data;
+    const colsPerPx = (this.viewSpan / d.hopSeconds) / pw;
+    const palette = this._palette();
+    const rowBins = new Int32Array(ph);
+    for (let y = 0; y < ph; y++) {
+      rowBins[y] = Math.min(d.bins - 1, Math.round((1 - y / (ph - 1)) * this.viewMaxFreq / d.binHz));
+    }
+
+    for (let x = 0; x < pw; x++) {
+      const c0 = Math.max(0, Math.floor(this.viewStart / d.hopSeconds + x * colsPerPx));
+      const c1 = Math.min(d.columns, Math.max(c0 + 1, Math.floor(this.viewStart / d.hopSeconds + (x + 1) * colsPerPx)));
+      for (let y = 0; y < ph; y++) {
+        const bin = rowBins[y];
+        let v = 0;
+        for (let c = c0; c < c1; c++) {
+          const val = d.values[c * d.bins + bin];
+          if (val > v) v = val;
+        }
+        const idx = (y * pw + x) * 4;
+        px[idx] = palette[v * 3];
+        px[idx + 1] = palette[v * 3 + 1];
+        px[idx + 2] = palette[v * 3 + 2];
+        px[idx + 3] = 255;
+      }
+    }
+    return img;
+  }
+
+  // Same colour ramp as the live spectrogram strip, tabulated per byte value
+  _palette() {
+    if (this._paletteCache) return this._paletteCache;
+    const table = new Uint8Array(256 * 3);
+    for (let v = 0; v < 256; v++) {
+      const t = v / 255;
+      let rgb;
+      if (t < 0.15) rgb = [0, 0, Math.round(t / 0.15 * 100)];
+      else if (t < 0.3) { const s = (t - 0.15) / 0.15; rgb = [0, Math.round(s * 180), Math.round(100 + s * 120)]; }
+      else if (t < 0.5) { const s = (t - 0.3) / 0.2; rgb = [0, Math.round(180 + s * 75), Math.round(220 - s * 220)]; }
+      else if (t < 0.7) { const s = (t - 0.5) / 0.2; rgb = [Math.round(s * 255), 255, 0]; }
+      else if (t < 0.85) { const s = (t - 0.7) / 0.15; rgb = [255, Math.round(255 - s * 200), 0]; }
+      else { const s = (t - 0.85) / 0.15; rgb = [255, Math.round(55 + s * 200), Math.round(s * 255)]; }
+      table.set(rgb, v * 3);
+    }
+    this._paletteCache = table;
+    return table;
+  }
+
+  _mixdown(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) return audioBuffer.getChannelData(0);
+    const out = new Float32Array(audioBuffer.length);
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      for (let i = 0; i < out.length; i++) out[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+    return out;
+  }
+
+  _onPointerDown(e) {
+    if (!this.data) return;
+    this._drag = { x: e.clientX, start: this.viewStart, moved: false };
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  _onPointerMove(e) {
+    if (!this._drag) return;
+    const dx = e.clientX - this._drag.x;
+    if (Math.abs(dx) > 3) this._drag.moved = true;
+    if (!this._drag.moved) return;
+    const trackW = this.canvas.width / (window.devicePixelRatio || 1) - this.axisWidth;
+    this.viewStart = this._clampStart(this._drag.start - (dx / trackW) * this.viewSpan);
+    this.render();
+  }
+
+  _onPointerUp(e) {
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag || drag.moved || e.type === 'pointercancel') return;
+    const x = e.clientX - this.canvas.getBoundingClientRect().left;
+    if (x < this.axisWidth) return;
+    const t = Math.max(0, Math.min(this.data.duration, this._xToTime(x)));
+    if (this.onSeek) this.onSeek(t);
+  }
+
+  _onWheel(e) {
+    if (!this.data) return;
+    e.preventDefault();
+    const x = e.clientX - this.canvas.getBoundingClientRect().left;
+    this.zoom(e.deltaY > 0 ? 1.25 : 0.8, this._xToTime(Math.max(this.axisWidth, x)));
+  }
+
+  _clampStart(start) {
+    const max = Math.max(0, this.data.duration - this.viewSpan);
+    return Math.max(0, Math.min(max, start));
+  }
+
+  _plotRect(dpr) {
+    const x = Math.round(this.axisWidth * dpr);
+    return {
+      x: x,
+      w: Math.max(1, this.canvas.width - x),
+      h: Math.max(2, Math.round((this.height - this.axisHeight) * dpr))
+    };
+  }
+
+  _resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.canvas.parentElement ? this.canvas.parentElement.offsetWidth : 300;
+    if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(this.height * dpr)) {
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(this.height * dpr);
+      this.canvas.style.width = width + 'px';
+      this.canvas.style.height = this.height + 'px';
+    }
+  }
+
+  _timeToX(t) {
+    const trackW = this.canvas.width / (window.devicePixelRatio || 1) - this.axisWidth;
+    return this.axisWidth + ((t - this.viewStart) / this.viewSpan) * trackW;
+  }
+
+  _xToTime(x) {
+    const trackW = this.canvas.width / (window.devicePixelRatio || 1) - this.axisWidth;
+    return this.viewStart + ((x - this.axisWidth) / trackW) * this.viewSpan;
+  }
+
+  _freqToY(f, plotH) {
+    return (1 - f / this.viewMaxFreq) * plotH;
+  }
+
+  _tickStep(span, width) {
+    const maxTicks = Math.max(2, Math.floor(width / 60));
+    const steps = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+    for (const s of steps) {
+      if (span / s <= maxTicks) return s;
+    }
+    return 3600;
+  }
+
+  _formatTime(seconds, step) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds - m * 60;
+    const sec = step < 1 ? s.toFixed(step < 0.5 ? 2 : 1) : String(Math.floor(s));
+    return m + ':' + (s < 10 ? '0' : '') + sec;
+  }
+}
+
+window.SessionSpectrogram = SessionSpectrogram;
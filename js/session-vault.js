@@ -1,15 +1,21 @@
 /**
  * SessionVault — IndexedDB evidence storage + GPS location tagging
- * Persists investigation sessions with full evidence data
+ * Persists investigation sessions with full evidence data.
+ * Media (recordings, video, screenshots) lives in a separate object store
+ * linked to each session by sessionId, so session lists stay light.
  */
 class SessionVault {
   constructor() {
     this.db = null;
     this.dbName = 'evp-mini-vault';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.storeName = 'sessions';
+    this.mediaStoreName = 'media';
     this.currentLocation = null;
     this.locationWatchId = null;
+
+    // Quota-aware cleanup: prune old media once usage passes this share of quota
+    this.mediaQuotaRatio = 0.8;
   }
 
   async init() {
@@ -24,6 +30,12 @@ class SessionVault {
           store.createIndex('locationName', 'locationName', { unique: false });
           store.createIndex('evpCount', 'evpCount', { unique: false });
         }
+        // v1 -> v2: media blobs in their own store, keyed back to sessions
+        if (!db.objectStoreNames.contains(this.mediaStoreName)) {
+          const media = db.createObjectStore(this.mediaStoreName, { keyPath: 'id', autoIncrement: true });
+          media.createIndex('sessionId', 'sessionId', { unique: false });
+          media.createIndex('createdAt', 'createdAt', { unique: false });
+        }
       };
 
       request.onsuccess = (e) => {
@@ -154,6 +166,27 @@ class SessionVault {
     }
   }
 
+  // Fetch the map tile containing a point so it can be stored for offline use.
+  // Returns { blob, zoom, x, y, px, py } where px/py is the point within the 256px tile.
+  async fetchMapTile(lat, lng, zoom) {
+    const z = zoom || 16;
+    const n = Math.pow(2, z);
+    const latRad = lat * Math.PI / 180;
+    const fx = (lng + 180) / 360 * n;
+    const fy = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+    const x = Math.floor(fx);
+    const y = Math.floor(fy);
+
+    try {
+      const resp = await fetch('https://a.basemaps.cartocdn.com/light_all/' + z + '/' + x + '/' + y + '.png');
+      if (!resp.ok) return null;
+      const blob = await resp.blob();
+      return { blob: blob, zoom: z, x: x, y: y, px: Math.round((fx - x) * 256), py: Math.round((fy - y) * 256) };
+    } catch (e) {
+      return null;
+    }
+  }
+
   // ─── Save Session ───────────────────────────────────────────
   async saveSession(sessionData) {
     if (!this.db) return null;
@@ -178,6 +211,10 @@ class SessionVault {
       wordDetections: sessionData.wordDetections || [],
       sensorSummary: sessionData.sensorSummary || {},
       reportSummary: sessionData.reportSummary || '',
+      report: sessionData.report || null,
+      profileName: sessionData.profileName || null,
+      clockSync: sessionData.clockSync || null,
+      reviews: {},
       location: location,
       locationName: locationName,
       activityScore: this._calculateActivityScore(sessionData)
@@ -195,7 +232,8 @@ class SessionVault {
 
   _calculateActivityScore(data) {
     let score = 0;
-    score += (data.evpCount || 0) * 15;
+    const rejected = Object.values(data.reviews || {}).filter(r => r && r.status === 'rejected').length;
+    score += Math.max(0, (data.evpCount || 0) - rejected) * 15;
     if (data.evpDetections) {
       for (const d of data.evpDetections) {
         if (d.class === 'A') score += 30;
@@ -242,16 +280,51 @@ class SessionVault {
     });
   }
 
-  async deleteSession(id) {
+  // ─── Manual Review ──────────────────────────────────────────
+  // Reviews are keyed by the index into the stored report's classifications;
+  // the activity score skips candidates reviewed as rejected
+  async saveReview(sessionId, index, review) {
     if (!this.db) return false;
 
     return new Promise((resolve) => {
       const tx = this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
-      const request = store.delete(id);
+      const request = store.get(sessionId);
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => resolve(false);
+      request.onsuccess = () => {
+        const s = request.result;
+        if (!s) return;
+        s.reviews = s.reviews || {};
+        if (review) s.reviews[index] = review;
+        else delete s.reviews[index];
+        s.activityScore = this._calculateActivityScore(s);
+        store.put(s);
+      };
+
+      tx.oncomplete = () => resolve(!!request.result);
+      tx.onerror = () => resolve(false);
+    });
+  }
+
+  async deleteSession(id) {
+    if (!this.db) return false;
+
+    return new Promise((resolve) => {
+      const tx = this.db.transaction([this.storeName, this.mediaStoreName], 'readwrite');
+      tx.objectStore(this.storeName).delete(id);
+
+      // Remove the session's media in the same transaction
+      const cursorReq = tx.objectStore(this.mediaStoreName).index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (cursor) {
+          tx.objectStore(this.mediaStoreName).delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => resolve(false);
     });
   }
 
@@ -259,15 +332,135 @@ class SessionVault {
     if (!this.db) return false;
 
     return new Promise((resolve) => {
-      const tx = this.db.transaction(this.storeName, 'readwrite');
-      const store = tx.objectStore(this.storeName);
-      const request = store.clear();
+      const tx = this.db.transaction([this.storeName, this.mediaStoreName], 'readwrite');
+      tx.objectStore(this.storeName).clear();
+      tx.objectStore(this.mediaStoreName).clear();
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => resolve(false);
+    });
+  }
+
+  // ─── Session Media ──────────────────────────────────────────
+  async saveMedia(sessionId, blob, kind, meta) {
+    if (!this.db || !blob) return null;
+
+    const mimeType = blob.type || 'application/octet-stream';
+    const record = {
+      sessionId: sessionId,
+      kind: kind || (mimeType.indexOf('video/') === 0 ? 'video' : mimeType.indexOf('image/') === 0 ? 'screenshot' : 'audio'),
+      mimeType: mimeType,
+      size: blob.size,
+      blob: blob,
+      createdAt: new Date().toISOString(),
+      label: (meta && meta.label) || '',
+      meta: meta || {}
+    };
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.mediaStoreName, 'readwrite');
+      const request = tx.objectStore(this.mediaStoreName).add(record);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSessionMedia(sessionId) {
+    if (!this.db) return [];
+
+    return new Promise((resolve) => {
+      const tx = this.db.transaction(this.mediaStoreName, 'readonly');
+      const request = tx.objectStore(this.mediaStoreName).index('sessionId').getAll(IDBKeyRange.only(sessionId));
+
+      request.onsuccess = () => {
+        const items = request.result || [];
+        items.sort((a, b) => a.id - b.id);
+        resolve(items);
+      };
+      request.onerror = () => resolve([]);
+    });
+  }
+
+  async getMedia(id) {
+    if (!this.db) return null;
+
+    return new Promise((resolve) => {
+      const tx = this.db.transaction(this.mediaStoreName, 'readonly');
+      const request = tx.objectStore(this.mediaStoreName).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => resolve(null);
+    });
+  }
+
+  async deleteMedia(id) {
+    if (!this.db) return false;
+
+    return new Promise((resolve) => {
+      const tx = this.db.transaction(this.mediaStoreName, 'readwrite');
+      const request = tx.objectStore(this.mediaStoreName).delete(id);
 
       request.onsuccess = () => resolve(true);
       request.onerror = () => resolve(false);
     });
   }
 
+  // Sizes only — walks the store without keeping blobs in memory
+  async getMediaUsage() {
+    const usage = { count: 0, bytes: 0, bySession: {} };
+    if (!this.db) return usage;
+
+    return new Promise((resolve) => {
+      const tx = this.db.transaction(this.mediaStoreName, 'readonly');
+      const request = tx.objectStore(this.mediaStoreName).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) { resolve(usage); return; }
+        const m = cursor.value;
+        usage.count++;
+        usage.bytes += m.size || 0;
+        usage.bySession[m.sessionId] = (usage.bySession[m.sessionId] || 0) + (m.size || 0);
+        cursor.continue();
+      };
+      request.onerror = () => resolve(usage);
+    });
+  }
+
+  // Delete media from the oldest sessions until estimated usage drops under
+  // mediaQuotaRatio of the browser quota. Session records themselves are kept.
+  // force deletes all but the latest sessions' media, even without a quota estimate.
+  async cleanupMedia(options) {
+    const opts = options || {};
+    const ratio = opts.ratio || this.mediaQuotaRatio;
+    const keepLatest = opts.keepLatest !== undefined ? opts.keepLatest : 1;
+    const result = { deletedCount: 0, freedBytes: 0 };
+
+    const estimate = await this.getStorageEstimate();
+    if (!opts.force && (!estimate.total || estimate.used / estimate.total < ratio)) return result;
+
+    const target = estimate.total * ratio * 0.9;
+    let used = estimate.used;
+
+    // Oldest first; protect the most recent sessions
+    const sessions = (await this.getAllSessions()).reverse();
+    const candidates = sessions.slice(0, Math.max(0, sessions.length - keepLatest));
+
+    for (const s of candidates) {
+      if (!opts.force && used <= target) break;
+      const media = await this.getSessionMedia(s.id);
+      for (const m of media) {
+        if (await this.deleteMedia(m.id)) {
+          result.deletedCount++;
+          result.freedBytes += m.size || 0;
+          used -= m.size || 0;
+        }
+      }
+    }
+    return result;
+  }
+
   async getSessionCount() {
     if (!this.db) return 0;
 
@@ -305,7 +498,8 @@ class SessionVault {
       const scoreClass = s.activityScore > 60 ? 'high' : s.activityScore > 25 ? 'medium' : 'low';
       html += '<div class="vault-entry" data-session-id="' + s.id + '">';
       html += '<div class="vault-entry-header">';
-      html += '<span class="vault-date">' + s.dateDisplay + '</span>';
+      html += '<label class="vault-compare-pick"><input type="checkbox" data-compare-id="' + s.id + '"> ';
+      html += '<span class="vault-date">' + s.dateDisplay + '</span></label>';
       html += '<span class="vault-score score-' + scoreClass + '">' + s.activityScore + '</span>';
       html += '</div>';
       html += '<div class="vault-location">' + s.locationName + '</div>';
@@ -313,6 +507,9 @@ class SessionVault {
       html += '<span>Mode: ' + s.mode.toUpperCase() + '</span>';
       html += '<span>Duration: ' + s.durationDisplay + '</span>';
       html += '<span>EVPs: ' + s.evpCount + '</span>';
+      if (s.profileName) html += '<span>Profile: ' + s.profileName + '</span>';
+      const reviewed = Object.keys(s.reviews || {}).length;
+      if (reviewed > 0) html += '<span>Reviewed: ' + reviewed + '/' + s.evpCount + '</span>';
       if (s.wordDetections && s.wordDetections.length > 0) {
         html += '<span>Words: ' + s.wordDetections.length + '</span>';
       }
@@ -325,13 +522,258 @@ class SessionVault {
         if (s.evpDetections.length > 5) html += '<span class="vault-more">+' + (s.evpDetections.length - 5) + ' more</span>';
         html += '</div>';
       }
+      html += '<div class="vault-media" data-media-session="' + s.id + '"></div>';
       html += '<div class="vault-actions">';
+      if (s.report) html += '<button class="vault-report-btn" data-report-id="' + s.id + '">View Report</button>';
       html += '<button class="vault-delete-btn" data-delete-id="' + s.id + '">Delete</button>';
       html += '</div>';
       html += '</div>';
     }
     return html;
   }
+
+  // urls: { [mediaId]: objectURL } created by the caller, which owns revocation
+  renderMediaList(items, urls) {
+    if (!items.length) return '';
+
+    let html = '<div class="vault-media-title">Stored Media</div>';
+    for (const m of items) {
+      const url = urls[m.id];
+      const sizeMB = ((m.size || 0) / (1024 * 1024)).toFixed(2);
+      html += '<div class="vault-media-item" data-media-id="' + m.id + '">';
+      html += '<div class="vault-media-info">';
+      html += '<span class="vault-media-kind">' + m.kind.toUpperCase() + '</span>';
+      html += '<span>' + this._escape(m.label || m.mimeType || '') + ' &middot; ' + sizeMB + ' MB</span>';
+      html += '</div>';
+      if (m.kind === 'screenshot' || m.kind === 'spectrogram' || m.kind === 'map') {
+        html += '<img class="vault-media-thumb" src="' + url + '" alt="Screenshot">';
+      } else if (m.kind === 'video') {
+        html += '<video class="vault-media-player" src="' + url + '" controls preload="none"></video>';
+      } else {
+        html += '<audio class="vault-media-player" src="' + url + '" controls preload="none"></audio>';
+      }
+      html += '<div class="vault-media-actions">';
+      html += '<button class="vault-media-download" data-media-download="' + m.id + '">Download</button>';
+      html += '<button class="vault-media-delete" data-media-delete="' + m.id + '">Delete</button>';
+      html += '</div>';
+      html += '</div>';
+    }
+    return html;
+  }
+
+  // ─── Session Comparison ─────────────────────────────────────
+  // Builds a side-by-side model from stored session records only
+  compareSessions(sessions) {
+    const columns = sessions
+      .slice()
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(s => this._comparisonColumn(s));
+
+    const metrics = [
+      { key: 'activityScore', label: 'Activity Score' },
+      { key: 'durationMin', label: 'Duration (min)' },
+      { key: 'evpCount', label: 'EVPs' },
+      { key: 'classA', label: 'Class A' },
+      { key: 'classB', label: 'Class B' },
+      { key: 'classC', label: 'Class C' },
+      { key: 'evpPerMin', label: 'EVPs / min' },
+      { key: 'wordCount', label: 'Word Detections' },
+      { key: 'emfAnomalies', label: 'EMF Anomalies' },
+      { key: 'infrasoundEvents', label: 'Infrasound Events' }
+    ];
+
+    const rows = metrics.map(m => {
+      const values = columns.map(c => c[m.key]);
+      const max = Math.max(...values);
+      const min = Math.min(...values);
+      return { key: m.key, label: m.label, values: values, max: max, min: min, differs: max !== min };
+    });
+
+    // Words heard in some sessions but not others are the interesting ones
+    const allWords = {};
+    columns.forEach((c, i) => {
+      for (const w in c.words) {
+        if (!allWords[w]) allWords[w] = columns.map(() => 0);
+        allWords[w][i] = c.words[w];
+      }
+    });
+    const words = Object.keys(allWords).sort().map(w => ({
+      word: w,
+      counts: allWords[w],
+      shared: allWords[w].every(n => n > 0)
+    }));
+
+    // Sessions recorded at the same time on different devices share one clock axis
+    const aligned = this._alignColumns(sessions, columns);
+    const maxDuration = aligned ? aligned.span : Math.max(1, ...columns.map(c => c.durationSec));
+    return { columns: columns, rows: rows, words: words, maxDuration: maxDuration, aligned: aligned };
+  }
+
+  _alignColumns(sessions, columns) {
+    if (columns.length < 2 || !sessions.every(s => s.clockSync && s.clockSync.startEpoch)) return null;
+
+    const input = columns.map(c => {
+      const s = sessions.find(x => x.id === c.id);
+      return {
+        id: c.id,
+        clockSync: s.clockSync,
+        durationSeconds: c.durationSec,
+        evps: c.evpMarks.filter(m => !m.rejected).map(m => ({ time: m.time, class: m.cls }))
+      };
+    });
+    const alignment = new ClockAlignment();
+    const aligned = alignment.align(input);
+    if (!alignment.overlaps(aligned)) return null;
+    const correlated = alignment.correlate(input, aligned);
+
+    const spans = Object.values(aligned);
+    const start = Math.min(...spans.map(a => a.start));
+    const end = Math.max(...spans.map(a => a.end));
+    let singleDevice = 0;
+    for (const c of columns) {
+      c.offsetSec = (aligned[c.id].start - start) / 1000;
+      c.clockSource = aligned[c.id].source;
+      const checks = correlated[c.id].slice();
+      for (const m of c.evpMarks) {
+        if (m.rejected) continue;
+        m.status = checks.shift().status;
+        if (m.status === 'single-device') singleDevice++;
+      }
+    }
+    return {
+      span: Math.max(1, (end - start) / 1000),
+      sources: [...new Set(spans.map(a => a.source))],
+      singleDevice: singleDevice
+    };
+  }
+
+  _comparisonColumn(s) {
+    // Timestamps come from the report snapshot; reviews share its classification indices
+    const snapshot = s.report || {};
+    const raw = snapshot.raw && snapshot.raw.evpClassifications;
+    const evps = (raw && raw.classifications) || (snapshot.audioEvidence && snapshot.audioEvidence.evpClassifications) || [];
+    const reviews = s.reviews || {};
+    const wordList = s.wordDetections || [];
+    const sensors = s.sensorSummary || {};
+    const durationSec = (s.duration || 0) / 1000;
+    const words = {};
+    for (const w of wordList) words[w.word] = (words[w.word] || 0) + 1;
+    // Per-class counts are only kept in the stored summary line: "EVP: n (A:a B:b C:c)"
+    const classes = (s.reportSummary || '').match(/A:(\d+) B:(\d+) C:(\d+)/) || [0, 0, 0, 0];
+
+    return {
+      id: s.id,
+      dateDisplay: s.dateDisplay,
+      locationName: s.locationName,
+      mode: s.mode,
+      profileName: s.profileName || null,
+      activityScore: s.activityScore || 0,
+      durationSec: durationSec,
+      durationMin: Math.round(durationSec / 6) / 10,
+      evpCount: s.evpCount || 0,
+      classA: Number(classes[1]),
+      classB: Number(classes[2]),
+      classC: Number(classes[3]),
+      evpPerMin: durationSec > 0 ? Math.round((s.evpCount || 0) / (durationSec / 60) * 10) / 10 : 0,
+      wordCount: wordList.length,
+      words: words,
+      emfAnomalies: sensors.emfAnomalies || 0,
+      infrasoundEvents: sensors.infrasoundEvents || 0,
+      // Timeline markers in seconds; older records may lack timestamps
+      evpMarks: evps.map((e, i) => ({
+        time: e.timestamp,
+        cls: e.class,
+        rejected: !!(reviews[i] && reviews[i].status === 'rejected')
+      })).filter(m => typeof m.time === 'number'),
+      wordMarks: wordList.filter(w => typeof w.timestamp === 'number').map(w => ({ time: w.timestamp, word: w.word }))
+    };
+  }
+
+  renderComparison(comparison) {
+    const cols = comparison.columns;
+    let html = '<div class="compare-table-wrap"><table class="compare-table">';
+
+    html += '<thead><tr><th></th>';
+    for (const c of cols) {
+      html += '<th><div class="compare-date">' + c.dateDisplay + '</div>';
+      html += '<div class="compare-location">' + c.locationName + '</div>';
+      html += '<div class="compare-mode">' + c.mode.toUpperCase() + (c.profileName ? ' &middot; ' + c.profileName : '') + '</div></th>';
+    }
+    html += '</tr></thead><tbody>';
+
+    for (const row of comparison.rows) {
+      html += '<tr' + (row.differs ? ' class="compare-differs"' : '') + '><td class="compare-label">' + row.label + '</td>';
+      for (const v of row.values) {
+        let cls = '';
+        if (row.differs && v === row.max) cls = ' class="compare-high"';
+        else if (row.differs && v === row.min) cls = ' class="compare-low"';
+        html += '<td' + cls + '>' + v + '</td>';
+      }
+      html += '</tr>';
+    }
+    html += '</tbody></table></div>';
+
+    if (comparison.words.length > 0) {
+      html += '<div class="compare-section-title">Words</div>';
+      html += '<div class="compare-table-wrap"><table class="compare-table">';
+      for (const w of comparison.words) {
+        html += '<tr' + (w.shared ? '' : ' class="compare-differs"') + '><td class="compare-label">' + w.word + '</td>';
+        for (const n of w.counts) {
+          html += '<td' + (!w.shared && n > 0 ? ' class="compare-high"' : '') + '>' + (n > 0 ? n : '&mdash;') + '</td>';
+        }
+        html += '</tr>';
+      }
+      html += '</table></div>';
+    }
+
+    // Timelines share one time axis so session lengths are comparable
+    // When the sessions overlapped in real time the bars are offset onto a common clock
+    html += '<div class="compare-section-title">Timelines</div>';
+    const aligned = comparison.aligned;
+    if (aligned) {
+      const clock = aligned.sources.includes('chirp') ? 'sync chirp' : aligned.sources.includes('relay') ? 'relay clock' : 'device clocks (unsynchronised)';
+      html += '<div class="compare-aligned">Recorded simultaneously &mdash; aligned by ' + clock + '.' +
+        (aligned.singleDevice > 0 ? ' ' + aligned.singleDevice + ' EVP' + (aligned.singleDevice !== 1 ? 's were' : ' was') +
+          ' heard on one device only (outlined): likely local contamination.' : '') + '</div>';
+    }
+    for (const c of cols) {
+      const width = (c.durationSec / comparison.maxDuration) * 100;
+      const offset = aligned ? (c.offsetSec / comparison.maxDuration) * 100 : 0;
+      html += '<div class="compare-timeline-row">';
+      html += '<div class="compare-timeline-label">' + c.dateDisplay + (aligned ? ' (+' + c.offsetSec.toFixed(1) + 's)' : '') + '</div>';
+      html += '<div class="compare-timeline"><div class="compare-timeline-bar" style="width:' + width.toFixed(1) + '%' +
+        (offset > 0 ? ';margin-left:' + offset.toFixed(1) + '%' : '') + '">';
+      for (const m of c.evpMarks) {
+        const left = Math.min(100, (m.time / Math.max(1, c.durationSec)) * 100);
+        const single = m.status === 'single-device';
+        html += '<span class="compare-mark class-' + m.cls.toLowerCase() + (single ? ' compare-mark-single' : '') + '" style="left:' + left.toFixed(2) +
+          '%" title="Class ' + m.cls + ' at ' + m.time.toFixed(1) + 's' + (single ? ' - only heard on this device' : '') + '"></span>';
+      }
+      for (const m of c.wordMarks) {
+        const left = Math.min(100, (m.time / Math.max(1, c.durationSec)) * 100);
+        html += '<span class="compare-mark compare-mark-word" style="left:' + left.toFixed(2) + '%" title="' + m.word + ' at ' + m.time.toFixed(1) + 's"></span>';
+      }
+      html += '</div></div></div>';
+    }
+    html += '<div class="compare-legend"><span class="compare-mark class-a"></span>A <span class="compare-mark class-b"></span>B <span class="compare-mark class-c"></span>C <span class="compare-mark compare-mark-word"></span>Word</div>';
+    return html;
+  }
+
+  mediaFilename(m) {
+    const ext = {
+      'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/wav': 'wav',
+      'video/webm': 'webm', 'video/mp4': 'mp4', 'image/png': 'png', 'image/jpeg': 'jpg'
+    }[(m.mimeType || '').split(';')[0]] || 'bin';
+    return 'evp-mini-' + m.kind + '-' + m.sessionId + '-' + m.id + '.' + ext;
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 }
 
 window.SessionVault = SessionVault;
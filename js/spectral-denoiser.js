@@ -0,0 +1,250 @@
+/**
+ * SpectralDenoiser — Offline noise reduction for reviewing recordings
+ * Short-time Fourier transform (Hann window, 75% overlap) with a decision-directed
+ * Wiener gain per bin. A gain floor keeps some of the hiss so the residual sounds like
+ * quieter room tone instead of warbling "musical noise".
+ *
+ * The noise estimate comes from EVPAudioEngine's calibration baseline (per-bin mean and
+ * standard deviation of the analyser magnitude) or from a stretch of the recording the
+ * reviewer marks as noise only. process() never alters its input; it returns a new buffer.
+ */
+class SpectralDenoiser {
+  constructor() {
+    this.fftSize = 2048;         // ~43ms at 48kHz: short enough to keep syllable onsets
+    this.hopSize = 512;
+    this.strength = 1.0;         // noise over-estimation; above 1 removes more hiss and more voice
+    this.gainFloor = 0.1;        // -20dB: the most any bin is attenuated
+    this.smoothing = 0.98;       // weight of the previous frame in the a priori SNR
+    this.yieldEvery = 200;       // frames between yields to keep the UI responsive
+
+    // {source: 'baseline', mean, stdDev, sampleRate, fftSize} or
+    // {source: 'region', power, sampleRate, start, end}
+    this.profile = null;
+    this.version = 0;            // changes whenever the output would change, for caching
+
+    this._fft = new FFT(this.fftSize);
+    this._window = new Float64Array(this.fftSize);
+    for (var i = 0; i < this.fftSize; i++) {
+      this._window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / this.fftSize);
+    }
+    // Hann analysis and synthesis windows at 75% overlap sum to a constant 1.5
+    this._overlapGain = 1.5;
+  }
+
+  /**
+   * Use the engine's calibration baseline as the noise estimate.
+   * @param {Object} baseline - from EVPAudioEngine.getNoiseProfile()
+   * @returns {boolean} false if no baseline was established
+   */
+  setProfileFromBaseline(baseline) {
+    if (!baseline || !baseline.mean || !baseline.stdDev) return false;
+    this.profile = {
+      source: 'baseline',
+      mean: baseline.mean,
+      stdDev: baseline.stdDev,
+      sampleRate: baseline.sampleRate,
+      fftSize: baseline.fftSize
+    };
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Measure the noise estimate from part of a recording that holds room tone only.
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} startSec
+   * @param {number} endSec
+   * @returns {boolean} false if the region is too short for a steady estimate (~0.25s)
+   */
+  setProfileFromRegion(audioBuffer, startSec, endSec) {
+    var rate = audioBuffer.sampleRate;
+    var start = Math.max(0, Math.floor(startSec * rate));
+    var end = Math.min(audioBuffer.length, Math.floor(endSec * rate));
+    var n = this.fftSize;
+    var frames = Math.floor((end - start - n) / this.hopSize) + 1;
+    if (frames < 20) return false;
+
+    var half = n / 2;
+    var power = new Float64Array(half + 1);
+    var re = new Float64Array(n);
+    var im = new Float64Array(n);
+    var channels = audioBuffer.numberOfChannels;
+
+    for (var c = 0; c < channels; c++) {
+      var data = audioBuffer.getChannelData(c);
+      for (var f = 0; f < frames; f++) {
+        var pos = start + f * this.hopSize;
+        for (var i = 0; i < n; i++) {
+          re[i] = data[pos + i] * this._window[i];
+          im[i] = 0;
+        }
+        this._fft.forward(re, im);
+        for (var k = 0; k <= half; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+      }
+    }
+    for (var j = 0; j <= half; j++) power[j] /= frames * channels;
+
+    this.profile = { source: 'region', power: power, sampleRate: rate, start: start / rate, end: end / rate };
+    this.version++;
+    return true;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasProfile() {
+    return !!this.profile;
+  }
+
+  /**
+   * Describe the current noise estimate for the UI.
+   * @returns {string}
+   */
+  describeProfile() {
+    if (!this.profile) return 'No noise profile';
+    if (this.profile.source === 'baseline') return 'Noise profile: calibration baseline';
+    return 'Noise profile: ' + this.profile.start.toFixed(1) + 's-' + this.profile.end.toFixed(1) + 's of the recording';
+  }
+
+  /**
+   * @param {number} strength - 0.5 (light) to 2 (strong)
+   */
+  setStrength(strength) {
+    var s = Math.max(0.5, Math.min(2, Number(strength) || 1));
+    if (s !== this.strength) {
+      this.strength = s;
+      this.version++;
+    }
+  }
+
+  /**
+   * Denoise every channel of an AudioBuffer.
+   * @param {AudioBuffer} audioBuffer
+   * @param {BaseAudioContext} context - used to allocate the output buffer
+   * @param {Function} [onProgress] - called with 0-100
+   * @returns {Promise<AudioBuffer>}
+   */
+  async process(audioBuffer, context, onProgress) {
+    if (!this.profile) throw new Error('SpectralDenoiser: no noise profile');
+
+    var rate = audioBuffer.sampleRate;
+    var noise = this._noisePower(rate);
+    var out = context.createBuffer(audioBuffer.numberOfChannels, audioBuffer.length, rate);
+    var framesPerChannel = Math.ceil((audioBuffer.length + this.fftSize) / this.hopSize);
+    var total = framesPerChannel * audioBuffer.numberOfChannels;
+    var done = 0;
+
+    for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+      var input = audioBuffer.getChannelData(c);
+      var output = out.getChannelData(c);
+      var state = { prevClean: new Float64Array(this.fftSize / 2 + 1) };
+      var re = new Float64Array(this.fftSize);
+      var im = new Float64Array(this.fftSize);
+
+      // Start one window before the first sample so every sample gets full overlap
+      for (var pos = this.hopSize - this.fftSize; pos < input.length; pos += this.hopSize) {
+        this._processFrame(input, output, pos, re, im, noise, state);
+        done++;
+        if (done % this.yieldEvery === 0) {
+          if (onProgress) onProgress(Math.round((done / total) * 100));
+          await new Promise(function(resolve) { setTimeout(resolve, 0); });
+        }
+      }
+    }
+    if (onProgress) onProgress(100);
+    return out;
+  }
+
+  _processFrame(input, output, pos, re, im, noise, state) {
+    var n = this.fftSize;
+    var half = n / 2;
+    var w = this._window;
+
+    for (var i = 0; i < n; i++) {
+      var idx = pos + i;
+      re[i] = idx >= 0 && idx < input.length ? input[idx] * w[i] : 0;
+      im[i] = 0;
+    }
+    this._fft.forward(re, im);
+
+    var alpha = this.smoothing;
+    for (var k = 0; k <= half; k++) {
+      var power = re[k] * re[k] + im[k] * im[k];
+      var lambda = noise[k] * this.strength;
+      var gain = 1;
+      if (lambda > 0) {
+        // Decision-directed a priori SNR (Ephraim & Malah): the previous frame's clean
+        // estimate steadies the gain so isolated noise peaks are not let through
+        var posteriori = power / lambda;
+        var priori = alpha * state.prevClean[k] / lambda + (1 - alpha) * Math.max(posteriori - 1, 0);
+        gain = Math.max(this.gainFloor, priori / (1 + priori));
+      }
+      state.prevClean[k] = gain * gain * power;
+
+      re[k] *= gain;
+      im[k] *= gain;
+      if (k > 0 && k < half) {
+        re[n - k] *= gain;
+        im[n - k] *= gain;
+      }
+    }
+
+    this._fft.inverse(re, im);
+    for (var j = 0; j < n; j++) {
+      var o = pos + j;
+      if (o >= 0 && o < output.length) output[o] += re[j] * w[j] / this._overlapGain;
+    }
+  }
+
+  // Expected noise power in each of this STFT's bins at the given sample rate
+  _noisePower(sampleRate) {
+    var half = this.fftSize / 2;
+    var power = new Float64Array(half + 1);
+    var p = this.profile;
+    var k;
+
+    if (p.source === 'region') {
+      for (k = 0; k <= half; k++) {
+        var src = Math.min(half, Math.round(k * sampleRate / p.sampleRate));
+        power[k] = p.power[src];
+      }
+      return power;
+    }
+
+    // The analyser reports Blackman-windowed |X|/N. Scale that to the variance of an
+    // equivalent white noise, then to the power this Hann window would see at that level.
+    var analyserBins = p.mean.length;
+    var blackmanSq = 0;
+    var hannSq = 0;
+    for (var i = 0; i < p.fftSize; i++) {
+      var t = i / p.fftSize;
+      var b = 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+      blackmanSq += b * b;
+    }
+    for (var j = 0; j < this.fftSize; j++) hannSq += this._window[j] * this._window[j];
+
+    var binHz = sampleRate / this.fftSize;
+    var analyserHz = p.sampleRate / p.fftSize;
+    for (k = 0; k <= half; k++) {
+      // Average the analyser bins this (wider) bin spans
+      var lo = Math.max(0, Math.floor((k - 0.5) * binHz / analyserHz));
+      var hi = Math.min(analyserBins - 1, Math.ceil((k + 0.5) * binHz / analyserHz));
+      var sum = 0;
+      var count = 0;
+      for (var a = lo; a <= hi; a++) {
+        var mean = p.mean[a];
+        var sd = p.stdDev[a];
+        // Noise magnitudes are Rayleigh distributed, so E|X|^2 = 4/pi * (E|X|)^2;
+        // the measured spread is used when it implies more
+        sum += Math.max(mean * mean * 4 / Math.PI, mean * mean + sd * sd);
+        count++;
+      }
+      var magSq = count > 0 ? sum / count : 0;
+      var variance = magSq * p.fftSize * p.fftSize / blackmanSq;
+      power[k] = variance * hannSq;
+    }
+    return power;
+  }
+}
+
+window.SpectralDenoiser = SpectralDenoiser;
@@ -3,9 +3,14 @@
  *
  * Simulates a real spirit box (SB7/SB11) by rapidly sweeping an oscillator through
  * FM frequencies (87.5-108.0 MHz display range mapped to 200-4000 Hz audio) while
- * layering continuous white or pink noise underneath. Random frequency pauses simulate
- * the spirit box "catching" a station, creating the characteristic fragment captures
- * that paranormal investigators analyze for EVP content.
+ * layering continuous white or pink noise underneath. Sweep patterns follow the hardware:
+ * forward or reverse with wrap-around, ping-pong between the band edges, or random
+ * station hopping, each moving in configurable step sizes.
+ *
+ * Fragments are captured from the live microphone: when EVPAudioEngine reports a
+ * voice-range anomaly during a sweep, the sweep holds on the current frequency until the
+ * anomaly ends. Each fragment keeps a WAV snippet of what the mic heard (with a short
+ * pre-roll), the measured SNR/HNR/centroid/pitch and formants, and any WordDetector match.
  *
  * Uses a SHARED AudioContext (passed in via init). Does not create its own context.
  */
@@ -45,18 +50,41 @@ class SpiritBoxEngine {
     this.currentFragment = null;
     this.fragmentCaptured = false;
     this.isPaused = false;
-    this.pauseTimeout = null;
+
+    // Live microphone capture (see attachInput)
+    this.captureSettings = {
+      bufferSeconds: 4,          // mic history kept for snippets
+      preRollSeconds: 0.25,      // audio kept from before the anomaly started
+      minSeconds: 0.1,           // shorter anomalies are clicks, not fragments
+      maxSeconds: 2.5,           // the sweep never holds longer than this
+      releaseSeconds: 0.15,      // anomaly must stay off this long to end a fragment
+      wordWindowSeconds: 1.5,    // a word closing this soon after a fragment belongs to it
+      sampleRate: 12000,         // snippets are downsampled; voice range tops out at 4kHz
+      maxAudioFragments: 30,     // later fragments keep metrics only, to bound report size
+      selfToneHarmonics: 4,      // the speaker adds overtones to the sweep tone
+      selfToneTolerance: 0.04    // within 4% (at least 25Hz) of one of them is the box itself
+    };
+    this.inputSource = null;
+    this.inputProcessor = null;
+    this.ringBuffer = null;
+    this.ringTotal = 0;          // samples written since attachInput
+    this._openFragment = null;
 
     // Session statistics
     this.startTime = 0;
     this.frameCount = 0;
     this.sweepCount = 0;
+    this.hopCount = 0;           // random-hop steps, counted into sweeps one band's worth at a time
     this.totalPauseCount = 0;
     this.longestPause = 0;
     this.totalPauseDuration = 0;
 
-    // Mode: 'sweep', 'white-noise', 'pink-noise' (backward compat with app.js)
+    // Sweep patterns: 'sweep' (forward), 'reverse', 'bidirectional' (ping-pong),
+    // 'random-hop'; or pure noise: 'white-noise', 'pink-noise'
     this.mode = 'sweep';
+    this.sweepModes = ['sweep', 'reverse', 'bidirectional', 'random-hop'];
+    this.noiseModes = ['white-noise', 'pink-noise'];
+    this.stepSizes = [0.05, 0.1, 0.2, 0.5, 1.0];
 
     // FM display range
     this.displayMin = 87.5;
@@ -100,6 +128,43 @@ class SpiritBoxEngine {
     this.isInitialized = true;
   }
 
+  /**
+   * Tap the microphone so fragments can carry audio. The ScriptProcessor writes into a
+   * ring buffer; its output is silent but it must reach the destination to keep running.
+   * @param {AudioNode} sourceNode - EVPAudioEngine's MediaStreamSource
+   * @returns {boolean}
+   */
+  attachInput(sourceNode) {
+    if (!this.isInitialized || !sourceNode) return false;
+    this.detachInput();
+
+    this.ringBuffer = new Float32Array(Math.ceil(this.captureSettings.bufferSeconds * this.audioContext.sampleRate));
+    this.ringTotal = 0;
+    this.inputProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    this.inputProcessor.onaudioprocess = (e) => this._writeRing(e.inputBuffer.getChannelData(0));
+    sourceNode.connect(this.inputProcessor);
+    this.inputProcessor.connect(this.audioContext.destination);
+    this.inputSource = sourceNode;
+    return true;
+  }
+
+  /**
+   * Stop tapping the microphone. Fragments captured afterwards have no audio.
+   */
+  detachInput() {
+    if (this.inputProcessor) {
+      this.inputProcessor.onaudioprocess = null;
+      try {
+        if (this.inputSource) this.inputSource.disconnect(this.inputProcessor);
+        this.inputProcessor.disconnect();
+      } catch (e) { /* already disconnected */ }
+      this.inputProcessor = null;
+    }
+    this.inputSource = null;
+    this.ringBuffer = null;
+    this.ringTotal = 0;
+  }
+
   /**
    * Start the spirit box sweep or noise playback depending on current mode.
    */
@@ -108,8 +173,11 @@ class SpiritBoxEngine {
     this.running = true;
     this.startTime = this.audioContext.currentTime;
     this.frameCount = 0;
+    this.hopCount = 0;
 
-    if (this.mode === 'sweep') {
+    if (this.isSweepMode()) {
+      // A reverse sweep starts from the top of the band
+      if (this.mode === 'reverse' && this.currentFreq <= this.displayMin) this.currentFreq = this.displayMax;
       this._startOscillator();
       this._startNoise();
       this._startSweepInterval();
@@ -126,31 +194,66 @@ class SpiritBoxEngine {
    * Stop all audio output and clear the sweep interval.
    */
   stop() {
+    if (this._openFragment) this._closeFragment(this.audioContext.currentTime);
     this.running = false;
 
     this._stopOscillator();
     this._stopNoise();
     this._clearSweepInterval();
 
-    // Clear any pending pause
-    if (this.pauseTimeout) {
-      clearTimeout(this.pauseTimeout);
-      this.pauseTimeout = null;
-    }
     this.isPaused = false;
     this.fragmentCaptured = false;
     this.currentFragment = null;
   }
 
   /**
-   * Switch between modes: 'sweep', 'white-noise', 'pink-noise'.
+   * Switch between modes: 'sweep', 'reverse', 'bidirectional', 'random-hop',
+   * 'white-noise', 'pink-noise'. Unknown modes are ignored.
    * Restarts playback if the engine was running.
+   * @returns {boolean} false if the mode is unknown
    */
   setMode(mode) {
+    if (this.sweepModes.indexOf(mode) === -1 && this.noiseModes.indexOf(mode) === -1) return false;
     const wasRunning = this.running;
     if (wasRunning) this.stop();
     this.mode = mode;
+    this.sweepDirection = mode === 'reverse' ? -1 : 1;
     if (wasRunning) this.start();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} true if the current mode moves through the band (vs pure noise)
+   */
+  isSweepMode() {
+    return this.sweepModes.indexOf(this.mode) !== -1;
+  }
+
+  /**
+   * Set the tuning step in MHz, snapped to the nearest of stepSizes.
+   * Takes effect on the next step; the current frequency is moved onto the new grid.
+   * @param {number} mhz
+   */
+  setStepSize(mhz) {
+    const value = Number(mhz) || this.stepSize;
+    this.stepSize = this.stepSizes.reduce((best, s) => Math.abs(s - value) < Math.abs(best - value) ? s : best);
+    this.currentFreq = this._snapToGrid(this.currentFreq);
+  }
+
+  /**
+   * Describe the current pattern for the UI and reports.
+   * @returns {string}
+   */
+  getPatternLabel() {
+    const labels = {
+      'sweep': 'Forward sweep',
+      'reverse': 'Reverse sweep',
+      'bidirectional': 'Bidirectional sweep',
+      'random-hop': 'Random hop',
+      'white-noise': 'White noise',
+      'pink-noise': 'Pink noise'
+    };
+    return labels[this.mode] || this.mode;
   }
 
   /**
@@ -159,7 +262,7 @@ class SpiritBoxEngine {
    */
   setSweepSpeed(ms) {
     this.sweepSpeed = Math.max(30, Math.min(350, ms));
-    if (this.running && this.mode === 'sweep') {
+    if (this.running && this.isSweepMode()) {
       this._clearSweepInterval();
       this._startSweepInterval();
     }
@@ -201,12 +304,14 @@ class SpiritBoxEngine {
   /**
    * Called every animation frame when spirit box mode is active.
    * Returns current engine state for UI rendering.
+   * @param {Object} [mic] - {assess: EVPAudioEngine.getQuickAssess(), formants: getFormantAnalysis()};
+   *   omit when the microphone is unavailable and no fragments will be captured
    */
-  processFrame() {
+  processFrame(mic) {
     if (!this.running) {
       return {
         running: false,
-        displayFreq: this.currentFreq.toFixed(1),
+        displayFreq: this._formatFreq(this.currentFreq),
         audioFreq: this._mapRange(this.currentFreq, this.displayMin, this.displayMax, this.audioMin, this.audioMax),
         sweepSpeed: this.sweepSpeed,
         noiseType: this.noiseType,
@@ -218,10 +323,11 @@ class SpiritBoxEngine {
     }
 
     this.frameCount++;
+    if (mic && mic.assess && this.isSweepMode()) this._trackInput(mic.assess, mic.formants);
 
     return {
       running: true,
-      displayFreq: this.currentFreq.toFixed(1),
+      displayFreq: this._formatFreq(this.currentFreq),
       audioFreq: this._mapRange(this.currentFreq, this.displayMin, this.displayMax, this.audioMin, this.audioMax),
       sweepSpeed: this.sweepSpeed,
       noiseType: this.noiseType,
@@ -245,8 +351,10 @@ class SpiritBoxEngine {
       isActive: this.running,
       mode: this.mode,
       currentFreqHz: this._mapRange(this.currentFreq, this.displayMin, this.displayMax, this.audioMin, this.audioMax),
-      currentFreqDisplay: this.currentFreq.toFixed(1),
+      currentFreqDisplay: this._formatFreq(this.currentFreq),
+      patternLabel: this.getPatternLabel(),
       sweepSpeed: this.sweepSpeed,
+      stepSize: this.stepSize,
       sweepCount: this.sweepCount,
       fragmentCount: this.fragments.length,
       noiseType: this.noiseType,
@@ -260,11 +368,30 @@ class SpiritBoxEngine {
    * Return array of all captured fragments for evidence analysis.
    */
   getFragments() {
-    return this.fragments.map(f => ({
-      freq: f.freq,
-      duration: f.duration,
-      time: f.time
-    }));
+    return this.fragments.map(f => this._exportFragment(f));
+  }
+
+  /**
+   * Link a WordDetector match to the fragment it was heard in: the one still open, or
+   * one that closed within wordWindowSeconds (words are reported when their segment ends).
+   * @param {Object} detection - from WordDetector.processFrame()
+   * @returns {boolean} false if no fragment was near enough
+   */
+  attachWord(detection) {
+    if (!detection || !this.running) return false;
+    const word = {
+      word: detection.word,
+      confidence: detection.confidence,
+      phonemes: (detection.wordPhonemes || detection.phonemes || []).slice()
+    };
+    if (this._openFragment) {
+      this._openFragment.pendingWord = word;
+      return true;
+    }
+    const last = this.fragments[this.fragments.length - 1];
+    if (!last || last.word || this.audioContext.currentTime - last.closedAt > this.captureSettings.wordWindowSeconds) return false;
+    last.word = word;
+    return true;
   }
 
   /**
@@ -284,13 +411,15 @@ class SpiritBoxEngine {
       totalSweepTime: Math.round(elapsed * 10) / 10,
       frequencyRange: this.displayMin.toFixed(1) + ' - ' + this.displayMax.toFixed(1) + ' MHz',
       sweepSpeed: this.sweepSpeed,
+      sweepPattern: {
+        mode: this.mode,
+        label: this.getPatternLabel(),
+        stepSize: this.stepSize,
+        hops: this.mode === 'random-hop' ? this.hopCount : 0
+      },
       totalSweeps: this.sweepCount,
       fragmentsCaptured: this.fragments.length,
-      fragments: this.fragments.map(f => ({
-        freq: f.freq,
-        duration: f.duration,
-        time: f.time
-      })),
+      fragments: this.fragments.map(f => this._exportFragment(f)),
       noiseType: this.noiseType,
       longestPause: this.longestPause,
       averagePauseDuration: avgPause,
@@ -304,25 +433,19 @@ class SpiritBoxEngine {
 
   /**
    * Core sweep step called by the interval timer.
-   * Advances frequency, handles direction reversal, triggers random pauses,
-   * and applies frequency wobble for analog realism.
+   * Moves to the next frequency for the current pattern and applies frequency wobble
+   * for analog realism. Holds still while a fragment is being captured.
    */
   _sweep() {
     // If currently paused on a captured fragment, skip
     if (this.isPaused) return;
 
-    // 1. Advance the display frequency
-    this.currentFreq += this.stepSize * this.sweepDirection;
-
-    // 2. Handle range boundaries
-    if (this.currentFreq >= this.displayMax) {
-      this.currentFreq = this.displayMax;
-      this.sweepDirection = -1;
-      this.sweepCount++;
-    } else if (this.currentFreq <= this.displayMin) {
-      this.currentFreq = this.displayMin;
-      this.sweepDirection = 1;
-      this.sweepCount++;
+    // 1-2. Move to the next display frequency and handle range boundaries
+    const hopped = this.mode === 'random-hop';
+    if (hopped) {
+      this._hop();
+    } else {
+      this._step();
     }
 
     // 3. Map FM display frequency to audio frequency
@@ -334,30 +457,28 @@ class SpiritBoxEngine {
       this.audioMax
     );
 
-    // 4. Set oscillator frequency with a short ramp for smoothness
+    // 4. Set oscillator frequency with a short ramp for smoothness (hops jump straight there)
     if (this.oscillator) {
       const now = this.audioContext.currentTime;
       // Add slight random wobble for analog realism (±5Hz)
       const wobble = (Math.random() - 0.5) * 10;
       const targetFreq = Math.max(20, audioFreq + wobble);
 
-      this.oscillator.frequency.setValueAtTime(
-        this.oscillator.frequency.value,
-        now
-      );
-      this.oscillator.frequency.linearRampToValueAtTime(
-        targetFreq,
-        now + Math.min(this.sweepSpeed / 1000, 0.05)
-      );
+      if (hopped) {
+        this.oscillator.frequency.setValueAtTime(targetFreq, now);
+      } else {
+        this.oscillator.frequency.setValueAtTime(
+          this.oscillator.frequency.value,
+          now
+        );
+        this.oscillator.frequency.linearRampToValueAtTime(
+          targetFreq,
+          now + Math.min(this.sweepSpeed / 1000, 0.05)
+        );
+      }
     }
 
-    // 5. Random pause chance — simulates catching a frequency
-    //    2% chance per step, feels organic and unpredictable
-    if (Math.random() < 0.02) {
-      this._captureFragment();
-    }
-
-    // 6. Occasionally modulate the noise level slightly for texture
+    // 5. Occasionally modulate the noise level slightly for texture
     if (this.noiseGain && Math.random() < 0.1) {
       const now = this.audioContext.currentTime;
       const jitter = this.noiseLevel * (0.85 + Math.random() * 0.3);
@@ -369,56 +490,301 @@ class SpiritBoxEngine {
   }
 
   /**
-   * Pause the sweep on the current frequency for a random duration (200-800ms).
-   * Records a fragment capture event.
+   * Advance one step. Forward and reverse wrap to the opposite band edge like the
+   * hardware; bidirectional turns around at each edge. Each pass counts as a sweep.
    */
-  _captureFragment() {
-    this.isPaused = true;
-    this.fragmentCaptured = true;
+  _step() {
+    const next = this._snapToGrid(this.currentFreq + this.stepSize * this.sweepDirection);
+
+    if (this.mode === 'bidirectional') {
+      if (next >= this.displayMax) {
+        this.currentFreq = this.displayMax;
+        this.sweepDirection = -1;
+        this.sweepCount++;
+      } else if (next <= this.displayMin) {
+        this.currentFreq = this.displayMin;
+        this.sweepDirection = 1;
+        this.sweepCount++;
+      } else {
+        this.currentFreq = next;
+      }
+      return;
+    }
 
-    // Random pause duration: 200-800ms, slightly biased toward shorter pauses
-    const pauseDuration = 200 + Math.floor(Math.pow(Math.random(), 1.3) * 600);
+    // next is clamped to the band, so test the unclamped step for the wrap
+    const raw = this.currentFreq + this.stepSize * this.sweepDirection;
+    this.sweepDirection = this.mode === 'reverse' ? -1 : 1;
+    if (this.sweepDirection > 0 && raw > this.displayMax + 1e-6) {
+      this.currentFreq = this.displayMin;
+      this.sweepCount++;
+    } else if (this.sweepDirection < 0 && raw < this.displayMin - 1e-6) {
+      this.currentFreq = this.displayMax;
+      this.sweepCount++;
+    } else {
+      this.currentFreq = next;
+    }
+  }
 
-    const elapsed = this.audioContext.currentTime - this.startTime;
+  /**
+   * Jump to a random station on the step grid, never the one already tuned.
+   * Every band's worth of hops counts as one sweep so totals stay comparable.
+   */
+  _hop() {
+    const stations = this._stationCount();
+    const current = Math.round((this.currentFreq - this.displayMin) / this.stepSize);
+    let index = Math.floor(Math.random() * stations);
+    if (stations > 1 && index === current) index = (index + 1 + Math.floor(Math.random() * (stations - 1))) % stations;
+
+    this.currentFreq = this._snapToGrid(this.displayMin + index * this.stepSize);
+    this.hopCount++;
+    if (this.hopCount % stations === 0) this.sweepCount++;
+  }
 
-    this.currentFragment = {
-      freq: this.currentFreq.toFixed(1),
-      duration: pauseDuration,
-      startTime: Math.round(elapsed * 10) / 10
-    };
+  // ─── Internal: Fragment Capture ─────────────────────────────────────────────
 
-    // Track statistics
-    this.totalPauseCount++;
-    this.totalPauseDuration += pauseDuration;
-    if (pauseDuration > this.longestPause) {
-      this.longestPause = pauseDuration;
+  /**
+   * Open, extend or close the fragment for this frame's microphone reading.
+   * Sync chirps from team devices and the box's own sweep tone are not fragments.
+   */
+  _trackInput(assess, formants) {
+    if (!assess.baselineEstablished) return;
+    const now = this.audioContext.currentTime;
+    const cs = this.captureSettings;
+
+    if (assess.isAnomaly && !assess.syncChirp && !this._isOwnTone(assess)) {
+      if (!this._openFragment) this._beginFragment(now);
+      this._accumulate(this._openFragment, assess, formants);
+      this._openFragment.lastActive = now;
+    } else if (this._openFragment && now - this._openFragment.lastActive >= cs.releaseSeconds) {
+      this._closeFragment(now);
+      return;
     }
 
-    // Store fragment
-    if (this.fragments.length < this.maxFragments) {
-      this.fragments.push({
-        freq: this.currentFragment.freq,
-        duration: pauseDuration,
-        time: Math.round(elapsed * 10) / 10
-      });
-    }
+    if (!this._openFragment) return;
+    this.currentFragment.duration = Math.round((now - this._openFragment.start) * 1000);
+    if (now - this._openFragment.start >= cs.maxSeconds) this._closeFragment(now);
+  }
+
+  /**
+   * Whether the frame's dominant frequency or pitch sits on the sweep tone or one of its
+   * harmonics. The mic runs without echo cancellation, so it hears the box's speaker.
+   */
+  _isOwnTone(assess) {
+    if (this.toneLevel <= 0) return false;
+    const cs = this.captureSettings;
+    // The oscillator may still be ramping towards the current step
+    const tones = [this._mapRange(this.currentFreq, this.displayMin, this.displayMax, this.audioMin, this.audioMax)];
+    if (this.oscillator) tones.push(this.oscillator.frequency.value);
+    const heard = [assess.peakFreq, assess.pitch].filter(f => f > 0);
+
+    return heard.some(f => tones.some(tone => {
+      const k = Math.round(f / tone);
+      if (k < 1 || k > cs.selfToneHarmonics) return false;
+      return Math.abs(f - k * tone) <= Math.max(25, k * tone * cs.selfToneTolerance);
+    }));
+  }
+
+  /**
+   * Hold the sweep on the current frequency and start measuring.
+   */
+  _beginFragment(now) {
+    const elapsed = now - this.startTime;
+    const rate = this.audioContext.sampleRate;
+
+    this.isPaused = true;
+    this.fragmentCaptured = true;
+    this.currentFragment = {
+      freq: this._formatFreq(this.currentFreq),
+      duration: 0,
+      startTime: Math.round(elapsed * 10) / 10
+    };
+    this._openFragment = {
+      freq: this.currentFragment.freq,
+      time: this.currentFragment.startTime,
+      start: now,
+      lastActive: now,
+      // The ring lags the analyser by up to one processor block, which only adds pre-roll
+      startSample: this.ringBuffer ? this.ringTotal - Math.round(this.captureSettings.preRollSeconds * rate) : null,
+      frames: 0,
+      voicedFrames: 0,
+      pitchFrames: 0,
+      snrPeak: -Infinity,
+      rmsPeakDb: -Infinity,
+      strengthPeak: 0,
+      hnrSum: 0,
+      centroidSum: 0,
+      pitchSum: 0,
+      f1Sum: 0,
+      f2Sum: 0,
+      f3Sum: 0,
+      pendingWord: null
+    };
 
     // Brief volume dip on tone during capture for realism
     if (this.oscillatorGain) {
-      const now = this.audioContext.currentTime;
       const dippedLevel = this.toneLevel * 0.6;
       this.oscillatorGain.gain.setValueAtTime(this.toneLevel, now);
       this.oscillatorGain.gain.linearRampToValueAtTime(dippedLevel, now + 0.03);
       this.oscillatorGain.gain.linearRampToValueAtTime(this.toneLevel, now + 0.08);
     }
+  }
 
-    // Resume sweep after the pause
-    this.pauseTimeout = setTimeout(() => {
-      this.isPaused = false;
-      this.fragmentCaptured = false;
-      this.currentFragment = null;
-      this.pauseTimeout = null;
-    }, pauseDuration);
+  _accumulate(frag, assess, formants) {
+    frag.frames++;
+    frag.snrPeak = Math.max(frag.snrPeak, assess.snr || 0);
+    frag.rmsPeakDb = Math.max(frag.rmsPeakDb, assess.rmsDb);
+    frag.strengthPeak = Math.max(frag.strengthPeak, assess.anomalyStrength || 0);
+    frag.hnrSum += assess.hnr || 0;
+    frag.centroidSum += assess.centroid || 0;
+    if (assess.pitch > 0) {
+      frag.pitchSum += assess.pitch;
+      frag.pitchFrames++;
+    }
+    if (formants && formants.hasVoicePattern) {
+      frag.f1Sum += formants.f1;
+      frag.f2Sum += formants.f2;
+      frag.f3Sum += formants.f3;
+      frag.voicedFrames++;
+    }
+  }
+
+  /**
+   * End the open fragment, store it with its metrics and audio, and resume the sweep.
+   */
+  _closeFragment(now) {
+    const frag = this._openFragment;
+    this._openFragment = null;
+    this.isPaused = false;
+    this.fragmentCaptured = false;
+    this.currentFragment = null;
+    if (!frag) return;
+
+    const pauseDuration = Math.round((now - frag.start) * 1000);
+    const active = frag.lastActive - frag.start;
+    if (active < this.captureSettings.minSeconds) return;
+
+    this.totalPauseCount++;
+    this.totalPauseDuration += pauseDuration;
+    if (pauseDuration > this.longestPause) this.longestPause = pauseDuration;
+    if (this.fragments.length >= this.maxFragments) return;
+
+    const audioCount = this.fragments.filter(f => f.audio).length;
+    const audio = frag.startSample !== null && audioCount < this.captureSettings.maxAudioFragments
+      ? this._snippet(frag.startSample, this.ringTotal)
+      : null;
+    const round1 = v => Math.round(v * 10) / 10;
+    const n = frag.frames;
+
+    this.fragments.push({
+      freq: frag.freq,
+      duration: pauseDuration,
+      time: frag.time,
+      closedAt: now,
+      metrics: {
+        activeSeconds: round1(active),
+        frames: n,
+        snrPeak: round1(frag.snrPeak),
+        rmsPeakDb: round1(frag.rmsPeakDb),
+        anomalyStrength: frag.strengthPeak,
+        hnr: round1(frag.hnrSum / n),
+        centroid: Math.round(frag.centroidSum / n),
+        pitch: frag.pitchFrames > 0 ? Math.round(frag.pitchSum / frag.pitchFrames) : 0
+      },
+      formants: frag.voicedFrames > 0 ? {
+        f1: Math.round(frag.f1Sum / frag.voicedFrames),
+        f2: Math.round(frag.f2Sum / frag.voicedFrames),
+        f3: Math.round(frag.f3Sum / frag.voicedFrames),
+        voicedFrames: frag.voicedFrames
+      } : null,
+      word: frag.pendingWord,
+      audio: audio
+    });
+  }
+
+  _exportFragment(f) {
+    return {
+      freq: f.freq,
+      duration: f.duration,
+      time: f.time,
+      metrics: f.metrics ? Object.assign({}, f.metrics) : null,
+      formants: f.formants ? Object.assign({}, f.formants) : null,
+      word: f.word ? { word: f.word.word, confidence: f.word.confidence, phonemes: f.word.phonemes.slice() } : null,
+      audio: f.audio ? Object.assign({}, f.audio) : null
+    };
+  }
+
+  _writeRing(input) {
+    const ring = this.ringBuffer;
+    if (!ring) return;
+    let pos = this.ringTotal % ring.length;
+    for (let i = 0; i < input.length; i++) {
+      ring[pos] = input[i];
+      pos = pos + 1 === ring.length ? 0 : pos + 1;
+    }
+    this.ringTotal += input.length;
+  }
+
+  /**
+   * Cut samples [from, to) out of the ring, downsample and encode as a WAV data URL.
+   * @returns {Object|null} {dataUrl, seconds, sampleRate}
+   */
+  _snippet(from, to) {
+    const ring = this.ringBuffer;
+    if (!ring) return null;
+    from = Math.max(from, to - ring.length, 0);
+    if (to - from < 2) return null;
+
+    const inRate = this.audioContext.sampleRate;
+    const outRate = Math.min(inRate, this.captureSettings.sampleRate);
+    const ratio = inRate / outRate;
+    const out = new Float32Array(Math.floor((to - from) / ratio));
+    // Box-filter each output sample over the input samples it covers
+    for (let i = 0; i < out.length; i++) {
+      const a = from + Math.floor(i * ratio);
+      const b = Math.max(a + 1, from + Math.floor((i + 1) * ratio));
+      let sum = 0;
+      for (let j = a; j < b; j++) sum += ring[j % ring.length];
+      out[i] = sum / (b - a);
+    }
+
+    return {
+      dataUrl: this._wavDataUrl(out, outRate),
+      seconds: Math.round(out.length / outRate * 100) / 100,
+      sampleRate: outRate
+    };
+  }
+
+  /**
+   * Mono 16-bit PCM WAV as a data: URL, so fragments survive report export and the vault.
+   */
+  _wavDataUrl(samples, rate) {
+    const bytes = new Uint8Array(44 + samples.length * 2);
+    const view = new DataView(bytes.buffer);
+    const writeString = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)); };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, bytes.length - 8, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, rate, true);
+    view.setUint32(28, rate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    }
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return 'data:audio/wav;base64,' + btoa(binary);
   }
 
   // ─── Internal: Audio Node Management ────────────────────────────────────────
@@ -622,6 +988,30 @@ class SpiritBoxEngine {
     return outMin + ((value - inMin) / (inMax - inMin)) * (outMax - outMin);
   }
 
+  /**
+   * Nearest frequency on the step grid from displayMin, clamped to the band.
+   * Rounding here stops floating-point drift from accumulating over long sessions.
+   */
+  _snapToGrid(freq) {
+    const steps = Math.round((freq - this.displayMin) / this.stepSize);
+    const snapped = Math.round((this.displayMin + steps * this.stepSize) * 100) / 100;
+    return Math.max(this.displayMin, Math.min(this.displayMax, snapped));
+  }
+
+  /**
+   * Number of tunable stations in the band at the current step size.
+   */
+  _stationCount() {
+    return Math.floor((this.displayMax - this.displayMin) / this.stepSize + 1e-6) + 1;
+  }
+
+  /**
+   * Display frequency with enough decimals for the step size (0.05 MHz needs two).
+   */
+  _formatFreq(freq) {
+    return freq.toFixed(this.stepSize < 0.1 ? 2 : 1);
+  }
+
   // ─── Session Management ─────────────────────────────────────────────────────
 
   /**
@@ -631,6 +1021,7 @@ class SpiritBoxEngine {
   clearAll() {
     this.fragments = [];
     this.sweepCount = 0;
+    this.hopCount = 0;
     this.frameCount = 0;
     this.totalPauseCount = 0;
     this.longestPause = 0;
@@ -639,6 +1030,8 @@ class SpiritBoxEngine {
     this.sweepDirection = 1;
     this.fragmentCaptured = false;
     this.currentFragment = null;
+    this._openFragment = null;
+    this.isPaused = false;
     this.startTime = 0;
   }
 
@@ -656,6 +1049,7 @@ class SpiritBoxEngine {
    */
   destroy() {
     this.stop();
+    this.detachInput();
 
     if (this.oscillatorGain) {
       try { this.oscillatorGain.disconnect(); } catch (e) { /* ignore */ }
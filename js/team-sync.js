@@ -0,0 +1,487 @@
+/**
+ * TeamSync — Multi-device team investigations over a WebSocket relay
+ * Devices join a shared investigation ID, stream time-stamped detections to
+ * the relay (functions/api/team-relay.js or tools/team-relay.js) and exchange
+ * end-of-session reports so every device can build a merged report.
+ *
+ * Event shape: {type, time (session seconds), wallTime (epoch ms), detail, data}
+ *
+ * wallTime is on the relay's clock: after each welcome the device measures its
+ * offset from the relay with a few ping/pong round-trips.
+ */
+class TeamSync {
+  constructor() {
+    this.ws = null;
+    this.url = null;
+    this.room = null;
+    this.deviceName = 'Device';
+    this.deviceId = this._loadDeviceId();
+    this.connected = false;
+    this.active = false; // true between connect() and disconnect(); drives reconnects
+
+    this.peers = new Map();   // deviceId -> {deviceId, name}
+    this.reports = new Map(); // deviceId -> {deviceId, name, report}
+    this.remoteEvents = [];
+    this.maxRemoteEvents = 500;
+
+    this.sessionStart = null; // epoch ms of the local session start
+    this.clockOffset = null;  // {offsetMs, uncertaintyMs, source: 'relay'}; relay clock minus local clock
+    this._pingSamples = [];
+    this._pingCount = 5;
+    this._outbox = [];
+    this._maxOutbox = 200;
+    this._reconnectDelay = 1000;
+    this._reconnectTimer = null;
+
+    // Callbacks set by the host page
+    this.onStatus = null; // (state, message) => void
+    this.onPeers = null;  // (peers[]) => void
+    this.onEvent = null;  // (remoteEvent) => void
+    this.onReport = null; // (entry) => void
+  }
+
+  /**
+   * Join an investigation through a relay.
+   * @param {string} url - ws:// or wss:// relay URL
+   * @param {string} room - shared investigation ID
+   * @param {string} name - this device's display name
+   * @returns {Promise<void>} resolves once the relay has welcomed us
+   */
+  connect(url, room, name) {
+    this.disconnect();
+    this.url = url;
+    this.room = String(room || '').trim().replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+    this.deviceName = String(name || '').trim().replace(/[<>"&]/g, '').slice(0, 40) || 'Device';
+    if (!this.room) return Promise.reject(new Error('TeamSync: investigation ID is required'));
+
+    this.active = true;
+    this._reconnectDelay = 1000;
+    return this._open();
+  }
+
+  disconnect() {
+    this.active = false;
+    if (this._reconnectTimer) { clearTimeout(this._reconnectTimer); this._reconnectTimer = null; }
+    if (this.ws) {
+      this.ws.onclose = null;
+      try { this.ws.close(1000); } catch (e) { /* already closed */ }
+      this.ws = null;
+    }
+    this.connected = false;
+    this.peers.clear();
+    this._outbox = [];
+    this._notifyPeers();
+    this._status('offline', 'Not connected');
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Measure the local clock's offset from the relay's clock.
+   * Several round-trips are sent; the one with the shortest round-trip wins,
+   * since its midpoint is the closest estimate of when the relay answered.
+   */
+  measureClockOffset() {
+    if (!this.connected) return;
+    this._pingSamples = [];
+    for (let i = 0; i < this._pingCount; i++) {
+      setTimeout(() => this._send({ type: 'ping', t: Date.now() }), i * 200);
+    }
+  }
+
+  /**
+   * Convert a relay-clock wall time to ms since the local session start.
+   * @param {number} wallTime - epoch ms on the relay clock
+   * @returns {number}
+   */
+  toSessionMs(wallTime) {
+    const offset = this.clockOffset ? this.clockOffset.offsetMs : 0;
+    return wallTime - offset - (this.sessionStart || Date.now());
+  }
+
+  /**
+   * Mark the start of a local session; detections are stamped relative to it.
+   * Clears remote state from any previous session.
+   * @param {number} startEpoch - Date.now() at session start
+   */
+  startSession(startEpoch) {
+    this.sessionStart = startEpoch;
+    this.remoteEvents = [];
+    this.reports.clear();
+  }
+
+  /**
+   * Stream a local detection to the other devices.
+   * @param {string} type - 'evp' | 'emf' | 'infrasound' | 'vibration' | 'pressure' | 'word'
+   * @param {number} time - session seconds
+   * @param {string} detail - one-line description
+   * @param {Object} [data] - metrics
+   */
+  sendEvent(type, time, detail, data) {
+    if (!this.active) return;
+    this._send({
+      type: 'event',
+      event: {
+        type: type,
+        time: time,
+        wallTime: this._sharedStart() + time * 1000,
+        detail: detail,
+        data: data || null
+      }
+    });
+  }
+
+  /**
+   * Share this device's finished report with the team.
+   * @param {EvidenceReport} evidenceReport
+   */
+  shareReport(evidenceReport) {
+    const entry = { deviceId: this.deviceId, name: this.deviceName, report: this.summarizeReport(evidenceReport) };
+    this.reports.set(this.deviceId, entry);
+    if (this.active) this._send({ type: 'report', report: entry.report });
+    if (this.onReport) this.onReport(entry);
+  }
+
+  /**
+   * Reduce an EvidenceReport to what the merged report needs.
+   * @param {EvidenceReport} evidenceReport
+   * @returns {Object}
+   */
+  summarizeReport(evidenceReport) {
+    const r = evidenceReport.report || {};
+    const start = this._sharedStart();
+    const events = evidenceReport.getTimelineEvents().filter(e => e.type !== 'visual' && e.type !== 'spiritbox');
+    return {
+      sessionStart: start,
+      durationSeconds: r.durationSeconds || 0,
+      overallScore: r.summary ? r.summary.overallScore : 0,
+      verdict: r.summary ? r.summary.verdict : '',
+      evpSummary: r.evpSummary || { total: 0, classA: 0, classB: 0, classC: 0 },
+      clockSync: r.clockSync || null,
+      events: events.map(e => ({
+        type: e.type,
+        class: e.class || null,
+        time: e.time,
+        wallTime: start + e.time * 1000,
+        detail: e.detail,
+        rejected: !!(e.data && e.data.review && e.data.review.status === 'rejected')
+      }))
+    };
+  }
+
+  /**
+   * Combine every device's shared report into one team report.
+   * @returns {Object|null} {room, start, devices[], events[], totals}
+   */
+  buildMergedReport() {
+    const entries = [...this.reports.values()];
+    if (entries.length === 0) return null;
+
+    // Place every device on the shared clock; a sync chirp heard by both refines the relay estimate
+    const sessions = entries.map(e => ({
+      id: e.deviceId,
+      clockSync: this._reportClockSync(e.report),
+      durationSeconds: e.report.durationSeconds,
+      evps: (e.report.events || []).filter(ev => ev.type === 'evp' && !ev.rejected)
+    }));
+    const alignment = new ClockAlignment();
+    const aligned = alignment.align(sessions);
+    const correlated = alignment.correlate(sessions, aligned);
+
+    const start = Math.min(...entries.map(e => aligned[e.deviceId] ? aligned[e.deviceId].start : Infinity));
+    // Peer reports arrive over the relay as-is, so numbers are coerced before they are summed or shown
+    const devices = entries.map(e => {
+      const a = aligned[e.deviceId];
+      const evp = e.report.evpSummary || {};
+      return {
+        deviceId: e.deviceId,
+        name: e.name,
+        local: e.deviceId === this.deviceId,
+        offset: a ? (a.start - start) / 1000 : 0,
+        clockSource: a ? a.source : 'none',
+        uncertaintyMs: a ? a.uncertaintyMs : null,
+        durationSeconds: Number(e.report.durationSeconds) || 0,
+        overallScore: Number(e.report.overallScore) || 0,
+        verdict: e.report.verdict,
+        evpSummary: {
+          total: Number(evp.total) || 0,
+          classA: Number(evp.classA) || 0,
+          classB: Number(evp.classB) || 0,
+          classC: Number(evp.classC) || 0
+        }
+      };
+    });
+    const names = {};
+    for (const e of entries) names[e.deviceId] = e.name;
+
+    const events = [];
+    for (const e of entries) {
+      const a = aligned[e.deviceId];
+      const checks = (correlated[e.deviceId] || []).slice();
+      for (const ev of e.report.events || []) {
+        const event = {
+          time: (a ? (a.start - start) / 1000 : 0) + (Number(ev.time) || 0),
+          type: ev.type,
+          class: ev.class,
+          detail: ev.detail,
+          deviceId: e.deviceId,
+          device: e.name
+        };
+        if (ev.type === 'evp' && !ev.rejected) {
+          const check = checks.shift();
+          if (check) {
+            event.status = check.status;
+            event.heardBy = check.heardBy.map(id => names[id]);
+          }
+        }
+        events.push(event);
+      }
+    }
+    events.sort((a, b) => a.time - b.time);
+
+    const totals = {
+      devices: devices.length, evp: 0, classA: 0, classB: 0, classC: 0, events: events.length,
+      corroborated: events.filter(e => e.status === 'corroborated').length,
+      singleDevice: events.filter(e => e.status === 'single-device').length
+    };
+    for (const d of devices) {
+      totals.evp += d.evpSummary.total || 0;
+      totals.classA += d.evpSummary.classA || 0;
+      totals.classB += d.evpSummary.classB || 0;
+      totals.classC += d.evpSummary.classC || 0;
+    }
+
+    return { room: this.room, start: start, devices: devices, events: events, totals: totals };
+  }
+
+  /**
+   * Render a merged report as HTML for the results panel.
+   * @param {Object} merged - from buildMergedReport()
+   * @returns {string}
+   */
+  renderMergedReport(merged) {
+    if (!merged) return '';
+    let html = '<div class="report-section">';
+    html += '<div class="report-section-title"><span class="rs-icon">&#x1F465;</span> Team Report &mdash; ' + this._escape(merged.room || 'solo') + '</div>';
+    html += '<div class="report-item info"><div class="report-item-text">' + merged.totals.devices + ' device' +
+      (merged.totals.devices !== 1 ? 's' : '') + ' | EVP candidates: ' + merged.totals.evp +
+      ' (A:' + merged.totals.classA + ' B:' + merged.totals.classB + ' C:' + merged.totals.classC + ')' +
+      ' | Events: ' + merged.totals.events + '</div></div>';
+    if (merged.totals.corroborated + merged.totals.singleDevice > 0) {
+      html += '<div class="report-item ' + (merged.totals.singleDevice > 0 ? 'warning' : 'info') + '"><div class="report-item-text">' +
+        'Heard on more than one device: ' + merged.totals.corroborated + ' | Heard on one device only: ' + merged.totals.singleDevice +
+        (merged.totals.singleDevice > 0 ? ' &mdash; a sound that only one microphone picked up is most likely local contamination (handling, clothing, the investigator)' : '') +
+        '</div></div>';
+    }
+
+    html += '<table class="team-report-table"><thead><tr><th>Device</th><th>Started</th><th>Clock</th><th>Duration</th><th>Score</th><th>EVP</th></tr></thead><tbody>';
+    for (const d of merged.devices) {
+      html += '<tr' + (d.local ? ' class="local"' : '') + '><td>' + this._escape(d.name) + (d.local ? ' (this device)' : '') + '</td>';
+      html += '<td>+' + this._formatTime(d.offset) + '</td><td>' + this._clockLabel(d) + '</td><td>' + this._formatTime(d.durationSeconds) + '</td>';
+      html += '<td>' + d.overallScore + '</td><td>' + (d.evpSummary.total || 0) + '</td></tr>';
+    }
+    html += '</tbody></table>';
+
+    if (merged.events.length > 0) {
+      html += '<div class="team-report-events">';
+      for (const e of merged.events.slice(0, 200)) {
+        html += '<div class="team-event type-' + this._escape(e.type) + (e.status ? ' ' + e.status : '') + '"><span class="team-event-time">' + this._formatTime(e.time) + '</span>';
+        html += '<span class="team-event-device">' + this._escape(e.device) + '</span>';
+        html += '<span class="team-event-detail">' + this._escape(e.detail) + '</span>';
+        if (e.status === 'corroborated') {
+          html += '<span class="team-event-check">Also heard by ' + this._escape(e.heardBy.join(', ')) + '</span>';
+        } else if (e.status === 'single-device') {
+          html += '<span class="team-event-check">Only heard on ' + this._escape(e.device) + ' &mdash; likely contamination</span>';
+        }
+        html += '</div>';
+      }
+      if (merged.events.length > 200) html += '<div class="team-event">+' + (merged.events.length - 200) + ' more</div>';
+      html += '</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  // Local session start on the relay clock
+  _sharedStart() {
+    return (this.sessionStart || Date.now()) + (this.clockOffset ? this.clockOffset.offsetMs : 0);
+  }
+
+  // Reports from before clock alignment only carry sessionStart; treat it as an unsynchronised wall clock
+  _reportClockSync(report) {
+    if (report.clockSync && report.clockSync.startEpoch) return report.clockSync;
+    return report.sessionStart ? { startEpoch: report.sessionStart, offsetMs: 0, offsetSource: 'none', syncMarks: [] } : null;
+  }
+
+  _clockLabel(device) {
+    if (device.clockSource === 'chirp') return 'Sync chirp';
+    if (device.clockSource === 'relay') return 'Relay &plusmn;' + Math.round(device.uncertaintyMs) + 'ms';
+    return 'Device clock';
+  }
+
+  // ─── Connection ─────────────────────────────────────────────
+  _open(retry) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let ws;
+      try {
+        ws = new WebSocket(this.url);
+      } catch (e) {
+        this.active = false;
+        this._status('error', 'Invalid relay URL');
+        reject(e);
+        return;
+      }
+      this.ws = ws;
+      this._status('connecting', 'Connecting to relay...');
+
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ type: 'join', room: this.room, deviceId: this.deviceId, name: this.deviceName }));
+      };
+
+      ws.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { return; }
+        if (msg.type === 'welcome' && !settled) {
+          settled = true;
+          resolve();
+        }
+        this._handleMessage(msg);
+        // Refused before joining (e.g. the investigation is full): stop instead of retrying
+        if (msg.type === 'error' && !this.connected) {
+          this.active = false;
+          if (!settled) {
+            settled = true;
+            reject(new Error('TeamSync: ' + (msg.error || 'relay refused the connection')));
+          }
+        }
+      };
+
+      ws.onclose = () => {
+        this.connected = false;
+        this.ws = null;
+        // Only the first attempt reports failure; reconnects keep retrying quietly
+        if (!settled && !retry) {
+          settled = true;
+          this.active = false;
+          this._status('error', 'Could not reach relay');
+          reject(new Error('TeamSync: connection failed'));
+          return;
+        }
+        if (this.active) this._scheduleReconnect();
+      };
+
+      ws.onerror = () => { /* onclose follows */ };
+    });
+  }
+
+  _scheduleReconnect() {
+    this._status('connecting', 'Connection lost — retrying in ' + Math.round(this._reconnectDelay / 1000) + 's');
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open(true);
+    }, this._reconnectDelay);
+    this._reconnectDelay = Math.min(30000, this._reconnectDelay * 2);
+  }
+
+  _handleMessage(msg) {
+    if (msg.type === 'welcome') {
+      this.connected = true;
+      this._reconnectDelay = 1000;
+      this.peers.clear();
+      for (const p of msg.peers || []) this.peers.set(p.deviceId, p);
+      for (const r of msg.reports || []) {
+        if (r.deviceId !== this.deviceId) this._storeReport(r);
+      }
+      this._notifyPeers();
+      this._status('online', 'Joined ' + this.room);
+      this._flush();
+      this.measureClockOffset();
+    } else if (msg.type === 'pong') {
+      this._handlePong(msg);
+    } else if (msg.type === 'peer-joined') {
+      this.peers.set(msg.deviceId, { deviceId: msg.deviceId, name: msg.name });
+      this._notifyPeers();
+    } else if (msg.type === 'peer-left') {
+      this.peers.delete(msg.deviceId);
+      this._notifyPeers();
+    } else if (msg.type === 'event' && msg.event) {
+      const remote = Object.assign({}, msg.event, { deviceId: msg.deviceId, device: msg.name });
+      this.remoteEvents.push(remote);
+      if (this.remoteEvents.length > this.maxRemoteEvents) this.remoteEvents.shift();
+      if (this.onEvent) this.onEvent(remote);
+    } else if (msg.type === 'report') {
+      this._storeReport(msg);
+    } else if (msg.type === 'error') {
+      this._status('error', msg.error || 'Relay error');
+    }
+  }
+
+  _handlePong(msg) {
+    const received = Date.now();
+    if (typeof msg.t !== 'number' || typeof msg.serverTime !== 'number') return;
+    const rtt = received - msg.t;
+    if (rtt < 0) return;
+    this._pingSamples.push({ rtt: rtt, offsetMs: msg.serverTime - (msg.t + received) / 2 });
+    const best = this._pingSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.clockOffset = { offsetMs: Math.round(best.offsetMs), uncertaintyMs: Math.ceil(best.rtt / 2), source: 'relay' };
+  }
+
+  _storeReport(msg) {
+    if (!msg.report) return;
+    const entry = { deviceId: msg.deviceId, name: msg.name, report: msg.report };
+    this.reports.set(msg.deviceId, entry);
+    if (this.onReport) this.onReport(entry);
+  }
+
+  // Messages sent while reconnecting are queued and flushed after the next welcome
+  _send(msg) {
+    if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(msg));
+      return;
+    }
+    this._outbox.push(msg);
+    if (this._outbox.length > this._maxOutbox) this._outbox.shift();
+  }
+
+  _flush() {
+    const queued = this._outbox;
+    this._outbox = [];
+    for (const msg of queued) this._send(msg);
+  }
+
+  _notifyPeers() {
+    if (this.onPeers) this.onPeers([...this.peers.values()]);
+  }
+
+  _status(state, message) {
+    if (this.onStatus) this.onStatus(state, message);
+  }
+
+  _loadDeviceId() {
+    let id = null;
+    try { id = localStorage.getItem('evpTeamDeviceId'); } catch (e) { /* localStorage unavailable */ }
+    if (!id) {
+      id = 'dev-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      try { localStorage.setItem('evpTeamDeviceId', id); } catch (e) { /* localStorage unavailable */ }
+    }
+    return id;
+  }
+
+  _formatTime(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    return Math.floor(s / 60) + ':' + (s % 60 < 10 ? '0' : '') + (s % 60);
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.TeamSync = TeamSync;
@@ -0,0 +1,188 @@
+/**
+ * TimeStretcher — Pitch-preserving time stretch for slowed-down EVP review
+ * WSOLA (waveform similarity overlap-add): 40ms Hann frames are laid down at a fixed
+ * synthesis hop while the read position advances at hop / factor. Each frame is nudged
+ * within a few milliseconds to where the input best continues the previous frame, so
+ * voiced speech keeps its pitch periods aligned instead of phasing.
+ *
+ * Long recordings can be stretched a range at a time (processRange): a range that
+ * carries on from the previous one continues its frame sequence and joins it exactly.
+ *
+ * Pitch shift is built on top by the caller: stretch by the pitch ratio, then play the
+ * result back that much faster (AudioBufferSourceNode.playbackRate).
+ */
+class TimeStretcher {
+  constructor() {
+    this.frameSeconds = 0.04;
+    this.toleranceSeconds = 0.008;  // covers one period of a 125Hz voice either side
+    this.yieldEvery = 400;          // frames between yields to keep the UI responsive
+    this._windows = {};
+  }
+
+  /**
+   * Stretch every channel of an AudioBuffer in time without changing its pitch.
+   * Frame offsets are chosen on the first channel and applied to all, so stereo
+   * channels stay aligned.
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} factor - output duration / input duration (2 = half speed)
+   * @param {BaseAudioContext} context - used to allocate the output buffer
+   * @param {Function} [onProgress] - called with 0-100
+   * @returns {Promise<AudioBuffer>}
+   */
+  async process(audioBuffer, factor, context, onProgress) {
+    var channels = [];
+    for (var c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+    var stretched = await this.stretch(channels, factor, audioBuffer.sampleRate, onProgress);
+    var out = context.createBuffer(stretched.length, stretched[0].length, audioBuffer.sampleRate);
+    for (var k = 0; k < stretched.length; k++) out.getChannelData(k).set(stretched[k]);
+    return out;
+  }
+
+  /**
+   * Stretch part of an AudioBuffer: output samples [from, to) of what process() gives
+   * for the whole buffer. Passing the state returned for the range that ends at from
+   * continues the same frame sequence, so consecutive ranges join sample-exactly.
+   * Without it the range starts a fresh sequence, already overlapping frames that begin
+   * before from, so it does not fade in.
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} factor - output duration / input duration
+   * @param {BaseAudioContext} context - used to allocate the output buffer
+   * @param {number} from - first output sample (may be negative: silence before the start)
+   * @param {number} to - output sample to stop before
+   * @param {Object|null} [state] - from the previous range
+   * @param {Function} [onProgress] - called with 0-100
+   * @returns {Promise<Object>} {buffer, state}
+   */
+  async processRange(audioBuffer, factor, context, from, to, state, onProgress) {
+    var channels = [];
+    for (var c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+    var rendered = await this._render(channels, factor, audioBuffer.sampleRate, from, to, state, onProgress);
+    var out = context.createBuffer(channels.length, Math.max(1, to - from), audioBuffer.sampleRate);
+    for (var k = 0; k < channels.length; k++) out.getChannelData(k).set(rendered.channels[k]);
+    return { buffer: out, state: rendered.state };
+  }
+
+  /**
+   * @param {Array<Float32Array>} channels
+   * @param {number} factor - output duration / input duration
+   * @param {number} sampleRate
+   * @param {Function} [onProgress]
+   * @returns {Promise<Array<Float32Array>>}
+   */
+  async stretch(channels, factor, sampleRate, onProgress) {
+    var outLength = Math.max(1, Math.round(channels[0].length * factor));
+    var rendered = await this._render(channels, factor, sampleRate, 0, outLength, null, onProgress);
+    return rendered.channels;
+  }
+
+  // Overlap-add every frame that touches output [from, to). Frame k is laid at k * hs;
+  // its read position continues frame k - 1's, or is nominal where a sequence starts.
+  // The returned state holds the last two positions: the next range's first frames.
+  async _render(channels, factor, sampleRate, from, to, state, onProgress) {
+    var input = channels[0];
+    var length = Math.max(1, to - from);
+    if (Math.abs(factor - 1) < 1e-3) {
+      return {
+        channels: channels.map(function(ch) {
+          var out = new Float32Array(length);
+          var a = Math.max(0, from);
+          var b = Math.min(ch.length, from + length);
+          if (b > a) out.set(ch.subarray(a, b), a - from);
+          return out;
+        }),
+        state: null
+      };
+    }
+
+    var n = 2 * Math.round(this.frameSeconds * sampleRate / 2);
+    var hs = n / 2;
+    var ha = hs / factor;
+    var tol = Math.round(this.toleranceSeconds * sampleRate);
+    var w = this._window(n);
+    var outputs = channels.map(function() { return new Float32Array(length); });
+    var first = Math.floor((from - n) / hs) + 1;
+    var last = Math.floor((from + length - 1) / hs);
+    var positions = {};
+    if (state && state.factor === factor && state.frame >= first - 1) {
+      positions[state.frame - 1] = state.prev;
+      positions[state.frame] = state.pos;
+    }
+
+    for (var k = first; k <= last; k++) {
+      var pos = positions[k];
+      if (pos === undefined) {
+        var nominal = Math.round(k * ha);
+        pos = positions[k - 1] === undefined ? nominal : this._bestOffset(input, positions[k - 1] + hs, nominal, tol, hs);
+        positions[k] = pos;
+      }
+      var at = k * hs - from;
+      var i0 = Math.max(0, -at);
+      var i1 = Math.min(n, length - at);
+      for (var ch = 0; ch < channels.length; ch++) {
+        var src = channels[ch];
+        var dst = outputs[ch];
+        for (var i = i0; i < i1; i++) {
+          var idx = pos + i;
+          if (idx >= 0 && idx < src.length) dst[at + i] += src[idx] * w[i];
+        }
+      }
+
+      if ((k - first) % this.yieldEvery === this.yieldEvery - 1) {
+        if (onProgress) onProgress(Math.round(((k - first) / (last - first + 1)) * 100));
+        await new Promise(function(resolve) { setTimeout(resolve, 0); });
+      }
+    }
+    if (onProgress) onProgress(100);
+    return {
+      channels: outputs,
+      state: { factor: factor, frame: last, pos: positions[last], prev: positions[last - 1] }
+    };
+  }
+
+  // Candidate start within ±tol of nominal whose first len samples best match the
+  // natural continuation at target (normalised cross-correlation). A coarse pass on
+  // every 4th offset and sample is refined around the winner.
+  _bestOffset(input, target, nominal, tol, len) {
+    if (target < 0 || target + len > input.length) return nominal;
+    var lo = Math.max(0, nominal - tol);
+    var hi = Math.min(input.length - len, nominal + tol);
+    if (hi < lo) return nominal;
+
+    var best = nominal >= lo && nominal <= hi ? nominal : lo;
+    var bestScore = -Infinity;
+    for (var cand = lo; cand <= hi; cand += 4) {
+      var score = this._similarity(input, target, cand, len, 4);
+      if (score > bestScore) { bestScore = score; best = cand; }
+    }
+    var coarse = best;
+    bestScore = -Infinity;
+    for (var fine = Math.max(lo, coarse - 3); fine <= Math.min(hi, coarse + 3); fine++) {
+      var s = this._similarity(input, target, fine, len, 2);
+      if (s > bestScore) { bestScore = s; best = fine; }
+    }
+    return best;
+  }
+
+  _similarity(input, a, b, len, step) {
+    var num = 0;
+    var energy = 0;
+    for (var i = 0; i < len; i += step) {
+      var y = input[b + i];
+      num += input[a + i] * y;
+      energy += y * y;
+    }
+    return energy > 0 ? num / Math.sqrt(energy) : 0;
+  }
+
+  // Periodic Hann: overlaps to exactly 1 at 50% hop
+  _window(n) {
+    if (!this._windows[n]) {
+      var w = new Float32Array(n);
+      for (var i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+      this._windows[n] = w;
+    }
+    return this._windows[n];
+  }
+}
+
+window.TimeStretcher = TimeStretcher;
@@ -0,0 +1,299 @@
+/**
+ * TimelineScrubber — Interactive multi-lane timeline for a finished session
+ * Draws EvidenceReport.getTimelineEvents() on a canvas, one lane per source,
+ * with a playhead that follows SessionRecorder playback.
+ *
+ * Lanes:
+ *   EVP A / B / C     → green / yellow / orange
+ *   EMF, Infrasound, Pressure, Vibration → cyan / red / blue / grey
+ *   Visual motion     → amber
+ *   Words             → purple
+ *   Spirit box        → pink
+ */
+class TimelineScrubber {
+  constructor() {
+    this.canvas = null;
+    this.ctx = null;
+    this.events = [];
+    this.duration = 0;
+    this.playhead = null;
+    this.selected = null;
+
+    // Callbacks set by the host page
+    this.onSeek = null;   // (seconds) => void
+    this.onSelect = null; // (event) => void
+
+    this.labelWidth = 78;
+    this.laneHeight = 18;
+    this.axisHeight = 16;
+    this.hitRadius = 6;
+
+    this.lanes = [
+      { id: 'evp-a', label: 'EVP A', color: '#00e676', match: e => e.type === 'evp' && e.class === 'A' },
+      { id: 'evp-b', label: 'EVP B', color: '#ffea00', match: e => e.type === 'evp' && e.class === 'B' },
+      { id: 'evp-c', label: 'EVP C', color: '#ff9100', match: e => e.type === 'evp' && e.class === 'C' },
+      { id: 'emf', label: 'EMF', color: '#00e5ff', match: e => e.type === 'emf' },
+      { id: 'infrasound', label: 'Infrasound', color: '#ff1744', match: e => e.type === 'infrasound' },
+      { id: 'pressure', label: 'Pressure', color: '#448aff', match: e => e.type === 'pressure' },
+      { id: 'vibration', label: 'Vibration', color: '#9e9ec0', match: e => e.type === 'vibration' },
+      { id: 'baseline', label: 'Noise Floor', color: '#78909c', match: e => e.type === 'baseline' },
+      { id: 'visual', label: 'Visual', color: '#ffc400', match: e => e.type === 'visual' },
+      { id: 'word', label: 'Words', color: '#e040fb', match: e => e.type === 'word' },
+      { id: 'spiritbox', label: 'Spirit Box', color: '#ff80ab', match: e => e.type === 'spiritbox' },
+      { id: 'question', label: 'Questions', color: '#b388ff', match: e => e.type === 'question' }
+    ];
+
+    this._onClick = this._onClick.bind(this);
+  }
+
+  init(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    if (!this.canvas) return false;
+    this.ctx = this.canvas.getContext('2d');
+    this.canvas.addEventListener('click', this._onClick);
+    return true;
+  }
+
+  /**
+   * Load timeline events and the session length.
+   * @param {Array} events - from EvidenceReport.getTimelineEvents()
+   * @param {number} duration - seconds
+   */
+  setData(events, duration) {
+    this.events = (events || []).filter(e => typeof e.time === 'number' && isFinite(e.time));
+    const lastEvent = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+    this.duration = Math.max(duration || 0, lastEvent, 1);
+    this.playhead = null;
+    this.selected = null;
+    this.render();
+  }
+
+  setPlayhead(seconds) {
+    this.playhead = seconds;
+    this.render();
+  }
+
+  select(event) {
+    this.selected = event;
+    this.render();
+  }
+
+  render() {
+    if (!this.canvas || !this.ctx) return;
+    this._resize();
+
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const w = this.canvas.width / dpr;
+    const trackW = w - this.labelWidth;
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, this.canvas.height / dpr);
+    ctx.font = '10px -apple-system, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    // Lanes
+    this.lanes.forEach((lane, i) => {
+      const y = this.axisHeight + i * this.laneHeight;
+      ctx.fillStyle = i % 2 === 0 ? '#0e0e1e' : '#12122a';
+      ctx.fillRect(0, y, w, this.laneHeight);
+      ctx.fillStyle = '#9e9ec0';
+      ctx.fillText(lane.label, 6, y + this.laneHeight / 2);
+    });
+
+    // Time axis
+    const step = this._tickStep(this.duration, trackW);
+    ctx.strokeStyle = '#1e1e3a';
+    ctx.fillStyle = '#4a4a6a';
+    for (let t = 0; t <= this.duration; t += step) {
+      const x = this._timeToX(t);
+      ctx.beginPath();
+      ctx.moveTo(x, this.axisHeight - 4);
+      ctx.lineTo(x, this.axisHeight + this.lanes.length * this.laneHeight);
+      ctx.stroke();
+      ctx.fillText(this._formatTime(t), x + 2, this.axisHeight / 2);
+    }
+
+    // Events
+    for (const e of this.events) {
+      const laneIndex = this._laneIndex(e);
+      if (laneIndex < 0) continue;
+      const lane = this.lanes[laneIndex];
+      const x = this._timeToX(e.time);
+      const y = this.axisHeight + laneIndex * this.laneHeight + this.laneHeight / 2;
+      let width = e.data && e.data.duration && e.type === 'evp'
+        ? Math.max(3, (e.data.duration / this.duration) * trackW)
+        : 3;
+      // Question windows span from the question to the end of their response window
+      if (e.type === 'question' && e.data.windowEnd !== null) width = Math.max(3, ((e.data.windowEnd - e.data.askedAt) / this.duration) * trackW);
+      ctx.fillStyle = lane.color;
+      ctx.fillRect(x - 1, y - 5, width, 10);
+      if (e === this.selected) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x - 3, y - 7, width + 4, 14);
+        ctx.lineWidth = 1;
+      }
+    }
+
+    // Playhead
+    if (this.playhead !== null) {
+      const x = this._timeToX(this.playhead);
+      ctx.strokeStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.axisHeight + this.lanes.length * this.laneHeight);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Render the metrics of a timeline event as HTML.
+   * @param {Object} event
+   * @returns {string}
+   */
+  renderEventDetail(event) {
+    if (!event) return '';
+    const d = event.data || {};
+    // Every value is escaped: restored and edited vault snapshots reach here unfiltered
+    let html = '<div class="timeline-detail-title">' + this._formatTime(event.time) + ' &middot; ' + this._escape(event.detail) + '</div>';
+    const rows = [];
+
+    if (event.type === 'evp') {
+      rows.push(['Class', d.class], ['Confidence', d.confidence + '%'], ['Duration', d.duration + 's'],
+        ['Centroid', d.spectralCentroid + ' Hz'], ['HNR', d.hnr + ' dB'], ['SNR', d.snr + ' dB']);
+      if (d.formants) rows.push(['Formants', d.formants.f1 + ' / ' + d.formants.f2 + ' / ' + d.formants.f3 + ' Hz']);
+      rows.push(['Voice pattern', d.hasVoicePattern ? 'Yes' : 'No']);
+      if (d.pareidoliaWarning) rows.push(['Note', 'Pareidolia risk']);
+    } else if (event.type === 'word') {
+      rows.push(['Word', d.word], ['Confidence', d.confidence + '%']);
+      if (d.phonemes && d.phonemes.length) rows.push(['Phonemes', d.phonemes.join(' ')]);
+      if (d.wordPhonemes && d.wordPhonemes.length) rows.push(['Scored on', d.wordPhonemes.join(' ')]);
+      if (d.alignment) rows.push(['Alignment', d.alignment.map(s => s.phoneme + ' ' + Math.round(s.fit * 100) + '%').join(' → ')]);
+      if (d.consonants) {
+        rows.push(['Onset', (d.consonants.onset || 'none') + ' (expected ' + (d.consonants.expectedOnset || 'none') + ')'],
+          ['Coda', (d.consonants.coda || 'none') + ' (expected ' + (d.consonants.expectedCoda || 'none') + ')']);
+      }
+      if (d.formantTrack && d.formantTrack.length) rows.push(['Formant frames', d.formantTrack.length]);
+      if (d.library) rows.push(['Library', d.library.name + ' v' + d.library.version]);
+    } else if (event.type === 'spiritbox') {
+      rows.push(['Frequency', d.freq + ' MHz'], ['Pause', d.duration + ' ms']);
+      if (d.metrics) {
+        rows.push(['SNR peak', d.metrics.snrPeak + ' dB'], ['HNR', d.metrics.hnr + ' dB'], ['Centroid', d.metrics.centroid + ' Hz']);
+        if (d.metrics.pitch > 0) rows.push(['Pitch', d.metrics.pitch + ' Hz']);
+      }
+      if (d.formants) rows.push(['Formants', d.formants.f1 + ' / ' + d.formants.f2 + ' / ' + d.formants.f3 + ' Hz']);
+      if (d.word) rows.push(['Word', d.word.word + ' (' + d.word.confidence + '%)']);
+      if (d.audio) rows.push(['Snippet', d.audio.seconds + ' s']);
+    } else if (event.type === 'question') {
+      if (d.kind === 'control') rows.push(['Window', 'Silent control']);
+      else rows.push(['Question', 'Q' + d.number]);
+      rows.push(['Listening', Math.round(d.windowEnd - d.windowStart) + ' s'], ['Responses', d.responses.length]);
+      for (const h of d.responses) rows.push(['+' + h.delay + ' s', h.type === 'word' ? '"' + h.word + '" ' + h.confidence + '%' : 'Class ' + h.class + ' ' + h.confidence + '%']);
+      if (d.duringQuestion.length) rows.push(['During question', d.duringQuestion.length + ' (not counted)']);
+    } else if (event.type === 'baseline') {
+      rows.push(['From', d.fromDb + ' dB'], ['To', d.toDb + ' dB'], ['Change', (d.change > 0 ? '+' : '') + d.change + ' dB']);
+    } else {
+      for (const key in d) {
+        const v = d[key];
+        if (key === 'type' || key === 'frame' || key === 'timeSeconds' || key === 'note') continue;
+        if (typeof v === 'number') rows.push([key, Math.round(v * 100) / 100]);
+        else if (typeof v === 'boolean') rows.push([key, v ? 'Yes' : 'No']);
+      }
+    }
+
+    html += '<div class="timeline-detail-grid">';
+    for (const r of rows) html += '<span>' + this._escape(r[0]) + '</span><span>' + this._escape(r[1]) + '</span>';
+    html += '</div>';
+    return html;
+  }
+
+  clear() {
+    this.events = [];
+    this.duration = 0;
+    this.playhead = null;
+    this.selected = null;
+    if (this.ctx && this.canvas) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  _onClick(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    if (x < this.labelWidth) return;
+
+    // Prefer an event in the clicked lane, nearest in time
+    const laneIndex = Math.floor((y - this.axisHeight) / this.laneHeight);
+    let hit = null;
+    let best = this.hitRadius;
+    for (const ev of this.events) {
+      if (this._laneIndex(ev) !== laneIndex) continue;
+      const dx = Math.abs(this._timeToX(ev.time) - x);
+      if (dx <= best) { best = dx; hit = ev; }
+    }
+
+    if (hit) {
+      this.selected = hit;
+      if (this.onSelect) this.onSelect(hit);
+      if (this.onSeek) this.onSeek(hit.time);
+    } else {
+      const t = Math.max(0, Math.min(this.duration, this._xToTime(x)));
+      if (this.onSeek) this.onSeek(t);
+    }
+    this.render();
+  }
+
+  _laneIndex(event) {
+    for (let i = 0; i < this.lanes.length; i++) {
+      if (this.lanes[i].match(event)) return i;
+    }
+    return -1;
+  }
+
+  _resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.canvas.parentElement ? this.canvas.parentElement.offsetWidth : 300;
+    const height = this.axisHeight + this.lanes.length * this.laneHeight;
+    if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(height * dpr);
+      this.canvas.style.width = width + 'px';
+      this.canvas.style.height = height + 'px';
+    }
+  }
+
+  _timeToX(t) {
+    const trackW = this.canvas.width / (window.devicePixelRatio || 1) - this.labelWidth;
+    return this.labelWidth + (t / this.duration) * trackW;
+  }
+
+  _xToTime(x) {
+    const trackW = this.canvas.width / (window.devicePixelRatio || 1) - this.labelWidth;
+    return ((x - this.labelWidth) / trackW) * this.duration;
+  }
+
+  _tickStep(duration, width) {
+    const maxTicks = Math.max(2, Math.floor(width / 60));
+    const steps = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+    for (const s of steps) {
+      if (duration / s <= maxTicks) return s;
+    }
+    return 3600;
+  }
+
+  _formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return m + ':' + (s < 10 ? '0' : '') + s;
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.TimelineScrubber = TimelineScrubber;
@@ -0,0 +1,278 @@
+/**
+ * VoiceContamination — Flags EVP candidates that sound like an enrolled investigator
+ * Each team member enrolls by reading a short passage aloud; the voiced frames of the
+ * read give an average formant pattern, a pitch range and an HNR profile. Classifications
+ * whose features sit close to an enrolled voice are marked as likely investigator speech.
+ *
+ * Voice shape: {id, name, f1, f2, f3, hnr: {mean, sd}, pitch: {min, max, mean}, frames, enrolledAt}
+ *   f1/f2/f3 are {mean, sd} in Hz
+ *
+ * Whispers carry no pitch and almost no harmonic energy, so an unvoiced candidate is
+ * matched on formants alone. Whispering also raises F1, so its F1 may sit above the
+ * enrolled (voiced) mean by up to whisperF1Raise without losing closeness.
+ */
+class VoiceContamination {
+  constructor() {
+    this.storageKey = 'evpInvestigatorVoices';
+    this.threshold = 70;         // similarity (0-100) at or above which a candidate is flagged
+    this.minFrames = 45;         // ~1.5s of voiced speech at 30fps
+    this.enrollSeconds = 15;
+
+    // Read aloud during enrollment: covers the common English vowels and voiced consonants
+    this.passage = 'The north wind and the sun were disputing which was the stronger, ' +
+      'when a traveler came along wrapped in a warm cloak. Is anyone here with us? ' +
+      'Can you tell us your name?';
+
+    // Minimum spread so a very steady enrollment read does not make matching brittle
+    this._sdFloor = { f1: 60, f2: 120, f3: 150, hnr: 3 };
+    this._weights = { formants: 0.5, pitch: 0.3, hnr: 0.2 };
+    this.whisperF1Raise = 0.25;  // fraction above the voiced F1 mean still treated as a match
+
+    this.voices = this._load();
+    this._enrollment = null;
+  }
+
+  /**
+   * @returns {Array} enrolled voices
+   */
+  list() {
+    return this.voices.slice();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    for (var i = 0; i < this.voices.length; i++) {
+      if (this.voices[i].id === id) {
+        this.voices.splice(i, 1);
+        this._save();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ─── Enrollment ─────────────────────────────────────────────
+
+  /**
+   * Begin collecting frames for a new voice.
+   * @param {string} name - investigator's name
+   */
+  startEnrollment(name) {
+    this._enrollment = {
+      name: String(name || '').replace(/[<>"&]/g, '').trim().slice(0, 40) || 'Investigator',
+      f1s: [], f2s: [], f3s: [], hnrs: [], pitches: [],
+      frames: 0
+    };
+  }
+
+  isEnrolling() {
+    return !!this._enrollment;
+  }
+
+  /**
+   * Feed one frame from EVPAudioEngine.getQuickAssess(). Only voiced frames with
+   * formants are kept; silences between words are skipped.
+   * @param {Object} assess
+   * @returns {number} voiced frames collected so far
+   */
+  addFrame(assess) {
+    var e = this._enrollment;
+    if (!e || !assess) return 0;
+    e.frames++;
+    if ((assess.rmsDb || -100) < -55 || !(assess.f1 > 0) || !(assess.f2 > 0)) return e.f1s.length;
+
+    e.f1s.push(assess.f1);
+    e.f2s.push(assess.f2);
+    if (assess.f3 > 0) e.f3s.push(assess.f3);
+    e.hnrs.push(assess.hnr || 0);
+    if (assess.pitch > 0) e.pitches.push(assess.pitch);
+    return e.f1s.length;
+  }
+
+  /**
+   * Finish enrollment and store the voice.
+   * @returns {Object|null} the new voice, or null if too little speech was heard
+   */
+  finishEnrollment() {
+    var e = this._enrollment;
+    this._enrollment = null;
+    if (!e || e.f1s.length < this.minFrames) return null;
+
+    var pitches = e.pitches.slice().sort(function(a, b) { return a - b; });
+    var voice = {
+      id: 'voice-' + Date.now().toString(36),
+      name: e.name,
+      f1: this._stats(e.f1s),
+      f2: this._stats(e.f2s),
+      f3: this._stats(e.f3s),
+      hnr: this._stats(e.hnrs),
+      // 10th-90th percentile: octave errors at the ends of words would otherwise widen it
+      pitch: pitches.length >= 10 ? {
+        min: Math.round(pitches[Math.floor(pitches.length * 0.1)]),
+        max: Math.round(pitches[Math.floor(pitches.length * 0.9)]),
+        mean: Math.round(this._mean(pitches))
+      } : null,
+      frames: e.f1s.length,
+      enrolledAt: new Date().toISOString()
+    };
+    this.voices.push(voice);
+    this._save();
+    return voice;
+  }
+
+  cancelEnrollment() {
+    this._enrollment = null;
+  }
+
+  // ─── Matching ───────────────────────────────────────────────
+
+  /**
+   * Compare a classification with every enrolled voice and mark it when one matches.
+   * Sets classification.contamination = {voiceId, name, similarity} or removes it.
+   * @param {Object} classification - from EVPClassifier
+   * @returns {Object|null} the match
+   */
+  check(classification) {
+    if (!classification) return null;
+    var best = null;
+    for (var i = 0; i < this.voices.length; i++) {
+      var similarity = this.similarity(classification, this.voices[i]);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { voiceId: this.voices[i].id, name: this.voices[i].name, similarity: similarity };
+      }
+    }
+    if (best) classification.contamination = best;
+    else delete classification.contamination;
+    return best;
+  }
+
+  /**
+   * Check a list of classifications.
+   * @param {Array} classifications
+   * @returns {number} how many were flagged
+   */
+  annotate(classifications) {
+    var flagged = 0;
+    for (var i = 0; i < (classifications || []).length; i++) {
+      if (this.check(classifications[i])) flagged++;
+    }
+    return flagged;
+  }
+
+  /**
+   * How closely a classification's features match a voice.
+   * @param {Object} c - classification
+   * @param {Object} voice
+   * @returns {number} 0-100
+   */
+  similarity(c, voice) {
+    var formants = c.formants || {};
+    var terms = [];
+    var unvoiced = !(c.pitch > 0);
+
+    var fScores = [];
+    var keys = ['f1', 'f2', 'f3'];
+    for (var i = 0; i < keys.length; i++) {
+      var k = keys[i];
+      if (formants[k] > 0 && voice[k] && voice[k].mean > 0) {
+        var sd = Math.max(voice[k].sd, this._sdFloor[k]);
+        var mean = voice[k].mean;
+        // A whispered F1 anywhere from the voiced mean up to the raised mean counts as on target
+        if (unvoiced && k === 'f1' && formants.f1 > mean) mean = Math.min(formants.f1, mean * (1 + this.whisperF1Raise));
+        fScores.push(this._closeness(formants[k], mean, sd));
+      }
+    }
+    // Formants are the core of the match; without them there is nothing to compare
+    if (fScores.length === 0) return 0;
+    terms.push([this._weights.formants, this._mean(fScores)]);
+
+    if (!unvoiced && voice.pitch) {
+      terms.push([this._weights.pitch, this._pitchScore(c.pitch, voice.pitch)]);
+    }
+    // Enrollment HNR comes from voiced speech; a whisper's near-0 dB says nothing against it
+    if (!unvoiced && typeof c.hnr === 'number' && voice.hnr) {
+      terms.push([this._weights.hnr, this._closeness(c.hnr, voice.hnr.mean, Math.max(voice.hnr.sd, this._sdFloor.hnr))]);
+    }
+
+    var sum = 0;
+    var weight = 0;
+    for (var j = 0; j < terms.length; j++) {
+      sum += terms[j][0] * terms[j][1];
+      weight += terms[j][0];
+    }
+    return Math.round((sum / weight) * 100);
+  }
+
+  /**
+   * Render the enrolled voice list.
+   * @returns {string} HTML
+   */
+  renderList() {
+    if (this.voices.length === 0) return '<div class="voice-empty">No voices enrolled</div>';
+    var html = '';
+    for (var i = 0; i < this.voices.length; i++) {
+      var v = this.voices[i];
+      html += '<div class="voice-item"><span class="voice-name">' + this._escape(v.name) + '</span>';
+      html += '<span class="voice-detail">F1 ' + Math.round(v.f1.mean) + ' / F2 ' + Math.round(v.f2.mean) + ' Hz' +
+        (v.pitch ? ' | Pitch ' + v.pitch.min + '-' + v.pitch.max + ' Hz' : '') + '</span>';
+      html += '<button class="profile-btn profile-btn-danger" data-voice-remove="' + v.id + '">Remove</button></div>';
+    }
+    return html;
+  }
+
+  // A full match inside the enrolled range; falls off per semitone outside it
+  _pitchScore(pitch, range) {
+    if (pitch >= range.min && pitch <= range.max) return 1;
+    var edge = pitch < range.min ? range.min : range.max;
+    var semitones = Math.abs(12 * Math.log(pitch / edge) / Math.LN2);
+    return Math.exp(-(semitones * semitones) / 18);
+  }
+
+  _closeness(value, mean, sd) {
+    var z = (value - mean) / sd;
+    return Math.exp(-(z * z) / 2);
+  }
+
+  _stats(values) {
+    if (values.length === 0) return { mean: 0, sd: 0 };
+    var mean = this._mean(values);
+    var variance = 0;
+    for (var i = 0; i < values.length; i++) variance += (values[i] - mean) * (values[i] - mean);
+    return { mean: Math.round(mean * 10) / 10, sd: Math.round(Math.sqrt(variance / values.length) * 10) / 10 };
+  }
+
+  _mean(arr) {
+    if (!arr || arr.length === 0) return 0;
+    var sum = 0;
+    for (var i = 0; i < arr.length; i++) sum += arr[i];
+    return sum / arr.length;
+  }
+
+  _load() {
+    try {
+      var stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(function(v) { return v && v.id && v.f1 && v.f2; }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.voices));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.VoiceContamination = VoiceContamination;
@@ -0,0 +1,286 @@
+/**
+ * VowelChart — Shows why WordDetector suggested a word
+ * Two canvases for one detection:
+ *   chart - F1 vs F2 vowel space in the phonetic convention (F2 falling to the right,
+ *           F1 growing downward) with an ellipse per phoneme of WordDetector's table and
+ *           the detection's formant trajectory drawn over them, start to end
+ *   track - F1/F2/F3 per frame against time, shaded with the span the sequence alignment
+ *           gave each of the word's phonemes and labelled with per-frame phonemes and
+ *           consonant cues
+ *
+ * The phonemes the word was scored on are highlighted so a reviewer can see whether the
+ * trajectory actually passes through them or only clips an edge.
+ */
+class VowelChart {
+  constructor() {
+    this.chartCanvas = null;
+    this.trackCanvas = null;
+    this.phonemes = {};          // {name: {f1: [lo, hi], f2: [lo, hi]}}
+    this.detection = null;
+
+    // Axis ranges in Hz
+    this.f1Range = [200, 1000];
+    this.f2Range = [500, 3000];
+    this.trackMaxHz = 3500;
+
+    this.chartHeight = 200;
+    this.trackHeight = 110;
+    this.margin = { left: 34, right: 8, top: 8, bottom: 18 };
+    this.formantColors = ['#ffffff', '#00e5ff', '#e040fb'];
+  }
+
+  init(chartCanvasId, trackCanvasId) {
+    this.chartCanvas = document.getElementById(chartCanvasId);
+    this.trackCanvas = document.getElementById(trackCanvasId);
+    return !!(this.chartCanvas && this.trackCanvas);
+  }
+
+  /**
+   * @param {Object} lib - from WordDetector.getPhonemeLibrary()
+   */
+  setPhonemes(lib) {
+    this.phonemes = lib || {};
+    this.render();
+  }
+
+  /**
+   * Show one detection's formant trajectory.
+   * @param {Object|null} detection - a WordDetector detection with formantTrack
+   */
+  show(detection) {
+    this.detection = detection || null;
+    this.render();
+  }
+
+  render() {
+    this._renderChart();
+    this._renderTrack();
+  }
+
+  clear() {
+    this.detection = null;
+    this.render();
+  }
+
+  _renderChart() {
+    const canvas = this.chartCanvas;
+    if (!canvas) return;
+    const ctx = this._prepare(canvas, this.chartHeight);
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.width / dpr;
+    const h = canvas.height / dpr;
+    const m = this.margin;
+    const plotW = w - m.left - m.right;
+    const plotH = h - m.top - m.bottom;
+    const x = (f2) => m.left + (this.f2Range[1] - f2) / (this.f2Range[1] - this.f2Range[0]) * plotW;
+    const y = (f1) => m.top + (f1 - this.f1Range[0]) / (this.f1Range[1] - this.f1Range[0]) * plotH;
+
+    ctx.fillStyle = '#0a0a14';
+    ctx.fillRect(m.left, m.top, plotW, plotH);
+
+    // Grid and axes
+    ctx.font = '9px -apple-system, sans-serif';
+    ctx.strokeStyle = '#1e1e3a';
+    ctx.fillStyle = '#4a4a6a';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'right';
+    for (let f1 = this.f1Range[0]; f1 <= this.f1Range[1]; f1 += 200) {
+      ctx.beginPath(); ctx.moveTo(m.left, y(f1)); ctx.lineTo(m.left + plotW, y(f1)); ctx.stroke();
+      ctx.fillText(String(f1), m.left - 3, y(f1));
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let f2 = this.f2Range[0]; f2 <= this.f2Range[1]; f2 += 500) {
+      ctx.beginPath(); ctx.moveTo(x(f2), m.top); ctx.lineTo(x(f2), m.top + plotH); ctx.stroke();
+      ctx.fillText(String(f2), x(f2), m.top + plotH + 3);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillText('F2 Hz', m.left + 2, m.top + plotH + 3);
+    ctx.save();
+    ctx.translate(8, m.top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('F1 Hz', 0, 0);
+    ctx.restore();
+
+    // Phoneme regions: ellipses inscribed in each F1/F2 range
+    const target = this.detection ? this._wordPhonemes() : [];
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(m.left, m.top, plotW, plotH);
+    ctx.clip();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 10px -apple-system, sans-serif';
+    for (const name in this.phonemes) {
+      const r = this.phonemes[name];
+      const cx = (x(r.f2[0]) + x(r.f2[1])) / 2;
+      const cy = (y(r.f1[0]) + y(r.f1[1])) / 2;
+      const rx = Math.abs(x(r.f2[1]) - x(r.f2[0])) / 2;
+      const ry = Math.abs(y(r.f1[1]) - y(r.f1[0])) / 2;
+      const highlight = target.indexOf(name) >= 0;
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
+      ctx.fillStyle = highlight ? 'rgba(224, 64, 251, 0.22)' : 'rgba(124, 77, 255, 0.08)';
+      ctx.fill();
+      ctx.strokeStyle = highlight ? '#e040fb' : '#3a3a6a';
+      ctx.stroke();
+      ctx.fillStyle = highlight ? '#e040fb' : '#6a6a9a';
+      ctx.fillText(name, cx, cy);
+    }
+
+    // Trajectory: fades in from the first frame, ringed start, filled end
+    const track = this._track();
+    if (track.length > 0) {
+      ctx.lineWidth = 1.5;
+      for (let i = 1; i < track.length; i++) {
+        ctx.strokeStyle = 'rgba(0, 229, 255, ' + (0.3 + 0.7 * i / track.length) + ')';
+        ctx.beginPath();
+        ctx.moveTo(x(track[i - 1].f2), y(track[i - 1].f1));
+        ctx.lineTo(x(track[i].f2), y(track[i].f1));
+        ctx.stroke();
+      }
+      ctx.lineWidth = 1;
+      ctx.fillStyle = '#00e5ff';
+      for (const p of track) {
+        ctx.beginPath();
+        ctx.arc(x(p.f2), y(p.f1), 1.8, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+      const first = track[0];
+      const last = track[track.length - 1];
+      ctx.strokeStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(x(first.f2), y(first.f1), 4, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(x(last.f2), y(last.f1), 3.5, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+    ctx.restore();
+
+    ctx.font = '10px -apple-system, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#9e9ec0';
+    if (!this.detection) ctx.fillText('Select a detection', m.left + plotW - 4, m.top + 4);
+    else if (track.length === 0) ctx.fillText('No formant track recorded', m.left + plotW - 4, m.top + 4);
+    else ctx.fillText('"' + this.detection.word + '" · ' + track.length + ' frames', m.left + plotW - 4, m.top + 4);
+    ctx.textAlign = 'left';
+  }
+
+  _renderTrack() {
+    const canvas = this.trackCanvas;
+    if (!canvas) return;
+    const ctx = this._prepare(canvas, this.trackHeight);
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.width / dpr;
+    const h = canvas.height / dpr;
+    const m = this.margin;
+    const labelH = 12;
+    const plotW = w - m.left - m.right;
+    const plotH = h - m.top - m.bottom - labelH;
+    const track = this._track();
+    const frames = this.detection && Array.isArray(this.detection.formantTrack) ? this.detection.formantTrack : [];
+    const duration = frames.length > 1 ? Math.max(frames[frames.length - 1].time, 0.05) : 1;
+    const x = (t) => m.left + (t / duration) * plotW;
+    const y = (f) => m.top + plotH - (Math.min(f, this.trackMaxHz) / this.trackMaxHz) * plotH;
+
+    ctx.fillStyle = '#0a0a14';
+    ctx.fillRect(m.left, m.top, plotW, plotH);
+    ctx.font = '9px -apple-system, sans-serif';
+    ctx.strokeStyle = '#1e1e3a';
+    ctx.fillStyle = '#4a4a6a';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let f = 0; f <= this.trackMaxHz; f += 1000) {
+      ctx.beginPath(); ctx.moveTo(m.left, y(f)); ctx.lineTo(m.left + plotW, y(f)); ctx.stroke();
+      ctx.fillText(f === 0 ? '0' : (f / 1000) + 'k', m.left - 3, y(f));
+    }
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0s', m.left, m.top + plotH + labelH + 3);
+    if (frames.length > 1) {
+      ctx.textAlign = 'right';
+      ctx.fillText(duration.toFixed(2) + 's', m.left + plotW, m.top + plotH + labelH + 3);
+    }
+    if (track.length === 0) return;
+
+    // Spans the sequence alignment gave each of the word's phonemes
+    const spans = Array.isArray(this.detection.alignment) ? this.detection.alignment : [];
+    ctx.textAlign = 'center';
+    spans.forEach((s, i) => {
+      const x0 = x(s.start);
+      const x1 = Math.max(x0 + 2, x(s.end));
+      ctx.fillStyle = i % 2 === 0 ? 'rgba(224, 64, 251, 0.10)' : 'rgba(124, 77, 255, 0.10)';
+      ctx.fillRect(x0, m.top, x1 - x0, plotH);
+      ctx.fillStyle = '#e040fb';
+      ctx.fillText(s.phoneme + ' ' + Math.round(s.fit * 100) + '%', (x0 + x1) / 2, m.top + 1);
+    });
+
+    // One line per formant; frames without a value (F3 is often missing) break the line
+    const keys = ['f1', 'f2', 'f3'];
+    ctx.lineWidth = 1.5;
+    keys.forEach((key, k) => {
+      ctx.strokeStyle = this.formantColors[k];
+      ctx.fillStyle = this.formantColors[k];
+      ctx.beginPath();
+      let drawing = false;
+      for (const p of track) {
+        if (!(p[key] > 0)) { drawing = false; continue; }
+        if (drawing) ctx.lineTo(x(p.time), y(p[key]));
+        else ctx.moveTo(x(p.time), y(p[key]));
+        drawing = true;
+      }
+      ctx.stroke();
+      if (track.length === 1 && track[0][key] > 0) ctx.fillRect(x(0) - 2, y(track[0][key]) - 2, 4, 4);
+    });
+    ctx.lineWidth = 1;
+
+    // Phonemes matched per frame (consonant cues on unvoiced frames), shown where they change
+    ctx.font = '9px -apple-system, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#e040fb';
+    let last = null;
+    let lastX = -Infinity;
+    for (const p of frames) {
+      const label = (p.phonemes || []).join('/') || p.cue || '–';
+      const px = x(p.time);
+      if (label !== last && px - lastX > 18) {
+        ctx.fillText(label, px, m.top + plotH + 2);
+        last = label;
+        lastX = px;
+      }
+    }
+  }
+
+  _track() {
+    const d = this.detection;
+    return d && Array.isArray(d.formantTrack) ? d.formantTrack.filter(p => p.f1 > 0 && p.f2 > 0) : [];
+  }
+
+  _wordPhonemes() {
+    const d = this.detection;
+    return d && Array.isArray(d.wordPhonemes) ? d.wordPhonemes : [];
+  }
+
+  _prepare(canvas, height) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.parentElement ? canvas.parentElement.offsetWidth : 300;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+  }
+}
+
+window.VowelChart = VowelChart;
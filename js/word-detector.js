@@ -13,15 +13,21 @@ class WordDetector {
     this.enabled = true;
     this.detections = [];
     this.maxDetections = 100;
-    this.lastDetectionTime = 0;
+    this.lastDetectionTime = -Infinity;
     this.cooldownMs = 2000; // Minimum time between detections
     this.confidenceThreshold = 55; // Minimum confidence to report
 
+    // Clock override (offline replay) and session start for relative timestamps
+    this._clock = null;
+    this._sessionStartTime = this._now();
+
     // Track formant history for multi-frame matching
     this._formantHistory = [];
     this._historyMaxFrames = 20; // ~0.7s at 30fps
     this._currentSegment = null;
     this._segmentFrames = 0;
+    this.maxGapFrames = 2;     // unvoiced frames (~0.2s) a word may contain: stop closures, fricatives
+    this._recentCues = [];     // cues of the unvoiced frames before the next segment
 
     // Phoneme library: F1/F2 ranges in Hz for key vowel sounds
     // Based on Peterson & Barney (1952) average formant values
@@ -61,90 +67,149 @@ class WordDetector {
       { word: 'WHY',   phonemes: ['AH', 'EE'],   weight: 1.0, minDuration: 8 },
       { word: 'BEHIND',phonemes: ['EE', 'AH', 'IH'], weight: 1.3, minDuration: 14 },
     ];
+    this._defaultWords = this._wordLibrary;
+
+    // Library that produced each detection (see WordLibraries)
+    this.library = { id: 'default', name: 'Common EVP words', version: 1 };
+  }
+
+  /**
+   * Score against a WordLibraries library instead of the built-in word list.
+   * @param {Object} library - {id, name, version, words}
+   */
+  setLibrary(library) {
+    if (!library || !Array.isArray(library.words)) return;
+    this._wordLibrary = library.words.map(w => ({
+      word: w.word, phonemes: w.phonemes.slice(), weight: w.weight, minDuration: w.minDuration
+    }));
+    this.library = { id: library.id, name: library.name, version: library.version };
+  }
+
+  // The built-in word list, for WordLibraries
+  getDefaultWords() {
+    return this._defaultWords.map(w => ({ word: w.word, phonemes: w.phonemes.slice(), weight: w.weight, minDuration: w.minDuration }));
   }
 
   // Process one frame of audio data
   // formantData: { hasVoicePattern, f1, f2, f3, formantCount }
   // audioAssess: { isAnomaly, centroid, hnr, rmsPercent }
-  processFrame(formantData, audioAssess) {
+  // cues: { fricative, burst, silence } from EVPAudioEngine.getConsonantCues() (optional)
+  // Returns a detection when this frame closes a segment that matched a word
+  processFrame(formantData, audioAssess, cues) {
     if (!this.enabled) return null;
     if (!formantData || !audioAssess) return null;
 
-    // Only analyze during voice-like anomalies
-    if (!audioAssess.isAnomaly && audioAssess.rmsPercent < 5) {
-      this._endSegment();
-      return null;
-    }
-
     const f1 = formantData.f1 || 0;
     const f2 = formantData.f2 || 0;
+    const f3 = formantData.f3 || 0;
+    const cue = this._cueType(cues);
 
-    if (f1 === 0 && f2 === 0) {
-      this._endSegment();
-      return null;
+    // Only analyze during voice-like anomalies
+    const quiet = !audioAssess.isAnomaly && audioAssess.rmsPercent < 5;
+    if (quiet || (f1 === 0 && f2 === 0)) {
+      // Consonants and stop closures carry no formants: a short gap stays inside the
+      // word, a longer one ends it
+      const seg = this._currentSegment;
+      if (seg && seg.gap < this.maxGapFrames) {
+        seg.gap++;
+        seg.track.push({ time: Math.round(this._now() - seg.startTime) / 1000, f1: 0, f2: 0, f3: 0, phonemes: [], cue: cue || 'silence' });
+        return null;
+      }
+      if (!seg) {
+        this._recentCues = this._recentCues.concat([cue]).slice(-this.maxGapFrames);
+        return null;
+      }
+      return this._endSegment();
     }
 
     // Track this frame's formants
-    this._formantHistory.push({ f1, f2, time: performance.now() });
+    this._formantHistory.push({ f1, f2, time: this._now() });
     if (this._formantHistory.length > this._historyMaxFrames) {
       this._formantHistory.shift();
     }
 
-    // Build/extend current segment
+    // Build/extend current segment; an unvoiced cue just before it is the word's onset
     if (!this._currentSegment) {
-      this._currentSegment = { phonemeMatches: {}, frames: 0, startTime: performance.now() };
+      const onset = this._recentCues.filter(c => c === 'fricative' || c === 'plosive').pop() || null;
+      this._currentSegment = { phonemeMatches: {}, frames: 0, startTime: this._now(), track: [], gap: 0, onsetCue: onset };
+      this._recentCues = [];
     }
-    this._currentSegment.frames++;
+    const seg = this._currentSegment;
+    seg.frames++;
+    seg.gap = 0;
 
     // Match current formants against phonemes
+    const matched = [];
     for (const [name, ranges] of Object.entries(this._phonemeLib)) {
       if (f1 >= ranges.f1[0] && f1 <= ranges.f1[1] &&
           f2 >= ranges.f2[0] && f2 <= ranges.f2[1]) {
-        if (!this._currentSegment.phonemeMatches[name]) {
-          this._currentSegment.phonemeMatches[name] = 0;
+        if (!seg.phonemeMatches[name]) {
+          seg.phonemeMatches[name] = 0;
         }
-        this._currentSegment.phonemeMatches[name]++;
+        seg.phonemeMatches[name]++;
+        matched.push(name);
       }
     }
 
+    // Per-frame formants kept with the detection so the match can be shown later
+    seg.track.push({
+      time: Math.round(this._now() - seg.startTime) / 1000,
+      f1: Math.round(f1), f2: Math.round(f2), f3: Math.round(f3),
+      phonemes: matched,
+      cue: cue
+    });
+
     return null; // Detection happens in _endSegment
   }
 
   _endSegment() {
+    this._recentCues = [];
     if (!this._currentSegment || this._currentSegment.frames < 4) {
       this._currentSegment = null;
-      return;
+      return null;
     }
 
-    const now = performance.now();
+    const now = this._now();
     if (now - this.lastDetectionTime < this.cooldownMs) {
       this._currentSegment = null;
-      return;
+      return null;
     }
 
     const seg = this._currentSegment;
     this._currentSegment = null;
 
-    // Score each word against observed phonemes
+    // Temporal structure of the segment: the voiced frames in order, the cue after the
+    // last of them, and how many gaps split the voicing into syllables
+    const voiced = p => p.f1 > 0 || p.f2 > 0;
+    const vowels = seg.track.filter(p => p.f1 > 0 && p.f2 > 0);
+    let lastVoiced = seg.track.length - 1;
+    while (lastVoiced > 0 && !voiced(seg.track[lastVoiced])) lastVoiced--;
+    const tail = seg.track.slice(lastVoiced + 1).map(p => p.cue).filter(c => c === 'fricative' || c === 'plosive');
+    const codaCue = tail.length > 0 ? tail[0] : null;
+    let syllables = 1;
+    for (let i = 1; i <= lastVoiced; i++) {
+      if (voiced(seg.track[i]) && !voiced(seg.track[i - 1])) syllables++;
+    }
+
+    // Score each word: ordered vowel alignment plus consonant and syllable cues
     let bestWord = null;
+    let bestPhonemes = [];
+    let bestAlignment = null;
+    let bestConsonants = null;
     let bestConfidence = 0;
 
     for (const entry of this._wordLibrary) {
       if (seg.frames < entry.minDuration) continue;
 
-      let matchScore = 0;
-      let totalRequired = entry.phonemes.length;
+      const alignment = this._alignVowels(vowels, entry.phonemes);
+      if (!alignment) continue;
+      const expected = this._consonantPattern(entry.word);
+      let consonantScore = (this._edgeScore(expected.onset, seg.onsetCue) + this._edgeScore(expected.coda, codaCue)) / 2;
+      // More voiced runs than vowels in the word means more syllables than it has
+      if (syllables > entry.phonemes.length) consonantScore *= 0.6;
 
-      for (const phoneme of entry.phonemes) {
-        const count = seg.phonemeMatches[phoneme] || 0;
-        if (count > 0) {
-          // More frames matching = higher score
-          matchScore += Math.min(1, count / 4);
-        }
-      }
-
-      // Base confidence from phoneme matching
-      let confidence = (matchScore / totalRequired) * 70;
+      // Base confidence from the alignment and consonant cues
+      let confidence = (0.7 * alignment.score + 0.3 * consonantScore) * 80;
 
       // Bonus for longer segments (more data = more reliable)
       confidence += Math.min(15, seg.frames * 0.5);
@@ -152,17 +217,15 @@ class WordDetector {
       // Apply word weight
       confidence *= entry.weight;
 
-      // Bonus for multiple phoneme matches in multi-phoneme words
-      if (totalRequired > 1 && matchScore > 1) {
-        confidence += 10;
-      }
-
       // Cap at 95%
       confidence = Math.min(95, confidence);
 
       if (confidence > bestConfidence) {
         bestConfidence = confidence;
         bestWord = entry.word;
+        bestPhonemes = entry.phonemes;
+        bestAlignment = alignment.phonemes;
+        bestConsonants = { onset: seg.onsetCue, coda: codaCue, expectedOnset: expected.onset, expectedCoda: expected.coda, syllables: syllables };
       }
     }
 
@@ -171,8 +234,14 @@ class WordDetector {
         word: bestWord,
         confidence: Math.round(bestConfidence),
         time: now,
+        timestamp: (seg.startTime - this._sessionStartTime) / 1000,
         duration: seg.frames,
-        phonemes: Object.keys(seg.phonemeMatches)
+        phonemes: Object.keys(seg.phonemeMatches),
+        wordPhonemes: bestPhonemes.slice(),
+        alignment: bestAlignment,
+        consonants: bestConsonants,
+        formantTrack: seg.track,
+        library: { id: this.library.id, name: this.library.name, version: this.library.version }
       };
 
       this.detections.push(detection);
@@ -187,6 +256,98 @@ class WordDetector {
     return null;
   }
 
+  // Dynamic time warping of the voiced frames onto the word's phonemes, in order:
+  // every phoneme takes at least one frame and the path never goes back. Frame fit is
+  // a Gaussian of the distance from the phoneme's centre in units of its half-range.
+  // Returns {score 0-1, phonemes: [{phoneme, start, end, fit}]} or null if too short.
+  _alignVowels(frames, phonemes) {
+    const T = frames.length;
+    const P = phonemes.length;
+    if (P === 0 || T < P) return null;
+
+    const fit = frames.map(f => phonemes.map(name => this._phonemeFit(f, this._phonemeLib[name])));
+    const total = [];
+    const from = [];
+    for (let t = 0; t < T; t++) {
+      total.push(new Float64Array(P).fill(-Infinity));
+      from.push(new Int8Array(P));
+      for (let p = 0; p < P; p++) {
+        if (t === 0) {
+          if (p === 0) total[0][0] = fit[0][0];
+          continue;
+        }
+        const stay = total[t - 1][p];
+        const advance = p > 0 ? total[t - 1][p - 1] : -Infinity;
+        if (stay === -Infinity && advance === -Infinity) continue;
+        from[t][p] = advance > stay ? 1 : 0;
+        total[t][p] = fit[t][p] + Math.max(stay, advance);
+      }
+    }
+
+    // Walk back to find where each phoneme starts and ends
+    const spans = phonemes.map(name => ({ phoneme: name, start: 0, end: 0, fit: 0 }));
+    let p = P - 1;
+    spans[p].end = T - 1;
+    for (let t = T - 1; t > 0; t--) {
+      spans[p].fit += fit[t][p];
+      if (from[t][p] === 1) {
+        spans[p].start = t;
+        p--;
+        spans[p].end = t - 1;
+      }
+    }
+    spans[0].fit += fit[0][0];
+
+    let weakest = 1;
+    for (const s of spans) {
+      s.fit = Math.round(s.fit / (s.end - s.start + 1) * 100) / 100;
+      weakest = Math.min(weakest, s.fit);
+      s.start = frames[s.start].time;
+      s.end = frames[s.end].time;
+    }
+    // Mean fit over all frames, balanced by the worst phoneme so a vowel the word
+    // needs cannot be skipped with a single poor frame
+    return { score: 0.5 * (total[T - 1][P - 1] / T) + 0.5 * weakest, phonemes: spans };
+  }
+
+  _phonemeFit(frame, ranges) {
+    if (!ranges) return 0;
+    const d1 = (frame.f1 - (ranges.f1[0] + ranges.f1[1]) / 2) / ((ranges.f1[1] - ranges.f1[0]) / 2);
+    const d2 = (frame.f2 - (ranges.f2[0] + ranges.f2[1]) / 2) / ((ranges.f2[1] - ranges.f2[0]) / 2);
+    return Math.exp(-(d1 * d1 + d2 * d2) / 2);
+  }
+
+  // Expected onset/coda consonant class from the spelling: fricatives (s, f, v, th, sh, z)
+  // show as high-band hiss, plosives (p, t, k, b, d, g) as a burst after a short silence.
+  // Nasals, liquids and glides leave no cue the engine can see.
+  _consonantPattern(word) {
+    const words = String(word).toUpperCase().replace(/[^A-Z ]/g, '').trim().split(/\s+/);
+    const first = words[0] || '';
+    const last = words[words.length - 1] || '';
+    const classify = (s, atEnd) => {
+      if (atEnd ? /(S|Z|F|V|X|SH|TH|CH|[CG]E)$/.test(s) : /^(S|Z|F|V|TH|SH|CH|J|C[EIY])/.test(s)) return 'fricative';
+      if (atEnd ? /(P|T|K|B|D|G|C|Q)$/.test(s) : /^(P|T|K|B|D|G|C|Q)/.test(s)) return 'plosive';
+      return null;
+    };
+    // Silent final e: the cue belongs to the consonant before it (LEAVE, COME)
+    const coda = classify(last, true) || (/[^AEIOU]E$/.test(last) ? classify(last.slice(0, -1), true) : null);
+    return { onset: classify(first, false), coda: coda };
+  }
+
+  // How well an observed edge cue agrees with the expected one. A missing cue costs
+  // less than a wrong one: fricatives are often lost under the room noise.
+  _edgeScore(expected, observed) {
+    if (expected) return observed === expected ? 1 : observed ? 0.25 : 0.5;
+    return observed ? 0.6 : 1;
+  }
+
+  _cueType(cues) {
+    if (!cues) return null;
+    if (cues.burst) return 'plosive';
+    if (cues.fricative) return 'fricative';
+    return cues.silence ? 'silence' : null;
+  }
+
   // Force check at end of segment (call when anomaly ends)
   forceCheck() {
     const result = this._endSegment();
@@ -194,6 +355,15 @@ class WordDetector {
     return result;
   }
 
+  // F1/F2 ranges of the phoneme table, for drawing the vowel chart
+  getPhonemeLibrary() {
+    const lib = {};
+    for (const [name, ranges] of Object.entries(this._phonemeLib)) {
+      lib[name] = { f1: ranges.f1.slice(), f2: ranges.f2.slice() };
+    }
+    return lib;
+  }
+
   getDetections() {
     return [...this.detections];
   }
@@ -216,11 +386,23 @@ class WordDetector {
     };
   }
 
+  // Override the ms clock (offline replay); null restores performance.now()
+  setClock(clockFn) {
+    this._clock = clockFn || null;
+    this._sessionStartTime = this._now();
+  }
+
+  _now() {
+    return this._clock ? this._clock() : performance.now();
+  }
+
   clearAll() {
     this.detections = [];
     this._formantHistory = [];
     this._currentSegment = null;
-    this.lastDetectionTime = 0;
+    this._recentCues = [];
+    this.lastDetectionTime = -Infinity;
+    this._sessionStartTime = this._now();
   }
 }
 
@@ -0,0 +1,359 @@
+/**
+ * WordLibraries — Named word lists for WordDetector
+ * The built-in library is WordDetector's own list; users clone it, add the names and
+ * phrases of the site they are investigating and keep the copies in localStorage.
+ * Libraries can be exported to and imported from JSON to share them within a team.
+ *
+ * Library shape: {id, name, builtIn, version, updatedAt, words: [{word, phonemes, weight, minDuration}]}
+ *   phonemes    - sequence drawn from WordDetector's phoneme table (e.g. ['EH', 'OH'])
+ *   minDuration - frames a segment must last before the word is considered (app.js
+ *                 feeds WordDetector about every 100ms)
+ *   version     - increases on every save; detections record it so results stay traceable
+ */
+class WordLibraries {
+  /**
+   * @param {Array} defaultWords - from WordDetector.getDefaultWords()
+   * @param {Array} phonemes - names from WordDetector.getPhonemeLibrary()
+   */
+  constructor(defaultWords, phonemes) {
+    this.storageKey = 'evpWordLibraries';
+    this.activeKey = 'evpActiveWordLibrary';
+    this.defaultId = 'default';
+    this.phonemes = phonemes || [];
+    this.maxWords = 200;
+    this.maxPhonemes = 6;
+    this.limits = { weight: [0.1, 3], minDuration: [2, 90] };
+
+    this._builtIn = [{
+      id: this.defaultId,
+      name: 'Common EVP words',
+      builtIn: true,
+      version: 1,
+      words: (defaultWords || []).map(function(w) {
+        return { word: w.word, phonemes: w.phonemes.slice(), weight: w.weight, minDuration: w.minDuration };
+      })
+    }];
+
+    this._custom = this._load();
+  }
+
+  /**
+   * All libraries, built-in first.
+   * @returns {Array}
+   */
+  list() {
+    return this._builtIn.concat(this._custom);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      if (all[i].id === id) return all[i];
+    }
+    return null;
+  }
+
+  /**
+   * The selected library, falling back to the built-in one.
+   * @returns {Object}
+   */
+  getActive() {
+    var id = null;
+    try { id = localStorage.getItem(this.activeKey); } catch (e) { /* localStorage unavailable */ }
+    return this.get(id) || this.get(this.defaultId);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} the newly active library
+   */
+  setActive(id) {
+    var library = this.get(id);
+    if (!library) return null;
+    try { localStorage.setItem(this.activeKey, id); } catch (e) { /* localStorage unavailable */ }
+    return library;
+  }
+
+  /**
+   * Copy a library into a new editable custom library.
+   * @param {string} id - source library
+   * @param {string} [name]
+   * @returns {Object|null}
+   */
+  clone(id, name) {
+    var source = this.get(id);
+    if (!source) return null;
+
+    var library = {
+      id: this._newId(),
+      name: this._cleanName(name || source.name + ' (copy)') || source.name,
+      builtIn: false,
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      words: JSON.parse(JSON.stringify(source.words))
+    };
+    this._custom.push(library);
+    this._save();
+    return library;
+  }
+
+  /**
+   * Replace a custom library's name and/or words. Built-in libraries are read-only.
+   * Invalid words are dropped; the version increases when anything changed.
+   * @param {string} id
+   * @param {Object} changes - {name, words}
+   * @returns {Object|null} updated library, or null if not editable
+   */
+  update(id, changes) {
+    var library = this.get(id);
+    if (!library || library.builtIn) return null;
+
+    var before = JSON.stringify([library.name, library.words]);
+    if (changes.name && this._cleanName(changes.name)) library.name = this._cleanName(changes.name);
+    if (Array.isArray(changes.words)) library.words = this._cleanWords(changes.words);
+
+    if (JSON.stringify([library.name, library.words]) !== before) {
+      library.version++;
+      library.updatedAt = new Date().toISOString();
+      this._save();
+    }
+    return library;
+  }
+
+  /**
+   * Delete a custom library. If it was active, the built-in library becomes active.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    var wasActive = this.getActive().id === id;
+    for (var i = 0; i < this._custom.length; i++) {
+      if (this._custom[i].id === id) {
+        this._custom.splice(i, 1);
+        this._save();
+        if (wasActive) this.setActive(this.defaultId);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ─── Import / export ────────────────────────────────────────
+
+  /**
+   * @param {string} id
+   * @returns {string|null} JSON
+   */
+  exportJSON(id) {
+    var library = this.get(id);
+    if (!library) return null;
+    return JSON.stringify({
+      format: 'evp-mini-word-library',
+      name: library.name,
+      version: library.version,
+      updatedAt: library.updatedAt || null,
+      words: library.words
+    }, null, 2);
+  }
+
+  /**
+   * Add a library from exported JSON as a new custom library. The file's version is
+   * kept so detections made with the imported copy match the exporter's.
+   * @param {string} text
+   * @returns {Object} the imported library
+   * @throws {Error} if the JSON is unreadable or holds no valid words
+   */
+  importJSON(text) {
+    var data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('WordLibraries: not a JSON file');
+    }
+    var words = data && this._cleanWords(Array.isArray(data) ? data : data.words);
+    if (!words || words.length === 0) throw new Error('WordLibraries: no valid words in the file');
+
+    var version = parseInt(data.version, 10);
+    var library = {
+      id: this._newId(),
+      name: this._cleanName(data.name || '') || 'Imported words',
+      builtIn: false,
+      version: version > 0 ? version : 1,
+      updatedAt: new Date().toISOString(),
+      words: words
+    };
+    this._custom.push(library);
+    this._save();
+    return library;
+  }
+
+  // ─── Editor ─────────────────────────────────────────────────
+
+  /**
+   * Render <option> elements for a library <select>.
+   * @param {string} selectedId
+   * @returns {string} HTML
+   */
+  renderOptions(selectedId) {
+    var html = '';
+    var all = this.list();
+    for (var i = 0; i < all.length; i++) {
+      var l = all[i];
+      html += '<option value="' + l.id + '"' + (l.id === selectedId ? ' selected' : '') + '>' +
+        this._escape(l.name) + ' v' + l.version + (l.builtIn ? '' : ' *') + '</option>';
+    }
+    return html;
+  }
+
+  /**
+   * Render the word editor for a library. Built-in libraries render read-only.
+   * @param {Object} library
+   * @returns {string} HTML
+   */
+  renderEditor(library) {
+    var readOnly = library.builtIn ? ' disabled' : '';
+    var html = '<div class="profile-editor-name"><label>Name <input type="text" data-library-name maxlength="40" value="' +
+      this._escape(library.name) + '"' + readOnly + '></label></div>';
+    html += '<div class="profile-editor-desc">Version ' + library.version + ' | ' + library.words.length + ' word' +
+      (library.words.length !== 1 ? 's' : '') + ' | minimum duration in frames (~0.1s each)</div>';
+    html += '<div class="word-editor-rows" data-word-rows>';
+    for (var i = 0; i < library.words.length; i++) html += this.renderRow(library.words[i], library.builtIn);
+    html += '</div>';
+    if (library.builtIn) html += '<div class="profile-editor-desc">The built-in library is read-only. Clone it to edit a copy.</div>';
+    return html;
+  }
+
+  /**
+   * Render one editable word row.
+   * @param {Object} [word]
+   * @param {boolean} [readOnly]
+   * @returns {string} HTML
+   */
+  renderRow(word, readOnly) {
+    word = word || { word: '', phonemes: [], weight: 1, minDuration: 8 };
+    var dis = readOnly ? ' disabled' : '';
+    var html = '<div class="word-editor-row" data-word-row>';
+    html += '<input type="text" data-word-text maxlength="24" placeholder="Word" value="' + this._escape(word.word) + '"' + dis + '>';
+    html += '<input type="hidden" data-word-phonemes value="' + word.phonemes.join(' ') + '">';
+    html += '<span class="word-editor-seq" data-word-seq>' + this.renderSequence(word.phonemes, readOnly) + '</span>';
+    if (!readOnly) {
+      html += '<select data-word-add><option value="">+ phoneme</option>';
+      for (var i = 0; i < this.phonemes.length; i++) html += '<option value="' + this.phonemes[i] + '">' + this.phonemes[i] + '</option>';
+      html += '</select>';
+    }
+    html += '<label>Weight <input type="number" data-word-weight min="' + this.limits.weight[0] + '" max="' + this.limits.weight[1] +
+      '" step="0.1" value="' + word.weight + '"' + dis + '></label>';
+    html += '<label>Min <input type="number" data-word-duration min="' + this.limits.minDuration[0] + '" max="' + this.limits.minDuration[1] +
+      '" step="1" value="' + word.minDuration + '"' + dis + '></label>';
+    if (!readOnly) html += '<button class="profile-btn profile-btn-danger" data-word-remove title="Remove word">&times;</button>';
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Render a phoneme sequence as chips; editable chips carry their position for removal.
+   * @param {Array} phonemes
+   * @param {boolean} [readOnly]
+   * @returns {string} HTML
+   */
+  renderSequence(phonemes, readOnly) {
+    if (phonemes.length === 0) return '<span class="word-editor-empty">no phonemes</span>';
+    var html = '';
+    for (var i = 0; i < phonemes.length; i++) {
+      html += readOnly ? '<span class="word-chip">' + phonemes[i] + '</span>'
+        : '<span class="word-chip" data-word-chip="' + i + '" title="Remove">' + phonemes[i] + ' &times;</span>';
+    }
+    return html;
+  }
+
+  /**
+   * Read the words back from an editor rendered by renderEditor().
+   * @param {HTMLElement} container
+   * @returns {Object} {name, words}
+   */
+  readEditor(container) {
+    var rows = container.querySelectorAll('[data-word-row]');
+    var words = [];
+    for (var i = 0; i < rows.length; i++) {
+      var seq = rows[i].querySelector('[data-word-phonemes]').value.trim();
+      words.push({
+        word: rows[i].querySelector('[data-word-text]').value,
+        phonemes: seq ? seq.split(/\s+/) : [],
+        weight: rows[i].querySelector('[data-word-weight]').value,
+        minDuration: rows[i].querySelector('[data-word-duration]').value
+      });
+    }
+    var nameInput = container.querySelector('[data-library-name]');
+    return { name: nameInput ? nameInput.value : '', words: words };
+  }
+
+  // Keep words with a name and at least one known phoneme; clamp the numbers and
+  // drop later duplicates of the same word
+  _cleanWords(words) {
+    if (!Array.isArray(words)) return [];
+    var known = this.phonemes;
+    var seen = {};
+    var clean = [];
+    for (var i = 0; i < words.length && clean.length < this.maxWords; i++) {
+      var w = words[i];
+      if (!w) continue;
+      var text = String(w.word || '').replace(/[<>"&]/g, '').trim().toUpperCase().slice(0, 24);
+      var phonemes = (Array.isArray(w.phonemes) ? w.phonemes : []).map(function(p) { return String(p).toUpperCase(); })
+        .filter(function(p) { return known.indexOf(p) >= 0; }).slice(0, this.maxPhonemes);
+      if (!text || phonemes.length === 0 || seen[text]) continue;
+      seen[text] = true;
+      clean.push({
+        word: text,
+        phonemes: phonemes,
+        weight: this._clamp(parseFloat(w.weight), this.limits.weight, 1),
+        minDuration: Math.round(this._clamp(parseFloat(w.minDuration), this.limits.minDuration, 8))
+      });
+    }
+    return clean;
+  }
+
+  _newId() {
+    var id = 'words-' + Date.now().toString(36);
+    for (var n = 2; this.get(id); n++) id = 'words-' + Date.now().toString(36) + '-' + n;
+    return id;
+  }
+
+  _clamp(value, range, fallback) {
+    if (!isFinite(value)) return fallback;
+    return Math.round(Math.max(range[0], Math.min(range[1], value)) * 100) / 100;
+  }
+
+  _load() {
+    try {
+      var stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(function(l) { return l && l.id && Array.isArray(l.words); }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this._custom));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // Names are shown in reports and the vault; keep them short and markup-free
+  _cleanName(name) {
+    return String(name).replace(/[<>"&]/g, '').trim().slice(0, 40);
+  }
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+window.WordLibraries = WordLibraries;
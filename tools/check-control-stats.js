@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Control period statistics check — runs EvidenceReport's Poisson rate test
+ * against known tail probabilities, including inputs whose first tail terms
+ * underflow in linear space.
+ *
+ *   node tools/check-control-stats.js
+ *
+ * Exits non-zero if any case falls outside its expected range.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = { window: {}, console: console };
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'evidence-report.js'), 'utf8'), context);
+const report = new context.window.EvidenceReport();
+
+// [k1, t1, k0, t0, low, high]: expected one-sided p range
+const cases = [
+  [10, 10, 2, 10, 0.019, 0.0195],       // 10 vs 2 in equal time
+  [0, 10, 2, 10, 1, 1],                 // nothing in the session
+  [1, 10, 1, 10, 0.75, 0.75],
+  [50, 10, 0, 10, 8.8e-16, 8.9e-16],    // 0.5^50
+  [300, 90, 700, 10, 0.999, 1],         // far below the control rate
+  [5, 1000, 900, 10, 0.999, 1],
+  [5000, 10, 4000, 10, 0, 1e-20]
+];
+
+let failed = 0;
+for (const c of cases) {
+  const p = report._poissonRateTest(c[0], c[1], c[2], c[3]).p;
+  const ok = p >= c[4] && p <= c[5];
+  if (!ok) failed++;
+  console.log((ok ? 'PASS' : 'FAIL') + ' p(' + c.slice(0, 4).join(', ') + ') = ' + p.toPrecision(4));
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Team Investigation Relay — local Node stand-in for functions/api/team-relay.js
+ *
+ * Run on any machine on the same network as the investigation phones:
+ *   node tools/team-relay.js [--port 8787] [--origin https://app.example,http://192.168.1.20:8080]
+ * then enter ws://<machine-ip>:8787 as the relay URL in each device's Team panel.
+ * With --origin, only pages served from the listed origins may connect.
+ * A room holds at most MAX_PEERS devices.
+ *
+ * Speaks the same JSON protocol as the Cloudflare function. No dependencies:
+ * implements just enough of RFC 6455 for unfragmented-or-fragmented text frames,
+ * ping/pong and close.
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 256 * 1024;
+const MAX_PEERS = 16;
+
+const portArg = process.argv.indexOf('--port');
+const port = portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : (parseInt(process.env.PORT, 10) || 8787);
+const originArg = process.argv.indexOf('--origin');
+const allowedOrigins = originArg !== -1 ? (process.argv[originArg + 1] || '').split(',').filter(Boolean) : null;
+
+const rooms = new Map();
+
+// ─── Minimal WebSocket connection ─────────────────────────────
+class Connection {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.closed = false;
+
+    socket.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this._parse();
+    });
+    socket.on('close', () => this._closed());
+    socket.on('error', () => this._closed());
+  }
+
+  send(text) {
+    if (this.closed) return;
+    this.socket.write(this._frame(0x1, Buffer.from(text, 'utf8')));
+  }
+
+  close(code, reason) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason || ''));
+    payload.writeUInt16BE(code || 1000, 0);
+    if (reason) payload.write(reason, 2);
+    this.socket.end(this._frame(0x8, payload));
+    this._closed();
+  }
+
+  _closed() {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose(this);
+  }
+
+  _frame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode; header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode; header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+  }
+
+  _parse() {
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // Clients must mask; oversized messages are refused outright
+      if (!masked || length > MAX_MESSAGE) { this.close(1009, 'Message rejected'); return; }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) { this.close(1000); return; }
+      if (opcode === 0x9) { this.socket.write(this._frame(0xA, payload)); continue; }
+      if (opcode === 0xA) continue;
+
+      if (opcode === 0x1 || opcode === 0x0) {
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_MESSAGE) { this.close(1009, 'Message rejected'); return; }
+        this.fragments.push(payload);
+        if (!fin) continue;
+        const message = Buffer.concat(this.fragments);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.onMessage(this, message.toString('utf8'));
+      }
+    }
+  }
+}
+
+// ─── Room logic (mirrors functions/api/team-relay.js) ─────────
+function handleMessage(peer, msg) {
+  if (msg.type === 'join') {
+    const room = String(msg.room || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+    const deviceId = String(msg.deviceId || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64);
+    if (!room || !deviceId) return send(peer, { type: 'error', error: 'Missing investigation ID or device ID' });
+    const full = rooms.get(room);
+    if (full && full.peers.size >= MAX_PEERS && !full.peers.has(deviceId)) {
+      send(peer, { type: 'error', error: 'Investigation ' + room + ' is full (' + MAX_PEERS + ' devices)' });
+      return peer.socket.close(4001, 'Investigation full');
+    }
+
+    leave(peer);
+    peer.room = room;
+    peer.deviceId = deviceId;
+    peer.name = String(msg.name || 'Device').replace(/[<>"&]/g, '').slice(0, 40);
+
+    if (!rooms.has(room)) rooms.set(room, { peers: new Map(), reports: new Map() });
+    const r = rooms.get(room);
+    // Take the slot before closing the old socket so its leave() sees it was replaced
+    const existing = r.peers.get(deviceId);
+    r.peers.set(deviceId, peer);
+    if (existing && existing !== peer) existing.socket.close(4000, 'Replaced by a newer connection');
+
+    send(peer, {
+      type: 'welcome',
+      room: room,
+      deviceId: deviceId,
+      peers: [...r.peers.values()].filter(p => p !== peer).map(p => ({ deviceId: p.deviceId, name: p.name })),
+      reports: [...r.reports.values()],
+      serverTime: Date.now()
+    });
+    broadcast(peer, { type: 'peer-joined', deviceId: deviceId, name: peer.name });
+    log(room, peer.name + ' joined (' + r.peers.size + ' device' + (r.peers.size !== 1 ? 's' : '') + ')');
+  } else if (msg.type === 'ping') {
+    send(peer, { type: 'pong', t: msg.t, serverTime: Date.now() });
+  } else if (!peer.room) {
+    send(peer, { type: 'error', error: 'Join an investigation first' });
+  } else if (msg.type === 'event') {
+    broadcast(peer, { type: 'event', deviceId: peer.deviceId, name: peer.name, event: msg.event });
+  } else if (msg.type === 'report') {
+    const out = { type: 'report', deviceId: peer.deviceId, name: peer.name, report: msg.report };
+    const r = rooms.get(peer.room);
+    if (!r) return;
+    r.reports.set(peer.deviceId, out);
+    broadcast(peer, out);
+    log(peer.room, peer.name + ' shared a report');
+  }
+}
+
+function leave(peer) {
+  const r = peer.room ? rooms.get(peer.room) : null;
+  if (!r || r.peers.get(peer.deviceId) !== peer) return;
+  r.peers.delete(peer.deviceId);
+  broadcast(peer, { type: 'peer-left', deviceId: peer.deviceId });
+  log(peer.room, peer.name + ' left');
+  if (r.peers.size === 0) rooms.delete(peer.room);
+  peer.room = null;
+}
+
+function broadcast(from, msg) {
+  const r = rooms.get(from.room);
+  if (!r) return;
+  for (const p of r.peers.values()) {
+    if (p !== from) send(p, msg);
+  }
+}
+
+function send(peer, msg) {
+  peer.socket.send(JSON.stringify(msg));
+}
+
+function log(room, text) {
+  console.log(new Date().toISOString() + ' [' + room + '] ' + text);
+}
+
+// ─── HTTP server with WebSocket upgrade ───────────────────────
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+  res.end('EVP-MINI team relay: connect with a WebSocket client\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  if (allowedOrigins && !allowedOrigins.includes(req.headers.origin)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+  socket.setNoDelay(true);
+
+  const peer = { socket: null, room: null, deviceId: null, name: null };
+  peer.socket = new Connection(socket, (conn, text) => {
+    let msg;
+    try { msg = JSON.parse(text); } catch (e) { return; }
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return;
+    try {
+      handleMessage(peer, msg);
+    } catch (e) {
+      log(peer.room || '-', 'Dropped a message: ' + e.message);
+    }
+  }, () => leave(peer));
+});
+
+server.listen(port, () => {
+  console.log('EVP-MINI team relay listening on ws://0.0.0.0:' + port);
+  if (allowedOrigins) console.log('Accepting pages from ' + allowedOrigins.join(', '));
+});